@@ -16,6 +16,15 @@ export interface SDKConfig {
   debug?: boolean;                  // Default: false - Enable debug logging
   transcriptionTimeout?: number;    // Default: 10000 - Transcription timeout in milliseconds
   responseTimeout?: number;         // Default: 15000 - General response timeout in milliseconds
+  binaryFraming?: boolean;          // Default: false - Send/receive audio as binary WebSocket frames instead of base64 JSON
+  incrementalUpload?: boolean;      // Default: false - Upload audio while recording; the turn starts on commit
+  uploadIntervalMs?: number;        // Default: 500 - Interval between incremental uploads in milliseconds
+  sessionId?: string;               // Default: none - Server session to resume; a new one is created otherwise
+  conversationId?: string;          // Default: none - Stored conversation to continue; the session's own otherwise
+  transcription?: TranscriptionSettings; // Default: none - Speech-to-text provider, model and language; server defaults otherwise
+  llm?: LlmSettings;                // Default: none - Chat model provider and model; server defaults otherwise
+  speech?: SpeechSettings;          // Default: none - Text-to-speech provider, model and voice; server defaults otherwise
+  locale?: string;                  // Default: the transcription language - Language of server error messages (en, es, fr, de)
   
   audioOptions?: {
     android?: {
@@ -43,11 +52,190 @@ export interface ConversationMessage {
   timestamp?: string;
 }
 
+// Speech-to-text choice for the session; unset fields use the server's defaults
+export interface TranscriptionSettings {
+  provider?: 'openai' | 'groq' | 'workers-ai' | 'deepgram'; // Only providers the server has credentials for are accepted
+  model?: string;                   // Default: the provider's default model
+  language?: string;                // Default: auto-detect - ISO 639-1 code
+}
+
+// Chat model choice for the session; unset fields use the server's defaults
+export interface LlmSettings {
+  provider?: 'groq' | 'openai' | 'openai-compatible' | 'anthropic' | 'workers-ai'; // Only providers the server has credentials for are accepted
+  model?: string;                   // Default: the provider's default model
+}
+
+// Text-to-speech choice for the session; unset fields use the server's defaults
+export interface SpeechSettings {
+  provider?: 'openai' | 'elevenlabs' | 'workers-ai'; // Only providers the server has credentials for are accepted
+  model?: string;                   // Default: the provider's default model
+  voice?: string;                   // Default: the provider's default voice - an ID from listVoices()
+}
+
+// The provider that served each stage of a turn, after any failover
+export interface StageProvider {
+  provider: string;
+  model: string;
+  voice?: string;                   // Text-to-speech only
+  failedOver: boolean;              // An earlier provider was down, so a fallback answered
+}
+
+export interface TurnProviders {
+  stt?: StageProvider;              // Missing when the turn ended before the stage ran
+  llm?: StageProvider;
+  tts?: StageProvider;
+}
+
+// Measured by the server, in ms after it had the turn's audio
+export interface TurnTimings {
+  sttMs?: number;                   // Transcript ready
+  firstTokenMs?: number;            // First token of the answer
+  firstAudioMs?: number;            // First audio sent
+  lastAudioMs?: number;             // Last audio sent
+  totalMs?: number;                 // Turn finished
+}
+
+// How long each stage's provider took
+export interface StageLatencies {
+  stt?: number;                     // Until the transcript
+  llm?: number;                     // Until the first token, including tool calls before it
+  tts?: number;                     // Until the first audio
+}
+
+export type ServerErrorCode =
+  | 'empty_transcription'           // Nothing could be heard in the recording
+  | 'invalid_conversation'          // Malformed conversation ID
+  | 'unsupported_audio_format'
+  | 'unsupported_framing'
+  | 'invalid_message'               // The server could not act on a message from the SDK; see field
+  | 'unknown_message_type'          // The server does not know the message's type
+  | 'feature_not_enabled'           // The connection did not negotiate the feature the message needs
+  | 'handshake_required'            // A message was sent before the session.hello handshake
+  | 'unsupported_protocol_version'  // The server does not speak the SDK's protocol version
+  | 'missing_prompt_variables'      // The session's persona needs variables that were not set; see detail
+  | 'quota_exceeded'                // The user is over a usage limit; see quota and resetAt
+  | 'rate_limited'                  // A provider is throttling; retryAfterMs says how long, when known
+  | 'provider_unavailable'          // Every provider of the stage is down or unreachable
+  | 'provider_error'                // A provider refused the request, e.g. a bad key; retrying will not help
+  | 'internal_error';
+
+export interface ServerError {
+  code: ServerErrorCode;
+  stage: 'stt' | 'llm' | 'tts' | 'session'; // 'session' for anything outside the provider stages
+  retryable: boolean;               // Whether the same request may succeed later
+  retryAfterMs?: number;            // The provider's requested wait
+  turnId: number | null;            // null when the error does not belong to a turn
+  message: string;                  // Localized, ready to show to the user
+  detail?: string;                  // What was wrong with the request, for errors the client caused
+  field?: string;                   // Path of the invalid field of a rejected message, e.g. 'message.offset'
+  messageType?: string;             // Type of the rejected message
+  feature?: string;                 // The protocol feature a feature_not_enabled message needed
+  chunkIndex?: number;              // Set when only one audio chunk of the answer failed
+  quota?: 'requestsPerMinute' | 'concurrentSessions' | 'dailyAudioSeconds' | 'dailyTtsCharacters'; // quota_exceeded only
+  limit?: number;                   // The value of that limit
+  resetAt?: string | null;          // ISO 8601; null when the quota frees up once another session closes
+  errorType: string;                // Classification used before code, e.g. 'ai_error'
+  originalMessage: string;          // Same as message; kept for older handlers
+  fullErrorData?: any;
+}
+
+export interface Voice {
+  id: string;
+  name: string;
+  provider: string;
+  language: string;                 // ISO 639-1 code, or 'multi' for voices that speak the text's language
+  gender: 'female' | 'male' | 'neutral';
+}
+
+export interface VoiceList {
+  voices: Voice[];
+  default: { provider: string; voice: string }; // Used while the session has not chosen a voice
+}
+
+export interface PromptVariable {
+  description?: string;
+  required: boolean;                // Without it the persona cannot be selected
+  default?: string;                 // Used when an optional variable is not set
+}
+
+// A named assistant set up on the server: its prompt, voice and language, and the variables the app fills in
+export interface Persona {
+  name: string;
+  description?: string;
+  language?: string;                // ISO 639-1 code the persona speaks
+  voice?: SpeechSettings;
+  variables: Record<string, PromptVariable>;
+}
+
+export interface PersonaList {
+  personas: Persona[];
+  default: string;                  // Used while the session has not chosen a persona
+}
+
+export interface TranscriptSegment {
+  start: number;                    // Seconds from the start of the recording
+  end: number;
+  text: string;
+}
+
 export interface AudioMessageOptions {
   userId?: string;
   username?: string;
-  history?: ConversationMessage[];
+  history?: ConversationMessage[];  // Only sent while the server session has no history yet
   additionalPrompt?: string;
+  conversationId?: string;
+}
+
+// Stored conversations (REST API)
+export interface ConversationSummary {
+  id: string;
+  title: string | null;             // Start of the first user message
+  createdAt: string;
+  updatedAt: string;
+  messageCount: number;
+}
+
+export interface ConversationPage {
+  conversations: ConversationSummary[];
+  nextBefore: string | null;        // Pass as `before` to fetch the next page; null on the last page
+}
+
+export interface ConversationDetail {
+  id: string;
+  title: string | null;
+  createdAt: string;
+  updatedAt: string;
+  messages: (ConversationMessage & { interrupted?: boolean })[];
+}
+
+// A tool the app runs on the device when the assistant calls it
+export interface ClientToolSchema {
+  description: string;              // Tells the assistant when to use the tool
+  parameters?: Record<string, any>; // JSON schema of type object; Default: no arguments
+}
+
+export interface ClientToolCall {
+  toolCallId: string;
+  turnId: number;
+  name: string;
+}
+
+// The returned value (JSON-serializable) is sent to the assistant; a thrown error is reported as the tool's error
+export type ClientToolHandler = (args: any, call: ClientToolCall) => any | Promise<any>;
+
+// Server-side voice activity detection settings (hands-free mode)
+export interface VadSettings {
+  energyThreshold?: number;         // Default: 0.02 - Minimum RMS level (0-1) counted as speech
+  zeroCrossingThreshold?: number;   // Default: 0.3 - Zero-crossing rate that lets quieter frames count as speech
+  minSpeechDurationMs?: number;     // Default: 100 - Speech needed before speechStarted fires
+  silenceDurationMs?: number;       // Default: 700 - Silence that ends the turn
+  prefixPaddingMs?: number;         // Default: 300 - Audio kept before and after the detected speech
+  maxSpeechDurationMs?: number;     // Default: 30000 - Turns are committed after this even without a pause
+}
+
+export interface VadOptions extends AudioMessageOptions {
+  sampleRate?: number;              // Default: 16000 - Sample rate of the PCM passed to sendPcmAudio
+  vad?: VadSettings;
 }
 
 export interface SDKStatus {
@@ -67,6 +255,8 @@ export interface SDKStatus {
   username: string | null;
   currentSessionId: string | null;
   sessionCounter: number;
+  serverSessionId: string | null;
+  conversationId: string | null;
 }
 
 export interface EventData {
@@ -75,6 +265,15 @@ export interface EventData {
   disconnected: { connected: boolean };
   initialized: { success: boolean };
   welcome: { message: string };
+  capabilities: SessionCapabilities;
+  sessionUpdated: {
+    session: SessionSettings;       // Settings now in effect
+    rejected: SessionUpdateRejection[];
+  };
+  session: { sessionId: string; conversationId: string | null; resumed: boolean; history: ConversationMessage[] };
+  conversation: { conversationId: string; history: ConversationMessage[] };
+  historyCleared: { conversationId?: string };
+  framing: { framing: AudioFraming };
 
   // Recording events
   recordingStart: { recording: boolean };
@@ -88,8 +287,17 @@ export interface EventData {
 
   // Processing events
   processingStart: { processing: boolean };
-  processingEnd: { processing: boolean };
-  transcription: { text: string };
+  processingEnd: {
+    processing: boolean;
+    turnId?: number;
+    providers: TurnProviders;       // Which provider served each stage of the turn
+  };
+  transcription: {
+    text: string;
+    language?: string | null;       // ISO 639-1 code, detected or as requested
+    duration?: number | null;       // Seconds of audio, when the provider reports it
+    segments?: TranscriptSegment[];
+  };
 
   // Text streaming events
   textChunk: { 
@@ -111,6 +319,7 @@ export interface EventData {
     chunkIndex: number; 
     audio?: string;
     text?: string;
+    turnId?: number;
   };
   chunkPlaybackStart: { 
     chunkIndex: number; 
@@ -153,23 +362,104 @@ export interface EventData {
     type: string; 
     message: string;
   };
-  serverError: { 
-    message: string; 
-    originalMessage: string;
-    errorType?: string;
-    fullErrorData?: any;
-  };
+  serverError: ServerError;
   timeout: { 
     type: 'transcription_timeout' | 'response_timeout' | string;
     duration: number;
     message: string;
   };
 
+  // Hands-free (server VAD) events
+  vadStarted: { vad: VadSettings & { sampleRate: number } };
+  vadStopped: {};
+  speechStarted: { audioStartMs: number };
+  speechStopped: { audioEndMs: number };
+  
   // Other events
-  cancelled: { cancelled: boolean };
+  cancelled: { cancelled: boolean; turnId?: number | null };
+  turnInterrupted: { 
+    turnId: number;
+    textOffset: number;
+    text: string;
+  };
+  toolCallStarted: {
+    turnId: number;
+    toolCallId: string;
+    name: string;
+    arguments: any;
+  };
+  toolCallResult: {
+    turnId: number;
+    toolCallId: string;
+    name: string;
+    result?: any;                   // Present when the tool succeeded
+    error?: string;                 // Present when the tool failed; the model is told and answers anyway
+    durationMs: number;
+  };
+  toolsRegistered: {
+    tools: string[];                // Client tools the assistant can call
+    rejected: Array<{ name: string; reason: string }>;
+  };
+  clientToolCall: ClientToolCall & { arguments: any };
+  retrying: {
+    turnId: number;
+    stage: 'stt' | 'llm' | 'tts';   // Speech-to-text, AI answer or speech
+    provider: string;
+    attempt: number;                // The attempt that starts after the delay, 2 for the first retry
+    delayMs: number;
+  };
+  turnMetrics: {
+    turnId: number;
+    timings: TurnTimings;
+    stages: StageLatencies;
+  };
   unknownMessage: { type: string; data: any };
 }
 
+export type AudioFraming = 'json' | 'binary';
+
+// What the server enabled for this connection, from its reply to the SDK's session.hello
+export interface SessionCapabilities {
+  protocolVersion: number;
+  audioFormats: string[];           // Recording formats the server accepts
+  framings: AudioFraming[];
+  framing: AudioFraming;            // In effect for this connection
+  features: string[];               // e.g. 'server_vad', 'turn_metrics'
+  session?: SessionSettings;
+}
+
+// Settings changed mid-session with updateSession; unset fields are left as they are
+export interface SessionUpdate {
+  persona?: string;                 // A name from listPersonas(); '' for the server's default persona
+  variables?: Record<string, string>; // Values of the persona's variables
+  transcription?: TranscriptionSettings;
+  llm?: LlmSettings;
+  speech?: SpeechSettings;
+  segmentation?: { firstMinLength?: number; minLength?: number; maxLength?: number };
+  prompt?: string;                  // Replaces the persona's system prompt; '' goes back to it
+  useStreaming?: boolean;
+  locale?: string;
+}
+
+// The session's settings as the next turn will use them, the server's defaults filled in
+export interface SessionSettings {
+  persona: string;
+  variables: Record<string, string>; // Set by the app; variables left out use their defaults
+  transcription: { provider: string; model: string; language: string | null };
+  llm: { provider: string; model: string };
+  speech: { provider: string; model: string; voice: string };
+  segmentation: { firstMinLength?: number; minLength?: number; maxLength?: number };
+  prompt: string | null;            // null while the persona's prompt applies
+  useStreaming: boolean;
+  locale: string | null;
+  updatable: string[];              // Fields this user may change, e.g. 'speech.voice'; '*' for all
+}
+
+export interface SessionUpdateRejection {
+  field: string;
+  reason: 'not_allowed' | 'unsupported' | 'invalid' | 'missing'; // missing: a required variable of the persona
+}
+
 export type EventName = keyof EventData;
 export type EventHandler<T extends EventName> = (data: EventData[T]) => void;
 
@@ -200,6 +490,7 @@ declare class AudioToAudioSDK {
   // Audio playback methods
   playAudio(base64Audio?: string): Promise<boolean>;
   cancelAudio(): Promise<boolean>;
+  cancelResponse(): Promise<boolean>;
 
   // User context management
   setUserContext(userId: string, username: string): void;
@@ -208,22 +499,69 @@ declare class AudioToAudioSDK {
   setConversationHistory(history: ConversationMessage[]): void;
   addToHistory(role: 'user' | 'assistant', content: string): void;
   clearHistory(): void;
+  
+  // Server session
+  getServerSessionId(): string | null;
+  
+  // Stored conversations
+  setConversationId(conversationId: string): void;
+  getConversationId(): string | null;
+  listConversations(options?: { limit?: number; before?: string }): Promise<ConversationPage>;
+  getConversation(conversationId: string): Promise<ConversationDetail | null>;
+  deleteConversation(conversationId: string): Promise<boolean>;
+  
+  // Client tools
+  registerTool(name: string, schema: ClientToolSchema, handler: ClientToolHandler): void;
+  unregisterTool(name: string): void;
+
+  // Speech-to-text
+  setTranscription(settings: TranscriptionSettings): void;
+  
+  // Chat model
+  setLlm(settings: LlmSettings): void;
+  
+  // Text-to-speech
+  setSpeech(settings: SpeechSettings): void;
+  listVoices(options?: { provider?: string; language?: string }): Promise<VoiceList>;
+  
+  // Personas
+  listPersonas(): Promise<PersonaList>;
+  
+  // Error messages
+  setLocale(locale: string): void;
+  
+  // Runtime session settings
+  updateSession(update: SessionUpdate): void;
 
   // Audio transmission methods
   sendAudioToServer(uri: string, options?: AudioMessageOptions): Promise<void>;
   sendAudioWithContext(uri: string, additionalPrompt?: string): Promise<void>;
 
+  // Hands-free mode (server-side voice activity detection)
+  startVad(options?: VadOptions): void;
+  sendPcmAudio(base64Pcm: string): void;
+  stopVad(): void;
+  
   // State management
   resetStates(): void;
   clearStoredAudio(): void;
   getStatus(): SDKStatus;
 
   // Internal methods (for type completion)
-  private handleMessage(data: any): Promise<void>;
+  private handleMessage(data: any | ArrayBuffer): Promise<void>;
+  private decodeAudioFrame(buffer: ArrayBuffer): any | null;
+  private buildAudioMessage(type: string, options: AudioMessageOptions): any;
+  private startIncrementalUpload(): void;
+  private stopUploadInterval(): void;
+  private uploadNewAudio(uri: string): Promise<void>;
+  private sendAudioBlock(offset: number, base64Block: string): void;
+  private commitIncrementalUpload(uri: string, options?: AudioMessageOptions): Promise<void>;
+  private startResponseTimeouts(): void;
+  private sendVadStart(): void;
   private startChunkPlayback(): Promise<void>;
   private playNextQueuedChunk(): Promise<void>;
   private finishChunkPlayback(): void;
-  private handleCancellation(): void;
+  private handleCancellation(turnId?: number | null): void;
 }
 
 export default AudioToAudioSDK; 
\ No newline at end of file
@@ -2,6 +2,28 @@ import { Audio } from 'expo-av';
 import * as FileSystem from 'expo-file-system';
 import Constants from 'expo-constants';
 
+// Binary frame layout shared with the server: 12 byte big-endian header followed by raw audio bytes
+// [version u8][type u8][reserved u16][turnId u32][chunkIndex u32]
+const FRAME_VERSION = 1;
+const FRAME_HEADER_SIZE = 12;
+const FrameType = {
+  INPUT_AUDIO: 0x01,
+  AUDIO_CHUNK: 0x02,
+  AUDIO_RESPONSE: 0x03,
+  INPUT_AUDIO_APPEND: 0x04,
+  INPUT_AUDIO_STREAM: 0x05,
+};
+
+const BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+// Version 2 of the WebSocket protocol: the SDK opens with session.hello and declares what it handles
+const PROTOCOL_VERSION = 2;
+const SDK_AUDIO_FORMATS = ['m4a', 'mp4', 'wav', 'webm'];
+const SDK_FEATURES = [
+  'streaming_audio', 'incremental_upload', 'server_vad', 'binary_framing', 'conversations',
+  'client_tools', 'tool_events', 'retry_events', 'turn_metrics'
+];
+
 /**
  * Audio-to-Audio Real-time Communication SDK
  * Handles WebSocket connections, audio streaming, text streaming, and voice processing
@@ -21,6 +43,15 @@ class AudioToAudioSDK {
       autoPlayAudio: config.autoPlayAudio !== false, // Default to true
       autoPlayAudioChunks: config.autoPlayAudioChunks !== false, // Auto-play streaming chunks
       debug: config.debug || false,
+      binaryFraming: config.binaryFraming || false, // Negotiate binary audio frames instead of base64 JSON
+      incrementalUpload: config.incrementalUpload || false, // Upload audio while the user is still speaking
+      uploadIntervalMs: config.uploadIntervalMs || 500,
+      sessionId: config.sessionId || null, // Server session to resume on connect
+      conversationId: config.conversationId || null, // Stored conversation to continue
+      transcription: config.transcription || null, // { provider, model, language } for speech-to-text
+      llm: config.llm || null, // { provider, model } for the chat model
+      speech: config.speech || null, // { provider, model, voice } for text-to-speech
+      locale: config.locale || null, // Language of the server's error messages; the transcription language otherwise
       audioOptions: {
         android: {
           extension: '.mp4',
@@ -61,10 +92,18 @@ class AudioToAudioSDK {
     // WebSocket connection
     this.ws = null;
     this.isConnected = false;
+    this.binaryFramingActive = false; // True once the server has confirmed binary framing
     
     // Session management for request isolation
     this.currentSessionId = null;
     this.sessionCounter = 0;
+    this.serverSessionId = this.config.sessionId; // Server conversation session, resumed on reconnect
+    this.conversationId = this.config.conversationId; // Stored conversation the server appends turns to
+    this.transcriptionSettings = this.config.transcription;
+    this.llmSettings = this.config.llm;
+    this.speechSettings = this.config.speech;
+    this.locale = this.config.locale;
+    this.serverHasHistory = false; // Once it does, the transcript no longer needs to be sent
     
     // Audio management
     this.soundRef = new Audio.Sound();
@@ -94,6 +133,9 @@ class AudioToAudioSDK {
     this.conversationHistory = [];
     this.pendingAdditionalPrompt = null;
     
+    // On-device tools, sent to the server after every connect
+    this.clientTools = new Map();
+    
     // Event handlers
     this.eventHandlers = {};
     
@@ -101,6 +143,17 @@ class AudioToAudioSDK {
     this.responseTimeout = null;
     this.transcriptionTimeout = null;
     this.reconnectTimeout = null;
+    this.uploadInterval = null;
+    
+    // Incremental upload state
+    this.uploadedBytes = 0;
+    this.uploadedBlocks = []; // { offset, length, checksum } of blocks already sent
+    this.pendingUpload = null;
+    
+    // Hands-free (server VAD) state
+    this.vadActive = false;
+    this.vadOptions = {};
+    this.streamedChunkCount = 0;
     
     // File paths
     this.audioFilePath = `${FileSystem.documentDirectory}tts.mp3`;
@@ -193,16 +246,22 @@ class AudioToAudioSDK {
         console.warn('[SDK] JWT token not configured, using default connection');
       }
 
-      const wsUrl = `${this.config.wsBaseUrl}/ws?token=${this.config.jwtToken}`;
+      let wsUrl = `${this.config.wsBaseUrl}/ws?token=${this.config.jwtToken}&protocol=${PROTOCOL_VERSION}`;
+      if (this.serverSessionId) {
+        wsUrl += `&sessionId=${encodeURIComponent(this.serverSessionId)}`;
+      }
       
       return new Promise((resolve, reject) => {
         this.ws = new WebSocket(wsUrl);
+        this.ws.binaryType = 'arraybuffer';
         
         this.ws.onopen = () => {
           console.log('[SDK] WebSocket connected to Audio-to-Audio server');
           this.isConnected = true;
           this.emit('connected', { connected: true });
           
+          this.sendHello();
+          
           // Clear any existing reconnect timeout
           if (this.reconnectTimeout) {
             clearTimeout(this.reconnectTimeout);
@@ -214,6 +273,10 @@ class AudioToAudioSDK {
 
         this.ws.onmessage = (event) => {
           try {
+            if (typeof event.data !== 'string') {
+              this.handleMessage(event.data);
+              return;
+            }
             const data = JSON.parse(event.data);
             this.handleMessage(data);
           } catch (error) {
@@ -231,6 +294,8 @@ class AudioToAudioSDK {
         this.ws.onclose = (event) => {
           console.log('[SDK] WebSocket closed:', event.code, event.reason);
           this.isConnected = false;
+          this.binaryFramingActive = false;
+          this.vadActive = false;
           this.emit('disconnected', { code: event.code, reason: event.reason });
           
           if (event.code === 1006) {
@@ -251,18 +316,37 @@ class AudioToAudioSDK {
     }
   }
 
+  /**
+   * Open the protocol handshake; the server accepts nothing else until it has the hello
+   */
+  sendHello() {
+    // Binary framing is negotiated per connection; audio stays base64 JSON until the server confirms
+    this.ws.send(JSON.stringify({
+      type: 'session.hello',
+      protocolVersion: PROTOCOL_VERSION,
+      audioFormats: SDK_AUDIO_FORMATS,
+      features: SDK_FEATURES,
+      ...(this.config.binaryFraming && { framing: 'binary' }),
+      client: { name: '@germanwithnik/realtime-sdk', version: '2.0.0' }
+    }));
+  }
+  
   /**
    * Handle incoming WebSocket messages
    */
-  async handleMessage(data) {
+  async handleMessage(message) {
     try {
+      // Binary frames carry audio only; convert them into the equivalent JSON message
+      const data = message instanceof ArrayBuffer ? this.decodeAudioFrame(message) : message;
+      if (!data) return;
+      
       if (this.config.debug) {
         console.log('[SDK DEBUG] Message received:', data);
       }
 
       // Client-side session filtering - ignore audio messages if no active session
       // But allow text responses to continue even after audio cancellation
-      const audioOnlyMessageTypes = ['audio_response', 'audio_chunk', 'audio_stream_end'];
+      const audioOnlyMessageTypes = ['response.audio.complete', 'response.audio.delta', 'response.audio.done'];
       const isAudioMessage = audioOnlyMessageTypes.includes(data.type);
       
       if (!this.currentSessionId && isAudioMessage) {
@@ -288,13 +372,49 @@ class AudioToAudioSDK {
       }
 
       switch (data.type) {
-        case 'welcome':
-          console.log('[SDK] Welcome message received');
-          this.emit('welcome', { message: data.message });
+        case 'session.capabilities':
+          console.log('[SDK] 🤝 Handshake completed, protocol version', data.protocolVersion, 'features:', data.features);
+          this.binaryFramingActive = data.framing === 'binary';
+          this.emit('capabilities', {
+            protocolVersion: data.protocolVersion || PROTOCOL_VERSION,
+            audioFormats: data.audioFormats || [],
+            framings: data.framings || ['json'],
+            framing: data.framing || 'json',
+            features: data.features || [],
+            session: data.session
+          });
+          this.emit('welcome', { message: 'Connected' });
+          if (this.config.binaryFraming) {
+            this.emit('framing', { framing: data.framing || 'json' });
+          }
+          if (data.sessionId) {
+            this.handleSessionWelcome(data);
+          }
+          break;
+        
+        case 'conversation.cleared':
+          console.log('[SDK] 🧹 Server conversation history cleared');
+          this.conversationId = data.conversationId || null;
+          this.serverHasHistory = false;
+          if (this.config.autoManageHistory) {
+            this.conversationHistory = [];
+          }
+          this.emit('historyCleared', { conversationId: data.conversationId });
+          break;
+        
+        case 'conversation.switched':
+          this.handleConversationSwitch(data);
+          break;
+        
+        case 'session.framing':
+          console.log('[SDK] Audio framing confirmed:', data.framing);
+          this.binaryFramingActive = data.framing === 'binary';
+          this.emit('framing', { framing: data.framing || 'json' });
           break;
 
-        case 'caption':
-          console.log('[SDK] Transcription received, raw output:', data.output);
+        case 'transcript':
+          console.log('[SDK] Transcription received:', data.text);
+          this.serverHasHistory = true;
           
           // Clear transcription timeout since we received transcription
           if (this.transcriptionTimeout) {
@@ -302,45 +422,42 @@ class AudioToAudioSDK {
             this.transcriptionTimeout = null;
           }
           
-          let transcription;
-          try {
-            // Try to parse as JSON first, fallback to direct string
-            transcription = typeof data.output === 'string' ? 
-              (data.output.startsWith('{') || data.output.startsWith('[') ? JSON.parse(data.output) : data.output) : 
-              data.output;
-          } catch (parseError) {
-            console.log('[SDK] JSON parse failed, using raw output:', parseError.message);
-            transcription = data.output;
-          }
-          console.log('[SDK] Processed transcription:', transcription);
+          const transcription = data.text || '';
           
           // Automatically add user message to history if auto-history is enabled
           if (this.config.autoManageHistory !== false && transcription) {
             this.addToHistory('user', transcription);
             console.log('[SDK] Added user message to auto-history:', transcription);
           }
-          this.emit('transcription', { text: transcription });
+          if (data.language) {
+            console.log('[SDK] 🌐 Detected language:', data.language, data.duration ? `(${data.duration}s of audio)` : '');
+          }
+          this.emit('transcription', { text: transcription, language: data.language, duration: data.duration, segments: data.segments });
           break;
 
-        case 'groq_response_chunk':
+        case 'response.text.delta':
           console.log('[SDK] AI response chunk received');
           this.isTyping = true;
           this.isProcessing = false;
-          this.accumulatedResponse += data.output;  // Note: 'output' not 'text'
+          this.accumulatedResponse += data.text || '';
           this.emit('textChunk', { 
-            chunk: data.output, 
+            chunk: data.text || '', 
             accumulated: this.accumulatedResponse,
             isTyping: true 
           });
           break;
 
-        case 'groq_response_end':
+        case 'response.text.done':
           console.log('[SDK] AI response complete');
           this.isTyping = false;
           this.isProcessing = false;
           // Automatically add assistant response to history if auto-history is enabled
           if (this.config.autoManageHistory !== false && this.accumulatedResponse) {
             this.addToHistory('assistant', this.accumulatedResponse);
+            // The server commits hands-free turns on its own, so it needs the updated history up front
+            if (this.vadActive) {
+              this.sendVadStart();
+            }
           }
           this.emit('textComplete', { 
             text: this.accumulatedResponse,
@@ -350,13 +467,16 @@ class AudioToAudioSDK {
           this.accumulatedResponse = '';
           break;
 
-        case 'processing_end':
+        case 'turn.done':
           console.log('[SDK] Processing completed');
+          if (data.providers) {
+            console.log('[SDK] 🔀 Turn providers:', JSON.stringify(data.providers));
+          }
           this.isProcessing = false;
-          this.emit('processingEnd', { processing: false });
+          this.emit('processingEnd', { processing: false, turnId: data.turnId, providers: data.providers || {} });
           break;
 
-        case 'audio_response':
+        case 'response.audio.complete':
           console.log('[SDK] Audio response received');
           if (data.audio) {
             try {
@@ -391,7 +511,7 @@ class AudioToAudioSDK {
           }
           break;
 
-        case 'audio_chunk':
+        case 'response.audio.delta':
           console.log('[SDK] Audio chunk received for real-time playback');
           if (data.audio) {
             // ALWAYS store audio for replay (even if playback is cancelled)
@@ -418,7 +538,8 @@ class AudioToAudioSDK {
             this.emit('audioChunk', { 
               chunkIndex: data.chunkIndex,
               audio: data.audio,
-              text: data.text
+              text: data.text,
+              turnId: data.turnId
             });
             
             // Start playing chunks if not already playing, user hasn't cancelled, and auto-play is enabled
@@ -431,7 +552,7 @@ class AudioToAudioSDK {
           }
           break;
 
-        case 'audio_stream_end':
+        case 'response.audio.done':
           console.log('[SDK] Audio streaming completed');
           
           // Save concatenated audio for replay
@@ -455,36 +576,149 @@ class AudioToAudioSDK {
 
         case 'error':
           console.error('[SDK] 🚨 Server error received:', {
+            code: data.code,
+            stage: data.stage,
             message: data.message,
-            errorType: data.errorType,
             fullErrorData: data
           });
           
-          // Check for rate limit errors
-          let errorMessage = data.message;
-          if (data.message && (
-            data.message.toLowerCase().includes('rate limit') || 
-            data.message.toLowerCase().includes('429') ||
-            data.message.toLowerCase().includes('heavy load') ||
-            data.message.toLowerCase().includes('try again')
-          )) {
-            errorMessage = "The server is experiencing heavy load right now. Please try again in a few minutes. Thank you for your patience! 🙏";
-          }
-          
           this.isProcessing = false;
+          // The server sends a stable code and an already localized message, so nothing is inferred from the text
           this.emit('serverError', { 
-            message: errorMessage, 
-            originalMessage: data.message,
+            code: data.code || 'internal_error',
+            stage: data.stage || 'session',
+            retryable: data.retryable === true,
+            retryAfterMs: data.retryAfterMs,
+            turnId: data.turnId ?? null,
+            message: data.message || 'Unknown server error',
+            detail: data.detail,
+            field: data.field,
+            messageType: data.messageType,
+            feature: data.feature,
+            chunkIndex: data.chunkIndex,
+            quota: data.quota,
+            limit: data.limit,
+            resetAt: data.resetAt,
             errorType: data.errorType || 'general_error',
+            originalMessage: data.message || '',
             fullErrorData: data
           });
           break;
 
-        case 'cancelled':
+        case 'turn.cancelled':
           console.log('[SDK] Processing cancelled');
-          this.handleCancellation();
+          this.handleCancellation(data.turnId);
           break;
-
+        
+        case 'turn.interrupted':
+          console.log('[SDK] ✋ Response interrupted at text offset', data.textOffset);
+          // Only the part of the reply that reached the user belongs in the history
+          if (this.config.autoManageHistory !== false && data.text) {
+            this.addToHistory('assistant', data.text);
+          }
+          this.accumulatedResponse = '';
+          this.isTyping = false;
+          await this.cancelAudio();
+          // The interruption must not block playback of the turn that replaces it
+          this.userCancelledPlayback = false;
+          this.emit('turnInterrupted', {
+            turnId: data.turnId || 0,
+            textOffset: data.textOffset || 0,
+            text: data.text || ''
+          });
+          break;
+        
+        case 'tool_call.started':
+          console.log('[SDK] 🔧 Tool call started:', data.name, data.arguments);
+          this.emit('toolCallStarted', {
+            turnId: data.turnId || 0,
+            toolCallId: data.toolCallId || '',
+            name: data.name || '',
+            arguments: data.arguments
+          });
+          break;
+        
+        case 'tool_call.result':
+          console.log('[SDK] 🔧 Tool call finished:', data.name, data.error ? `(error: ${data.error})` : `in ${data.durationMs}ms`);
+          this.emit('toolCallResult', {
+            turnId: data.turnId || 0,
+            toolCallId: data.toolCallId || '',
+            name: data.name || '',
+            result: data.result,
+            error: data.error,
+            durationMs: data.durationMs || 0
+          });
+          break;
+        
+        case 'tools.registered':
+          console.log('[SDK] 🔧 Client tools registered:', data.tools);
+          if (data.rejected?.length) {
+            console.warn('[SDK] ⚠️ Client tools rejected by the server:', data.rejected);
+          }
+          this.emit('toolsRegistered', { tools: data.tools || [], rejected: data.rejected || [] });
+          break;
+        
+        case 'session.updated':
+          console.log('[SDK] ⚙️ Session settings updated:', data.session);
+          if (data.rejected?.length) {
+            console.warn('[SDK] ⚠️ Session settings rejected by the server:', data.rejected);
+          }
+          if (data.session) {
+            this.emit('sessionUpdated', { session: data.session, rejected: data.rejected || [] });
+          }
+          break;
+        
+        case 'client_tool.call':
+          await this.handleClientToolCall(data);
+          break;
+        
+        case 'turn.retrying':
+          console.log(`[SDK] 🔁 Server retrying ${data.stage} with ${data.provider} in ${data.delayMs}ms (attempt ${data.attempt})`);
+          // The recording is still being worked on, so waiting for its transcription starts over after the delay
+          if (data.stage === 'stt' && this.transcriptionTimeout) {
+            this.startTranscriptionTimeout(data.delayMs || 0);
+          }
+          this.emit('retrying', {
+            turnId: data.turnId,
+            stage: data.stage,
+            provider: data.provider,
+            attempt: data.attempt,
+            delayMs: data.delayMs
+          });
+          break;
+        
+        case 'turn.metrics':
+          console.log(`[SDK] ⏱️ Turn ${data.turnId} timings:`, data.timings);
+          this.emit('turnMetrics', {
+            turnId: data.turnId,
+            timings: data.timings || {},
+            stages: data.stages || {}
+          });
+          break;
+        
+        case 'vad.started':
+          console.log('[SDK] 🎙️ Hands-free mode started:', data.vad);
+          this.emit('vadStarted', { vad: data.vad });
+          break;
+        
+        case 'vad.stopped':
+          this.emit('vadStopped', {});
+          break;
+        
+        case 'vad.speech_started':
+          console.log('[SDK] 🗣️ Speech started');
+          this.emit('speechStarted', { audioStartMs: data.audioStartMs || 0 });
+          break;
+        
+        case 'vad.speech_stopped':
+          console.log('[SDK] 🤫 Speech stopped, server is committing the turn');
+          // Each detected turn gets its own client session so stale audio is filtered out
+          this.resetStates();
+          this.invalidateCurrentSession();
+          this.generateSessionId();
+          this.emit('speechStopped', { audioEndMs: data.audioEndMs || 0 });
+          break;
+        
         default:
           console.warn('[SDK] Unknown message type:', data.type);
           this.emit('unknownMessage', { type: data.type, data });
@@ -496,6 +730,36 @@ class AudioToAudioSDK {
     }
   }
 
+  /**
+   * Convert a binary audio frame into the equivalent JSON message
+   */
+  decodeAudioFrame(buffer) {
+    if (buffer.byteLength < FRAME_HEADER_SIZE) {
+      console.warn('[SDK] Ignoring binary frame that is too short:', buffer.byteLength);
+      return null;
+    }
+    
+    const view = new DataView(buffer);
+    if (view.getUint8(0) !== FRAME_VERSION) {
+      console.warn('[SDK] Ignoring binary frame with unsupported version:', view.getUint8(0));
+      return null;
+    }
+    
+    const type = view.getUint8(1);
+    const turnId = view.getUint32(4);
+    const audio = bytesToBase64(new Uint8Array(buffer, FRAME_HEADER_SIZE));
+    
+    if (type === FrameType.AUDIO_CHUNK) {
+      return { type: 'response.audio.delta', turnId, chunkIndex: view.getUint32(8), audio };
+    }
+    if (type === FrameType.AUDIO_RESPONSE) {
+      return { type: 'response.audio.complete', turnId, audio };
+    }
+    
+    console.warn('[SDK] Ignoring binary frame with unknown type:', type);
+    return null;
+  }
+  
   /**
    * Start audio recording
    */
@@ -533,7 +797,11 @@ class AudioToAudioSDK {
       await recording.startAsync();
       this.recordingRef = recording;
       this.isRecording = true;
-
+      
+      if (this.config.incrementalUpload) {
+        this.startIncrementalUpload();
+      }
+      
       this.emit('recordingStart', { recording: true });
       console.log('[SDK] ✅ Recording started successfully');
       return true;
@@ -566,15 +834,19 @@ class AudioToAudioSDK {
 
       console.log('[SDK] Stopping recording...');
       this.isRecording = false;
-
+      const uploadingIncrementally = this.uploadInterval !== null;
+      this.stopUploadInterval();
+      
       await Audio.setAudioModeAsync({ allowsRecordingIOS: false });
       await this.recordingRef.stopAndUnloadAsync();
       const uri = this.recordingRef.getURI();
       
       console.log('[SDK] Recording stopped, URI:', uri);
       this.emit('recordingStop', { recording: false, uri });
-
-      if (uri && this.isConnected) {
+      
+      if (uri && this.isConnected && uploadingIncrementally) {
+        await this.commitIncrementalUpload(uri, options);
+      } else if (uri && this.isConnected) {
         await this.sendAudioToServer(uri, options);
       } else {
         throw new Error('Cannot send audio - missing file or connection');
@@ -622,50 +894,20 @@ class AudioToAudioSDK {
         }
 
         // Prepare base message
-        const message = {
-          type: 'audio',
-          audio: base64Audio,
-          useStreaming: this.config.useStreaming
-          // Note: Server doesn't support session IDs yet, so we handle session management client-side
-        };
-
-        // Add optional parameters if provided with validation
-        if (options.userId && typeof options.userId === 'string') {
-          message.userId = options.userId;
-        }
+        const message = this.buildAudioMessage('input_audio.submit', options);
         
-        if (options.username && typeof options.username === 'string') {
-          message.username = options.username;
-        }
-        
-        if (options.history && Array.isArray(options.history)) {
-          // Clean and validate history before sending
-          const cleanHistory = options.history.filter(msg => 
-            msg && 
-            typeof msg === 'object' &&
-            msg.role && 
-            msg.content &&
-            (msg.role === 'user' || msg.role === 'assistant') &&
-            typeof msg.content === 'string'
-          );
-          
-          console.log('[SDK] 🧹 History validation:', {
-            originalLength: options.history.length,
-            cleanedLength: cleanHistory.length,
-            filtered: options.history.length - cleanHistory.length
-          });
-          
-          if (cleanHistory.length > 0) {
-            message.history = cleanHistory;
-          }
+        // In binary mode the audio follows the JSON context as a raw INPUT_AUDIO frame
+        if (this.binaryFramingActive) {
+          message.binary = true;
+        } else {
+          message.audio = base64Audio;
         }
         
-        if (options.additionalPrompt && typeof options.additionalPrompt === 'string') {
-          message.additionalPrompt = options.additionalPrompt;
-        }
-
         // Send via WebSocket
         this.ws.send(JSON.stringify(message));
+        if (this.binaryFramingActive) {
+          this.ws.send(encodeFrame(FrameType.INPUT_AUDIO, 0, 0, base64ToBytes(base64Audio)));
+        }
         console.log('[SDK] 📤 Audio message sent to server with context:', {
           clientSessionId: this.currentSessionId, // Client-side session tracking
           userId: message.userId || 'none',
@@ -674,6 +916,7 @@ class AudioToAudioSDK {
           historyLength: message.history?.length || 0,
           hasAdditionalPrompt: !!message.additionalPrompt,
           useStreaming: message.useStreaming,
+          binary: !!message.binary,
           audioLength: base64Audio.length,
           historyPreview: message.history?.slice(-2).map(m => ({ role: m.role, contentLength: m.content?.length })) || []
         });
@@ -689,46 +932,7 @@ class AudioToAudioSDK {
           hasContext: !!(message.history || message.additionalPrompt)
         });
         
-        // Set transcription timeout (shorter, more specific to transcription)
-        this.transcriptionTimeout = setTimeout(() => {
-          console.warn('[SDK] No transcription received within 10 seconds');
-          
-          // Clear the timeout
-          if (this.transcriptionTimeout) {
-            clearTimeout(this.transcriptionTimeout);
-            this.transcriptionTimeout = null;
-          }
-          
-          this.emit('timeout', { 
-            type: 'transcription_timeout', 
-            duration: 10000,
-            message: 'No transcription received within 10 seconds'
-          });
-        }, 10000);
-        
-        // Set response timeout
-        this.responseTimeout = setTimeout(() => {
-          console.warn('[SDK] No response received within 15 seconds');
-          
-          // Cancel any ongoing operations and reset states
-          this.isProcessing = false;
-          this.isPlaying = false;
-          
-          // Try to cancel any audio playback
-          this.cancelAudio().catch(err => console.log('[SDK] Error cancelling audio after timeout:', err));
-          
-          // Clear the timeout
-          if (this.responseTimeout) {
-            clearTimeout(this.responseTimeout);
-            this.responseTimeout = null;
-          }
-          
-          this.emit('timeout', { 
-            type: 'response_timeout', 
-            duration: 15000,
-            message: 'No response received from server within 15 seconds'
-          });
-        }, 15000);
+        this.startResponseTimeouts();
       } else {
         throw new Error('WebSocket not connected');
       }
@@ -738,6 +942,254 @@ class AudioToAudioSDK {
       throw error;
     }
   }
+  
+  /**
+   * Build an audio message carrying the turn context
+   */
+  buildAudioMessage(type, options = {}) {
+    const message = {
+      type,
+      useStreaming: this.config.useStreaming
+    };
+    
+    // Add optional parameters if provided with validation
+    if (options.userId && typeof options.userId === 'string') {
+      message.userId = options.userId;
+    }
+    
+    if (options.username && typeof options.username === 'string') {
+      message.username = options.username;
+    }
+    
+    const conversationId = options.conversationId || this.conversationId;
+    if (conversationId) {
+      message.conversationId = conversationId;
+    }
+    
+    if (this.transcriptionSettings) {
+      message.transcription = this.transcriptionSettings;
+    }
+    
+    if (this.llmSettings) {
+      message.llm = this.llmSettings;
+    }
+    
+    if (this.speechSettings) {
+      message.speech = this.speechSettings;
+    }
+    
+    if (this.locale) {
+      message.locale = this.locale;
+    }
+    
+    // The server keeps the transcript itself, so history only seeds a session that has none yet
+    if (options.history && Array.isArray(options.history) && !this.serverHasHistory) {
+      // Clean and validate history before sending
+      const cleanHistory = options.history.filter(msg => 
+        msg && 
+        typeof msg === 'object' &&
+        msg.role && 
+        msg.content &&
+        (msg.role === 'user' || msg.role === 'assistant') &&
+        typeof msg.content === 'string'
+      );
+      
+      console.log('[SDK] 🧹 History validation:', {
+        originalLength: options.history.length,
+        cleanedLength: cleanHistory.length,
+        filtered: options.history.length - cleanHistory.length
+      });
+      
+      if (cleanHistory.length > 0) {
+        message.history = cleanHistory;
+      }
+    }
+    
+    if (options.additionalPrompt && typeof options.additionalPrompt === 'string') {
+      message.additionalPrompt = options.additionalPrompt;
+    }
+    
+    return message;
+  }
+  
+  /**
+   * Start uploading the recording while the user is still speaking
+   */
+  startIncrementalUpload() {
+    const uri = this.recordingRef?.getURI();
+    if (!uri || !this.ws || this.ws.readyState !== WebSocket.OPEN) {
+      console.warn('[SDK] ⚠️ Incremental upload unavailable, audio will be sent on stop');
+      return;
+    }
+    
+    this.uploadedBytes = 0;
+    this.uploadedBlocks = [];
+    this.pendingUpload = null;
+    
+    this.ws.send(JSON.stringify({ type: 'input_audio.start', format: getAudioFormat(uri) }));
+    console.log('[SDK] 📤 Incremental upload started');
+    
+    this.uploadInterval = setInterval(() => {
+      // Skip a tick rather than queue reads while the previous block is still uploading
+      if (!this.pendingUpload) {
+        this.pendingUpload = this.uploadNewAudio(uri)
+          .catch(error => console.log('[SDK] Incremental upload warning:', error.message))
+          .finally(() => { this.pendingUpload = null; });
+      }
+    }, this.config.uploadIntervalMs);
+  }
+  
+  stopUploadInterval() {
+    if (this.uploadInterval) {
+      clearInterval(this.uploadInterval);
+      this.uploadInterval = null;
+    }
+  }
+  
+  /**
+   * Upload bytes written to the recording since the last upload
+   */
+  async uploadNewAudio(uri) {
+    const fileInfo = await FileSystem.getInfoAsync(uri);
+    if (!fileInfo.exists || fileInfo.size <= this.uploadedBytes) {
+      return;
+    }
+    
+    const offset = this.uploadedBytes;
+    const length = fileInfo.size - offset;
+    const base64Block = await FileSystem.readAsStringAsync(uri, {
+      encoding: FileSystem.EncodingType.Base64,
+      position: offset,
+      length
+    });
+    
+    this.sendAudioBlock(offset, base64Block);
+    this.uploadedBlocks.push({ offset, length, checksum: checksumOf(base64Block) });
+    this.uploadedBytes = offset + length;
+  }
+  
+  sendAudioBlock(offset, base64Block) {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+      throw new Error('WebSocket not connected');
+    }
+    
+    if (this.binaryFramingActive) {
+      this.ws.send(encodeFrame(FrameType.INPUT_AUDIO_APPEND, 0, offset, base64ToBytes(base64Block)));
+    } else {
+      this.ws.send(JSON.stringify({ type: 'input_audio.append', audio: base64Block, offset }));
+    }
+  }
+  
+  /**
+   * Finish an incremental upload: resend blocks the recorder rewrote, upload the tail and commit the turn
+   */
+  async commitIncrementalUpload(uri, options = {}) {
+    try {
+      if (this.pendingUpload) {
+        await this.pendingUpload;
+      }
+      
+      if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+        throw new Error('WebSocket not connected');
+      }
+      
+      // Container formats such as MP4 patch their headers once recording stops
+      for (const block of this.uploadedBlocks) {
+        const base64Block = await FileSystem.readAsStringAsync(uri, {
+          encoding: FileSystem.EncodingType.Base64,
+          position: block.offset,
+          length: block.length
+        });
+        if (checksumOf(base64Block) !== block.checksum) {
+          console.log('[SDK] 🔁 Resending rewritten audio block at offset', block.offset);
+          this.sendAudioBlock(block.offset, base64Block);
+        }
+      }
+      
+      await this.uploadNewAudio(uri);
+      
+      if (this.uploadedBytes === 0) {
+        throw new Error('Audio file is too small or empty');
+      }
+      
+      if (!this.currentSessionId) {
+        console.warn('[SDK] ⚠️ No client session ID available, generating one now');
+        this.generateSessionId();
+      }
+      
+      const message = this.buildAudioMessage('input_audio.commit', options);
+      message.totalBytes = this.uploadedBytes;
+      this.ws.send(JSON.stringify(message));
+      console.log('[SDK] 📤 Audio committed, total bytes:', this.uploadedBytes);
+      
+      this.emit('audioSent', { 
+        sent: true, 
+        audioLength: this.uploadedBytes,
+        hasContext: !!(message.history || message.additionalPrompt)
+      });
+      
+      this.startResponseTimeouts();
+    } catch (error) {
+      console.error('[SDK] Error committing audio:', error);
+      this.emit('error', { type: 'audio_send', message: error.message });
+      throw error;
+    } finally {
+      this.uploadedBlocks = [];
+      this.uploadedBytes = 0;
+    }
+  }
+  
+  /**
+   * Start transcription and response timeouts for a sent turn
+   */
+  startResponseTimeouts() {
+    // Set transcription timeout (shorter, more specific to transcription)
+    this.startTranscriptionTimeout();
+    
+    // Set response timeout
+    this.responseTimeout = setTimeout(() => {
+      console.warn('[SDK] No response received within 15 seconds');
+      
+      // Cancel any ongoing operations and reset states
+      this.isProcessing = false;
+      this.isPlaying = false;
+      
+      // Try to cancel any audio playback
+      this.cancelAudio().catch(err => console.log('[SDK] Error cancelling audio after timeout:', err));
+      
+      // Clear the timeout
+      if (this.responseTimeout) {
+        clearTimeout(this.responseTimeout);
+        this.responseTimeout = null;
+      }
+      
+      this.emit('timeout', { 
+        type: 'response_timeout', 
+        duration: 15000,
+        message: 'No response received from server within 15 seconds'
+      });
+    }, 15000);
+  }
+  
+  /**
+   * Transcription timeout, pushed back by extraMs while the server waits to retry
+   */
+  startTranscriptionTimeout(extraMs = 0) {
+    if (this.transcriptionTimeout) {
+      clearTimeout(this.transcriptionTimeout);
+    }
+    
+    this.transcriptionTimeout = setTimeout(() => {
+      console.warn('[SDK] No transcription received within 10 seconds');
+      this.transcriptionTimeout = null;
+      
+      this.emit('timeout', { 
+        type: 'transcription_timeout', 
+        duration: 10000,
+        message: 'No transcription received within 10 seconds'
+      });
+    }, 10000 + extraMs);
+  }
 
   /**
    * Play saved audio (for replay functionality)
@@ -1114,14 +1566,26 @@ class AudioToAudioSDK {
     }
   }
 
+  /**
+   * Cancel the whole response: the server stops transcription, text generation and speech synthesis
+   */
+  async cancelResponse() {
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      console.log('[SDK] 🛑 Asking server to cancel the current turn');
+      this.ws.send(JSON.stringify({ type: 'turn.cancel' }));
+    }
+    this.isTyping = false;
+    return this.cancelAudio();
+  }
+  
   /**
    * Handle cancellation from server
    */
-  handleCancellation() {
-    console.log('[SDK] Handling cancellation from server');
+  handleCancellation(turnId = null) {
+    console.log('[SDK] Handling cancellation from server, turn:', turnId);
     this.isProcessing = false;
     this.cancelAudio();
-    this.emit('cancelled', { cancelled: true });
+    this.emit('cancelled', { cancelled: true, turnId });
   }
 
   /**
@@ -1186,6 +1650,8 @@ class AudioToAudioSDK {
         clearTimeout(this.reconnectTimeout);
         this.reconnectTimeout = null;
       }
+      this.stopUploadInterval();
+      this.vadActive = false;
       
       // Stop recording
       if (this.recordingRef) {
@@ -1275,8 +1741,237 @@ class AudioToAudioSDK {
    */
   clearHistory() {
     this.conversationHistory = [];
+    // The server keeps its own copy of the session history
+    if (this.ws && this.isConnected) {
+      this.ws.send(JSON.stringify({ type: 'conversation.clear' }));
+    }
     console.log('[SDK] Conversation history cleared');
   }
+  
+  /**
+   * Server conversation session, available after the handshake
+   */
+  getServerSessionId() {
+    return this.serverSessionId;
+  }
+  
+  /**
+   * Remember the server session so a reconnect resumes it, and adopt its history when it was resumed
+   */
+  handleSessionWelcome(data) {
+    this.serverSessionId = data.sessionId;
+    // A conversation chosen by the app wins; it is sent with the next turn and the server switches to it
+    this.conversationId = this.conversationId || data.conversationId || null;
+    const history = (data.history || []).map(({ role, content, timestamp }) => ({ role, content, timestamp }));
+    this.serverHasHistory = history.length > 0;
+    console.log('[SDK] 🔗 Server session:', this.serverSessionId, data.resumed ? `(resumed, ${history.length} messages)` : '(new)');
+    
+    if (data.resumed && this.config.autoManageHistory) {
+      this.conversationHistory = history;
+    }
+    this.emit('session', { sessionId: this.serverSessionId, conversationId: this.conversationId, resumed: !!data.resumed, history });
+    
+    if (this.clientTools.size > 0) {
+      this.sendClientTools();
+    }
+  }
+  
+  /**
+   * The server loaded a stored conversation into the session
+   */
+  handleConversationSwitch(data) {
+    this.conversationId = data.conversationId;
+    const history = (data.history || []).map(({ role, content, timestamp }) => ({ role, content, timestamp }));
+    this.serverHasHistory = history.length > 0;
+    console.log('[SDK] 📚 Conversation loaded:', this.conversationId, `(${history.length} messages)`);
+    
+    if (this.config.autoManageHistory) {
+      this.conversationHistory = history;
+    }
+    this.emit('conversation', { conversationId: this.conversationId, history });
+  }
+  
+  /**
+   * Continue a stored conversation (or start one with this ID) from the next turn on
+   */
+  setConversationId(conversationId) {
+    this.conversationId = conversationId;
+  }
+  
+  getConversationId() {
+    return this.conversationId;
+  }
+  
+  /**
+   * Choose the speech-to-text provider, model or language; applies from the next turn on for the rest of the session
+   * @param {Object} settings - { provider: 'openai' | 'groq' | 'workers-ai' | 'deepgram', model, language }
+   */
+  setTranscription(settings) {
+    this.transcriptionSettings = settings;
+    console.log('[SDK] 🎤 Transcription settings:', settings);
+  }
+  
+  /**
+   * Choose the chat model provider or model; applies from the next turn on for the rest of the session
+   * @param {Object} settings - { provider: 'groq' | 'openai' | 'openai-compatible' | 'anthropic' | 'workers-ai', model }
+   */
+  setLlm(settings) {
+    this.llmSettings = settings;
+    console.log('[SDK] 🧠 LLM settings:', settings);
+  }
+  
+  /**
+   * Choose the voice or text-to-speech provider; applies from the next turn on for the rest of the session
+   * @param {Object} settings - { provider: 'openai' | 'elevenlabs' | 'workers-ai', model, voice }
+   */
+  setSpeech(settings) {
+    this.speechSettings = settings;
+    console.log('[SDK] 🔊 Speech settings:', settings);
+  }
+  
+  /**
+   * Language of the server's error messages; by default they follow the transcription language
+   * @param {string} locale - e.g. 'es' or 'pt-BR'; en, es, fr and de are translated
+   */
+  setLocale(locale) {
+    this.locale = locale;
+    console.log('[SDK] 🌐 Locale:', locale);
+  }
+  
+  /**
+   * Change the session's settings right away instead of with the next recording. The server answers with sessionUpdated,
+   * listing any field it refused; what may be changed depends on the server and the user's token.
+   * @param {Object} update - { persona, variables, transcription, llm, speech, segmentation, prompt, useStreaming, locale }, all optional
+   */
+  updateSession(update) {
+    if (!this.ws || !this.isConnected) {
+      throw new Error('Not connected to server');
+    }
+    this.ws.send(JSON.stringify({ type: 'session.update', session: update }));
+  }
+  
+  /**
+   * Let the assistant call an on-device action, e.g. opening a screen; replaces a tool with the same name
+   * @param {string} name - Tool name (letters, digits, _ or -)
+   * @param {Object} schema - { description, parameters } where parameters is a JSON schema of type object
+   * @param {Function} handler - (args, { toolCallId, turnId, name }) => result or Promise of result
+   */
+  registerTool(name, schema, handler) {
+    this.clientTools.set(name, { schema, handler });
+    this.sendClientTools();
+  }
+  
+  unregisterTool(name) {
+    if (this.clientTools.delete(name)) {
+      this.sendClientTools();
+    }
+  }
+  
+  /**
+   * The server keeps one tool set per session, so the full set is sent every time
+   */
+  sendClientTools() {
+    if (!this.ws || !this.isConnected) return;
+    
+    const tools = [...this.clientTools].map(([name, { schema }]) => ({
+      name,
+      description: schema.description,
+      parameters: schema.parameters
+    }));
+    console.log('[SDK] 🔧 Registering client tools:', tools.map(tool => tool.name));
+    this.ws.send(JSON.stringify({ type: 'tools.register', tools }));
+  }
+  
+  /**
+   * Run a tool the assistant called and send the outcome back; the server waits for it before answering
+   */
+  async handleClientToolCall(data) {
+    const call = { toolCallId: data.toolCallId || '', turnId: data.turnId || 0, name: data.name || '' };
+    console.log('[SDK] 📲 Client tool call:', call.name, data.arguments);
+    this.emit('clientToolCall', { ...call, arguments: data.arguments });
+    
+    let outcome;
+    try {
+      const tool = this.clientTools.get(call.name);
+      if (!tool) {
+        throw new Error(`Tool ${call.name} is not registered`);
+      }
+      outcome = { result: (await tool.handler(data.arguments || {}, call)) ?? null };
+    } catch (error) {
+      console.error('[SDK] ❌ Client tool failed:', call.name, error);
+      outcome = { error: error?.message || String(error) };
+    }
+    
+    if (this.ws && this.isConnected) {
+      this.ws.send(JSON.stringify({ type: 'client_tool.result', toolCallId: call.toolCallId, ...outcome }));
+    }
+  }
+  
+  /**
+   * Stored conversations of the token's user, most recently active first
+   */
+  async listConversations(options = {}) {
+    const params = [];
+    if (options.limit) params.push(`limit=${options.limit}`);
+    if (options.before) params.push(`before=${encodeURIComponent(options.before)}`);
+    
+    const response = await this.apiRequest(`/api/conversations${params.length ? `?${params.join('&')}` : ''}`);
+    return response.json();
+  }
+  
+  /**
+   * A stored conversation with all its messages, or null if it does not exist
+   */
+  async getConversation(conversationId) {
+    const response = await this.apiRequest(`/api/conversations/${encodeURIComponent(conversationId)}`, {}, [404]);
+    return response.status === 404 ? null : response.json();
+  }
+  
+  /**
+   * Delete a stored conversation; resolves false if it does not exist
+   */
+  async deleteConversation(conversationId) {
+    const response = await this.apiRequest(`/api/conversations/${encodeURIComponent(conversationId)}`, { method: 'DELETE' }, [404]);
+    return response.status !== 404;
+  }
+  
+  /**
+   * Voices of every text-to-speech provider the server is configured for
+   * @param {Object} options - { provider, language } filters
+   */
+  async listVoices(options = {}) {
+    const params = [];
+    if (options.provider) params.push(`provider=${encodeURIComponent(options.provider)}`);
+    if (options.language) params.push(`language=${encodeURIComponent(options.language)}`);
+    
+    const response = await this.apiRequest(`/api/voices${params.length ? `?${params.join('&')}` : ''}`);
+    return response.json();
+  }
+  
+  /**
+   * Personas the session can switch to with updateSession({ persona, variables })
+   * @returns {Promise<Object>} { personas: [{ name, description, language, voice, variables }], default }
+   */
+  async listPersonas() {
+    const response = await this.apiRequest('/api/personas');
+    return response.json();
+  }
+  
+  /**
+   * Authenticated request to the server's HTTP API, which lives on the same host as the WebSocket
+   */
+  async apiRequest(path, init = {}, allowedStatuses = []) {
+    const baseUrl = this.config.wsBaseUrl.replace(/^ws(s?):\/\//, 'http$1://');
+    const response = await fetch(`${baseUrl}${path}`, {
+      ...init,
+      headers: { Authorization: `Bearer ${this.config.jwtToken}` }
+    });
+    
+    if (!response.ok && !allowedStatuses.includes(response.status)) {
+      throw new Error(`Request to ${path} failed: ${response.status} ${await response.text()}`);
+    }
+    return response;
+  }
 
   /**
    * Invalidate current session to ignore remaining messages from previous session
@@ -1365,7 +2060,69 @@ class AudioToAudioSDK {
 
     return this.sendAudioToServer(uri, options);
   }
-
+  
+  /**
+   * Start hands-free mode: stream 16-bit mono PCM with sendPcmAudio and let the server detect turns
+   */
+  startVad(options = {}) {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+      throw new Error('WebSocket not connected');
+    }
+    
+    this.vadOptions = options;
+    this.vadActive = true;
+    this.streamedChunkCount = 0;
+    this.sendVadStart();
+  }
+  
+  /**
+   * Send a block of raw PCM (base64) captured by the app while hands-free mode is active
+   */
+  sendPcmAudio(base64Pcm) {
+    if (!this.vadActive) {
+      throw new Error('Hands-free mode not started');
+    }
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+      throw new Error('WebSocket not connected');
+    }
+    
+    if (this.binaryFramingActive) {
+      this.ws.send(encodeFrame(FrameType.INPUT_AUDIO_STREAM, 0, this.streamedChunkCount++, base64ToBytes(base64Pcm)));
+    } else {
+      this.ws.send(JSON.stringify({ type: 'input_audio.stream', audio: base64Pcm }));
+    }
+  }
+  
+  /**
+   * Stop hands-free mode; speech still in progress is committed as a final turn
+   */
+  stopVad() {
+    if (!this.vadActive) return;
+    this.vadActive = false;
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify({ type: 'vad.stop' }));
+    }
+  }
+  
+  sendVadStart() {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+    
+    const options = this.vadOptions;
+    const message = this.buildAudioMessage('vad.start', {
+      userId: this.userId,
+      username: this.username,
+      history: this.conversationHistory,
+      ...options
+    });
+    if (options.sampleRate) {
+      message.sampleRate = options.sampleRate;
+    }
+    if (options.vad) {
+      message.vad = options.vad;
+    }
+    this.ws.send(JSON.stringify(message));
+  }
+  
   /**
    * Get current SDK status
    */
@@ -1384,9 +2141,72 @@ class AudioToAudioSDK {
       username: this.username || null,
       // Client session information (for message filtering)
       currentSessionId: this.currentSessionId,
-      sessionCounter: this.sessionCounter
+      sessionCounter: this.sessionCounter,
+      // Server conversation session (resumed on reconnect)
+      serverSessionId: this.serverSessionId,
+      conversationId: this.conversationId
     };
   }
 }
 
+// Recorder file extension, which doubles as the container format name the server expects
+function getAudioFormat(uri) {
+  const match = /\.([a-z0-9]+)$/i.exec(uri);
+  return match ? match[1].toLowerCase() : undefined;
+}
+
+// FNV-1a over the base64 text; only used to notice rewritten blocks, not for integrity
+function checksumOf(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Binary framing helpers
+ */
+function encodeFrame(type, turnId, chunkIndex, payload) {
+  const frame = new Uint8Array(FRAME_HEADER_SIZE + payload.byteLength);
+  const view = new DataView(frame.buffer);
+  view.setUint8(0, FRAME_VERSION);
+  view.setUint8(1, type);
+  view.setUint16(2, 0);
+  view.setUint32(4, turnId >>> 0);
+  view.setUint32(8, chunkIndex >>> 0);
+  frame.set(payload, FRAME_HEADER_SIZE);
+  return frame.buffer;
+}
+
+function base64ToBytes(base64) {
+  const clean = base64.replace(/[^A-Za-z0-9+/]/g, '');
+  const bytes = new Uint8Array(Math.floor((clean.length * 3) / 4));
+  let byteIndex = 0;
+  for (let i = 0; i < clean.length; i += 4) {
+    const a = BASE64_ALPHABET.indexOf(clean[i]);
+    const b = BASE64_ALPHABET.indexOf(clean[i + 1]);
+    const c = i + 2 < clean.length ? BASE64_ALPHABET.indexOf(clean[i + 2]) : 0;
+    const d = i + 3 < clean.length ? BASE64_ALPHABET.indexOf(clean[i + 3]) : 0;
+    const triplet = (a << 18) | (b << 12) | (c << 6) | d;
+    bytes[byteIndex++] = (triplet >> 16) & 0xff;
+    if (i + 2 < clean.length) bytes[byteIndex++] = (triplet >> 8) & 0xff;
+    if (i + 3 < clean.length) bytes[byteIndex++] = triplet & 0xff;
+  }
+  return bytes.subarray(0, byteIndex);
+}
+
+function bytesToBase64(bytes) {
+  let base64 = '';
+  for (let i = 0; i < bytes.length; i += 3) {
+    const triplet = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+    base64 += BASE64_ALPHABET[(triplet >> 18) & 0x3f];
+    base64 += BASE64_ALPHABET[(triplet >> 12) & 0x3f];
+    base64 += i + 1 < bytes.length ? BASE64_ALPHABET[(triplet >> 6) & 0x3f] : '=';
+    base64 += i + 2 < bytes.length ? BASE64_ALPHABET[triplet & 0x3f] : '=';
+  }
+  return base64;
+}
+
 export default AudioToAudioSDK; 
\ No newline at end of file
@@ -16,6 +16,15 @@ export interface SDKConfig {
   debug?: boolean;
   transcriptionTimeout?: number;
   responseTimeout?: number;
+  binaryFraming?: boolean;
+  incrementalUpload?: boolean;
+  uploadIntervalMs?: number;
+  sessionId?: string;
+  conversationId?: string;
+  transcription?: TranscriptionSettings;
+  llm?: LlmSettings;
+  speech?: SpeechSettings;
+  locale?: string;
   
   audioOptions?: {
     android?: {
@@ -43,11 +52,190 @@ export interface ConversationMessage {
   timestamp?: string;
 }
 
+// Speech-to-text choice for the session; unset fields use the server's defaults
+export interface TranscriptionSettings {
+  provider?: 'openai' | 'groq' | 'workers-ai' | 'deepgram';
+  model?: string;
+  language?: string; // ISO 639-1 code; auto-detected when missing
+}
+
+// Chat model choice for the session; unset fields use the server's defaults
+export interface LlmSettings {
+  provider?: 'groq' | 'openai' | 'openai-compatible' | 'anthropic' | 'workers-ai';
+  model?: string;
+}
+
+// Text-to-speech choice for the session; unset fields use the server's defaults
+export interface SpeechSettings {
+  provider?: 'openai' | 'elevenlabs' | 'workers-ai';
+  model?: string;
+  voice?: string; // A voice ID from listVoices()
+}
+
+// The provider that served each stage of a turn, after any failover
+export interface StageProvider {
+  provider: string;
+  model: string;
+  voice?: string; // Text-to-speech only
+  failedOver: boolean; // An earlier provider was down, so a fallback answered
+}
+
+export interface TurnProviders {
+  stt?: StageProvider;
+  llm?: StageProvider;
+  tts?: StageProvider;
+}
+
+// Measured by the server, in ms after it had the turn's audio
+export interface TurnTimings {
+  sttMs?: number;
+  firstTokenMs?: number;
+  firstAudioMs?: number;
+  lastAudioMs?: number;
+  totalMs?: number;
+}
+
+// How long each stage's provider took: transcript, first token, first audio
+export interface StageLatencies {
+  stt?: number;
+  llm?: number;
+  tts?: number;
+}
+
+export type ServerErrorCode =
+  | 'empty_transcription'
+  | 'invalid_conversation'
+  | 'unsupported_audio_format'
+  | 'unsupported_framing'
+  | 'invalid_message'
+  | 'unknown_message_type'
+  | 'feature_not_enabled'
+  | 'handshake_required'
+  | 'unsupported_protocol_version'
+  | 'missing_prompt_variables'
+  | 'quota_exceeded'
+  | 'rate_limited'
+  | 'provider_unavailable'
+  | 'provider_error'
+  | 'internal_error';
+
+export interface ServerError {
+  code: ServerErrorCode;
+  stage: 'stt' | 'llm' | 'tts' | 'session';
+  retryable: boolean;
+  retryAfterMs?: number;
+  turnId: number | null;
+  message: string; // Localized, ready to show to the user
+  detail?: string; // What was wrong with the request, for errors the client caused
+  field?: string; // Path of the invalid field of a rejected message, e.g. 'message.offset'
+  messageType?: string; // Type of the rejected message
+  feature?: string; // The protocol feature a feature_not_enabled message needed
+  chunkIndex?: number; // Set when only one audio chunk of the answer failed
+  quota?: 'requestsPerMinute' | 'concurrentSessions' | 'dailyAudioSeconds' | 'dailyTtsCharacters';
+  limit?: number;
+  resetAt?: string | null; // ISO 8601; null when the quota frees up once another session closes
+  errorType: string;
+  originalMessage: string;
+  fullErrorData?: any;
+}
+
+export interface Voice {
+  id: string;
+  name: string;
+  provider: string;
+  language: string; // ISO 639-1 code, or 'multi' for voices that speak the text's language
+  gender: 'female' | 'male' | 'neutral';
+}
+
+export interface VoiceList {
+  voices: Voice[];
+  default: { provider: string; voice: string }; // Used while the session has not chosen a voice
+}
+
+export interface PromptVariable {
+  description?: string;
+  required: boolean;
+  default?: string;
+}
+
+// A named assistant set up on the server: its prompt, voice and language, and the variables the app fills in
+export interface Persona {
+  name: string;
+  description?: string;
+  language?: string; // ISO 639-1 code the persona speaks
+  voice?: SpeechSettings;
+  variables: Record<string, PromptVariable>;
+}
+
+export interface PersonaList {
+  personas: Persona[];
+  default: string; // Used while the session has not chosen a persona
+}
+
+export interface TranscriptSegment {
+  start: number;
+  end: number;
+  text: string;
+}
+
 export interface AudioMessageOptions {
   userId?: string;
   username?: string;
   history?: ConversationMessage[];
   additionalPrompt?: string;
+  conversationId?: string;
+}
+
+// Stored conversations (REST API)
+export interface ConversationSummary {
+  id: string;
+  title: string | null;
+  createdAt: string;
+  updatedAt: string;
+  messageCount: number;
+}
+
+export interface ConversationPage {
+  conversations: ConversationSummary[];
+  nextBefore: string | null;
+}
+
+export interface ConversationDetail {
+  id: string;
+  title: string | null;
+  createdAt: string;
+  updatedAt: string;
+  messages: (ConversationMessage & { interrupted?: boolean })[];
+}
+
+// Server-side voice activity detection settings (hands-free mode)
+// A tool the app runs on the device when the assistant calls it; parameters is a JSON schema of type object
+export interface ClientToolSchema {
+  description: string;
+  parameters?: Record<string, any>;
+}
+
+export interface ClientToolCall {
+  toolCallId: string;
+  turnId: number;
+  name: string;
+}
+
+// The returned value (JSON-serializable) is sent to the assistant; a thrown error is reported as the tool's error
+export type ClientToolHandler = (args: any, call: ClientToolCall) => any | Promise<any>;
+
+export interface VadSettings {
+  energyThreshold?: number;
+  zeroCrossingThreshold?: number;
+  minSpeechDurationMs?: number;
+  silenceDurationMs?: number;
+  prefixPaddingMs?: number;
+  maxSpeechDurationMs?: number;
+}
+
+export interface VadOptions extends AudioMessageOptions {
+  sampleRate?: number;
+  vad?: VadSettings;
 }
 
 export interface SDKStatus {
@@ -67,6 +255,8 @@ export interface SDKStatus {
   username: string | null;
   currentSessionId: string | null;
   sessionCounter: number;
+  serverSessionId: string | null;
+  conversationId: string | null;
 }
 
 export interface EventData {
@@ -74,16 +264,22 @@ export interface EventData {
   disconnected: { connected: boolean; code?: number; reason?: string };
   initialized: { success: boolean };
   welcome: { message: string };
+  capabilities: SessionCapabilities;
+  sessionUpdated: { session: SessionSettings; rejected: SessionUpdateRejection[] };
+  session: { sessionId: string; conversationId: string | null; resumed: boolean; history: ConversationMessage[] };
+  conversation: { conversationId: string; history: ConversationMessage[] };
+  historyCleared: { conversationId?: string };
+  framing: { framing: AudioFraming };
   recordingStart: { recording: boolean };
   recordingStop: { recording: boolean; uri: string };
   audioSent: { sent: boolean; audioLength: number; hasContext: boolean; clientSessionId: string };
   processingStart: { processing: boolean };
-  processingEnd: { processing: boolean };
-  transcription: { text: string };
+  processingEnd: { processing: boolean; turnId?: number; providers: TurnProviders };
+  transcription: { text: string; language?: string | null; duration?: number | null; segments?: TranscriptSegment[] };
   textChunk: { chunk: string; accumulated: string; isTyping: boolean };
   textComplete: { text: string; isTyping: boolean };
   audioStart: { streaming?: boolean; playing: boolean };
-  audioChunk: { chunkIndex: number; audio?: string; text?: string };
+  audioChunk: { chunkIndex: number; audio?: string; text?: string; turnId?: number };
   chunkPlaybackStart: { chunkIndex: number; playing: boolean };
   chunkPlaybackEnd: { chunkIndex: number };
   audioStreamEnd: { totalChunks: number };
@@ -93,21 +289,105 @@ export interface EventData {
   playbackCancelled: { cancelled?: boolean; error?: string; textInterrupted?: boolean };
   audioReceived: { audioLength: number };
   error: { type: string; message: string };
-  serverError: { message: string; originalMessage: string; errorType?: string; fullErrorData?: any };
+  serverError: ServerError;
   timeout: { type: 'transcription_timeout' | 'response_timeout' | string; duration: number; message: string };
-  cancelled: { cancelled: boolean };
+  cancelled: { cancelled: boolean; turnId?: number | null };
+  vadStarted: { vad: VadSettings & { sampleRate: number } };
+  vadStopped: {};
+  speechStarted: { audioStartMs: number };
+  speechStopped: { audioEndMs: number };
+  turnInterrupted: { turnId: number; textOffset: number; text: string };
+  toolCallStarted: { turnId: number; toolCallId: string; name: string; arguments: any };
+  toolCallResult: { turnId: number; toolCallId: string; name: string; result?: any; error?: string; durationMs: number };
+  toolsRegistered: { tools: string[]; rejected: Array<{ name: string; reason: string }> };
+  clientToolCall: ClientToolCall & { arguments: any };
+  retrying: { turnId: number; stage: 'stt' | 'llm' | 'tts'; provider: string; attempt: number; delayMs: number };
+  turnMetrics: { turnId: number; timings: TurnTimings; stages: StageLatencies };
   unknownMessage: { type: string; data: any };
 }
 
+export type AudioFraming = 'json' | 'binary';
+
+// What the server enabled for this connection, from its reply to the SDK's session.hello
+export interface SessionCapabilities {
+  protocolVersion: number;
+  audioFormats: string[]; // Recording formats the server accepts
+  framings: AudioFraming[];
+  framing: AudioFraming; // In effect for this connection
+  features: string[];
+  session?: SessionSettings;
+}
+
+// Settings changed mid-session with updateSession; unset fields are left as they are
+export interface SessionUpdate {
+  persona?: string; // A name from listPersonas(); '' for the server's default persona
+  variables?: Record<string, string>; // Values of the persona's variables
+  transcription?: TranscriptionSettings;
+  llm?: LlmSettings;
+  speech?: SpeechSettings;
+  segmentation?: { firstMinLength?: number; minLength?: number; maxLength?: number };
+  prompt?: string; // Replaces the persona's system prompt; '' goes back to it
+  useStreaming?: boolean;
+  locale?: string;
+}
+
+// The session's settings as the next turn will use them, the server's defaults filled in
+export interface SessionSettings {
+  persona: string;
+  variables: Record<string, string>; // Set by the app; variables left out use their defaults
+  transcription: { provider: string; model: string; language: string | null };
+  llm: { provider: string; model: string };
+  speech: { provider: string; model: string; voice: string };
+  segmentation: { firstMinLength?: number; minLength?: number; maxLength?: number };
+  prompt: string | null; // null while the persona's prompt applies
+  useStreaming: boolean;
+  locale: string | null;
+  updatable: string[]; // Fields this user may change, e.g. 'speech.voice'; '*' for all
+}
+
+export interface SessionUpdateRejection {
+  field: string;
+  reason: 'not_allowed' | 'unsupported' | 'invalid' | 'missing'; // missing: a required variable of the persona
+}
+
+// Version 2 of the WebSocket protocol: the SDK opens with session.hello and declares what it handles
+const PROTOCOL_VERSION = 2;
+const SDK_AUDIO_FORMATS = ['m4a', 'mp4', 'wav', 'webm'];
+const SDK_FEATURES = [
+  'streaming_audio', 'incremental_upload', 'server_vad', 'binary_framing', 'conversations',
+  'client_tools', 'tool_events', 'retry_events', 'turn_metrics'
+];
+
 export type EventName = keyof EventData;
 export type EventHandler<T extends EventName> = (data: EventData[T]) => void;
 
+// Binary frame layout shared with the server: 12 byte big-endian header followed by raw audio bytes
+// [version u8][type u8][reserved u16][turnId u32][chunkIndex u32]
+const FRAME_VERSION = 1;
+const FRAME_HEADER_SIZE = 12;
+const FrameType = {
+  INPUT_AUDIO: 0x01,
+  AUDIO_CHUNK: 0x02,
+  AUDIO_RESPONSE: 0x03,
+  INPUT_AUDIO_APPEND: 0x04,
+  INPUT_AUDIO_STREAM: 0x05,
+} as const;
+
+const BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
 interface AudioChunk {
   audio: string;
   chunkIndex: number;
   text?: string;
 }
 
+// A block of the recording already uploaded, remembered so header rewrites can be detected on stop
+interface UploadedBlock {
+  offset: number;
+  length: number;
+  checksum: number;
+}
+
 interface WebSocketMessage {
   type: string;
   audio?: string;
@@ -116,12 +396,63 @@ interface WebSocketMessage {
   username?: string;
   history?: ConversationMessage[];
   additionalPrompt?: string;
-  output?: string;
   message?: string;
   chunkIndex?: number;
   text?: string;
   totalChunks?: number;
   errorType?: string;
+  turnId?: number;
+  framing?: AudioFraming;
+  binary?: boolean;
+  format?: string;
+  offset?: number;
+  totalBytes?: number;
+  sampleRate?: number;
+  vad?: any;
+  audioStartMs?: number;
+  audioEndMs?: number;
+  textOffset?: number;
+  sessionId?: string;
+  resumed?: boolean;
+  protocolVersion?: number;
+  audioFormats?: string[];
+  framings?: AudioFraming[];
+  features?: string[];
+  conversationId?: string;
+  toolCallId?: string;
+  name?: string;
+  arguments?: any;
+  result?: any;
+  error?: string;
+  durationMs?: number;
+  timeoutMs?: number;
+  transcription?: TranscriptionSettings;
+  llm?: LlmSettings;
+  speech?: SpeechSettings;
+  providers?: TurnProviders;
+  timings?: TurnTimings;
+  stages?: StageLatencies;
+  stage?: string;
+  provider?: string;
+  attempt?: number;
+  delayMs?: number;
+  code?: string;
+  retryable?: boolean;
+  retryAfterMs?: number;
+  detail?: string;
+  field?: string;
+  messageType?: string;
+  feature?: string;
+  locale?: string;
+  quota?: ServerError['quota'];
+  limit?: number;
+  resetAt?: string | null;
+  language?: string | null;
+  duration?: number | null;
+  segments?: TranscriptSegment[];
+  tools?: string[];
+  rejected?: any[]; // Client tools or session fields the server refused
+  session?: SessionSettings;
 }
 
 /**
@@ -130,15 +461,23 @@ interface WebSocketMessage {
  * Generic implementation for voice-based AI applications
  */
 class AudioToAudioSDK {
-  private config: Required<Omit<SDKConfig, 'audioOptions'>> & { audioOptions: SDKConfig['audioOptions'] };
+  private config: Required<Omit<SDKConfig, 'audioOptions' | 'sessionId' | 'conversationId' | 'transcription' | 'llm' | 'speech' | 'locale'>>& { audioOptions: SDKConfig['audioOptions'] };
   
   // WebSocket connection
   private ws: WebSocket | null = null;
   private isConnected: boolean = false;
+  private binaryFramingActive: boolean = false;
   
   // Session management
   private currentSessionId: string | null = null;
   private sessionCounter: number = 0;
+  private serverSessionId: string | null = null; // Server conversation session, resumed on reconnect
+  private conversationId: string | null = null; // Stored conversation the server appends turns to
+  private serverHasHistory: boolean = false; // Once it does, the transcript no longer needs to be sent
+  private transcriptionSettings: TranscriptionSettings | null = null;
+  private llmSettings: LlmSettings | null = null;
+  private speechSettings: SpeechSettings | null = null;
+  private locale: string | null = null; // Language of the server's error messages
   
   // Audio management
   private soundRef: Audio.Sound;
@@ -169,6 +508,9 @@ class AudioToAudioSDK {
   private conversationHistory: ConversationMessage[] = [];
   private pendingAdditionalPrompt: string | null = null;
   
+  // On-device tools, sent to the server after every connect
+  private clientTools = new Map<string, { schema: ClientToolSchema; handler: ClientToolHandler }>();
+  
   // Event handlers
   private eventHandlers: { [K in EventName]?: EventHandler<K>[] } = {};
   
@@ -176,6 +518,17 @@ class AudioToAudioSDK {
   private responseTimeout: NodeJS.Timeout | null = null;
   private transcriptionTimeout: NodeJS.Timeout | null = null;
   private reconnectTimeout: NodeJS.Timeout | null = null;
+  private uploadInterval: NodeJS.Timeout | null = null;
+  
+  // Incremental upload state
+  private uploadedBytes: number = 0;
+  private uploadedBlocks: UploadedBlock[] = [];
+  private pendingUpload: Promise<void> | null = null;
+  
+  // Hands-free (server VAD) state
+  private vadActive: boolean = false;
+  private vadOptions: VadOptions = {};
+  private streamedChunkCount: number = 0;
   
   // File paths
   private audioFilePath: string;
@@ -200,6 +553,9 @@ class AudioToAudioSDK {
       debug: config.debug || false,
       transcriptionTimeout: config.transcriptionTimeout || 10000,
       responseTimeout: config.responseTimeout || 15000,
+      binaryFraming: config.binaryFraming || false,
+      incrementalUpload: config.incrementalUpload || false,
+      uploadIntervalMs: config.uploadIntervalMs || 500,
       audioOptions: config.audioOptions || {
         android: {
           extension: '.mp4',
@@ -220,6 +576,13 @@ class AudioToAudioSDK {
       }
     };
 
+    this.serverSessionId = config.sessionId || null;
+    this.conversationId = config.conversationId || null;
+    this.transcriptionSettings = config.transcription || null;
+    this.llmSettings = config.llm || null;
+    this.speechSettings = config.speech || null;
+    this.locale = config.locale || null;
+    
     // Initialize audio and file paths
     this.soundRef = new Audio.Sound();
     this.replayAudioFilePath = `${FileSystem.documentDirectory}replay_audio.mp3`;
@@ -307,16 +670,22 @@ class AudioToAudioSDK {
     try {
       console.log('[SDK] Connecting to Audio-to-Audio server...');
       
-      const wsUrl = `${this.config.wsBaseUrl}/ws?token=${this.config.jwtToken}`;
+      let wsUrl = `${this.config.wsBaseUrl}/ws?token=${this.config.jwtToken}&protocol=${PROTOCOL_VERSION}`;
+      if (this.serverSessionId) {
+        wsUrl += `&sessionId=${encodeURIComponent(this.serverSessionId)}`;
+      }
       
       return new Promise((resolve, reject) => {
         this.ws = new WebSocket(wsUrl);
+        this.ws.binaryType = 'arraybuffer';
         
         this.ws.onopen = () => {
           console.log('[SDK] WebSocket connected to Audio-to-Audio server');
           this.isConnected = true;
           this.emit('connected', { connected: true });
           
+          this.sendHello();
+
           if (this.reconnectTimeout) {
             clearTimeout(this.reconnectTimeout);
             this.reconnectTimeout = null;
@@ -327,6 +696,10 @@ class AudioToAudioSDK {
 
         this.ws.onmessage = (event) => {
           try {
+            if (typeof event.data !== 'string') {
+              this.handleMessage(event.data as ArrayBuffer);
+              return;
+            }
             const data: WebSocketMessage = JSON.parse(event.data);
             this.handleMessage(data);
           } catch (error: any) {
@@ -344,6 +717,8 @@ class AudioToAudioSDK {
         this.ws.onclose = (event) => {
           console.log('[SDK] WebSocket closed:', event.code, event.reason);
           this.isConnected = false;
+          this.binaryFramingActive = false;
+          this.vadActive = false;
           this.emit('disconnected', { connected: false, code: event.code, reason: event.reason });
           
           if (event.code === 1006) {
@@ -363,17 +738,35 @@ class AudioToAudioSDK {
     }
   }
 
+  /**
+   * Open the protocol handshake; the server accepts nothing else until it has the hello
+   */
+  private sendHello(): void {
+    // Binary framing is negotiated per connection; audio stays base64 JSON until the server confirms
+    this.ws?.send(JSON.stringify({
+      type: 'session.hello',
+      protocolVersion: PROTOCOL_VERSION,
+      audioFormats: SDK_AUDIO_FORMATS,
+      features: SDK_FEATURES,
+      ...(this.config.binaryFraming && { framing: 'binary' }),
+      client: { name: '@germanwithnik/realtime-sdk', version: '2.0.0' }
+    }));
+  }
+  
   /**
    * Handle incoming WebSocket messages
    */
-  private async handleMessage(data: WebSocketMessage): Promise<void> {
+  private async handleMessage(message: WebSocketMessage | ArrayBuffer): Promise<void> {
     try {
+      const data = message instanceof ArrayBuffer ? this.decodeAudioFrame(message) : message;
+      if (!data) return;
+      
       if (this.config.debug) {
         console.log('[SDK DEBUG] Message received:', data);
       }
 
       // Session filtering logic
-      const audioOnlyMessageTypes = ['audio_response', 'audio_chunk', 'audio_stream_end'];
+      const audioOnlyMessageTypes = ['response.audio.complete', 'response.audio.delta', 'response.audio.done'];
       const isAudioMessage = audioOnlyMessageTypes.includes(data.type);
       
       if (!this.currentSessionId && isAudioMessage) {
@@ -388,52 +781,84 @@ class AudioToAudioSDK {
       }
 
       switch (data.type) {
-        case 'welcome':
-          console.log('[SDK] Welcome message received');
-          this.emit('welcome', { message: data.message || 'Welcome' });
+        case 'session.capabilities':
+          console.log('[SDK] Handshake completed, protocol version', data.protocolVersion);
+          this.binaryFramingActive = data.framing === 'binary';
+          this.emit('capabilities', {
+            protocolVersion: data.protocolVersion || PROTOCOL_VERSION,
+            audioFormats: data.audioFormats || [],
+            framings: data.framings || ['json'],
+            framing: data.framing || 'json',
+            features: data.features || [],
+            session: data.session
+          });
+          this.emit('welcome', { message: 'Connected' });
+          if (this.config.binaryFraming) {
+            this.emit('framing', { framing: data.framing || 'json' });
+          }
+          if (data.sessionId) {
+            this.handleSessionWelcome(data);
+          }
+          break;
+        
+        case 'conversation.cleared':
+          console.log('[SDK] Server conversation history cleared');
+          this.conversationId = data.conversationId || null;
+          this.serverHasHistory = false;
+          if (this.config.autoManageHistory) {
+            this.conversationHistory = [];
+          }
+          this.emit('historyCleared', { conversationId: data.conversationId });
+          break;
+        
+        case 'conversation.switched':
+          this.handleConversationSwitch(data);
+          break;
+        
+        case 'session.framing':
+          console.log('[SDK] Audio framing confirmed:', data.framing);
+          this.binaryFramingActive = data.framing === 'binary';
+          this.emit('framing', { framing: data.framing || 'json' });
           break;
 
-        case 'caption':
+        case 'transcript':
           console.log('[SDK] Transcription received');
+          this.serverHasHistory = true;
           
           if (this.transcriptionTimeout) {
             clearTimeout(this.transcriptionTimeout);
             this.transcriptionTimeout = null;
           }
           
-          let transcription: string;
-          try {
-            transcription = typeof data.output === 'string' ? 
-              (data.output.startsWith('{') || data.output.startsWith('[') ? JSON.parse(data.output) : data.output) : 
-              data.output || '';
-          } catch (parseError) {
-            transcription = data.output || '';
-          }
-          
+          const transcription = data.text || '';
           if (this.config.autoManageHistory && transcription) {
             this.addToHistory('user', transcription);
           }
-          this.emit('transcription', { text: transcription });
+          this.emit('transcription', { text: transcription, language: data.language, duration: data.duration, segments: data.segments });
           break;
 
-        case 'groq_response_chunk':
+        case 'response.text.delta':
           console.log('[SDK] AI response chunk received');
           this.isTyping = true;
           this.isProcessing = false;
-          this.accumulatedResponse += data.output || '';
+          this.accumulatedResponse += data.text || '';
           this.emit('textChunk', { 
-            chunk: data.output || '', 
+            chunk: data.text || '', 
             accumulated: this.accumulatedResponse,
             isTyping: true 
           });
           break;
 
-        case 'groq_response_end':
+        case 'response.text.done':
           console.log('[SDK] AI response complete');
           this.isTyping = false;
           this.isProcessing = false;
           if (this.config.autoManageHistory && this.accumulatedResponse) {
             this.addToHistory('assistant', this.accumulatedResponse);
+            // The server commits hands-free turns on its own, so it needs the updated history up front
+            if (this.vadActive) {
+              this.sendVadStart();
+            }
           }
           this.emit('textComplete', { 
             text: this.accumulatedResponse,
@@ -442,21 +867,21 @@ class AudioToAudioSDK {
           this.accumulatedResponse = '';
           break;
 
-        case 'processing_end':
+        case 'turn.done':
           console.log('[SDK] Processing completed');
           this.isProcessing = false;
-          this.emit('processingEnd', { processing: false });
+          this.emit('processingEnd', { processing: false, turnId: data.turnId, providers: data.providers || {} });
           break;
 
-        case 'audio_response':
+        case 'response.audio.complete':
           await this.handleAudioResponse(data.audio);
           break;
 
-        case 'audio_chunk':
+        case 'response.audio.delta':
           await this.handleAudioChunk(data);
           break;
 
-        case 'audio_stream_end':
+        case 'response.audio.done':
           await this.handleAudioStreamEnd(data.totalChunks || 0);
           break;
 
@@ -464,11 +889,115 @@ class AudioToAudioSDK {
           this.handleServerError(data);
           break;
 
-        case 'cancelled':
+        case 'turn.cancelled':
           console.log('[SDK] Processing cancelled');
-          this.handleCancellation();
+          this.handleCancellation(data.turnId);
           break;
-
+        
+        case 'turn.interrupted':
+          console.log('[SDK] Response interrupted at text offset', data.textOffset);
+          // Only the part of the reply that reached the user belongs in the history
+          if (this.config.autoManageHistory && data.text) {
+            this.addToHistory('assistant', data.text);
+          }
+          this.accumulatedResponse = '';
+          this.isTyping = false;
+          await this.cancelAudio();
+          // The interruption must not block playback of the turn that replaces it
+          this.userCancelledPlayback = false;
+          this.emit('turnInterrupted', {
+            turnId: data.turnId || 0,
+            textOffset: data.textOffset || 0,
+            text: data.text || ''
+          });
+          break;
+        
+        case 'tool_call.started':
+          console.log('[SDK] Tool call started:', data.name);
+          this.emit('toolCallStarted', {
+            turnId: data.turnId || 0,
+            toolCallId: data.toolCallId || '',
+            name: data.name || '',
+            arguments: data.arguments
+          });
+          break;
+        
+        case 'tool_call.result':
+          console.log('[SDK] Tool call finished:', data.name, data.error ? `(error: ${data.error})` : '');
+          this.emit('toolCallResult', {
+            turnId: data.turnId || 0,
+            toolCallId: data.toolCallId || '',
+            name: data.name || '',
+            result: data.result,
+            error: data.error,
+            durationMs: data.durationMs || 0
+          });
+          break;
+        
+        case 'tools.registered':
+          if (data.rejected?.length) {
+            console.warn('[SDK] Client tools rejected by the server:', data.rejected);
+          }
+          this.emit('toolsRegistered', { tools: data.tools || [], rejected: data.rejected || [] });
+          break;
+        
+        case 'session.updated':
+          if (data.rejected?.length) {
+            console.warn('[SDK] Session settings rejected by the server:', data.rejected);
+          }
+          if (data.session) {
+            this.emit('sessionUpdated', { session: data.session, rejected: data.rejected || [] });
+          }
+          break;
+        
+        case 'client_tool.call':
+          await this.handleClientToolCall(data);
+          break;
+        
+        case 'turn.retrying':
+          console.log(`[SDK] Server retrying ${data.stage} with ${data.provider} in ${data.delayMs}ms`);
+          // The recording is still being worked on, so waiting for its transcription starts over after the delay
+          if (data.stage === 'stt' && this.transcriptionTimeout) {
+            this.startTranscriptionTimeout(data.delayMs || 0);
+          }
+          this.emit('retrying', {
+            turnId: data.turnId || 0,
+            stage: data.stage as 'stt' | 'llm' | 'tts',
+            provider: data.provider || '',
+            attempt: data.attempt || 0,
+            delayMs: data.delayMs || 0
+          });
+          break;
+        
+        case 'turn.metrics':
+          this.emit('turnMetrics', {
+            turnId: data.turnId || 0,
+            timings: data.timings || {},
+            stages: data.stages || {}
+          });
+          break;
+        
+        case 'vad.started':
+          this.emit('vadStarted', { vad: data.vad });
+          break;
+        
+        case 'vad.stopped':
+          this.emit('vadStopped', {});
+          break;
+        
+        case 'vad.speech_started':
+          console.log('[SDK] Speech started');
+          this.emit('speechStarted', { audioStartMs: data.audioStartMs || 0 });
+          break;
+        
+        case 'vad.speech_stopped':
+          console.log('[SDK] Speech stopped, server is committing the turn');
+          this.resetStates();
+          this.invalidateCurrentSession();
+          this.generateSessionId();
+          this.emit('speechStopped', { audioEndMs: data.audioEndMs || 0 });
+          break;
+        
         default:
           console.warn('[SDK] Unknown message type:', data.type);
           this.emit('unknownMessage', { type: data.type, data });
@@ -480,6 +1009,36 @@ class AudioToAudioSDK {
     }
   }
 
+  /**
+   * Convert a binary audio frame into the equivalent JSON message
+   */
+  private decodeAudioFrame(buffer: ArrayBuffer): WebSocketMessage | null {
+    if (buffer.byteLength < FRAME_HEADER_SIZE) {
+      console.warn('[SDK] Ignoring binary frame that is too short:', buffer.byteLength);
+      return null;
+    }
+    
+    const view = new DataView(buffer);
+    if (view.getUint8(0) !== FRAME_VERSION) {
+      console.warn('[SDK] Ignoring binary frame with unsupported version:', view.getUint8(0));
+      return null;
+    }
+    
+    const type = view.getUint8(1);
+    const turnId = view.getUint32(4);
+    const audio = bytesToBase64(new Uint8Array(buffer, FRAME_HEADER_SIZE));
+    
+    if (type === FrameType.AUDIO_CHUNK) {
+      return { type: 'response.audio.delta', turnId, chunkIndex: view.getUint32(8), audio };
+    }
+    if (type === FrameType.AUDIO_RESPONSE) {
+      return { type: 'response.audio.complete', turnId, audio };
+    }
+    
+    console.warn('[SDK] Ignoring binary frame with unknown type:', type);
+    return null;
+  }
+  
   private async handleAudioResponse(audio?: string): Promise<void> {
     if (!audio) return;
 
@@ -527,7 +1086,8 @@ class AudioToAudioSDK {
     this.emit('audioChunk', { 
       chunkIndex: data.chunkIndex || 0,
       audio: data.audio,
-      text: data.text
+      text: data.text,
+      turnId: data.turnId
     });
 
     // Start playback if needed
@@ -552,20 +1112,26 @@ class AudioToAudioSDK {
   }
 
   private handleServerError(data: WebSocketMessage): void {
-    console.error('[SDK] Server error received:', data.message);
-    
-    let errorMessage = data.message || 'Unknown server error';
-    if (errorMessage.toLowerCase().includes('rate limit') || 
-        errorMessage.toLowerCase().includes('429') ||
-        errorMessage.toLowerCase().includes('heavy load')) {
-      errorMessage = "The server is experiencing heavy load right now. Please try again in a few minutes. Thank you for your patience! 🙏";
-    }
+    console.error('[SDK] Server error received:', data.code, data.message);
     
     this.isProcessing = false;
     this.emit('serverError', { 
-      message: errorMessage, 
-      originalMessage: data.message || '',
+      code: (data.code || 'internal_error') as ServerErrorCode,
+      stage: (data.stage || 'session') as ServerError['stage'],
+      retryable: data.retryable === true,
+      retryAfterMs: data.retryAfterMs,
+      turnId: data.turnId ?? null,
+      message: data.message || 'Unknown server error',
+      detail: data.detail,
+      field: data.field,
+      messageType: data.messageType,
+      feature: data.feature,
+      chunkIndex: data.chunkIndex,
+      quota: data.quota,
+      limit: data.limit,
+      resetAt: data.resetAt,
       errorType: data.errorType || 'general_error',
+      originalMessage: data.message || '',
       fullErrorData: data
     });
   }
@@ -599,6 +1165,10 @@ class AudioToAudioSDK {
       await recording.startAsync();
       this.recordingRef = recording;
       this.isRecording = true;
+      
+      if (this.config.incrementalUpload) {
+        this.startIncrementalUpload();
+      }
 
       this.emit('recordingStart', { recording: true });
       console.log('[SDK] Recording started successfully');
@@ -631,7 +1201,9 @@ class AudioToAudioSDK {
 
       console.log('[SDK] Stopping recording...');
       this.isRecording = false;
-
+      const uploadingIncrementally = this.uploadInterval !== null;
+      this.stopUploadInterval();
+      
       await Audio.setAudioModeAsync({ allowsRecordingIOS: false });
       await this.recordingRef.stopAndUnloadAsync();
       const uri = this.recordingRef.getURI();
@@ -639,10 +1211,12 @@ class AudioToAudioSDK {
       if (!uri) {
         throw new Error('Failed to get recording URI');
       }
-
+      
       this.emit('recordingStop', { recording: false, uri });
-
-      if (this.isConnected) {
+      
+      if (this.isConnected && uploadingIncrementally) {
+        await this.commitIncrementalUpload(uri, options);
+      } else if (this.isConnected) {
         await this.sendAudioToServer(uri, options);
       } else {
         throw new Error('Cannot send audio - not connected');
@@ -683,86 +1257,264 @@ class AudioToAudioSDK {
         this.generateSessionId();
       }
 
-      const message: any = {
-        type: 'audio',
-        audio: base64Audio,
-        useStreaming: this.config.useStreaming
-      };
-
-      // Add optional parameters with validation
-      if (options.userId && typeof options.userId === 'string') {
-        message.userId = options.userId;
+      const message: WebSocketMessage = this.buildAudioMessage('input_audio.submit', options);
+      
+      // In binary mode the audio follows the JSON context as a raw INPUT_AUDIO frame
+      if (this.binaryFramingActive) {
+        message.binary = true;
+      } else {
+        message.audio = base64Audio;
       }
       
-      if (options.username && typeof options.username === 'string') {
-        message.username = options.username;
+      this.ws.send(JSON.stringify(message));
+      if (this.binaryFramingActive) {
+        this.ws.send(encodeFrame(FrameType.INPUT_AUDIO, 0, 0, base64ToBytes(base64Audio)));
       }
       
-      if (options.history && Array.isArray(options.history)) {
-        const cleanHistory = options.history.filter(msg => 
-          msg && 
-          typeof msg === 'object' &&
-          msg.role && 
-          msg.content &&
-          (msg.role === 'user' || msg.role === 'assistant') &&
-          typeof msg.content === 'string'
-        );
-        
-        if (cleanHistory.length > 0) {
-          message.history = cleanHistory;
+      this.emit('audioSent', { 
+        sent: true, 
+        audioLength: base64Audio.length,
+        hasContext: !!(message.history || message.additionalPrompt),
+        clientSessionId: this.currentSessionId!
+      });
+      
+      this.startResponseTimeouts();
+    
+    } catch (error: any) {
+      console.error('[SDK] Error sending audio:', error);
+      this.emit('error', { type: 'audio_send', message: error.message });
+      throw error;
+    }
+  }
+  
+  /**
+   * Build an audio message carrying the turn context
+   */
+  private buildAudioMessage(type: string, options: AudioMessageOptions): WebSocketMessage {
+    const message: WebSocketMessage = {
+      type,
+      useStreaming: this.config.useStreaming
+    };
+    
+    // Add optional parameters with validation
+    if (options.userId && typeof options.userId === 'string') {
+      message.userId = options.userId;
+    }
+    
+    if (options.username && typeof options.username === 'string') {
+      message.username = options.username;
+    }
+    
+    const conversationId = options.conversationId || this.conversationId;
+    if (conversationId) {
+      message.conversationId = conversationId;
+    }
+    
+    if (this.transcriptionSettings) {
+      message.transcription = this.transcriptionSettings;
+    }
+    
+    if (this.llmSettings) {
+      message.llm = this.llmSettings;
+    }
+    
+    if (this.speechSettings) {
+      message.speech = this.speechSettings;
+    }
+    
+    if (this.locale) {
+      message.locale = this.locale;
+    }
+    
+    // The server keeps the transcript itself, so history only seeds a session that has none yet
+    if (options.history && Array.isArray(options.history) && !this.serverHasHistory) {
+      const cleanHistory = options.history.filter(msg => 
+        msg && 
+        typeof msg === 'object' &&
+        msg.role && 
+        msg.content &&
+        (msg.role === 'user' || msg.role === 'assistant') &&
+        typeof msg.content === 'string'
+      );
+      
+      if (cleanHistory.length > 0) {
+        message.history = cleanHistory;
+      }
+    }
+    
+    if (options.additionalPrompt && typeof options.additionalPrompt === 'string') {
+      message.additionalPrompt = options.additionalPrompt;
+    }
+    
+    return message;
+  }
+  
+  /**
+   * Start upload of the recording while the user is still speaking
+   */
+  private startIncrementalUpload(): void {
+    const uri = this.recordingRef?.getURI();
+    if (!uri || !this.ws || this.ws.readyState !== WebSocket.OPEN) {
+      console.warn('[SDK] Incremental upload unavailable, audio will be sent on stop');
+      return;
+    }
+    
+    this.uploadedBytes = 0;
+    this.uploadedBlocks = [];
+    this.pendingUpload = null;
+    
+    this.ws.send(JSON.stringify({ type: 'input_audio.start', format: getAudioFormat(uri) }));
+    
+    this.uploadInterval = setInterval(() => {
+      // Skip a tick rather than queue reads while the previous block is still uploading
+      if (!this.pendingUpload) {
+        this.pendingUpload = this.uploadNewAudio(uri)
+          .catch(error => console.log('[SDK] Incremental upload warning:', error))
+          .finally(() => { this.pendingUpload = null; });
+      }
+    }, this.config.uploadIntervalMs);
+  }
+  
+  private stopUploadInterval(): void {
+    if (this.uploadInterval) {
+      clearInterval(this.uploadInterval);
+      this.uploadInterval = null;
+    }
+  }
+  
+  /**
+   * Upload bytes written to the recording since the last upload
+   */
+  private async uploadNewAudio(uri: string): Promise<void> {
+    const fileInfo = await FileSystem.getInfoAsync(uri);
+    if (!fileInfo.exists || fileInfo.size <= this.uploadedBytes) {
+      return;
+    }
+    
+    const offset = this.uploadedBytes;
+    const length = fileInfo.size - offset;
+    const base64Block = await FileSystem.readAsStringAsync(uri, {
+      encoding: FileSystem.EncodingType.Base64,
+      position: offset,
+      length
+    });
+    
+    this.sendAudioBlock(offset, base64Block);
+    this.uploadedBlocks.push({ offset, length, checksum: checksumOf(base64Block) });
+    this.uploadedBytes = offset + length;
+  }
+  
+  private sendAudioBlock(offset: number, base64Block: string): void {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+      throw new Error('WebSocket not connected');
+    }
+    
+    if (this.binaryFramingActive) {
+      this.ws.send(encodeFrame(FrameType.INPUT_AUDIO_APPEND, 0, offset, base64ToBytes(base64Block)));
+    } else {
+      this.ws.send(JSON.stringify({ type: 'input_audio.append', audio: base64Block, offset }));
+    }
+  }
+  
+  /**
+   * Finish an incremental upload: resend blocks the recorder rewrote, upload the tail and commit the turn
+   */
+  private async commitIncrementalUpload(uri: string, options: AudioMessageOptions = {}): Promise<void> {
+    try {
+      if (this.pendingUpload) {
+        await this.pendingUpload;
+      }
+      
+      if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+        throw new Error('WebSocket not connected');
+      }
+      
+      // Container formats such as MP4 patch their headers once recording stops
+      for (const block of this.uploadedBlocks) {
+        const base64Block = await FileSystem.readAsStringAsync(uri, {
+          encoding: FileSystem.EncodingType.Base64,
+          position: block.offset,
+          length: block.length
+        });
+        if (checksumOf(base64Block) !== block.checksum) {
+          this.sendAudioBlock(block.offset, base64Block);
         }
       }
       
-      if (options.additionalPrompt && typeof options.additionalPrompt === 'string') {
-        message.additionalPrompt = options.additionalPrompt;
+      await this.uploadNewAudio(uri);
+      
+      if (this.uploadedBytes === 0) {
+        throw new Error('Audio file is too small or empty');
       }
-
+      
+      if (!this.currentSessionId) {
+        this.generateSessionId();
+      }
+      
+      const message = this.buildAudioMessage('input_audio.commit', options);
+      message.totalBytes = this.uploadedBytes;
       this.ws.send(JSON.stringify(message));
       
       this.emit('audioSent', { 
         sent: true, 
-        audioLength: base64Audio.length,
+        audioLength: this.uploadedBytes,
         hasContext: !!(message.history || message.additionalPrompt),
         clientSessionId: this.currentSessionId!
       });
       
-      // Set timeouts
-      this.transcriptionTimeout = setTimeout(() => {
-        if (this.transcriptionTimeout) {
-          clearTimeout(this.transcriptionTimeout);
-          this.transcriptionTimeout = null;
-        }
-        
-        this.emit('timeout', { 
-          type: 'transcription_timeout', 
-          duration: this.config.transcriptionTimeout,
-          message: 'No transcription received within timeout period'
-        });
-      }, this.config.transcriptionTimeout);
-      
-      this.responseTimeout = setTimeout(() => {
-        this.isProcessing = false;
-        this.isPlaying = false;
-        
-        this.cancelAudio().catch(err => console.log('[SDK] Error cancelling audio after timeout:', err));
-        
-        if (this.responseTimeout) {
-          clearTimeout(this.responseTimeout);
-          this.responseTimeout = null;
-        }
-        
-        this.emit('timeout', { 
-          type: 'response_timeout', 
-          duration: this.config.responseTimeout,
-          message: 'No response received from server within timeout period'
-        });
-      }, this.config.responseTimeout);
-
+      this.startResponseTimeouts();
     } catch (error: any) {
-      console.error('[SDK] Error sending audio:', error);
+      console.error('[SDK] Error committing audio:', error);
       this.emit('error', { type: 'audio_send', message: error.message });
       throw error;
+    } finally {
+      this.uploadedBlocks = [];
+      this.uploadedBytes = 0;
+    }
+  }
+  
+  /**
+   * Start transcription and response timeouts for a sent turn
+   */
+  private startResponseTimeouts(): void {
+    this.startTranscriptionTimeout();
+    
+    this.responseTimeout = setTimeout(() => {
+      this.isProcessing = false;
+      this.isPlaying = false;
+      
+      this.cancelAudio().catch(err => console.log('[SDK] Error cancelling audio after timeout:', err));
+      
+      if (this.responseTimeout) {
+        clearTimeout(this.responseTimeout);
+        this.responseTimeout = null;
+      }
+      
+      this.emit('timeout', { 
+        type: 'response_timeout', 
+        duration: this.config.responseTimeout,
+        message: 'No response received from server within timeout period'
+      });
+    }, this.config.responseTimeout);
+  }
+  
+  /**
+   * Transcription timeout, pushed back by extraMs while the server waits to retry
+   */
+  private startTranscriptionTimeout(extraMs: number = 0): void {
+    if (this.transcriptionTimeout) {
+      clearTimeout(this.transcriptionTimeout);
     }
+    
+    this.transcriptionTimeout = setTimeout(() => {
+      this.transcriptionTimeout = null;
+      
+      this.emit('timeout', { 
+        type: 'transcription_timeout', 
+        duration: this.config.transcriptionTimeout,
+        message: 'No transcription received within timeout period'
+      });
+    }, this.config.transcriptionTimeout + extraMs);
   }
 
   /**
@@ -1038,13 +1790,24 @@ class AudioToAudioSDK {
     }
   }
 
+  /**
+   * Cancel the whole response: the server stops transcription, text generation and speech synthesis
+   */
+  async cancelResponse(): Promise<boolean> {
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify({ type: 'turn.cancel' }));
+    }
+    this.isTyping = false;
+    return this.cancelAudio();
+  }
+  
   /**
    * Handle server cancellation
    */
-  private handleCancellation(): void {
+  private handleCancellation(turnId?: number | null): void {
     this.isProcessing = false;
     this.cancelAudio();
-    this.emit('cancelled', { cancelled: true });
+    this.emit('cancelled', { cancelled: true, turnId: turnId ?? null });
   }
 
   /**
@@ -1098,6 +1861,8 @@ class AudioToAudioSDK {
         clearTimeout(this.reconnectTimeout);
         this.reconnectTimeout = null;
       }
+      this.stopUploadInterval();
+      this.vadActive = false;
       
       // Stop recording
       if (this.recordingRef) {
@@ -1166,6 +1931,220 @@ class AudioToAudioSDK {
    */
   clearHistory(): void {
     this.conversationHistory = [];
+    // The server keeps its own copy of the session history
+    if (this.ws && this.isConnected) {
+      this.ws.send(JSON.stringify({ type: 'conversation.clear' }));
+    }
+  }
+  
+  /**
+   * Server conversation session, available after the handshake
+   */
+  getServerSessionId(): string | null {
+    return this.serverSessionId;
+  }
+  
+  /**
+   * Remember the server session so a reconnect resumes it, and adopt its history when it was resumed
+   */
+  private handleSessionWelcome(data: WebSocketMessage): void {
+    this.serverSessionId = data.sessionId!;
+    // A conversation chosen by the app wins; it is sent with the next turn and the server switches to it
+    this.conversationId = this.conversationId || data.conversationId || null;
+    const history = (data.history || []).map(({ role, content, timestamp }) => ({ role, content, timestamp }));
+    this.serverHasHistory = history.length > 0;
+    console.log('[SDK] Server session:', this.serverSessionId, data.resumed ? `(resumed, ${history.length} messages)` : '(new)');
+    
+    if (data.resumed && this.config.autoManageHistory) {
+      this.conversationHistory = history;
+    }
+    this.emit('session', { sessionId: this.serverSessionId, conversationId: this.conversationId, resumed: !!data.resumed, history });
+    
+    if (this.clientTools.size > 0) {
+      this.sendClientTools();
+    }
+  }
+  
+  /**
+   * The server loaded a stored conversation into the session
+   */
+  private handleConversationSwitch(data: WebSocketMessage): void {
+    this.conversationId = data.conversationId!;
+    const history = (data.history || []).map(({ role, content, timestamp }) => ({ role, content, timestamp }));
+    this.serverHasHistory = history.length > 0;
+    console.log('[SDK] Conversation loaded:', this.conversationId, `(${history.length} messages)`);
+    
+    if (this.config.autoManageHistory) {
+      this.conversationHistory = history;
+    }
+    this.emit('conversation', { conversationId: this.conversationId, history });
+  }
+  
+  /**
+   * Continue a stored conversation (or start one with this ID) from the next turn on
+   */
+  setConversationId(conversationId: string): void {
+    this.conversationId = conversationId;
+  }
+  
+  getConversationId(): string | null {
+    return this.conversationId;
+  }
+  
+  /**
+   * Choose the speech-to-text provider, model or language; applies from the next turn on for the rest of the session
+   */
+  setTranscription(settings: TranscriptionSettings): void {
+    this.transcriptionSettings = settings;
+  }
+  
+  /**
+   * Choose the chat model provider or model; applies from the next turn on for the rest of the session
+   */
+  setLlm(settings: LlmSettings): void {
+    this.llmSettings = settings;
+  }
+  
+  /**
+   * Choose the voice or text-to-speech provider; applies from the next turn on for the rest of the session
+   */
+  setSpeech(settings: SpeechSettings): void {
+    this.speechSettings = settings;
+  }
+  
+  /**
+   * Language of the server's error messages, e.g. 'es'; by default they follow the transcription language
+   */
+  setLocale(locale: string): void {
+    this.locale = locale;
+  }
+  
+  /**
+   * Change the session's settings right away instead of with the next recording. The server answers with sessionUpdated,
+   * listing any field it refused; what may be changed depends on the server and the user's token.
+   */
+  updateSession(update: SessionUpdate): void {
+    if (!this.ws || !this.isConnected) {
+      throw new Error('Not connected to server');
+    }
+    this.ws.send(JSON.stringify({ type: 'session.update', session: update }));
+  }
+  
+  /**
+   * Let the assistant call an on-device action, e.g. opening a screen; replaces a tool with the same name
+   */
+  registerTool(name: string, schema: ClientToolSchema, handler: ClientToolHandler): void {
+    this.clientTools.set(name, { schema, handler });
+    this.sendClientTools();
+  }
+  
+  unregisterTool(name: string): void {
+    if (this.clientTools.delete(name)) {
+      this.sendClientTools();
+    }
+  }
+  
+  /**
+   * The server keeps one tool set per session, so the full set is sent every time
+   */
+  private sendClientTools(): void {
+    if (!this.ws || !this.isConnected) return;
+    
+    const tools = [...this.clientTools].map(([name, { schema }]) => ({
+      name,
+      description: schema.description,
+      parameters: schema.parameters
+    }));
+    this.ws.send(JSON.stringify({ type: 'tools.register', tools }));
+  }
+  
+  /**
+   * Run a tool the assistant called and send the outcome back; the server waits for it before answering
+   */
+  private async handleClientToolCall(data: WebSocketMessage): Promise<void> {
+    const call: ClientToolCall = { toolCallId: data.toolCallId || '', turnId: data.turnId || 0, name: data.name || '' };
+    console.log('[SDK] Client tool call:', call.name);
+    this.emit('clientToolCall', { ...call, arguments: data.arguments });
+    
+    let outcome: { result?: any; error?: string };
+    try {
+      const tool = this.clientTools.get(call.name);
+      if (!tool) {
+        throw new Error(`Tool ${call.name} is not registered`);
+      }
+      outcome = { result: (await tool.handler(data.arguments || {}, call)) ?? null };
+    } catch (error: any) {
+      console.error('[SDK] Client tool failed:', call.name, error);
+      outcome = { error: error?.message || String(error) };
+    }
+    
+    if (this.ws && this.isConnected) {
+      this.ws.send(JSON.stringify({ type: 'client_tool.result', toolCallId: call.toolCallId, ...outcome }));
+    }
+  }
+  
+  /**
+   * Stored conversations of the token's user, most recently active first
+   */
+  async listConversations(options: { limit?: number; before?: string } = {}): Promise<ConversationPage> {
+    const params: string[] = [];
+    if (options.limit) params.push(`limit=${options.limit}`);
+    if (options.before) params.push(`before=${encodeURIComponent(options.before)}`);
+    
+    const response = await this.apiRequest(`/api/conversations${params.length ? `?${params.join('&')}` : ''}`);
+    return response.json();
+  }
+  
+  /**
+   * A stored conversation with all its messages, or null if it does not exist
+   */
+  async getConversation(conversationId: string): Promise<ConversationDetail | null> {
+    const response = await this.apiRequest(`/api/conversations/${encodeURIComponent(conversationId)}`, {}, [404]);
+    return response.status === 404 ? null : response.json();
+  }
+  
+  /**
+   * Delete a stored conversation; resolves false if it does not exist
+   */
+  async deleteConversation(conversationId: string): Promise<boolean> {
+    const response = await this.apiRequest(`/api/conversations/${encodeURIComponent(conversationId)}`, { method: 'DELETE' }, [404]);
+    return response.status !== 404;
+  }
+  
+  /**
+   * Voices of every text-to-speech provider the server is configured for
+   */
+  async listVoices(options: { provider?: string; language?: string } = {}): Promise<VoiceList> {
+    const params: string[] = [];
+    if (options.provider) params.push(`provider=${encodeURIComponent(options.provider)}`);
+    if (options.language) params.push(`language=${encodeURIComponent(options.language)}`);
+    
+    const response = await this.apiRequest(`/api/voices${params.length ? `?${params.join('&')}` : ''}`);
+    return response.json();
+  }
+  
+  /**
+   * Personas the session can switch to with updateSession({ persona, variables })
+   */
+  async listPersonas(): Promise<PersonaList> {
+    const response = await this.apiRequest('/api/personas');
+    return response.json();
+  }
+  
+  /**
+   * Authenticated request to the server's HTTP API, which lives on the same host as the WebSocket
+   */
+  private async apiRequest(path: string, init: RequestInit = {}, allowedStatuses: number[] = []): Promise<Response> {
+    const baseUrl = this.config.wsBaseUrl.replace(/^ws(s?):\/\//, 'http$1://');
+    const response = await fetch(`${baseUrl}${path}`, {
+      ...init,
+      headers: { Authorization: `Bearer ${this.config.jwtToken}` }
+    });
+    
+    if (!response.ok && !allowedStatuses.includes(response.status)) {
+      throw new Error(`Request to ${path} failed: ${response.status} ${await response.text()}`);
+    }
+    return response;
   }
 
   /**
@@ -1219,7 +2198,69 @@ class AudioToAudioSDK {
 
     return this.sendAudioToServer(uri, options);
   }
-
+  
+  /**
+   * Start hands-free mode: stream 16-bit mono PCM with sendPcmAudio and let the server detect turns
+   */
+  startVad(options: VadOptions = {}): void {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+      throw new Error('WebSocket not connected');
+    }
+    
+    this.vadOptions = options;
+    this.vadActive = true;
+    this.streamedChunkCount = 0;
+    this.sendVadStart();
+  }
+  
+  /**
+   * Send a block of raw PCM (base64) captured by the app while hands-free mode is active
+   */
+  sendPcmAudio(base64Pcm: string): void {
+    if (!this.vadActive) {
+      throw new Error('Hands-free mode not started');
+    }
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+      throw new Error('WebSocket not connected');
+    }
+    
+    if (this.binaryFramingActive) {
+      this.ws.send(encodeFrame(FrameType.INPUT_AUDIO_STREAM, 0, this.streamedChunkCount++, base64ToBytes(base64Pcm)));
+    } else {
+      this.ws.send(JSON.stringify({ type: 'input_audio.stream', audio: base64Pcm }));
+    }
+  }
+  
+  /**
+   * Stop hands-free mode; speech still in progress is committed as a final turn
+   */
+  stopVad(): void {
+    if (!this.vadActive) return;
+    this.vadActive = false;
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify({ type: 'vad.stop' }));
+    }
+  }
+  
+  private sendVadStart(): void {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+    
+    const options = this.vadOptions;
+    const message = this.buildAudioMessage('vad.start', {
+      userId: this.userId || undefined,
+      username: this.username || undefined,
+      history: this.conversationHistory,
+      ...options
+    });
+    if (options.sampleRate) {
+      message.sampleRate = options.sampleRate;
+    }
+    if (options.vad) {
+      message.vad = options.vad;
+    }
+    this.ws.send(JSON.stringify(message));
+  }
+  
   /**
    * Get SDK status
    */
@@ -1240,9 +2281,71 @@ class AudioToAudioSDK {
       userId: this.userId,
       username: this.username,
       currentSessionId: this.currentSessionId,
-      sessionCounter: this.sessionCounter
+      sessionCounter: this.sessionCounter,
+      serverSessionId: this.serverSessionId,
+      conversationId: this.conversationId
     };
   }
 }
 
+// Recorder file extension, which doubles as the container format name the server expects
+function getAudioFormat(uri: string): string | undefined {
+  const match = /\.([a-z0-9]+)$/i.exec(uri);
+  return match ? match[1].toLowerCase() : undefined;
+}
+
+// FNV-1a over the base64 text; only used to notice rewritten blocks, not for integrity
+function checksumOf(text: string): number {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Binary framing helpers
+ */
+function encodeFrame(type: number, turnId: number, chunkIndex: number, payload: Uint8Array): ArrayBuffer {
+  const frame = new Uint8Array(FRAME_HEADER_SIZE + payload.byteLength);
+  const view = new DataView(frame.buffer);
+  view.setUint8(0, FRAME_VERSION);
+  view.setUint8(1, type);
+  view.setUint16(2, 0);
+  view.setUint32(4, turnId >>> 0);
+  view.setUint32(8, chunkIndex >>> 0);
+  frame.set(payload, FRAME_HEADER_SIZE);
+  return frame.buffer;
+}
+
+function base64ToBytes(base64: string): Uint8Array {
+  const clean = base64.replace(/[^A-Za-z0-9+/]/g, '');
+  const bytes = new Uint8Array(Math.floor((clean.length * 3) / 4));
+  let byteIndex = 0;
+  for (let i = 0; i < clean.length; i += 4) {
+    const a = BASE64_ALPHABET.indexOf(clean[i]);
+    const b = BASE64_ALPHABET.indexOf(clean[i + 1]);
+    const c = i + 2 < clean.length ? BASE64_ALPHABET.indexOf(clean[i + 2]) : 0;
+    const d = i + 3 < clean.length ? BASE64_ALPHABET.indexOf(clean[i + 3]) : 0;
+    const triplet = (a << 18) | (b << 12) | (c << 6) | d;
+    bytes[byteIndex++] = (triplet >> 16) & 0xff;
+    if (i + 2 < clean.length) bytes[byteIndex++] = (triplet >> 8) & 0xff;
+    if (i + 3 < clean.length) bytes[byteIndex++] = triplet & 0xff;
+  }
+  return bytes.subarray(0, byteIndex);
+}
+
+function bytesToBase64(bytes: Uint8Array): string {
+  let base64 = '';
+  for (let i = 0; i < bytes.length; i += 3) {
+    const triplet = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+    base64 += BASE64_ALPHABET[(triplet >> 18) & 0x3f];
+    base64 += BASE64_ALPHABET[(triplet >> 12) & 0x3f];
+    base64 += i + 1 < bytes.length ? BASE64_ALPHABET[(triplet >> 6) & 0x3f] : '=';
+    base64 += i + 2 < bytes.length ? BASE64_ALPHABET[triplet & 0x3f] : '=';
+  }
+  return base64;
+}
+
 export default AudioToAudioSDK; 
\ No newline at end of file
@@ -0,0 +1,26 @@
+-- Conversation history, one row per user message or assistant reply
+-- Apply with: npx wrangler d1 migrations apply audio-to-audio [--local | --remote]
+
+CREATE TABLE IF NOT EXISTS conversations (
+	user_id TEXT NOT NULL,
+	id TEXT NOT NULL,
+	title TEXT,
+	created_at TEXT NOT NULL,
+	updated_at TEXT NOT NULL,
+	PRIMARY KEY (user_id, id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversations_user_updated ON conversations (user_id, updated_at DESC);
+
+CREATE TABLE IF NOT EXISTS messages (
+	id INTEGER PRIMARY KEY AUTOINCREMENT,
+	user_id TEXT NOT NULL,
+	conversation_id TEXT NOT NULL,
+	role TEXT NOT NULL CHECK (role IN ('user', 'assistant')),
+	content TEXT NOT NULL,
+	interrupted INTEGER NOT NULL DEFAULT 0,
+	created_at TEXT NOT NULL,
+	FOREIGN KEY (user_id, conversation_id) REFERENCES conversations (user_id, id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_messages_conversation ON messages (user_id, conversation_id, id);
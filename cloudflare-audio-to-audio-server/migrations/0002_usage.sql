@@ -0,0 +1,29 @@
+-- Usage metering, one row per conversation turn or audio API call
+-- Apply with: npx wrangler d1 migrations apply audio-to-audio [--local | --remote]
+
+CREATE TABLE IF NOT EXISTS usage_events (
+	id INTEGER PRIMARY KEY AUTOINCREMENT,
+	user_id TEXT NOT NULL,
+	source TEXT NOT NULL CHECK (source IN ('turn', 'generate_audio')),
+	session_id TEXT,
+	turn_id INTEGER,
+	created_at TEXT NOT NULL,
+	audio_seconds REAL NOT NULL DEFAULT 0,
+	stt_provider TEXT,
+	stt_model TEXT,
+	stt_latency_ms INTEGER,
+	llm_provider TEXT,
+	llm_model TEXT,
+	prompt_tokens INTEGER NOT NULL DEFAULT 0,
+	completion_tokens INTEGER NOT NULL DEFAULT 0,
+	llm_latency_ms INTEGER,
+	tts_provider TEXT,
+	tts_model TEXT,
+	tts_voice TEXT,
+	tts_characters INTEGER NOT NULL DEFAULT 0,
+	tts_latency_ms INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_usage_events_created ON usage_events (created_at);
+
+CREATE INDEX IF NOT EXISTS idx_usage_events_user_created ON usage_events (user_id, created_at);
@@ -0,0 +1,59 @@
+// Seeds the PROMPT_TEMPLATES KV namespace with the personas in personas/, one `persona:<name>` key per file.
+// Arguments are passed on to wrangler, e.g. `npm run seed-personas -- --remote` for the deployed namespace.
+// The Worker checks every persona again when it reads one, and ignores invalid ones.
+
+import { readdirSync, readFileSync, writeFileSync, mkdtempSync, rmSync } from 'node:fs';
+import { join, basename } from 'node:path';
+import { tmpdir } from 'node:os';
+import { spawnSync } from 'node:child_process';
+
+const PERSONAS_DIR = new URL('../personas/', import.meta.url);
+const BUILT_IN_VARIABLES = ['username', 'CONVERSATION_HISTORY', 'USER_MESSAGE', 'ADDITIONAL_PROMPT'];
+
+function readPersona(file) {
+	const name = basename(file, '.json');
+	const persona = JSON.parse(readFileSync(new URL(file, PERSONAS_DIR), 'utf8'));
+	if (persona.name !== name) {
+		throw new Error(`name is ${persona.name}, expected ${name} from the file name`);
+	}
+	if (typeof persona.prompt !== 'string' || !persona.prompt.trim()) {
+		throw new Error('prompt must be a non-empty string');
+	}
+	const declared = Object.keys(persona.variables || {});
+	const undeclared = [...persona.prompt.matchAll(/\{\$([A-Za-z_][A-Za-z0-9_]*)\}/g)]
+		.map(match => match[1])
+		.filter(variable => !declared.includes(variable) && !BUILT_IN_VARIABLES.includes(variable));
+	if (undeclared.length > 0) {
+		throw new Error(`prompt uses undeclared variables: ${[...new Set(undeclared)].join(', ')}`);
+	}
+	return persona;
+}
+
+const entries = [];
+for (const file of readdirSync(PERSONAS_DIR).filter(file => file.endsWith('.json')).sort()) {
+	try {
+		const persona = readPersona(file);
+		entries.push({ key: `persona:${persona.name}`, value: JSON.stringify(persona) });
+	} catch (error) {
+		console.error(`❌ personas/${file}: ${error.message}`);
+		process.exit(1);
+	}
+}
+if (entries.length === 0) {
+	console.log('No personas to seed');
+	process.exit(0);
+}
+
+const dir = mkdtempSync(join(tmpdir(), 'personas-'));
+const bulkFile = join(dir, 'personas.json');
+try {
+	writeFileSync(bulkFile, JSON.stringify(entries));
+	const result = spawnSync('npx', ['wrangler', 'kv', 'bulk', 'put', bulkFile, '--binding', 'PROMPT_TEMPLATES', ...process.argv.slice(2)], {
+		stdio: 'inherit',
+		shell: process.platform === 'win32'
+	});
+	if (result.status !== 0) process.exit(result.status ?? 1);
+	console.log(`✅ Seeded ${entries.map(entry => entry.key).join(', ')}`);
+} finally {
+	rmSync(dir, { recursive: true, force: true });
+}
@@ -0,0 +1,74 @@
+// Worker environment bindings and variables
+// Shared by the Worker entry point and the conversation session Durable Object
+
+import type { ConversationSession } from './session.js';
+import type { UsageLimiter } from './limiter.js';
+import type { TurnMetrics } from './metrics.js';
+
+export interface Env {
+	JWT_SECRET: string;
+	OPENAI_API_KEY: string;
+	GROQ_API_KEY: string;
+	ANTHROPIC_API_KEY?: string;
+	OPENAI_PROJECT_ID: string;
+	CONVERSATION_SESSIONS: DurableObjectNamespace<ConversationSession>;
+	USAGE_LIMITERS: DurableObjectNamespace<UsageLimiter>;
+	TURN_METRICS: DurableObjectNamespace<TurnMetrics>;
+	DB: D1Database;
+	AI: Ai;
+	TOOL_CONFIG?: KVNamespace;
+	PROMPT_TEMPLATES?: KVNamespace;
+	CUSTOM_PROMPT?: string;
+	DEFAULT_PERSONA?: string;
+	SESSION_UPDATE_FIELDS?: string;
+	STT_PROVIDER?: string;
+	STT_MODEL?: string;
+	DEEPGRAM_API_KEY?: string;
+	TRANSCRIPTION_LANGUAGE?: string;
+	TRANSCRIPTION_PROMPT?: string;
+	TTS_PROVIDER?: string;
+	TTS_VOICE?: string;
+	TTS_MODEL?: string;
+	ELEVENLABS_API_KEY?: string;
+	LLM_PROVIDER?: string;
+	LLM_MODEL?: string;
+	LLM_BASE_URL?: string;
+	LLM_API_KEY?: string;
+	GROQ_MODEL?: string;
+	GOOGLE_SEARCH_API_KEY?: string;
+	GOOGLE_SEARCH_ENGINE_ID?: string;
+	ENABLE_GOOGLE_SEARCH?: string;
+	ENABLED_TOOLS?: string;
+	TOOL_WEBHOOKS?: string;
+	[webhookSecret: `WEBHOOK_SECRET_${string}`]: string | undefined; // Signing keys named by webhook tools' secretEnv
+	DEFAULT_TIMEZONE?: string;
+	STT_FALLBACKS?: string;
+	STT_MODELS?: string;
+	LLM_FALLBACKS?: string;
+	LLM_MODELS?: string;
+	TTS_FALLBACKS?: string;
+	TTS_MODELS?: string;
+	CIRCUIT_BREAKER_THRESHOLD?: string;
+	CIRCUIT_BREAKER_COOLDOWN_MS?: string;
+	RETRY_MAX_ATTEMPTS?: string;
+	TURN_DEADLINE_MS?: string;
+	MAX_TOOL_ITERATIONS?: string;
+	CLIENT_TOOL_TIMEOUT_MS?: string;
+	TTS_SEGMENT_FIRST_MIN_LENGTH?: string;
+	TTS_SEGMENT_MIN_LENGTH?: string;
+	TTS_SEGMENT_MAX_LENGTH?: string;
+	TTS_CONCURRENCY?: string;
+	VAD_SILENCE_DURATION_MS?: string;
+	VAD_PREFIX_PADDING_MS?: string;
+	VAD_ENERGY_THRESHOLD?: string;
+	SESSION_HISTORY_LIMIT?: string;
+	RATE_LIMIT_RPM?: string;
+	MAX_CONCURRENT_SESSIONS?: string;
+	DAILY_AUDIO_SECONDS?: string;
+	DAILY_TTS_CHARACTERS?: string;
+	USAGE_STORE?: string;
+	METRICS_WINDOW_MINUTES?: string;
+	NODE_ENV?: string;
+	LOG_LEVEL?: string;
+	LOG_FORMAT?: string;
+}
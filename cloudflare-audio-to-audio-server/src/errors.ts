@@ -0,0 +1,256 @@
+// Error messages sent to clients
+// Every `error` message is built here from the thrown error, so clients can act on a stable code instead of the text.
+
+import type { Stage } from './failover.js';
+import { ProviderError, isRetryableError } from './lib/provider-error.js';
+import type { QuotaName } from './lib/usage-quota.js';
+import { ProtocolError } from './lib/protocol.js';
+
+export type ErrorCode =
+	| 'empty_transcription' // Nothing was heard in the audio
+	| 'invalid_conversation' // Malformed conversation ID
+	| 'unsupported_audio_format'
+	| 'unsupported_framing'
+	| 'invalid_message' // The client sent something the session cannot act on
+	| 'unknown_message_type'
+	| 'feature_not_enabled' // The connection's hello did not negotiate the feature the message needs
+	| 'handshake_required' // A version 2 connection sent a message before session.hello
+	| 'unsupported_protocol_version'
+	| 'missing_prompt_variables' // The session's persona needs variables the client has not set
+	| 'quota_exceeded' // The user is over one of their usage limits
+	| 'rate_limited' // A provider asked us to slow down
+	| 'provider_unavailable' // Every provider of the stage is down or unreachable
+	| 'provider_error' // A provider refused the request, e.g. a bad key or unknown model
+	| 'internal_error';
+
+// 'session' covers everything outside the provider stages: messages, framing, conversations
+export type ErrorStage = Stage | 'session';
+
+// The `error` message on the wire
+export interface ErrorMessage {
+	type: 'error';
+	code: ErrorCode;
+	stage: ErrorStage;
+	retryable: boolean; // Whether sending the same request again later may work
+	retryAfterMs?: number; // The provider's requested wait, when it gave one
+	turnId: number | null;
+	message: string; // For the user, in the session's locale
+	detail?: string; // For the developer; only for errors caused by the client's own input
+	errorType: string; // Pre-code classification, kept for older clients
+	[extra: string]: unknown;
+}
+
+// Thrown for failures the session detects itself; the message becomes `detail`
+export class SessionError extends Error {
+	readonly code: ErrorCode;
+
+	constructor(code: ErrorCode, message: string = code) {
+		super(message);
+		this.name = 'SessionError';
+		this.code = code;
+	}
+}
+
+// `resetAt` is null for limits the user frees up themselves, i.e. by closing a session
+export class QuotaExceededError extends SessionError {
+	readonly quota: QuotaName;
+	readonly limit: number;
+	readonly resetAt: number | null;
+
+	constructor(quota: QuotaName, limit: number, resetAt: number | null) {
+		super('quota_exceeded', `${quota} limit of ${limit} reached`);
+		this.name = 'QuotaExceededError';
+		this.quota = quota;
+		this.limit = limit;
+		this.resetAt = resetAt;
+	}
+}
+
+export interface ErrorContext {
+	stage?: ErrorStage;
+	turnId?: number | null;
+	locale?: string;
+	extra?: Record<string, unknown>; // Additional fields, e.g. the chunk index of a failed audio chunk
+}
+
+export function createErrorMessage(error: unknown, context: ErrorContext = {}): ErrorMessage {
+	const stage = context.stage || 'session';
+	const { code, retryable, retryAfterMs, detail, fields } = classifyError(error, stage);
+
+	return {
+		...context.extra,
+		...fields,
+		type: 'error',
+		code,
+		stage,
+		retryable,
+		...(retryAfterMs !== undefined && { retryAfterMs }),
+		turnId: context.turnId ?? null,
+		message: getLocalizedMessage(code, stage, context.locale),
+		...(detail && { detail }),
+		errorType: getLegacyErrorType(code, stage, context.extra)
+	};
+}
+
+interface Classification {
+	code: ErrorCode;
+	retryable: boolean;
+	retryAfterMs?: number;
+	detail?: string;
+	fields?: Record<string, unknown>; // Specific to the code
+}
+
+function classifyError(error: unknown, stage: ErrorStage): Classification {
+	if (error instanceof QuotaExceededError) {
+		return {
+			code: 'quota_exceeded',
+			retryable: true,
+			retryAfterMs: error.resetAt === null ? undefined : Math.max(0, error.resetAt - Date.now()),
+			detail: error.message,
+			fields: {
+				quota: error.quota,
+				limit: error.limit,
+				resetAt: error.resetAt === null ? null : new Date(error.resetAt).toISOString()
+			}
+		};
+	}
+	if (error instanceof ProtocolError) {
+		return {
+			code: error.reason,
+			retryable: false,
+			detail: error.message,
+			fields: {
+				...(error.field && { field: error.field }),
+				...(error.messageType && { messageType: error.messageType }),
+				...(error.feature && { feature: error.feature })
+			}
+		};
+	}
+	if (error instanceof SessionError) {
+		return { code: error.code, retryable: false, detail: error.message === error.code ? undefined : error.message };
+	}
+	if (stage === 'session') {
+		return { code: 'internal_error', retryable: false };
+	}
+
+	if (error instanceof ProviderError) {
+		if (error.status === 429) {
+			return { code: 'rate_limited', retryable: true, retryAfterMs: error.retryAfterMs };
+		}
+		if (!isRetryableError(error)) {
+			return { code: 'provider_error', retryable: false };
+		}
+		return { code: 'provider_unavailable', retryable: true, retryAfterMs: error.retryAfterMs };
+	}
+	// Adapters report connection failures as ProviderError too, so anything else is a bug here
+	return { code: 'internal_error', retryable: false };
+}
+
+// Codes the SDK emitted as `errorType` before `code` existed
+function getLegacyErrorType(code: ErrorCode, stage: ErrorStage, extra?: Record<string, unknown>): string {
+	if (extra?.chunkIndex !== undefined) return 'audio_chunk_error';
+	switch (code) {
+		case 'empty_transcription': return 'transcription_error';
+		case 'invalid_conversation':
+		case 'unsupported_audio_format':
+		case 'unsupported_framing':
+		case 'quota_exceeded':
+			return code;
+		case 'rate_limited':
+		case 'provider_unavailable':
+		case 'provider_error':
+			return stage === 'llm' ? 'ai_error' : 'service_error';
+		default:
+			return 'general_error';
+	}
+}
+
+type MessageCatalog = Partial<Record<ErrorCode | `${ErrorCode}:${Stage}`, string>>;
+
+// `code:stage` entries take precedence over the plain code; English is the fallback for anything missing
+const MESSAGES: Record<string, MessageCatalog> = {
+	en: {
+		'empty_transcription': 'Could not transcribe audio. Please try speaking more clearly.',
+		'invalid_conversation': 'Invalid conversation ID.',
+		'unsupported_audio_format': 'This audio format is not supported.',
+		'unsupported_framing': 'This audio framing is not supported.',
+		'invalid_message': 'The request could not be processed.',
+		'unknown_message_type': 'The request could not be processed.',
+		'feature_not_enabled': 'This app version does not support the request.',
+		'handshake_required': 'The connection is not ready yet.',
+		'unsupported_protocol_version': 'This app version is not supported. Please update the app.',
+		'missing_prompt_variables': 'The assistant is missing some required settings.',
+		'quota_exceeded': 'You have reached your usage limit. Please try again later.',
+		'rate_limited': 'The service is busy right now. Please try again in a moment.',
+		'provider_unavailable': 'Audio processing service is temporarily unavailable.',
+		'provider_unavailable:llm': 'AI response service is temporarily unavailable.',
+		'provider_error': 'Audio processing service could not handle the request.',
+		'provider_error:llm': 'AI response service could not handle the request.',
+		'internal_error': 'An error occurred while processing your request.'
+	},
+	es: {
+		'empty_transcription': 'No se pudo transcribir el audio. Intenta hablar con más claridad.',
+		'invalid_conversation': 'ID de conversación no válido.',
+		'unsupported_audio_format': 'Este formato de audio no es compatible.',
+		'unsupported_framing': 'Este formato de envío de audio no es compatible.',
+		'invalid_message': 'No se pudo procesar la solicitud.',
+		'unknown_message_type': 'No se pudo procesar la solicitud.',
+		'feature_not_enabled': 'Esta versión de la aplicación no admite la solicitud.',
+		'handshake_required': 'La conexión todavía no está lista.',
+		'unsupported_protocol_version': 'Esta versión de la aplicación no es compatible. Actualiza la aplicación.',
+		'missing_prompt_variables': 'Faltan algunos ajustes necesarios del asistente.',
+		'quota_exceeded': 'Has alcanzado tu límite de uso. Inténtalo de nuevo más tarde.',
+		'rate_limited': 'El servicio está ocupado en este momento. Inténtalo de nuevo en un momento.',
+		'provider_unavailable': 'El servicio de audio no está disponible temporalmente.',
+		'provider_unavailable:llm': 'El servicio de respuestas de IA no está disponible temporalmente.',
+		'provider_error': 'El servicio de audio no pudo procesar la solicitud.',
+		'provider_error:llm': 'El servicio de respuestas de IA no pudo procesar la solicitud.',
+		'internal_error': 'Se produjo un error al procesar tu solicitud.'
+	},
+	fr: {
+		'empty_transcription': "Impossible de transcrire l'audio. Essayez de parler plus distinctement.",
+		'invalid_conversation': 'Identifiant de conversation invalide.',
+		'unsupported_audio_format': "Ce format audio n'est pas pris en charge.",
+		'unsupported_framing': "Ce mode d'envoi audio n'est pas pris en charge.",
+		'invalid_message': "La demande n'a pas pu être traitée.",
+		'unknown_message_type': "La demande n'a pas pu être traitée.",
+		'feature_not_enabled': "Cette version de l'application ne prend pas en charge la demande.",
+		'handshake_required': "La connexion n'est pas encore prête.",
+		'unsupported_protocol_version': "Cette version de l'application n'est pas prise en charge. Veuillez mettre à jour l'application.",
+		'missing_prompt_variables': "Il manque certains réglages obligatoires de l'assistant.",
+		'quota_exceeded': "Vous avez atteint votre limite d'utilisation. Veuillez réessayer plus tard.",
+		'rate_limited': 'Le service est très sollicité. Veuillez réessayer dans un instant.',
+		'provider_unavailable': 'Le service audio est temporairement indisponible.',
+		'provider_unavailable:llm': "Le service de réponse de l'IA est temporairement indisponible.",
+		'provider_error': "Le service audio n'a pas pu traiter la demande.",
+		'provider_error:llm': "Le service de réponse de l'IA n'a pas pu traiter la demande.",
+		'internal_error': 'Une erreur est survenue lors du traitement de votre demande.'
+	},
+	de: {
+		'empty_transcription': 'Die Aufnahme konnte nicht transkribiert werden. Bitte sprich deutlicher.',
+		'invalid_conversation': 'Ungültige Gesprächs-ID.',
+		'unsupported_audio_format': 'Dieses Audioformat wird nicht unterstützt.',
+		'unsupported_framing': 'Diese Audioübertragung wird nicht unterstützt.',
+		'invalid_message': 'Die Anfrage konnte nicht verarbeitet werden.',
+		'unknown_message_type': 'Die Anfrage konnte nicht verarbeitet werden.',
+		'feature_not_enabled': 'Diese App-Version unterstützt die Anfrage nicht.',
+		'handshake_required': 'Die Verbindung ist noch nicht bereit.',
+		'unsupported_protocol_version': 'Diese App-Version wird nicht unterstützt. Bitte aktualisiere die App.',
+		'missing_prompt_variables': 'Dem Assistenten fehlen einige erforderliche Einstellungen.',
+		'quota_exceeded': 'Du hast dein Nutzungslimit erreicht. Bitte versuche es später noch einmal.',
+		'rate_limited': 'Der Dienst ist gerade ausgelastet. Bitte versuche es gleich noch einmal.',
+		'provider_unavailable': 'Der Audiodienst ist vorübergehend nicht erreichbar.',
+		'provider_unavailable:llm': 'Der KI-Antwortdienst ist vorübergehend nicht erreichbar.',
+		'provider_error': 'Der Audiodienst konnte die Anfrage nicht verarbeiten.',
+		'provider_error:llm': 'Der KI-Antwortdienst konnte die Anfrage nicht verarbeiten.',
+		'internal_error': 'Bei der Verarbeitung deiner Anfrage ist ein Fehler aufgetreten.'
+	}
+};
+
+// Matches on the language subtag, so 'es-MX' gets Spanish
+function getLocalizedMessage(code: ErrorCode, stage: ErrorStage, locale?: string): string {
+	const language = (locale || 'en').split(/[-_]/)[0].toLowerCase();
+	const catalog = MESSAGES[language] || MESSAGES.en;
+	const key = `${code}:${stage}` as keyof MessageCatalog;
+	return catalog[key] || catalog[code] || MESSAGES.en[key] || MESSAGES.en[code] || MESSAGES.en.internal_error!;
+}
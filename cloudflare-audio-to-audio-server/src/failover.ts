@@ -0,0 +1,43 @@
+// Provider failover setup
+// STT_FALLBACKS, LLM_FALLBACKS and TTS_FALLBACKS list the providers to try, in order, after the session's own choice.
+
+import type { Env } from './env.js';
+import { CircuitBreakerRegistry } from './lib/circuit-breaker.js';
+
+export type Stage = 'stt' | 'llm' | 'tts';
+
+// Which provider answered a stage of a turn, reported to the client with turn.done
+export interface StageProvider {
+	provider: string;
+	model: string;
+	voice?: string; // Text-to-speech only
+	failedOver: boolean; // An earlier provider in the chain was down or its circuit was open
+}
+
+// Module scope, so every session in this isolate shares what it learns about a provider's health
+let circuitBreakers: CircuitBreakerRegistry | null = null;
+
+export function getCircuitBreakers(env: Env): CircuitBreakerRegistry {
+	circuitBreakers ??= new CircuitBreakerRegistry({
+		failureThreshold: parseInt(env.CIRCUIT_BREAKER_THRESHOLD || '', 10) || undefined,
+		cooldownMs: parseInt(env.CIRCUIT_BREAKER_COOLDOWN_MS || '', 10) || undefined
+	});
+	return circuitBreakers;
+}
+
+// STT_MODELS, LLM_MODELS and TTS_MODELS list the models a session may pick besides each provider's default, as
+// comma-separated `provider:model` entries
+export function isListedModel(list: string | undefined, provider: string, model: string): boolean {
+	return (list || '').split(',').some(entry => entry.trim() === `${provider}:${model}`);
+}
+
+// The first choice followed by the configured fallbacks this deployment has credentials for
+export function getProviderChain<P extends string>(first: P, fallbacks: string | undefined, available: P[]): P[] {
+	const chain = [first];
+	for (const name of (fallbacks || '').split(',').map(name => name.trim())) {
+		if (available.includes(name as P) && !chain.includes(name as P)) {
+			chain.push(name as P);
+		}
+	}
+	return chain;
+}
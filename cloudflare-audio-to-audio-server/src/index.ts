@@ -11,45 +11,42 @@
  * Learn more at https://developers.cloudflare.com/workers/
  */
 
-import { WhisperTranscriber } from './lib/whisper.js';
-import { getGroqChatStream } from './lib/groq.js';
-import { generateSpeech, TTSConfig } from './lib/openai-speech.js';
+import type { Env } from './env.js';
 import { verifyToken } from './lib/auth.js';
-import { getPrompt, replacePromptVariables } from './lib/prompt.js';
+import { ConversationSession, SESSION_ID_HEADER, SESSION_CLAIMS_HEADER, PROTOCOL_VERSION_HEADER, getSessionOwner } from './session.js';
+import { parseProtocolVersion, PROTOCOL_VERSIONS } from './lib/protocol.js';
+import { ConversationStore, CONVERSATION_ID_PATTERN } from './lib/conversation-store.js';
+import { createSynthesizer, resolveSpeechSettings, listVoices, getDefaultVoice } from './speech.js';
+import { getDefaultPersonaName, listPersonas } from './personas.js';
+import { UsageLimiter, getUsageLimiter, resolveQuotaLimits, assertAllowed } from './limiter.js';
+import { createErrorMessage, QuotaExceededError } from './errors.js';
+import { getUsageStore, isAdmin, parseUsageQuery } from './usage.js';
+import { TurnMetrics, summarizeTurnMetrics } from './metrics.js';
+import { setupLogging, getRequestId, REQUEST_ID_HEADER } from './logging.js';
+import { logger, Logger } from './lib/logger.js';
 
-interface Env {
-	JWT_SECRET: string;
-	OPENAI_API_KEY: string;
-	GROQ_API_KEY: string;
-	OPENAI_PROJECT_ID: string;
-	CUSTOM_PROMPT?: string;
-	TRANSCRIPTION_LANGUAGE?: string;
-	TRANSCRIPTION_PROMPT?: string;
-	TTS_VOICE?: string;
-	TTS_MODEL?: string;
-	GROQ_MODEL?: string;
-	GOOGLE_SEARCH_API_KEY?: string;
-	GOOGLE_SEARCH_ENGINE_ID?: string;
-	ENABLE_GOOGLE_SEARCH?: string;
-}
+// Durable Object classes must be exported from the Worker entry point
+export { ConversationSession, UsageLimiter, TurnMetrics };
+
+// Client-chosen session IDs are scoped to the token's user, so they only need to be hard to guess
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
 
 export default {
 	async fetch(request: Request, env: Env, ctx: ExecutionContext): Promise<Response> {
+		setupLogging(env);
 		const url = new URL(request.url);
-		console.log('🌐 Incoming request:', request.method, url.pathname);
-		console.log('📍 Full URL:', url.toString());
-		console.log('🔧 Request headers:', JSON.stringify([...request.headers.entries()], null, 2));
+		const requestId = getRequestId(request);
+		const log = logger.child({ requestId });
+		log.debug('Incoming request', { method: request.method, path: url.pathname });
 		
 		// Handle CORS preflight requests
 		if (request.method === 'OPTIONS') {
-			console.log('🔄 Handling CORS preflight request');
 			return handleCORS(request);
 		}
 		
 		// Handle WebSocket upgrade for /ws
 		if (url.pathname === '/ws') {
-			console.log('🔌 Routing to WebSocket upgrade handler');
-			return handleWebSocketUpgrade(request, env);
+			return handleWebSocketUpgrade(request, env, requestId, log);
 		}
 		
 		// Handle regular HTTP routes
@@ -66,15 +63,37 @@ export default {
 				break;
 			
 			case '/api/generate-audio':
-				response = await handleGenerateAudio(request, env);
+				response = await handleGenerateAudio(request, env, ctx, log);
+				break;
+			
+			case '/api/voices':
+				response = await handleVoicesRequest(request, env, url);
+				break;
+			
+			case '/api/personas':
+				response = await handlePersonasRequest(request, env);
+				break;
+			
+			case '/api/usage':
+				response = await handleUsageRequest(request, env, url, log);
+				break;
+			
+			case '/api/metrics':
+				response = await handleMetricsRequest(request, env, log);
 				break;
 			
 			default:
-				response = new Response('Not Found', { status: 404 });
+				if (url.pathname.startsWith('/api/conversations')) {
+					response = await handleConversationsRequest(request, env, url, log);
+				} else {
+					response = new Response('Not Found', { status: 404 });
+				}
 		}
 		
 		// Add CORS headers to all responses
-		return addCORSHeaders(response);
+		const corsResponse = addCORSHeaders(response);
+		corsResponse.headers.set(REQUEST_ID_HEADER, requestId);
+		return corsResponse;
 	},
 } satisfies ExportedHandler<Env>;
 
@@ -85,7 +104,7 @@ function handleCORS(request: Request): Response {
 		headers: {
 			'Access-Control-Allow-Origin': '*',
 			'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-			'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+			'Access-Control-Allow-Headers': `Content-Type, Authorization, ${REQUEST_ID_HEADER}`,
 			'Access-Control-Max-Age': '86400',
 		},
 	});
@@ -95,382 +114,161 @@ function addCORSHeaders(response: Response): Response {
 	const newResponse = new Response(response.body, response);
 	newResponse.headers.set('Access-Control-Allow-Origin', '*');
 	newResponse.headers.set('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-	newResponse.headers.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+	newResponse.headers.set('Access-Control-Allow-Headers', `Content-Type, Authorization, ${REQUEST_ID_HEADER}`);
+	newResponse.headers.set('Access-Control-Expose-Headers', REQUEST_ID_HEADER);
 	return newResponse;
 }
 
-async function handleWebSocketUpgrade(request: Request, env: Env): Promise<Response> {
-	console.log('🔌 WebSocket upgrade request received');
-	
+async function handleWebSocketUpgrade(request: Request, env: Env, requestId: string, log: Logger): Promise<Response> {
 	const url = new URL(request.url);
-	console.log('📍 WebSocket URL:', url.toString());
 	
 	const upgradeHeader = request.headers.get('Upgrade');
-	console.log('🔄 Upgrade header:', upgradeHeader);
-	
 	if (!upgradeHeader || upgradeHeader !== 'websocket') {
-		console.log('❌ Invalid upgrade header, expected websocket');
+		log.info('WebSocket upgrade refused, expected Upgrade: websocket', { upgrade: upgradeHeader });
 		return new Response('Expected Upgrade: websocket', { status: 426 });
 	}
 	
 	// Verify JWT token from query parameter
 	const token = url.searchParams.get('token');
-	console.log('🔑 Token received:', token ? `${token.substring(0, 50)}...` : 'null');
-	
 	if (!token) {
-		console.log('❌ No token provided in query parameters');
+		log.info('WebSocket upgrade refused, no token');
 		return new Response('Missing token', { status: 401 });
 	}
 	
+	let decoded: any;
 	try {
-		console.log('🔐 Verifying JWT token...');
-		console.log('🔧 Environment check - JWT_SECRET exists:', !!env.JWT_SECRET);
-		console.log('🔧 Environment check - JWT_SECRET length:', env.JWT_SECRET?.length || 0);
-		const decoded = await verifyToken(token, env.JWT_SECRET);
-		console.log('✅ Token verification successful:', JSON.stringify(decoded, null, 2));
+		decoded = await verifyToken(token, env.JWT_SECRET);
 	} catch (error) {
-		console.log('❌ Token verification failed:', error);
+		log.info('WebSocket upgrade refused, invalid token');
 		return new Response('Invalid token', { status: 401 });
 	}
 	
+	// Reconnecting clients pass the session ID from their welcome or session.capabilities message; everyone else gets a new session
+	const sessionId = url.searchParams.get('sessionId') || crypto.randomUUID();
+	if (!SESSION_ID_PATTERN.test(sessionId)) {
+		log.info('WebSocket upgrade refused, invalid session ID');
+		return new Response('Invalid sessionId', { status: 400 });
+	}
+	
+	// Version 2 clients pass ?protocol=2 and open with session.hello; without it the connection speaks version 1
+	const protocol = parseProtocolVersion(url.searchParams.get('protocol'));
+	if (!protocol) {
+		log.info('WebSocket upgrade refused, unsupported protocol version');
+		return new Response(`Unsupported protocol version, supported: ${PROTOCOL_VERSIONS.join(', ')}`, { status: 400 });
+	}
+
 	try {
-		console.log('🔧 Creating WebSocket pair...');
-		// Create WebSocket pair
-		const webSocketPair = new WebSocketPair();
-		const [client, server] = Object.values(webSocketPair);
-		
-		console.log('✅ WebSocket pair created successfully');
-		console.log('🎯 Accepting server WebSocket...');
-		server.accept();
-		console.log('✅ Server WebSocket accepted');
-		
-		// Handle WebSocket connection
-		console.log('🚀 Starting WebSocket connection handler...');
-		try {
-			handleWebSocketConnection(server, env);
-		} catch (handlerError) {
-			console.error('❌ Error in WebSocket connection handler:', handlerError);
-		}
+		// One Durable Object per user and session, so a session ID cannot be used to join someone else's conversation
+		const owner = getSessionOwner(decoded);
+		const stub = env.CONVERSATION_SESSIONS.get(env.CONVERSATION_SESSIONS.idFromName(`${owner}:${sessionId}`));
+
+		const headers = new Headers(request.headers);
+		headers.set(SESSION_ID_HEADER, sessionId);
+		headers.set(SESSION_CLAIMS_HEADER, JSON.stringify(decoded));
+		headers.set(PROTOCOL_VERSION_HEADER, String(protocol));
+		headers.set(REQUEST_ID_HEADER, requestId);
 		
-		console.log('✅ WebSocket upgrade completed, returning response');
-		return new Response(null, {
-			status: 101,
-			webSocket: client,
-		});
+		log.debug('Forwarding WebSocket to session', { sessionId });
+		return await stub.fetch(new Request(request, { headers }));
 	} catch (error) {
-		console.log('❌ Error during WebSocket setup:', error);
+		log.error('WebSocket setup failed', error);
 		return new Response('WebSocket setup failed', { status: 500 });
 	}
 }
 
-function handleWebSocketConnection(ws: WebSocket, env: Env) {
-	console.log('🔗 WebSocket connection handler started');
-	
-	let isProcessing = false;
-	let isCancelled = false;
-	let currentGroqStream: any = null;
-	let userId: string | null = null;
-	let username: string | null = null;
-	let whisperTranscriber: WhisperTranscriber | null = null;
+async function handleGenerateAudio(request: Request, env: Env, ctx: ExecutionContext, log: Logger): Promise<Response> {
+	// Simple authentication for API endpoint
+	const authHeader = request.headers.get('Authorization');
+	if (!authHeader) {
+		return new Response('Missing Authorization header', { status: 401 });
+	}
 	
-	// Send immediate welcome message to confirm connection
-	console.log('📤 Sending welcome message...');
+	let decoded: any;
 	try {
-		ws.send(JSON.stringify({
-			type: 'welcome',
-			message: 'WebSocket connection established successfully!',
-			timestamp: new Date().toISOString()
-		}));
-		console.log('✅ Welcome message sent');
+		decoded = await verifyToken(authHeader, env.JWT_SECRET);
 	} catch (error) {
-		console.error('❌ Failed to send welcome message:', error);
+		return new Response('Invalid token', { status: 401 });
 	}
 	
-	console.log('✅ WebSocket connection handler setup complete');
-	
-	ws.addEventListener('message', async (event) => {
-		console.log('📨 WebSocket message received, data length:', (event.data as string).length);
-		
-		try {
-			const data = JSON.parse(event.data as string);
-			console.log('📋 Parsed message type:', data.type);
-			console.log('📊 Message data keys:', Object.keys(data));
-			
-			if (data.type === 'audio' && data.audio) {
-				console.log('🎵 Processing audio message...');
-				console.log('🔊 Audio data length:', data.audio.length);
-				
-				const audioBuffer = base64ToArrayBuffer(data.audio);
-				console.log('🔄 Converted to ArrayBuffer, size:', audioBuffer.byteLength);
-				
-				const clientContext = {
-					userId: data.userId,
-					username: data.username,
-					additionalPrompt: data.additionalPrompt,
-					history: data.history,
-					useStreaming: data.useStreaming
-				};
-				console.log('📝 Client context:', JSON.stringify(clientContext, null, 2));
-				
-				await processAudioInput(audioBuffer, clientContext, ws, env);
-			} else if (data.type === 'cancel') {
-				console.log('🛑 Received cancel request');
-				handleCancellation();
-			} else if (data.type === 'test') {
-				console.log('🧪 Received test message, sending response...');
-				ws.send(JSON.stringify({
-					type: 'test_response',
-					message: 'Test message received successfully!',
-					timestamp: new Date().toISOString()
-				}));
-				console.log('✅ Test response sent');
-			} else {
-				console.warn('❓ Received unknown message type:', data.type);
-				console.log('📄 Full message data:', JSON.stringify(data, null, 2));
-			}
-		} catch (error) {
-			console.error('❌ Error processing message:', error);
-			console.error('📄 Raw message data:', event.data);
-			
-			try {
-				ws.send(JSON.stringify({
-					type: 'error',
-					message: 'Error processing message: ' + (error as Error).message
-				}));
-			} catch (sendError) {
-				console.error('❌ Failed to send error message:', sendError);
-			}
+	try {
+		const { text, speech } = await request.json() as { text: string; speech?: unknown };
+		if (!text) {
+			return new Response('Text is required', { status: 400 });
 		}
 		
-		console.log('✅ Message processing completed');
-	});
-	
-	ws.addEventListener('close', (event) => {
-		console.log('🔌 WebSocket connection closed');
-		console.log('📊 Close code:', event.code, 'Reason:', event.reason);
-		console.log('🧹 Starting cleanup...');
-		cleanup();
-	});
-	
-	ws.addEventListener('error', (error) => {
-		console.error('❌ WebSocket connection error:', error);
-		console.log('🧹 Starting cleanup due to error...');
-		cleanup();
-	});
-	
-	async function processAudioInput(audioBuffer: ArrayBuffer, clientContext: any, ws: WebSocket, env: Env) {
-		if (isProcessing) {
-			console.log('Already processing, ignoring new input');
-			return;
-		}
+		const owner = getSessionOwner(decoded);
+		const limiter = getUsageLimiter(env, owner);
+		assertAllowed(await limiter.checkRequest(resolveQuotaLimits(env, decoded)));
 		
-		isProcessing = true;
-		isCancelled = false;
+		// Streaming providers start sending audio before the whole text is synthesized
+		const synthesizer = createSynthesizer(env, resolveSpeechSettings(env, speech));
+		const startedAt = Date.now();
+		const audio = synthesizer.stream ? await synthesizer.stream(text) : await synthesizer.synthesize(text);
+		await limiter.recordUsage({ ttsCharacters: text.length });
+		ctx.waitUntil(getUsageStore(env).record({
+			userId: owner,
+			source: 'generate_audio',
+			createdAt: new Date().toISOString(),
+			audioSeconds: 0,
+			promptTokens: 0,
+			completionTokens: 0,
+			ttsProvider: synthesizer.provider,
+			ttsModel: synthesizer.model,
+			ttsVoice: synthesizer.voice,
+			ttsCharacters: text.length,
+			ttsLatencyMs: Date.now() - startedAt
+		}).catch(error => log.error('Failed to record usage', error)));
 		
-		try {
-			// Initialize whisper transcriber lazily
-			if (!whisperTranscriber) {
-				console.log('🎤 Initializing Whisper transcriber...');
-				const whisperConfig = {
-					language: env.TRANSCRIPTION_LANGUAGE,
-					prompt: env.TRANSCRIPTION_PROMPT
-				};
-				whisperTranscriber = new WhisperTranscriber(env.OPENAI_API_KEY, whisperConfig);
-				console.log('✅ Whisper transcriber initialized');
-			}
-			
-			console.log('Starting transcription...');
-			const transcription = await whisperTranscriber.transcribeAudio(audioBuffer);
-			console.log('Transcription result:', transcription);
-			
-			if (isCancelled) {
-				console.log('Cancelled during transcription, stopping processing');
-				return;
-			}
-			
-			if (!transcription || transcription.trim().length === 0) {
-				throw new Error('empty_transcription');
-			}
-			
-			ws.send(JSON.stringify({
-				type: 'caption',
-				output: JSON.stringify(transcription.trim())
-			}));
-			
-			console.log('Starting Groq chat stream...');
-			let llmResponse = '';
-			const currentPrompt = getPrompt(env.CUSTOM_PROMPT);
-			const contextStack = [currentPrompt]; // Start with the system prompt
-			
-			// Add user context to system messages
-			if (userId) contextStack.unshift({ role: 'system', content: `User ID: ${userId}` });
-			if (username) contextStack.unshift({ role: 'system', content: `Username: ${username}` });
-			
-			// Format the user message using the prompt template
-			let formattedUserMessage = transcription;
-			
-			if (clientContext) {
-				console.log('🔍 Processing client context:', JSON.stringify(clientContext, null, 2));
-				if (clientContext.userId) {
-					userId = clientContext.userId;
-					console.log('📝 Extracted userId:', userId);
-				}
-				if (clientContext.username) {
-					username = clientContext.username;
-					console.log('📝 Extracted username:', username);
-				} else {
-					console.log('⚠️ No username found in client context, using fallback');
-				}
-				
-				// Format conversation history
-				let conversationHistory = '';
-				if (clientContext.history) {
-					let parsedHistory;
-					if (typeof clientContext.history === 'string') {
-						try {
-							parsedHistory = JSON.parse(clientContext.history);
-						} catch (error) {
-							console.error('Error parsing history:', error);
-							parsedHistory = [];
-						}
-					} else if (Array.isArray(clientContext.history)) {
-						parsedHistory = clientContext.history;
-					} else {
-						parsedHistory = [];
-					}
-					
-					// Format history as a readable conversation
-					// Clean up any legacy placeholders in historical messages first
-					console.log('🧹 Cleaning legacy placeholders from conversation history...');
-					const cleanedHistory = parsedHistory.map((msg: any) => {
-						const originalContent = msg.content;
-						const cleanedContent = msg.content?.replace(/\{\$username\}/g, username || 'user');
-						if (originalContent !== cleanedContent) {
-							console.log(`🔧 Replaced placeholder in message: "${originalContent}" -> "${cleanedContent}"`);
-						}
-						return {
-							...msg,
-							content: cleanedContent
-						};
-					});
-					console.log('✅ Legacy placeholder cleanup completed');
-					
-					conversationHistory = cleanedHistory.map((msg: any, idx: number) => {
-						const formattedMsg = formatHistoricalMessage(msg, idx);
-						const speaker = formattedMsg.role === 'user' ? 'User' : 'Assistant';
-						return `${speaker}: ${formattedMsg.content}`;
-					}).join('\n');
-				}
-				
-				// Create formatted user message by replacing placeholders in the prompt content
-				formattedUserMessage = replacePromptVariables(currentPrompt.content, {
-					username: username || 'User',
-					conversationHistory: conversationHistory || 'No previous conversation.',
-					userMessage: transcription,
-					additionalPrompt: clientContext.additionalPrompt || ''
-				});
-			}
-			
-			const groqOptions = {
-				model: env.GROQ_MODEL,
-				enableGoogleSearch: env.ENABLE_GOOGLE_SEARCH === 'true',
-				googleSearchApiKey: env.GOOGLE_SEARCH_API_KEY,
-				googleSearchEngineId: env.GOOGLE_SEARCH_ENGINE_ID
-			};
-			
-			currentGroqStream = getGroqChatStream(formattedUserMessage, contextStack, env.GROQ_API_KEY, groqOptions);
-			
-			// Buffer for audio streaming
-			let textBuffer = '';
-			const audioChunkSize = 50; // Generate audio every 50 characters
-			let audioChunkIndex = 0;
-			
-			for await (const chunk of currentGroqStream) {
-				if (isCancelled) {
-					console.log('Cancelled during LLM response, stopping processing');
-					break;
-				}
-				llmResponse += chunk;
-				textBuffer += chunk;
-				
-				ws.send(JSON.stringify({
-					type: 'groq_response_chunk',
-					output: chunk
-				}));
-				
-				// Generate audio chunk when buffer reaches threshold
-				if (clientContext.useStreaming && textBuffer.length >= audioChunkSize) {
-					try {
-						console.log(`Generating audio chunk ${audioChunkIndex} with text:`, textBuffer);
-						await handleStreamingAudioChunk(ws, textBuffer, audioChunkIndex, env);
-						audioChunkIndex++;
-						textBuffer = ''; // Reset buffer
-					} catch (error) {
-						console.error('Error generating audio chunk:', error);
-						// Continue with text streaming even if audio fails
-					}
-				}
-			}
-			
-			if (isCancelled) return;
-			
-			ws.send(JSON.stringify({
-				type: 'groq_response_end',
-				output: llmResponse.trim()
-			}));
-			
-			// Handle remaining text buffer
-			if (clientContext.useStreaming && textBuffer.length > 0) {
-				try {
-					console.log(`Generating final audio chunk ${audioChunkIndex} with text:`, textBuffer);
-					await handleStreamingAudioChunk(ws, textBuffer, audioChunkIndex, env);
-					audioChunkIndex++;
-				} catch (error) {
-					console.error('Error generating final audio chunk:', error);
-				}
-				
-				// Send audio stream end signal
-				ws.send(JSON.stringify({
-					type: 'audio_stream_end',
-					totalChunks: audioChunkIndex
-				}));
-			} else if (!clientContext.useStreaming) {
-				// Fallback to complete audio response
-				console.log('Generating complete audio response');
-				await handleAudioResponse(ws, llmResponse, env);
-			}
-			
-		} catch (error) {
-			await handleError(error as Error, ws);
-		} finally {
-			isProcessing = false;
-			ws.send(JSON.stringify({ type: 'processing_end' }));
+		return new Response(audio, {
+			headers: { 'Content-Type': 'audio/mpeg' }
+		});
+	} catch (error) {
+		if (error instanceof QuotaExceededError) {
+			return quotaExceededResponse(error);
 		}
+		log.error('Error generating audio', error);
+		return new Response('Error generating audio', { status: 500 });
+	}
+}
+
+// GET /api/voices: voices of every configured speech provider, optionally filtered by ?provider= and ?language=
+async function handleVoicesRequest(request: Request, env: Env, url: URL): Promise<Response> {
+	if (request.method !== 'GET') {
+		return new Response('Method Not Allowed', { status: 405, headers: { 'Allow': 'GET' } });
 	}
 	
-	function handleCancellation() {
-		isCancelled = true;
-		if (currentGroqStream && currentGroqStream.cancel) {
-			console.log('Cancelling current Groq stream');
-			currentGroqStream.cancel();
-		}
-		currentGroqStream = null;
-		isProcessing = false;
-		ws.send(JSON.stringify({ type: 'cancelled' }));
-		console.log('Cancel process completed');
+	const authHeader = request.headers.get('Authorization');
+	if (!authHeader) {
+		return new Response('Missing Authorization header', { status: 401 });
 	}
 	
-	function cleanup() {
-		if (currentGroqStream && currentGroqStream.cancel) {
-			currentGroqStream.cancel();
-		}
-		currentGroqStream = null;
-		isProcessing = false;
+	try {
+		await verifyToken(authHeader, env.JWT_SECRET);
+	} catch (error) {
+		return new Response('Invalid token', { status: 401 });
+	}
+	
+	const provider = url.searchParams.get('provider');
+	const language = url.searchParams.get('language')?.toLowerCase();
+	
+	let voices = await listVoices(env);
+	if (provider) {
+		voices = voices.filter(voice => voice.provider === provider);
+	}
+	if (language) {
+		// Multilingual voices can speak any requested language
+		voices = voices.filter(voice => voice.language === language || voice.language === 'multi');
 	}
+	
+	return jsonResponse({ voices, default: getDefaultVoice(env) });
 }
 
-async function handleGenerateAudio(request: Request, env: Env): Promise<Response> {
-	// Simple authentication for API endpoint
+// GET /api/personas: the personas a session can select and the variables they take; prompts stay on the server
+async function handlePersonasRequest(request: Request, env: Env): Promise<Response> {
+	if (request.method !== 'GET') {
+		return new Response('Method Not Allowed', { status: 405, headers: { 'Allow': 'GET' } });
+	}
+	
 	const authHeader = request.headers.get('Authorization');
 	if (!authHeader) {
 		return new Response('Missing Authorization header', { status: 401 });
@@ -482,135 +280,145 @@ async function handleGenerateAudio(request: Request, env: Env): Promise<Response
 		return new Response('Invalid token', { status: 401 });
 	}
 	
+	const personas = (await listPersonas(env)).map(({ prompt, ...persona }) => persona);
+	return jsonResponse({ personas, default: getDefaultPersonaName(env) });
+}
+
+// GET /api/conversations, GET /api/conversations/:id and DELETE /api/conversations/:id for the token's user
+async function handleConversationsRequest(request: Request, env: Env, url: URL, log: Logger): Promise<Response> {
+	const match = /^\/api\/conversations(?:\/([^/]+))?\/?$/.exec(url.pathname);
+	if (!match) {
+		return new Response('Not Found', { status: 404 });
+	}
+
+	const authHeader = request.headers.get('Authorization');
+	if (!authHeader) {
+		return new Response('Missing Authorization header', { status: 401 });
+	}
+
+	let decoded: any;
 	try {
-		const { text } = await request.json() as { text: string };
-		if (!text) {
-			return new Response('Text is required', { status: 400 });
-		}
-		
-		const ttsConfig: TTSConfig = {
-			voice: env.TTS_VOICE,
-			model: env.TTS_MODEL
-		};
-		const mp3ArrayBuffer = await generateSpeech(text, env.OPENAI_API_KEY, ttsConfig);
-		
-		return new Response(mp3ArrayBuffer, {
-			headers: { 'Content-Type': 'audio/mpeg' }
-		});
+		decoded = await verifyToken(authHeader, env.JWT_SECRET);
 	} catch (error) {
-		console.error('Error generating audio:', error);
-		return new Response('Error generating audio', { status: 500 });
+		return new Response('Invalid token', { status: 401 });
 	}
-}
 
-async function handleAudioResponse(ws: WebSocket, text: string, env: Env) {
+	const owner = getSessionOwner(decoded);
+	const store = new ConversationStore(env.DB);
+	const conversationId = match[1];
+
 	try {
-		const ttsConfig: TTSConfig = {
-			voice: env.TTS_VOICE,
-			model: env.TTS_MODEL
-		};
-		const mp3ArrayBuffer = await generateSpeech(text, env.OPENAI_API_KEY, ttsConfig);
-		const base64Audio = arrayBufferToBase64(mp3ArrayBuffer);
-		
-		ws.send(JSON.stringify({
-			type: 'audio_response',
-			audio: base64Audio
-		}));
+		if (!conversationId) {
+			if (request.method !== 'GET') {
+				return new Response('Method Not Allowed', { status: 405, headers: { 'Allow': 'GET' } });
+			}
+
+			const page = await store.listConversations(owner, {
+				limit: parseInt(url.searchParams.get('limit') || '', 10) || undefined,
+				before: url.searchParams.get('before') || undefined
+			});
+			return jsonResponse(page);
+		}
+
+		if (!CONVERSATION_ID_PATTERN.test(conversationId)) {
+			return new Response('Invalid conversation ID', { status: 400 });
+		}
+
+		if (request.method === 'GET') {
+			const conversation = await store.getConversation(owner, conversationId);
+			return conversation ? jsonResponse(conversation) : new Response('Conversation not found', { status: 404 });
+		}
+
+		if (request.method === 'DELETE') {
+			const deleted = await store.deleteConversation(owner, conversationId);
+			return deleted ? new Response(null, { status: 204 }) : new Response('Conversation not found', { status: 404 });
+		}
+
+		return new Response('Method Not Allowed', { status: 405, headers: { 'Allow': 'GET, DELETE' } });
 	} catch (error) {
-		console.error('Error generating audio response:', error);
-		ws.send(JSON.stringify({
-			type: 'error',
-			message: 'Error generating audio response'
-		}));
+		log.error('Conversation storage error', error);
+		return new Response('Error accessing conversation storage', { status: 500 });
 	}
 }
 
-async function handleStreamingAudioChunk(ws: WebSocket, text: string, chunkIndex: number, env: Env) {
+// GET /api/usage: usage of every user between ?from= and ?to=, grouped by ?groupBy=user|day|model; admin tokens only
+async function handleUsageRequest(request: Request, env: Env, url: URL, log: Logger): Promise<Response> {
+	if (request.method !== 'GET') {
+		return new Response('Method Not Allowed', { status: 405, headers: { 'Allow': 'GET' } });
+	}
+	
+	const authHeader = request.headers.get('Authorization');
+	if (!authHeader) {
+		return new Response('Missing Authorization header', { status: 401 });
+	}
+	
+	let decoded: any;
 	try {
-		console.log(`Generating audio chunk ${chunkIndex} for text: "${text}"`);
-		const ttsConfig: TTSConfig = {
-			voice: env.TTS_VOICE,
-			model: env.TTS_MODEL
-		};
-		const mp3ArrayBuffer = await generateSpeech(text, env.OPENAI_API_KEY, ttsConfig);
-		const base64Audio = arrayBufferToBase64(mp3ArrayBuffer);
-		
-		ws.send(JSON.stringify({
-			type: 'audio_chunk',
-			chunkIndex: chunkIndex,
-			audio: base64Audio,
-			text: text
-		}));
-		
-		console.log(`Audio chunk ${chunkIndex} sent, size: ${base64Audio.length}`);
+		decoded = await verifyToken(authHeader, env.JWT_SECRET);
 	} catch (error) {
-		console.error(`Error generating audio chunk ${chunkIndex}:`, error);
-		ws.send(JSON.stringify({
-			type: 'error',
-			errorType: 'audio_chunk_error',
-			message: `Error generating audio chunk ${chunkIndex}`,
-			chunkIndex: chunkIndex
-		}));
+		return new Response('Invalid token', { status: 401 });
 	}
-}
-
-async function handleError(error: Error, ws: WebSocket) {
-	console.error('Processing error:', error);
 	
-	let errorMessage = 'An error occurred while processing your request.';
-	let errorType = 'general_error';
+	if (!isAdmin(decoded)) {
+		return new Response('Forbidden', { status: 403 });
+	}
 	
-	if (error.message === 'empty_transcription') {
-		errorMessage = 'Could not transcribe audio. Please try speaking more clearly.';
-		errorType = 'transcription_error';
-	} else if (error.message.includes('OpenAI')) {
-		errorMessage = 'Audio processing service is temporarily unavailable.';
-		errorType = 'service_error';
-	} else if (error.message.includes('Groq')) {
-		errorMessage = 'AI response service is temporarily unavailable.';
-		errorType = 'ai_error';
+	const query = parseUsageQuery(url);
+	if (typeof query === 'string') {
+		return new Response(query, { status: 400 });
 	}
 	
-	ws.send(JSON.stringify({
-		type: 'error',
-		errorType: errorType,
-		message: errorMessage
-	}));
+	try {
+		const usage = await getUsageStore(env).summarize(query);
+		return jsonResponse({ ...query, usage });
+	} catch (error) {
+		log.error('Usage storage error', error);
+		return new Response('Error accessing usage storage', { status: 500 });
+	}
 }
 
-function formatHistoricalMessage(chat: any, index: number) {
-	const validRoles = ['system', 'user', 'assistant'];
-	let role = chat.role?.toLowerCase();
+// GET /api/metrics: latency percentiles of recent turns, overall and per provider; admin tokens only
+async function handleMetricsRequest(request: Request, env: Env, log: Logger): Promise<Response> {
+	if (request.method !== 'GET') {
+		return new Response('Method Not Allowed', { status: 405, headers: { 'Allow': 'GET' } });
+	}
+	
+	const authHeader = request.headers.get('Authorization');
+	if (!authHeader) {
+		return new Response('Missing Authorization header', { status: 401 });
+	}
 	
-	if (role === 'nik') {
-		role = 'assistant';
+	let decoded: any;
+	try {
+		decoded = await verifyToken(authHeader, env.JWT_SECRET);
+	} catch (error) {
+		return new Response('Invalid token', { status: 401 });
 	}
 	
-	if (!validRoles.includes(role)) {
-		console.warn(`Invalid historical message role "${role}" at index ${index}, defaulting to "user"`);
-		role = 'user';
+	if (!isAdmin(decoded)) {
+		return new Response('Forbidden', { status: 403 });
 	}
 	
-	return {
-		role: role,
-		content: chat.content || ''
-	};
+	try {
+		return jsonResponse(await summarizeTurnMetrics(env));
+	} catch (error) {
+		log.error('Metrics error', error);
+		return new Response('Error reading metrics', { status: 500 });
+	}
 }
 
-function base64ToArrayBuffer(base64: string): ArrayBuffer {
-	const binaryString = atob(base64);
-	const bytes = new Uint8Array(binaryString.length);
-	for (let i = 0; i < binaryString.length; i++) {
-		bytes[i] = binaryString.charCodeAt(i);
+// 429 with the same error body WebSocket clients get, plus Retry-After when the quota resets at a known time
+function quotaExceededResponse(error: QuotaExceededError): Response {
+	const response = jsonResponse(createErrorMessage(error), 429);
+	if (error.resetAt !== null) {
+		response.headers.set('Retry-After', String(Math.max(1, Math.ceil((error.resetAt - Date.now()) / 1000))));
 	}
-	return bytes.buffer;
+	return response;
 }
 
-function arrayBufferToBase64(buffer: ArrayBuffer): string {
-	const bytes = new Uint8Array(buffer);
-	let binary = '';
-	for (let i = 0; i < bytes.byteLength; i++) {
-		binary += String.fromCharCode(bytes[i]);
-	}
-	return btoa(binary);
+function jsonResponse(data: unknown, status = 200): Response {
+	return new Response(JSON.stringify(data), {
+		status,
+		headers: { 'Content-Type': 'application/json' }
+	});
 }
@@ -0,0 +1,21 @@
+// Base64 helpers for Cloudflare Workers
+// Audio crosses JSON messages and provider APIs as base64
+
+export function base64ToArrayBuffer(base64: string): ArrayBuffer {
+	const binaryString = atob(base64);
+	const bytes = new Uint8Array(binaryString.length);
+	for (let i = 0; i < binaryString.length; i++) {
+		bytes[i] = binaryString.charCodeAt(i);
+	}
+	return bytes.buffer;
+}
+
+export function arrayBufferToBase64(buffer: ArrayBuffer): string {
+	const bytes = new Uint8Array(buffer);
+	const blockSize = 0x8000; // Convert in blocks instead of one string concatenation per byte
+	let binary = '';
+	for (let i = 0; i < bytes.byteLength; i += blockSize) {
+		binary += String.fromCharCode(...bytes.subarray(i, i + blockSize));
+	}
+	return btoa(binary);
+}
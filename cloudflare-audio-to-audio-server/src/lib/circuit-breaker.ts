@@ -0,0 +1,83 @@
+// Circuit breakers for Cloudflare Workers
+// Stop sending requests to a provider after repeated failures, then let a single trial request through after a cooldown
+
+export type CircuitState = 'closed' | 'open' | 'half_open';
+
+export interface CircuitBreakerOptions {
+	failureThreshold?: number; // Consecutive failures that open the circuit
+	cooldownMs?: number; // How long an open circuit rejects requests before allowing a trial
+}
+
+export const DEFAULT_FAILURE_THRESHOLD = 3;
+export const DEFAULT_COOLDOWN_MS = 30000;
+
+export class CircuitBreaker {
+	private failureThreshold: number;
+	private cooldownMs: number;
+	private failures = 0;
+	private openedAt: number | null = null;
+	private trialInFlight = false;
+
+	constructor(options: CircuitBreakerOptions = {}) {
+		this.failureThreshold = Math.max(1, options.failureThreshold || DEFAULT_FAILURE_THRESHOLD);
+		this.cooldownMs = options.cooldownMs ?? DEFAULT_COOLDOWN_MS;
+	}
+
+	get state(): CircuitState {
+		if (this.openedAt === null) return 'closed';
+		return Date.now() - this.openedAt >= this.cooldownMs ? 'half_open' : 'open';
+	}
+
+	// Whether a request may be sent now; a half-open circuit lets one trial through at a time
+	tryAcquire(): boolean {
+		switch (this.state) {
+			case 'closed':
+				return true;
+			case 'open':
+				return false;
+			case 'half_open':
+				if (this.trialInFlight) return false;
+				this.trialInFlight = true;
+				return true;
+		}
+	}
+
+	recordSuccess() {
+		this.failures = 0;
+		this.openedAt = null;
+		this.trialInFlight = false;
+	}
+
+	recordFailure() {
+		this.failures++;
+		this.trialInFlight = false;
+		// A failed trial opens the circuit again for another full cooldown
+		if (this.openedAt !== null || this.failures >= this.failureThreshold) {
+			this.openedAt = Date.now();
+		}
+	}
+
+	// For requests that ended without saying anything about the provider's health, e.g. cancelled ones
+	release() {
+		this.trialInFlight = false;
+	}
+}
+
+// One breaker per key, created on first use
+export class CircuitBreakerRegistry {
+	private breakers = new Map<string, CircuitBreaker>();
+	private options: CircuitBreakerOptions;
+
+	constructor(options: CircuitBreakerOptions = {}) {
+		this.options = options;
+	}
+
+	get(key: string): CircuitBreaker {
+		let breaker = this.breakers.get(key);
+		if (!breaker) {
+			breaker = new CircuitBreaker(this.options);
+			this.breakers.set(key, breaker);
+		}
+		return breaker;
+	}
+}
@@ -0,0 +1,157 @@
+// Conversation storage for Cloudflare Workers
+// Persists every turn in D1 per user and conversation; schema lives in migrations/
+
+export const CONVERSATION_ID_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+
+const TITLE_MAX_LENGTH = 80;
+const MAX_PAGE_SIZE = 100;
+// Between the updatedAt and ID of a page cursor; appears in neither
+const CURSOR_SEPARATOR = '~';
+
+export interface StoredMessage {
+	role: 'user' | 'assistant';
+	content: string;
+	timestamp: string;
+	interrupted?: boolean; // Assistant reply cut short by barge-in; holds only the part the user heard
+}
+
+export interface ConversationSummary {
+	id: string;
+	title: string | null; // Start of the first user message
+	createdAt: string;
+	updatedAt: string;
+	messageCount: number;
+}
+
+export interface Conversation extends Omit<ConversationSummary, 'messageCount'> {
+	messages: StoredMessage[];
+}
+
+export interface ListConversationsOptions {
+	limit?: number;
+	before?: string; // nextBefore of the previous page
+}
+
+interface ConversationRow {
+	id: string;
+	title: string | null;
+	created_at: string;
+	updated_at: string;
+	message_count?: number;
+}
+
+interface MessageRow {
+	role: 'user' | 'assistant';
+	content: string;
+	interrupted: number;
+	created_at: string;
+}
+
+export class ConversationStore {
+	private db: D1Database;
+
+	constructor(db: D1Database) {
+		this.db = db;
+	}
+
+	// Creates the conversation on its first message. Later messages are only stored while the conversation exists, so
+	// one deleted through the API is not brought back by a session still holding it; returns false for those.
+	async appendMessage(userId: string, conversationId: string, message: StoredMessage, create = true): Promise<boolean> {
+		const title = message.role === 'user' ? message.content.slice(0, TITLE_MAX_LENGTH) : null;
+		const upsert = create
+			? this.db.prepare(
+				`INSERT INTO conversations (user_id, id, title, created_at, updated_at) VALUES (?, ?, ?, ?, ?)
+				ON CONFLICT (user_id, id) DO UPDATE SET updated_at = excluded.updated_at, title = COALESCE(conversations.title, excluded.title)`
+			).bind(userId, conversationId, title, message.timestamp, message.timestamp)
+			: this.db.prepare(
+				'UPDATE conversations SET updated_at = ?, title = COALESCE(title, ?) WHERE user_id = ? AND id = ?'
+			).bind(message.timestamp, title, userId, conversationId);
+
+		const [stored] = await this.db.batch([
+			upsert,
+			this.db.prepare(
+				`INSERT INTO messages (user_id, conversation_id, role, content, interrupted, created_at)
+				SELECT ?, ?, ?, ?, ?, ? WHERE EXISTS (SELECT 1 FROM conversations WHERE user_id = ? AND id = ?)`
+			).bind(userId, conversationId, message.role, message.content, message.interrupted ? 1 : 0, message.timestamp, userId, conversationId)
+		]);
+		return stored.meta.changes > 0;
+	}
+
+	// Most recently active first; nextBefore is null on the last page
+	async listConversations(userId: string, options: ListConversationsOptions = {}): Promise<{ conversations: ConversationSummary[]; nextBefore: string | null }> {
+		const limit = Math.min(Math.max(1, options.limit || 20), MAX_PAGE_SIZE);
+		const bindings: unknown[] = [userId];
+		let where = 'c.user_id = ?';
+		if (options.before) {
+			// Conversations updated in the same millisecond are told apart by their ID
+			const [updatedAt, id] = options.before.split(CURSOR_SEPARATOR);
+			if (id === undefined) {
+				where += ' AND c.updated_at < ?';
+				bindings.push(updatedAt);
+			} else {
+				where += ' AND (c.updated_at < ? OR (c.updated_at = ? AND c.id < ?))';
+				bindings.push(updatedAt, updatedAt, id);
+			}
+		}
+
+		const { results } = await this.db.prepare(
+			`SELECT c.id, c.title, c.created_at, c.updated_at,
+				(SELECT COUNT(*) FROM messages m WHERE m.user_id = c.user_id AND m.conversation_id = c.id) AS message_count
+			FROM conversations c WHERE ${where} ORDER BY c.updated_at DESC, c.id DESC LIMIT ?`
+		).bind(...bindings, limit + 1).all<ConversationRow>();
+
+		const page = results.slice(0, limit);
+		return {
+			conversations: page.map(row => ({ ...toConversationFields(row), messageCount: row.message_count || 0 })),
+			nextBefore: results.length > limit ? `${page[page.length - 1].updated_at}${CURSOR_SEPARATOR}${page[page.length - 1].id}` : null
+		};
+	}
+
+	async getConversation(userId: string, conversationId: string): Promise<Conversation | null> {
+		const row = await this.db.prepare(
+			'SELECT id, title, created_at, updated_at FROM conversations WHERE user_id = ? AND id = ?'
+		).bind(userId, conversationId).first<ConversationRow>();
+		if (!row) return null;
+
+		const { results } = await this.db.prepare(
+			'SELECT role, content, interrupted, created_at FROM messages WHERE user_id = ? AND conversation_id = ? ORDER BY id'
+		).bind(userId, conversationId).all<MessageRow>();
+
+		return { ...toConversationFields(row), messages: results.map(toStoredMessage) };
+	}
+
+	// The last `limit` messages in chronological order; empty for a conversation that does not exist yet
+	async getRecentMessages(userId: string, conversationId: string, limit: number): Promise<StoredMessage[]> {
+		const { results } = await this.db.prepare(
+			'SELECT role, content, interrupted, created_at FROM messages WHERE user_id = ? AND conversation_id = ? ORDER BY id DESC LIMIT ?'
+		).bind(userId, conversationId, limit).all<MessageRow>();
+
+		return results.reverse().map(toStoredMessage);
+	}
+
+	// Returns false when the user has no such conversation
+	async deleteConversation(userId: string, conversationId: string): Promise<boolean> {
+		const [, deleted] = await this.db.batch([
+			this.db.prepare('DELETE FROM messages WHERE user_id = ? AND conversation_id = ?').bind(userId, conversationId),
+			this.db.prepare('DELETE FROM conversations WHERE user_id = ? AND id = ?').bind(userId, conversationId)
+		]);
+		return deleted.meta.changes > 0;
+	}
+}
+
+function toConversationFields(row: ConversationRow) {
+	return {
+		id: row.id,
+		title: row.title,
+		createdAt: row.created_at,
+		updatedAt: row.updated_at
+	};
+}
+
+function toStoredMessage(row: MessageRow): StoredMessage {
+	const message: StoredMessage = { role: row.role, content: row.content, timestamp: row.created_at };
+	if (row.interrupted) {
+		message.interrupted = true;
+	}
+	return message;
+}
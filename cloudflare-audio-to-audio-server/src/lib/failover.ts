@@ -0,0 +1,77 @@
+// Provider failover for Cloudflare Workers
+// Runs a request against an ordered list of providers, skipping open circuits and moving on when a provider is down
+
+import { CircuitBreakerRegistry } from './circuit-breaker.js';
+import { ProviderError, isProviderOutage } from './provider-error.js';
+import { RetryOptions, RetryEvent, withRetry } from './retry.js';
+import { logger, Logger } from './logger.js';
+
+export interface FailoverTarget {
+	readonly provider: string;
+	readonly model: string;
+}
+
+export interface FailoverOptions {
+	stage: string; // Prefix of the breaker keys, e.g. 'stt', so one provider has separate breakers per stage
+	breakers: CircuitBreakerRegistry;
+	errorPrefix: string; // Start of the error thrown when every circuit is open, e.g. 'Transcription failed'
+	signal?: AbortSignal;
+	retry?: Omit<RetryOptions, 'signal' | 'onRetry'>; // Retries of one provider before moving on to the next
+	onRetry?: (retry: ProviderRetryEvent) => void;
+	logger?: Logger;
+}
+
+export interface ProviderRetryEvent extends RetryEvent {
+	stage: string;
+	provider: string;
+}
+
+export interface FailoverResult<T, R> {
+	result: R;
+	target: T; // The provider that answered
+	failedOver: boolean; // Whether an earlier provider in the list was skipped or failed
+}
+
+export async function runWithFailover<T extends FailoverTarget, R>(
+	targets: T[],
+	run: (target: T) => Promise<R>,
+	options: FailoverOptions
+): Promise<FailoverResult<T, R>> {
+	const log = options.logger || logger;
+	let lastError: unknown = null;
+	let failedOver = false;
+	
+	for (const target of targets) {
+		const breaker = options.breakers.get(`${options.stage}:${target.provider}`);
+		if (!breaker.tryAcquire()) {
+			log.warn('Circuit open, skipping provider', { stage: options.stage, provider: target.provider });
+			failedOver = true;
+			continue;
+		}
+
+		try {
+			const result = await withRetry(() => run(target), {
+				...options.retry,
+				signal: options.signal,
+				onRetry: retry => options.onRetry?.({ ...retry, stage: options.stage, provider: target.provider })
+			});
+			breaker.recordSuccess();
+			return { result, target, failedOver };
+		} catch (error) {
+			// A cancelled turn or a rejected request says nothing about the provider's health
+			if (options.signal?.aborted || !isProviderOutage(error)) {
+				breaker.release();
+				throw error;
+			}
+			breaker.recordFailure();
+			log.warn('Provider failed', { stage: options.stage, provider: target.provider, error });
+			lastError = error;
+			failedOver = true;
+		}
+	}
+
+	throw lastError || new ProviderError(
+		`${options.errorPrefix} (${targets.map(target => target.provider).join(', ')}): circuit open`,
+		targets[0]?.provider || 'none'
+	);
+}
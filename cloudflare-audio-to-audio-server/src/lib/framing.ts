@@ -0,0 +1,74 @@
+// Binary WebSocket framing for audio payloads
+// Control messages stay JSON; audio travels as raw bytes behind a small fixed-size header
+//
+// Frame layout (big-endian, 12 byte header):
+//   0      u8   version (FRAME_VERSION)
+//   1      u8   frame type (FrameType)
+//   2-3    u16  reserved (0)
+//   4-7    u32  turnId
+//   8-11   u32  chunkIndex
+//   12-    raw audio bytes
+
+import { ProtocolError } from './protocol.js';
+
+export const FRAME_VERSION = 1;
+export const FRAME_HEADER_SIZE = 12;
+
+export const FrameType = {
+	INPUT_AUDIO: 0x01, // Client → Server: a complete recorded clip
+	AUDIO_CHUNK: 0x02, // Server → Client: one streamed TTS chunk
+	AUDIO_RESPONSE: 0x03, // Server → Client: complete (non-streaming) TTS response
+	INPUT_AUDIO_APPEND: 0x04, // Client → Server: incremental upload; chunkIndex carries the byte offset
+	INPUT_AUDIO_STREAM: 0x05 // Client → Server: continuous PCM for server-side VAD
+} as const;
+
+export type FrameTypeValue = (typeof FrameType)[keyof typeof FrameType];
+
+export type Framing = 'json' | 'binary';
+
+export const SUPPORTED_FRAMINGS: Framing[] = ['json', 'binary'];
+
+export interface AudioFrame {
+	type: FrameTypeValue;
+	turnId: number;
+	chunkIndex: number;
+	payload: ArrayBuffer;
+}
+
+export function encodeFrame(type: FrameTypeValue, turnId: number, chunkIndex: number, payload: ArrayBuffer): ArrayBuffer {
+	const frame = new Uint8Array(FRAME_HEADER_SIZE + payload.byteLength);
+	const view = new DataView(frame.buffer);
+
+	view.setUint8(0, FRAME_VERSION);
+	view.setUint8(1, type);
+	view.setUint16(2, 0);
+	view.setUint32(4, turnId >>> 0);
+	view.setUint32(8, chunkIndex >>> 0);
+	frame.set(new Uint8Array(payload), FRAME_HEADER_SIZE);
+
+	return frame.buffer;
+}
+
+export function decodeFrame(data: ArrayBuffer): AudioFrame {
+	if (data.byteLength < FRAME_HEADER_SIZE) {
+		throw new ProtocolError('invalid_message', `Binary frame too short: ${data.byteLength} bytes`);
+	}
+
+	const view = new DataView(data);
+	const version = view.getUint8(0);
+	if (version !== FRAME_VERSION) {
+		throw new ProtocolError('invalid_message', `Unsupported binary frame version: ${version}`);
+	}
+
+	const type = view.getUint8(1);
+	if (!Object.values(FrameType).includes(type as FrameTypeValue)) {
+		throw new ProtocolError('invalid_message', `Unknown binary frame type: ${type}`);
+	}
+
+	return {
+		type: type as FrameTypeValue,
+		turnId: view.getUint32(4),
+		chunkIndex: view.getUint32(8),
+		payload: data.slice(FRAME_HEADER_SIZE)
+	};
+}
@@ -0,0 +1,86 @@
+// Incremental input audio buffer for Cloudflare Workers
+// Collects audio uploaded while the user is still speaking so the turn can start as soon as it is committed
+
+import { ProtocolError } from './protocol.js';
+
+// Whisper rejects uploads larger than 25 MB
+export const MAX_INPUT_AUDIO_BYTES = 25 * 1024 * 1024;
+
+const INITIAL_CAPACITY = 64 * 1024;
+
+export class InputAudioBuffer {
+	// Chunks are written in place, so rewriting a range does not take more memory than the audio itself
+	private bytes = new Uint8Array(0);
+	private length = 0;
+	private active = false;
+	format: string | undefined;
+
+	start(format?: string) {
+		this.bytes = new Uint8Array(INITIAL_CAPACITY);
+		this.length = 0;
+		this.active = true;
+		this.format = format;
+	}
+
+	get isActive(): boolean {
+		return this.active;
+	}
+
+	get byteLength(): number {
+		return this.length;
+	}
+
+	// Append bytes at the end of the buffer, or overwrite an earlier range when an offset is given
+	// (recorders rewrite container headers such as the MP4 box sizes once recording stops)
+	append(chunk: ArrayBuffer, offset: number = this.length) {
+		if (!this.active) {
+			throw new ProtocolError('invalid_message', 'input_audio.append received before input_audio.start');
+		}
+		if (!Number.isInteger(offset) || offset < 0 || offset > this.length) {
+			throw new ProtocolError('invalid_message', `Invalid input audio offset ${offset} (buffered ${this.length} bytes)`);
+		}
+
+		const end = offset + chunk.byteLength;
+		if (end > MAX_INPUT_AUDIO_BYTES) {
+			throw new ProtocolError('invalid_message', `Input audio exceeds ${MAX_INPUT_AUDIO_BYTES} bytes`);
+		}
+
+		this.ensureCapacity(end);
+		this.bytes.set(new Uint8Array(chunk), offset);
+		this.length = Math.max(this.length, end);
+	}
+
+	// Assemble the uploaded audio and reset the buffer for the next turn
+	commit(expectedBytes?: number): ArrayBuffer {
+		if (!this.active) {
+			throw new ProtocolError('invalid_message', 'input_audio.commit received before input_audio.start');
+		}
+		if (expectedBytes !== undefined && expectedBytes !== this.length) {
+			const received = this.length;
+			// The upload is unusable, so its memory is released rather than kept until the next start
+			this.clear();
+			throw new ProtocolError('invalid_message', `Input audio incomplete: expected ${expectedBytes} bytes, received ${received}`);
+		}
+
+		const audio = this.bytes.slice(0, this.length);
+		this.clear();
+		return audio.buffer;
+	}
+
+	clear() {
+		this.bytes = new Uint8Array(0);
+		this.length = 0;
+		this.active = false;
+	}
+
+	// Doubles up to the upload limit, so a long recording is copied a handful of times rather than once per chunk
+	private ensureCapacity(size: number) {
+		if (size <= this.bytes.byteLength) return;
+
+		let capacity = Math.max(this.bytes.byteLength, INITIAL_CAPACITY);
+		while (capacity < size) capacity *= 2;
+		const grown = new Uint8Array(Math.min(capacity, MAX_INPUT_AUDIO_BYTES));
+		grown.set(this.bytes.subarray(0, this.length));
+		this.bytes = grown;
+	}
+}
@@ -0,0 +1,70 @@
+// Latency percentiles for Cloudflare Workers
+// Summarizes the timings of recent turns, overall and per provider, so a slower model or provider stands out.
+
+// Milestones of a turn, in ms after its audio was received
+export const TURN_TIMINGS = ['sttMs', 'firstTokenMs', 'firstAudioMs', 'lastAudioMs', 'totalMs'] as const;
+export type TurnTiming = typeof TURN_TIMINGS[number];
+export type TurnTimings = Partial<Record<TurnTiming, number>>;
+
+export type LatencyStage = 'stt' | 'llm' | 'tts';
+
+export interface LatencySample {
+	at: number; // Epoch ms the turn finished
+	timings: TurnTimings;
+	stages: Partial<Record<LatencyStage, number>>; // Ms each stage's provider took: transcript, first token, first audio
+	providers: Partial<Record<LatencyStage, string>>; // 'provider/model' that served each stage
+}
+
+export interface Percentiles {
+	count: number;
+	p50: number;
+	p90: number;
+	p95: number;
+	p99: number;
+	max: number;
+}
+
+export interface LatencySummary {
+	from: string; // ISO 8601 start of the window
+	to: string;
+	turns: number;
+	timings: Partial<Record<TurnTiming, Percentiles>>; // Missing when no turn in the window reached the milestone
+	providers: Record<LatencyStage, Record<string, Percentiles>>; // Stage latency per 'provider/model'
+}
+
+export function summarizeLatency(samples: LatencySample[], from: number, to: number): LatencySummary {
+	const inWindow = samples.filter(sample => sample.at >= from && sample.at <= to);
+
+	const timings: LatencySummary['timings'] = {};
+	for (const timing of TURN_TIMINGS) {
+		const values = inWindow.map(sample => sample.timings[timing]).filter(isNumber);
+		if (values.length > 0) timings[timing] = percentiles(values);
+	}
+
+	const providers: LatencySummary['providers'] = { stt: {}, llm: {}, tts: {} };
+	for (const stage of Object.keys(providers) as LatencyStage[]) {
+		const byProvider = new Map<string, number[]>();
+		for (const sample of inWindow) {
+			const provider = sample.providers[stage];
+			const value = sample.stages[stage];
+			if (!provider || !isNumber(value)) continue;
+			byProvider.set(provider, [...(byProvider.get(provider) || []), value]);
+		}
+		for (const [provider, values] of byProvider) {
+			providers[stage][provider] = percentiles(values);
+		}
+	}
+
+	return { from: new Date(from).toISOString(), to: new Date(to).toISOString(), turns: inWindow.length, timings, providers };
+}
+
+// Nearest-rank percentiles, so every reported value is one a turn actually took
+export function percentiles(values: number[]): Percentiles {
+	const sorted = [...values].sort((a, b) => a - b);
+	const rank = (p: number) => sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+	return { count: sorted.length, p50: rank(50), p90: rank(90), p95: rank(95), p99: rank(99), max: sorted[sorted.length - 1] };
+}
+
+function isNumber(value: unknown): value is number {
+	return typeof value === 'number' && Number.isFinite(value);
+}
@@ -0,0 +1,157 @@
+// Anthropic Messages streaming for Cloudflare Workers
+// Converts the OpenAI-style history to Messages API blocks and tool_use events back to tool calls
+
+import { ChatMessage, ChatModel, CompletionRequest, CompletionResult, TokenUsage, ToolCall, readServerSentEvents, parseEvent } from './chat.js';
+import { ProviderError, fetchFromProvider, providerErrorFromResponse } from '../provider-error.js';
+
+export const DEFAULT_ANTHROPIC_MAX_TOKENS = 1024;
+
+type ContentBlock =
+	| { type: 'text'; text: string }
+	| { type: 'tool_use'; id: string; name: string; input: unknown }
+	| { type: 'tool_result'; tool_use_id: string; content: string };
+
+interface AnthropicMessage {
+	role: 'user' | 'assistant';
+	content: string | ContentBlock[];
+}
+
+type StreamEvent =
+	| { type: 'content_block_start'; index: number; content_block: { type: string; id?: string; name?: string } }
+	| { type: 'content_block_delta'; index: number; delta: { type: 'text_delta'; text: string } | { type: 'input_json_delta'; partial_json: string } }
+	| { type: 'error'; error: { type: string; message: string } }
+	| { type: 'message_start'; message: { usage?: { input_tokens?: number; output_tokens?: number } } }
+	| { type: 'message_delta'; usage?: { output_tokens?: number } } // Output tokens so far, final in the last delta
+	| { type: 'message_stop' | 'content_block_stop' | 'ping' };
+
+export class AnthropicChatModel implements ChatModel {
+	readonly provider = 'anthropic';
+	readonly model: string;
+	private apiKey: string;
+	private maxTokens: number;
+
+	constructor(apiKey: string, model: string, maxTokens = DEFAULT_ANTHROPIC_MAX_TOKENS) {
+		this.apiKey = apiKey;
+		this.model = model;
+		this.maxTokens = maxTokens;
+	}
+
+	async *streamCompletion(request: CompletionRequest): AsyncGenerator<string, CompletionResult, unknown> {
+		const { system, messages } = toAnthropicMessages(request.messages);
+		const requestBody: any = {
+			model: this.model,
+			max_tokens: this.maxTokens,
+			messages,
+			stream: true
+		};
+		if (system) {
+			requestBody.system = system;
+		}
+		if (request.tools) {
+			requestBody.tools = request.tools.map(tool => ({
+				name: tool.name,
+				description: tool.description,
+				input_schema: tool.parameters
+			}));
+			requestBody.tool_choice = { type: request.toolChoice };
+		}
+
+		const response = await fetchFromProvider('Chat completion failed', 'anthropic', 'https://api.anthropic.com/v1/messages', {
+			method: 'POST',
+			headers: {
+				'x-api-key': this.apiKey,
+				'anthropic-version': '2023-06-01',
+				'Content-Type': 'application/json'
+			},
+			body: JSON.stringify(requestBody),
+			signal: request.signal
+		});
+
+		if (!response.ok) {
+			throw providerErrorFromResponse('Chat completion failed', 'anthropic', response);
+		}
+		if (!response.body) {
+			throw new ProviderError('Chat completion failed (anthropic): no response body', 'anthropic');
+		}
+
+		let accumulatedContent = '';
+		// Content blocks are addressed by index; only tool_use blocks need to be tracked
+		const toolCalls = new Map<number, ToolCall>();
+		const usage: TokenUsage = { promptTokens: 0, completionTokens: 0 };
+		
+		for await (const data of readServerSentEvents(response.body, request.signal)) {
+			const event = parseEvent<StreamEvent>(data);
+			if (!event) continue;
+			
+			if (event.type === 'error') {
+				throw new ProviderError(`Chat completion failed (anthropic): ${event.error.message}`, 'anthropic');
+			}
+			
+			if (event.type === 'message_start') {
+				usage.promptTokens = event.message.usage?.input_tokens || 0;
+				usage.completionTokens = event.message.usage?.output_tokens || 0;
+			} else if (event.type === 'message_delta') {
+				usage.completionTokens = event.usage?.output_tokens ?? usage.completionTokens;
+			} else if (event.type === 'content_block_start' && event.content_block.type === 'tool_use') {
+				toolCalls.set(event.index, {
+					id: event.content_block.id || '',
+					type: 'function',
+					function: { name: event.content_block.name || '', arguments: '' }
+				});
+			} else if (event.type === 'content_block_delta') {
+				if (event.delta.type === 'text_delta') {
+					accumulatedContent += event.delta.text;
+					yield event.delta.text;
+				} else if (event.delta.type === 'input_json_delta') {
+					const toolCall = toolCalls.get(event.index);
+					if (toolCall) toolCall.function.arguments += event.delta.partial_json;
+				}
+			}
+		}
+
+		return {
+			content: accumulatedContent,
+			toolCalls: [...toolCalls.values()],
+			usage
+		};
+	}
+}
+
+// System messages become the system prompt; tool results are user content blocks in the Messages API
+function toAnthropicMessages(history: ChatMessage[]): { system: string; messages: AnthropicMessage[] } {
+	const system: string[] = [];
+	const messages: AnthropicMessage[] = [];
+
+	for (const message of history) {
+		if (message.role === 'system') {
+			if (message.content) system.push(message.content);
+		} else if (message.role === 'tool') {
+			const block: ContentBlock = { type: 'tool_result', tool_use_id: message.tool_call_id || '', content: message.content || '' };
+			const previous = messages[messages.length - 1];
+			// Results of one round of tool calls belong in a single user message
+			if (previous?.role === 'user' && Array.isArray(previous.content)) {
+				previous.content.push(block);
+			} else {
+				messages.push({ role: 'user', content: [block] });
+			}
+		} else if (message.role === 'assistant' && message.tool_calls?.length) {
+			const blocks: ContentBlock[] = message.content ? [{ type: 'text', text: message.content }] : [];
+			for (const toolCall of message.tool_calls) {
+				blocks.push({ type: 'tool_use', id: toolCall.id, name: toolCall.function.name, input: parseArguments(toolCall.function.arguments) });
+			}
+			messages.push({ role: 'assistant', content: blocks });
+		} else {
+			messages.push({ role: message.role === 'assistant' ? 'assistant' : 'user', content: message.content || '' });
+		}
+	}
+
+	return { system: system.join('\n\n'), messages };
+}
+
+function parseArguments(json: string): unknown {
+	try {
+		return JSON.parse(json || '{}');
+	} catch (error) {
+		return {};
+	}
+}
@@ -0,0 +1,208 @@
+// Streaming chat for Cloudflare Workers
+// Provider-neutral tool-calling loop; adapters in this directory only translate one model request each
+
+import { logger, Logger } from '../logger.js';
+
+export interface ChatMessage {
+	role: string;
+	content: string | null;
+	tool_calls?: ToolCall[];
+	tool_call_id?: string;
+}
+
+export interface ToolCall {
+	id: string;
+	type: 'function';
+	function: {
+		name: string;
+		arguments: string; // JSON, as generated by the model
+	};
+}
+
+// A function the model may call; parameters is a JSON schema
+export interface ChatTool {
+	name: string;
+	description: string;
+	parameters: Record<string, unknown>;
+	execute(args: any, signal?: AbortSignal, toolCallId?: string): Promise<unknown>;
+}
+
+export type ToolCallEvent =
+	| { type: 'tool_call.started'; toolCallId: string; name: string; arguments: unknown }
+	| { type: 'tool_call.result'; toolCallId: string; name: string; result?: unknown; error?: string; durationMs: number };
+
+export interface CompletionRequest {
+	messages: ChatMessage[]; // OpenAI message format; adapters convert it to their provider's
+	tools?: ChatTool[];
+	toolChoice: 'auto' | 'none';
+	signal?: AbortSignal; // Aborting stops the upstream request, not just the local read loop
+}
+
+// As reported by the provider, for metering
+export interface TokenUsage {
+	promptTokens: number;
+	completionTokens: number;
+}
+
+export interface CompletionResult {
+	content: string;
+	toolCalls: ToolCall[];
+	usage?: TokenUsage; // Missing when the provider did not report it
+}
+
+export interface ChatModel {
+	readonly provider: string;
+	readonly model: string;
+	// One model request; yields content tokens and returns the complete text and tool calls
+	streamCompletion(request: CompletionRequest): AsyncGenerator<string, CompletionResult, unknown>;
+}
+
+export const DEFAULT_MAX_TOOL_ITERATIONS = 5;
+
+// Streams the answer text. Tool calls are executed between model requests and their results fed back,
+// until the model answers without calling a tool or maxToolIterations rounds have run.
+export async function* streamChat(
+	chatModel: ChatModel,
+	text: string,
+	stack: ChatMessage[],
+	options: {
+		tools?: ChatTool[];
+		maxToolIterations?: number;
+		onToolEvent?: (event: ToolCallEvent) => void;
+		onUsage?: (usage: TokenUsage) => void; // Once per model request, so a tool loop reports several times
+		signal?: AbortSignal;
+		logger?: Logger;
+	} = {}
+): AsyncGenerator<string, void, unknown> {
+	const log = options.logger || logger;
+	const startTime = Date.now();
+	log.debug('Chat started', { provider: chatModel.provider, model: chatModel.model });
+
+	stack.push({
+		role: 'user',
+		content: text
+	});
+
+	const tools = options.tools?.length ? options.tools : undefined;
+	const maxToolIterations = options.maxToolIterations ?? DEFAULT_MAX_TOOL_ITERATIONS;
+
+	try {
+		for (let iteration = 0; ; iteration++) {
+			// Once the budget is spent the model has to answer with what it has
+			const toolChoice = tools && iteration >= maxToolIterations ? 'none' : 'auto';
+			const { content, toolCalls, usage } = yield* chatModel.streamCompletion({ messages: stack, tools, toolChoice, signal: options.signal });
+			if (usage) options.onUsage?.(usage);
+			if (options.signal?.aborted) return;
+
+			if (toolCalls.length === 0) {
+				stack.push({
+					role: 'assistant',
+					content: content
+				});
+				return;
+			}
+
+			stack.push({
+				role: 'assistant',
+				content: content || null,
+				tool_calls: toolCalls
+			});
+
+			for (const toolCall of toolCalls) {
+				const result = await executeToolCall(toolCall, tools || [], log, options.onToolEvent, options.signal);
+				if (options.signal?.aborted) return;
+
+				stack.push({
+					role: 'tool',
+					tool_call_id: toolCall.id,
+					content: JSON.stringify(result)
+				});
+			}
+		}
+	} finally {
+		// The model that answered, after any failover
+		log.debug('Chat finished', { provider: chatModel.provider, model: chatModel.model, durationMs: Date.now() - startTime });
+	}
+}
+
+// Failures are returned to the model as an error result so it can recover instead of aborting the turn
+async function executeToolCall(
+	toolCall: ToolCall,
+	tools: ChatTool[],
+	log: Logger,
+	onToolEvent?: (event: ToolCallEvent) => void,
+	signal?: AbortSignal
+): Promise<unknown> {
+	const name = toolCall.function.name;
+	const startTime = Date.now();
+
+	let args: unknown;
+	try {
+		args = JSON.parse(toolCall.function.arguments || '{}');
+	} catch (error) {
+		args = toolCall.function.arguments;
+	}
+	onToolEvent?.({ type: 'tool_call.started', toolCallId: toolCall.id, name, arguments: args });
+
+	try {
+		const tool = tools.find(candidate => candidate.name === name);
+		if (!tool) {
+			throw new Error(`Unknown tool: ${name}`);
+		}
+		if (typeof args !== 'object' || args === null) {
+			throw new Error('Tool arguments must be a JSON object');
+		}
+
+		log.debug('Calling tool', { tool: name, toolCallId: toolCall.id, arguments: args });
+		const result = await tool.execute(args, signal, toolCall.id);
+		onToolEvent?.({ type: 'tool_call.result', toolCallId: toolCall.id, name, result, durationMs: Date.now() - startTime });
+		return result;
+	} catch (error) {
+		const message = (error as Error).message;
+		log.warn('Tool failed', { tool: name, toolCallId: toolCall.id, error: message });
+		onToolEvent?.({ type: 'tool_call.result', toolCallId: toolCall.id, name, error: message, durationMs: Date.now() - startTime });
+		return { error: message };
+	}
+}
+
+// The `data:` payloads of a server-sent event stream, without the [DONE] terminator
+export async function* readServerSentEvents(body: ReadableStream<Uint8Array>, signal?: AbortSignal): AsyncGenerator<string, void, unknown> {
+	const reader = body.getReader();
+	const decoder = new TextDecoder();
+	let buffer = '';
+
+	try {
+		while (true) {
+			if (signal?.aborted) break;
+
+			const { done, value } = await reader.read();
+			if (done) break;
+
+			buffer += decoder.decode(value, { stream: true });
+			const lines = buffer.split('\n');
+			buffer = lines.pop() || '';
+
+			for (const line of lines) {
+				if (line.startsWith('data: ')) {
+					const data = line.slice(6).trim();
+					if (data && data !== '[DONE]') {
+						yield data;
+					}
+				}
+			}
+		}
+	} finally {
+		// Also runs when the consumer stops iterating early, so the connection is never left open
+		reader.cancel().catch(() => {});
+	}
+}
+
+// Parses one event payload; malformed chunks are logged and skipped rather than failing the turn
+export function parseEvent<T>(data: string): T | null {
+	try {
+		return JSON.parse(data) as T;
+	} catch (parseError) {
+		logger.warn('Skipping malformed stream chunk', parseError);
+		return null;
+	}
+}
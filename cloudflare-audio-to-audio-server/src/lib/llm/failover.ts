@@ -0,0 +1,111 @@
+// Chat model failover for Cloudflare Workers
+// Retries and then tries each model in order for every request of the tool loop. Once a model has streamed text
+// to the client, its failure ends the turn instead, because a new request would start the answer over.
+
+import { ChatModel, CompletionRequest, CompletionResult } from './chat.js';
+import { CircuitBreakerRegistry } from '../circuit-breaker.js';
+import { ProviderError, isProviderOutage } from '../provider-error.js';
+import { RetryOptions, getRetryDelay, sleep } from '../retry.js';
+import type { ProviderRetryEvent } from '../failover.js';
+import { logger, Logger } from '../logger.js';
+
+export interface FailoverChatModelOptions {
+	breakers: CircuitBreakerRegistry;
+	retry?: Omit<RetryOptions, 'signal' | 'onRetry'>;
+	onRetry?: (retry: ProviderRetryEvent) => void;
+	onServed?: (model: ChatModel, failedOver: boolean) => void;
+	logger?: Logger;
+}
+
+export class FailoverChatModel implements ChatModel {
+	private models: ChatModel[];
+	private options: FailoverChatModelOptions;
+	private current: ChatModel;
+
+	constructor(models: ChatModel[], options: FailoverChatModelOptions) {
+		this.models = models;
+		this.options = options;
+		this.current = models[0];
+	}
+
+	// The model that served the last request, or the first choice before any request
+	get provider(): string {
+		return this.current.provider;
+	}
+
+	get model(): string {
+		return this.current.model;
+	}
+
+	async *streamCompletion(request: CompletionRequest): AsyncGenerator<string, CompletionResult, unknown> {
+		const log = this.options.logger || logger;
+		let lastError: unknown = null;
+		let failedOver = false;
+		
+		for (const model of this.models) {
+			const breaker = this.options.breakers.get(`llm:${model.provider}`);
+			if (!breaker.tryAcquire()) {
+				log.warn('Circuit open, skipping provider', { stage: 'llm', provider: model.provider });
+				failedOver = true;
+				continue;
+			}
+
+			for (let attempt = 1; ; attempt++) {
+				const completion = model.streamCompletion(request);
+				let streamed = false;
+				let finished = false;
+				let retryDelayMs: number | null = null;
+				try {
+					while (true) {
+						const next = await completion.next();
+						if (next.done) {
+							finished = true;
+							breaker.recordSuccess();
+							this.current = model;
+							this.options.onServed?.(model, failedOver);
+							return next.value;
+						}
+						streamed = true;
+						yield next.value;
+					}
+				} catch (error) {
+					finished = true;
+					if (request.signal?.aborted || !isProviderOutage(error)) {
+						breaker.release();
+						throw error;
+					}
+					// Nothing has reached the client yet, so the request can be repeated as if it never ran
+					retryDelayMs = streamed ? null : getRetryDelay(error, attempt, { ...this.options.retry, signal: request.signal });
+					if (retryDelayMs === null) {
+						breaker.recordFailure();
+						if (streamed) throw error;
+						log.warn('Provider failed', { stage: 'llm', provider: model.provider, error });
+						lastError = error;
+						failedOver = true;
+					} else {
+						this.options.onRetry?.({ attempt: attempt + 1, delayMs: retryDelayMs, error: error as Error, stage: 'llm', provider: model.provider });
+					}
+				} finally {
+					// The consumer stopped early: close the provider stream so its connection is released
+					if (!finished) {
+						breaker.release();
+						await completion.return(undefined as any);
+					}
+				}
+
+				if (retryDelayMs === null) break;
+				try {
+					await sleep(retryDelayMs, request.signal);
+				} catch (error) {
+					breaker.release();
+					throw error;
+				}
+			}
+		}
+
+		throw lastError || new ProviderError(
+			`Chat completion failed (${this.models.map(model => model.provider).join(', ')}): circuit open`,
+			this.models[0]?.provider || 'none'
+		);
+	}
+}
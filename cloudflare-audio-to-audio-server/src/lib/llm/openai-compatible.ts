@@ -0,0 +1,125 @@
+// OpenAI-compatible chat streaming for Cloudflare Workers
+// Works with Groq, OpenAI and any other server that implements /chat/completions; adapted from models/groq.js
+
+import { ChatModel, CompletionRequest, CompletionResult, TokenUsage, ToolCall, readServerSentEvents, parseEvent } from './chat.js';
+import { ProviderError, fetchFromProvider, providerErrorFromResponse } from '../provider-error.js';
+
+export interface OpenAICompatibleConfig {
+	apiKey: string;
+	model: string;
+	baseUrl: string; // Up to and including the version, e.g. https://api.groq.com/openai/v1
+	provider?: string; // Name used in logs and errors
+}
+
+interface UsageFields {
+	prompt_tokens: number;
+	completion_tokens: number;
+}
+
+interface ChatCompletionChunk {
+	usage?: UsageFields | null; // Final chunk, when stream_options.include_usage is set
+	x_groq?: { usage?: UsageFields }; // Groq's final chunk
+	choices: Array<{
+		delta?: {
+			content?: string;
+			tool_calls?: Array<{
+				index: number;
+				id?: string;
+				type?: 'function';
+				function?: {
+					name?: string;
+					arguments?: string;
+				};
+			}>;
+		};
+	}>;
+}
+
+export class OpenAICompatibleChatModel implements ChatModel {
+	readonly provider: string;
+	readonly model: string;
+	private apiKey: string;
+	private baseUrl: string;
+
+	constructor(config: OpenAICompatibleConfig) {
+		this.provider = config.provider || 'openai-compatible';
+		this.model = config.model;
+		this.apiKey = config.apiKey;
+		this.baseUrl = config.baseUrl.replace(/\/$/, '');
+	}
+
+	async *streamCompletion(request: CompletionRequest): AsyncGenerator<string, CompletionResult, unknown> {
+		const requestBody: any = {
+			messages: request.messages,
+			model: this.model,
+			stream: true,
+			stream_options: { include_usage: true }
+		};
+
+		if (request.tools) {
+			requestBody.tools = request.tools.map(tool => ({
+				type: 'function',
+				function: {
+					name: tool.name,
+					description: tool.description,
+					parameters: tool.parameters
+				}
+			}));
+			requestBody.tool_choice = request.toolChoice;
+		}
+
+		const response = await fetchFromProvider('Chat completion failed', this.provider, `${this.baseUrl}/chat/completions`, {
+			method: 'POST',
+			headers: {
+				'Authorization': `Bearer ${this.apiKey}`,
+				'Content-Type': 'application/json'
+			},
+			body: JSON.stringify(requestBody),
+			signal: request.signal
+		});
+
+		if (!response.ok) {
+			throw providerErrorFromResponse('Chat completion failed', this.provider, response);
+		}
+		if (!response.body) {
+			throw new ProviderError(`Chat completion failed (${this.provider}): no response body`, this.provider);
+		}
+
+		let accumulatedContent = '';
+		// Tool calls arrive in fragments; the index says which call a fragment belongs to
+		const toolCalls: ToolCall[] = [];
+		let usage: TokenUsage | undefined;
+		
+		for await (const data of readServerSentEvents(response.body, request.signal)) {
+			const chunk = parseEvent<ChatCompletionChunk>(data);
+			const delta = chunk?.choices[0]?.delta;
+			
+			const reported = chunk?.usage || chunk?.x_groq?.usage;
+			if (reported) {
+				usage = { promptTokens: reported.prompt_tokens || 0, completionTokens: reported.completion_tokens || 0 };
+			}
+
+			for (const fragment of delta?.tool_calls || []) {
+				const toolCall = toolCalls[fragment.index] ??= {
+					id: '',
+					type: 'function',
+					function: { name: '', arguments: '' }
+				};
+				if (fragment.id) toolCall.id = fragment.id;
+				if (fragment.function?.name) toolCall.function.name += fragment.function.name;
+				if (fragment.function?.arguments) toolCall.function.arguments += fragment.function.arguments;
+			}
+
+			if (delta?.content) {
+				accumulatedContent += delta.content;
+				yield delta.content;
+			}
+		}
+
+		return {
+			content: accumulatedContent,
+			toolCalls: toolCalls.filter(Boolean),
+			usage
+		};
+	}
+}
@@ -0,0 +1,96 @@
+// Workers AI chat for Cloudflare Workers
+// Text models run through the AI binding. Tool calls are only returned by non-streamed requests,
+// so a request that offers tools is answered in one piece and everything else is streamed.
+
+import { ChatMessage, ChatModel, CompletionRequest, CompletionResult, TokenUsage, ToolCall, readServerSentEvents, parseEvent } from './chat.js';
+import { abortable } from '../abortable.js';
+import { ProviderError } from '../provider-error.js';
+
+export const DEFAULT_WORKERS_AI_CHAT_MODEL = '@cf/meta/llama-3.3-70b-instruct-fp8-fast';
+
+interface WorkersAIResponse {
+	response?: string;
+	tool_calls?: Array<{ name: string; arguments: unknown }>;
+	usage?: { prompt_tokens?: number; completion_tokens?: number }; // Last event of a stream, or the whole response
+}
+
+export class WorkersAIChatModel implements ChatModel {
+	readonly provider = 'workers-ai';
+	readonly model: string;
+	private ai: Ai;
+
+	constructor(ai: Ai, model = DEFAULT_WORKERS_AI_CHAT_MODEL) {
+		this.ai = ai;
+		this.model = model;
+	}
+
+	async *streamCompletion(request: CompletionRequest): AsyncGenerator<string, CompletionResult, unknown> {
+		const messages = toWorkersAIMessages(request.messages);
+		const tools = request.toolChoice === 'auto' ? request.tools : undefined;
+
+		if (tools) {
+			const result = await this.run<WorkersAIResponse>({
+				messages,
+				tools: tools.map(tool => ({ name: tool.name, description: tool.description, parameters: tool.parameters }))
+			}, request.signal);
+
+			const toolCalls: ToolCall[] = (result.tool_calls || []).map(call => ({
+				id: `call_${crypto.randomUUID()}`,
+				type: 'function',
+				function: {
+					name: call.name,
+					arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments || {})
+				}
+			}));
+			const content = result.response || '';
+			if (content) yield content;
+			return { content, toolCalls, usage: toTokenUsage(result) };
+		}
+		
+		const stream = await this.run<ReadableStream<Uint8Array>>({ messages, stream: true }, request.signal);
+		let accumulatedContent = '';
+		let usage: TokenUsage | undefined;
+		for await (const data of readServerSentEvents(stream, request.signal)) {
+			const chunk = parseEvent<WorkersAIResponse>(data);
+			if (chunk?.response) {
+				accumulatedContent += chunk.response;
+				yield chunk.response;
+			}
+			usage = (chunk && toTokenUsage(chunk)) || usage;
+		}
+		return { content: accumulatedContent, toolCalls: [], usage };
+	}
+
+	private async run<T>(inputs: object, signal?: AbortSignal): Promise<T> {
+		try {
+			return await abortable(this.ai.run(this.model as any, inputs as any) as Promise<T>, signal);
+		} catch (error) {
+			if (signal?.aborted) throw error;
+			throw new ProviderError(`Chat completion failed (workers-ai): ${(error as Error).message}`, 'workers-ai');
+		}
+	}
+}
+
+function toTokenUsage(response: WorkersAIResponse): TokenUsage | undefined {
+	if (!response.usage) return undefined;
+	return { promptTokens: response.usage.prompt_tokens || 0, completionTokens: response.usage.completion_tokens || 0 };
+}
+
+// Workers AI takes plain text messages: earlier tool calls are written out and results name their tool
+function toWorkersAIMessages(history: ChatMessage[]): Array<{ role: string; content: string; name?: string }> {
+	const toolNames = new Map<string, string>();
+
+	return history.map(message => {
+		if (message.role === 'assistant' && message.tool_calls?.length) {
+			for (const toolCall of message.tool_calls) {
+				toolNames.set(toolCall.id, toolCall.function.name);
+			}
+			const calls = message.tool_calls.map(toolCall => ({ name: toolCall.function.name, arguments: toolCall.function.arguments }));
+			return { role: 'assistant', content: message.content || JSON.stringify(calls) };
+		}
+		if (message.role === 'tool') {
+			return { role: 'tool', name: toolNames.get(message.tool_call_id || '') || 'tool', content: message.content || '' };
+		}
+		return { role: message.role, content: message.content || '' };
+	});
+}
@@ -0,0 +1,149 @@
+// Structured logging for Cloudflare Workers
+// Leveled log lines tagged with the request, connection and turn they belong to. Tokens, API keys and personal data
+// are redacted before anything is written, so a log line can be shared without checking it first.
+
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error';
+export type LogFormat = 'json' | 'pretty';
+
+export const LOG_LEVELS: (LogLevel | 'silent')[] = ['debug', 'info', 'warn', 'error', 'silent'];
+export const LOG_FORMATS: LogFormat[] = ['json', 'pretty'];
+
+export interface LoggerConfig {
+	level: LogLevel | 'silent'; // Lines below this level are dropped
+	format: LogFormat; // json: one object per line, for Workers Logs; pretty: readable output for local development
+}
+
+// Copied onto every line of the logger and its children
+export interface LogContext {
+	requestId?: string;
+	sessionId?: string;
+	connectionId?: string;
+	turnId?: number;
+	[field: string]: unknown;
+}
+
+const SEVERITY: Record<LogLevel | 'silent', number> = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const ICONS: Record<LogLevel, string> = { debug: '🔍', info: 'ℹ️', warn: '⚠️', error: '❌' };
+
+// Shared by every logger, so configuring once per request or Durable Object also covers the loggers libs hold on to
+const config: LoggerConfig = { level: 'info', format: 'pretty' };
+
+export function configureLogger(options: Partial<LoggerConfig>) {
+	Object.assign(config, options);
+}
+
+export class Logger {
+	readonly context: LogContext;
+
+	constructor(context: LogContext = {}) {
+		this.context = context;
+	}
+
+	child(context: LogContext): Logger {
+		return new Logger({ ...this.context, ...context });
+	}
+
+	// `data` is an object of fields, an error or a single value
+	debug(message: string, data?: unknown) {
+		this.write('debug', message, data);
+	}
+
+	info(message: string, data?: unknown) {
+		this.write('info', message, data);
+	}
+
+	warn(message: string, data?: unknown) {
+		this.write('warn', message, data);
+	}
+
+	error(message: string, data?: unknown) {
+		this.write('error', message, data);
+	}
+
+	private write(level: LogLevel, message: string, data: unknown) {
+		if (SEVERITY[level] < SEVERITY[config.level]) return;
+
+		const fields = redact(toFields(data)) as Record<string, unknown>;
+		const context = redact(this.context) as Record<string, unknown>;
+
+		if (config.format === 'json') {
+			console[level](JSON.stringify({ time: new Date().toISOString(), level, message: redactString(message), ...context, ...fields }));
+			return;
+		}
+
+		const tags = Object.entries(context).filter(([, value]) => value !== undefined).map(([key, value]) => `${key}=${value}`).join(' ');
+		const line = `${ICONS[level]} ${redactString(message)}${tags ? ` [${tags}]` : ''}`;
+		if (Object.keys(fields).length > 0) {
+			console[level](line, fields);
+		} else {
+			console[level](line);
+		}
+	}
+}
+
+// Root logger; requests, sessions and turns log through children carrying their IDs
+export const logger = new Logger();
+
+function toFields(data: unknown): Record<string, unknown> {
+	if (data === undefined) return {};
+	if (data instanceof Error) return { error: data };
+	if (typeof data === 'object' && data !== null && !Array.isArray(data)) return data as Record<string, unknown>;
+	return { detail: data };
+}
+
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 6;
+
+// Compared without case, dashes and underscores, so 'X-Api-Key', 'api_key' and 'apiKey' all match
+const SECRET_KEYS = new Set(['authorization', 'cookie', 'setcookie', 'jwt', 'signature', 'credentials']);
+const SECRET_KEY_SUFFIXES = ['token', 'secret', 'password', 'apikey'];
+
+// What users said, typed or are called; the length is kept since it is often what a log reader needs
+const PERSONAL_KEYS = new Set([
+	'transcript', 'transcription', 'text', 'content', 'segment', 'history', 'prompt', 'additionalprompt', 'arguments',
+	'username', 'email', 'phone', 'phonenumber', 'ip', 'cfconnectingip', 'xforwardedfor', 'xrealip'
+]);
+
+const STRING_PATTERNS: [RegExp, string][] = [
+	[/\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g, '[REDACTED_JWT]'],
+	[/\bBearer\s+[A-Za-z0-9._~+/-]+=*/gi, 'Bearer [REDACTED]'],
+	[/\b(?:sk|pk|rk|gsk|xai)[-_][A-Za-z0-9_-]{16,}/g, '[REDACTED_KEY]'],
+	[/([?&](?:token|key|api_?key|access_token|secret)=)[^&\s#]+/gi, `$1${REDACTED}`],
+	[/[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g, '[REDACTED_EMAIL]'],
+	[/\+\d[\d\s().-]{7,}\d/g, '[REDACTED_PHONE]']
+];
+
+export function redactString(value: string): string {
+	return STRING_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), value);
+}
+
+// Returns a JSON-safe copy with secrets and personal data replaced
+export function redact(value: unknown, depth = 0): unknown {
+	if (typeof value === 'string') return redactString(value);
+	if (value === null || typeof value !== 'object') return value;
+	if (depth >= MAX_DEPTH) return '[Object]';
+
+	if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+		return `[${value.byteLength} bytes]`;
+	}
+	if (value instanceof Error) {
+		// Own fields such as a provider error's status are kept next to the message
+		return redact({ ...value, name: value.name, message: value.message, stack: value.stack }, depth);
+	}
+	if (Array.isArray(value)) {
+		return value.map(item => redact(item, depth + 1));
+	}
+
+	const result: Record<string, unknown> = {};
+	for (const [key, field] of Object.entries(value)) {
+		const normalized = key.toLowerCase().replace(/[-_]/g, '');
+		if (SECRET_KEYS.has(normalized) || SECRET_KEY_SUFFIXES.some(suffix => normalized.endsWith(suffix))) {
+			result[key] = REDACTED;
+		} else if (PERSONAL_KEYS.has(normalized) && field !== undefined && field !== null && field !== '') {
+			result[key] = typeof field === 'string' ? `[REDACTED: ${field.length} chars]` : REDACTED;
+		} else {
+			result[key] = redact(field, depth + 1);
+		}
+	}
+	return result;
+}
@@ -1,5 +1,6 @@
 // Generic prompt template system for audio-to-audio applications
-// This can be customized for any conversational AI use case
+// Personas pair a system prompt with a default voice, a language and the variables the prompt declares. Placeholders
+// are written {$name}; the session fills in the built-in ones, the client the declared ones.
 
 export interface PromptTemplate {
   role: 'system' | 'user' | 'assistant';
@@ -64,40 +65,119 @@ Now respond to this user message:
 `
 };
 
-// Function to get the prompt (allows for environment-based customization)
-export function getPrompt(customPrompt?: string): PromptTemplate {
-  if (customPrompt) {
-    return {
-      role: 'system',
-      content: customPrompt
-    };
+// Filled in by the session on every turn, so personas cannot declare them
+export const BUILT_IN_VARIABLES = ['username', 'CONVERSATION_HISTORY', 'USER_MESSAGE', 'ADDITIONAL_PROMPT'];
+
+export const PERSONA_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const VARIABLE_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]{0,63}$/;
+const PLACEHOLDER_PATTERN = /\{\$([A-Za-z_][A-Za-z0-9_]*)\}/g;
+export const MAX_VARIABLE_LENGTH = 2000;
+
+export interface PromptVariable {
+  description?: string;
+  required?: boolean; // A persona with a missing required variable is not used, instead of a blank in the prompt
+  default?: string; // Used when an optional variable is not given
+}
+
+export interface Persona {
+  name: string;
+  description?: string;
+  prompt: string;
+  voice?: { provider?: string; model?: string; voice?: string }; // Speech settings the persona starts with
+  language?: string; // ISO 639-1 code the persona speaks, used for transcription
+  variables: Record<string, PromptVariable>;
+}
+
+export interface PromptVariableProblem {
+  name: string;
+  reason: 'missing' | 'unknown' | 'invalid'; // Required and not given, not declared by the persona, not a string
+}
+
+// Throws for anything that is not a usable persona, naming the offending field
+export function parsePersona(value: unknown): Persona {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    throw new Error('persona must be an object');
+  }
+  const input = value as Record<string, any>;
+  if (typeof input.name !== 'string' || !PERSONA_NAME_PATTERN.test(input.name)) {
+    throw new Error('persona.name must be letters, digits, _ or -');
+  }
+  if (typeof input.prompt !== 'string' || !input.prompt.trim()) {
+    throw new Error('persona.prompt must be a non-empty string');
+  }
+  if (input.voice !== undefined && (typeof input.voice !== 'object' || input.voice === null)) {
+    throw new Error('persona.voice must be an object');
+  }
+  if (input.language !== undefined && typeof input.language !== 'string') {
+    throw new Error('persona.language must be a string');
   }
-  
-  return DEFAULT_PROMPT;
+
+  const variables: Record<string, PromptVariable> = {};
+  for (const [name, declaration] of Object.entries(input.variables ?? {})) {
+    if (!VARIABLE_NAME_PATTERN.test(name) || BUILT_IN_VARIABLES.includes(name)) {
+      throw new Error(`persona.variables.${name} is not a valid variable name`);
+    }
+    const variable = (declaration ?? {}) as PromptVariable;
+    if (variable.default !== undefined && typeof variable.default !== 'string') {
+      throw new Error(`persona.variables.${name}.default must be a string`);
+    }
+    variables[name] = { description: variable.description, required: variable.required === true, default: variable.default };
+  }
+
+  const undeclared = getPlaceholders(input.prompt).filter(name => !variables[name] && !BUILT_IN_VARIABLES.includes(name));
+  if (undeclared.length > 0) {
+    throw new Error(`persona.prompt uses undeclared variables: ${undeclared.join(', ')}`);
+  }
+
+  return {
+    name: input.name,
+    description: input.description,
+    prompt: input.prompt,
+    voice: input.voice,
+    language: input.language,
+    variables
+  };
+}
+
+export function getPlaceholders(template: string): string[] {
+  return [...new Set([...template.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]))];
 }
 
-// Template variable replacement function
-export function replacePromptVariables(
-  prompt: string,
-  variables: {
-    username?: string;
-    conversationHistory?: string;
-    userMessage?: string;
-    additionalPrompt?: string;
+// Checks the client's variables against the persona's declarations. `values` holds every declared variable: the client's
+// value, else the default, else '' for an optional one. Unknown and invalid variables are left out, so a required one
+// without a valid value is missing; an empty string does not count as a value for a required variable either.
+export function resolvePromptVariables(persona: Persona, variables: Record<string, unknown> = {}) {
+  const values: Record<string, string> = {};
+  const problems: PromptVariableProblem[] = [];
+
+  for (const [name, value] of Object.entries(variables)) {
+    if (!persona.variables[name]) {
+      problems.push({ name, reason: 'unknown' });
+    } else if (typeof value !== 'string' || value.length > MAX_VARIABLE_LENGTH) {
+      problems.push({ name, reason: 'invalid' });
+    } else if (value || !persona.variables[name].required) {
+      values[name] = value;
+    }
+  }
+  for (const [name, declaration] of Object.entries(persona.variables)) {
+    if (values[name] !== undefined) continue;
+    if (declaration.default !== undefined) {
+      values[name] = declaration.default;
+    } else if (declaration.required) {
+      problems.push({ name, reason: 'missing' });
+    } else {
+      values[name] = '';
+    }
   }
-): string {
-  let result = prompt;
-  
-  // Replace template variables
-  result = result.replace(/\{\$username\}/g, variables.username || 'User');
-  result = result.replace(/\{\$CONVERSATION_HISTORY\}/g, variables.conversationHistory || 'No previous conversation.');
-  result = result.replace(/\{\$USER_MESSAGE\}/g, variables.userMessage || '');
-  result = result.replace(/\{\$ADDITIONAL_PROMPT\}/g, variables.additionalPrompt || '');
-  
-  return result;
+
+  return { values, problems };
+}
+
+// One pass over the template, so a value that looks like a placeholder is never expanded itself. Placeholders without
+// a value are left as they are; render from the original template with every value, not from an earlier rendering.
+export function renderPrompt(template: string, values: Record<string, string>): string {
+  return template.replace(PLACEHOLDER_PATTERN, (placeholder, name: string) => values[name] ?? placeholder);
 }
 
 // Legacy export for backward compatibility
 export const prompt = DEFAULT_PROMPT;
- 
- 
\ No newline at end of file
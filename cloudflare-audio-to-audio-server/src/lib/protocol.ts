@@ -0,0 +1,299 @@
+// WebSocket protocol for Cloudflare Workers
+// Names and schemas of the /ws messages. Version 2 opens with a session.hello handshake and uses namespaced names;
+// version 1, the protocol from before the handshake, stays available under its old names.
+
+import { JsonSchema, validateArguments } from './tools/registry.js';
+
+export type ProtocolVersion = 1 | 2;
+export const PROTOCOL_VERSIONS: ProtocolVersion[] = [1, 2];
+export const LATEST_PROTOCOL_VERSION: ProtocolVersion = 2;
+
+// Optional parts of the protocol; a client's hello narrows them to the ones it handles
+export const PROTOCOL_FEATURES = [
+	'streaming_audio', // response.audio.delta chunks instead of one response.audio.complete
+	'incremental_upload', // input_audio.start, .append and .commit
+	'server_vad', // vad.start, input_audio.stream and vad.stop
+	'binary_framing', // Audio in binary frames instead of base64 JSON
+	'conversations', // Stored conversations, continued by conversationId
+	'client_tools', // tools.register and client_tool.call
+	'tool_events', // tool_call.started and tool_call.result
+	'retry_events', // turn.retrying
+	'turn_metrics' // turn.metrics
+] as const;
+export type ProtocolFeature = typeof PROTOCOL_FEATURES[number];
+
+// Server messages that only go to connections with the feature enabled
+const FEATURE_MESSAGES: Partial<Record<string, ProtocolFeature>> = {
+	'response.audio.delta': 'streaming_audio',
+	'response.audio.done': 'streaming_audio',
+	'client_tool.call': 'client_tools',
+	'tool_call.started': 'tool_events',
+	'tool_call.result': 'tool_events',
+	'turn.retrying': 'retry_events',
+	'turn.metrics': 'turn_metrics'
+};
+
+// Client messages only accepted from connections with the feature enabled
+const CLIENT_FEATURE_MESSAGES: Partial<Record<string, ProtocolFeature>> = {
+	'input_audio.start': 'incremental_upload',
+	'input_audio.append': 'incremental_upload',
+	'input_audio.commit': 'incremental_upload',
+	'vad.start': 'server_vad',
+	'input_audio.stream': 'server_vad',
+	'vad.stop': 'server_vad',
+	'session.set_framing': 'binary_framing',
+	'tools.register': 'client_tools',
+	'client_tool.result': 'client_tools'
+};
+
+// Turn context fields only accepted from connections with the feature enabled
+const CLIENT_FEATURE_FIELDS: Partial<Record<string, ProtocolFeature>> = {
+	conversationId: 'conversations'
+};
+
+// Per-turn context, accepted by every message that starts a turn
+const TURN_CONTEXT: Record<string, JsonSchema> = {
+	userId: { type: 'string' },
+	username: { type: 'string' },
+	additionalPrompt: { type: 'string' },
+	history: {}, // An array of messages or its JSON encoding
+	conversationId: { type: 'string' },
+	useStreaming: { type: 'boolean' },
+	locale: { type: 'string' },
+	segmentation: { type: 'object' },
+	transcription: { type: 'object' },
+	llm: { type: 'object' },
+	speech: { type: 'object' }
+};
+
+const STRINGS: JsonSchema = { type: 'array', items: { type: 'string' } };
+
+interface ClientMessageSpec {
+	legacyType?: string; // Version 1 name
+	fields?: Record<string, JsonSchema>; // Unknown fields are ignored, so clients can send newer ones
+	required?: string[];
+	check?: (message: Record<string, unknown>) => string | null; // Rules a schema cannot express
+}
+
+const CLIENT_MESSAGES = {
+	'session.hello': {
+		fields: {
+			protocolVersion: { type: 'integer' },
+			audioFormats: STRINGS,
+			features: STRINGS,
+			framing: { type: 'string' },
+			client: { type: 'object', properties: { name: { type: 'string' }, version: { type: 'string' } } }
+		},
+		required: ['protocolVersion']
+	},
+	'session.set_framing': { legacyType: 'set_framing', fields: { framing: { type: 'string' } }, required: ['framing'] },
+	'session.update': {
+		fields: {
+			session: {
+				type: 'object',
+				properties: {
+					persona: { type: 'string' },
+					variables: { type: 'object' },
+					transcription: { type: 'object', properties: { provider: { type: 'string' }, model: { type: 'string' }, language: { type: 'string' } } },
+					llm: { type: 'object', properties: { provider: { type: 'string' }, model: { type: 'string' } } },
+					speech: { type: 'object', properties: { provider: { type: 'string' }, model: { type: 'string' }, voice: { type: 'string' } } },
+					segmentation: {
+						type: 'object',
+						properties: { firstMinLength: { type: 'integer' }, minLength: { type: 'integer' }, maxLength: { type: 'integer' } }
+					},
+					prompt: { type: 'string' },
+					useStreaming: { type: 'boolean' },
+					locale: { type: 'string' }
+				}
+			}
+		},
+		required: ['session']
+	},
+	'session.ping': { legacyType: 'test' },
+	'input_audio.submit': {
+		legacyType: 'audio',
+		fields: { audio: { type: 'string' }, binary: { type: 'boolean' }, format: { type: 'string' }, ...TURN_CONTEXT },
+		check: message => message.audio === undefined && message.binary !== true ? 'message.audio is required unless message.binary is true' : null
+	},
+	'input_audio.start': { legacyType: 'input_audio_start', fields: { format: { type: 'string' } } },
+	'input_audio.append': { legacyType: 'input_audio_append', fields: { audio: { type: 'string' }, offset: { type: 'integer' } }, required: ['audio'] },
+	'input_audio.commit': { legacyType: 'input_audio_commit', fields: { totalBytes: { type: 'integer' }, ...TURN_CONTEXT } },
+	'input_audio.stream': { legacyType: 'input_audio_stream', fields: { audio: { type: 'string' } }, required: ['audio'] },
+	'vad.start': { legacyType: 'vad_start', fields: { sampleRate: { type: 'integer' }, vad: { type: 'object' }, ...TURN_CONTEXT } },
+	'vad.stop': { legacyType: 'vad_stop' },
+	'turn.cancel': { legacyType: 'cancel' },
+	'conversation.clear': { legacyType: 'clear_history' },
+	'tools.register': { legacyType: 'register_tools', fields: { tools: { type: 'array' } }, required: ['tools'] },
+	'client_tool.result': {
+		legacyType: 'client_tool_result',
+		fields: { toolCallId: { type: 'string' }, result: {}, error: { type: 'string' } },
+		required: ['toolCallId']
+	}
+} satisfies Record<string, ClientMessageSpec>;
+
+export type ClientMessageType = keyof typeof CLIENT_MESSAGES;
+
+// Fields are checked against the message type's schema
+export interface ClientMessage {
+	type: ClientMessageType;
+	[field: string]: any;
+}
+
+const LEGACY_CLIENT_TYPES = new Map<string, ClientMessageType>(
+	(Object.entries(CLIENT_MESSAGES) as [ClientMessageType, ClientMessageSpec][])
+		.filter(([, spec]) => spec.legacyType)
+		.map(([type, spec]) => [spec.legacyType!, type])
+);
+
+// Version 2 name → version 1 name of every server message; `error` is the same in both
+const LEGACY_SERVER_TYPES: Record<string, string> = {
+	'session.framing': 'framing',
+	'session.pong': 'test_response',
+	'transcript': 'caption',
+	'response.text.delta': 'groq_response_chunk',
+	'response.text.done': 'groq_response_end',
+	'response.audio.delta': 'audio_chunk',
+	'response.audio.complete': 'audio_response',
+	'response.audio.done': 'audio_stream_end',
+	'turn.done': 'processing_end',
+	'turn.interrupted': 'turn_interrupted',
+	'turn.cancelled': 'cancelled',
+	'turn.retrying': 'retrying',
+	'turn.metrics': 'turn_metrics',
+	'tool_call.started': 'tool_call_started',
+	'tool_call.result': 'tool_call_result',
+	'client_tool.call': 'client_tool_call',
+	'tools.registered': 'tools_registered',
+	'conversation.switched': 'conversation',
+	'conversation.cleared': 'history_cleared',
+	'vad.started': 'vad_started',
+	'vad.stopped': 'vad_stopped',
+	'vad.speech_started': 'speech_started',
+	'vad.speech_stopped': 'speech_stopped'
+};
+
+export interface ServerMessage {
+	type: string;
+	[field: string]: unknown;
+}
+
+// `reason` becomes the error code sent to the client
+export class ProtocolError extends Error {
+	readonly reason: 'invalid_message' | 'unknown_message_type' | 'feature_not_enabled';
+	readonly field?: string; // Path of the offending field, e.g. 'message.offset'
+	readonly messageType?: string;
+	readonly feature?: ProtocolFeature; // The feature the connection did not negotiate
+
+	constructor(
+		reason: ProtocolError['reason'],
+		message: string,
+		details: { field?: string; messageType?: string; feature?: ProtocolFeature } = {}
+	) {
+		super(message);
+		this.name = 'ProtocolError';
+		this.reason = reason;
+		this.field = details.field;
+		this.messageType = details.messageType;
+		this.feature = details.feature;
+	}
+}
+
+// Throws a ProtocolError for anything that is not a valid message of the connection's version. Version 1 names are
+// translated, so callers only handle version 2 names; session.hello is accepted on either version.
+export function parseClientMessage(text: string, version: ProtocolVersion): ClientMessage {
+	let data: unknown;
+	try {
+		data = JSON.parse(text);
+	} catch (error) {
+		throw new ProtocolError('invalid_message', `Message is not valid JSON: ${(error as Error).message}`);
+	}
+	if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+		throw new ProtocolError('invalid_message', 'message must be an object', { field: 'message' });
+	}
+
+	const message = data as Record<string, unknown>;
+	if (typeof message.type !== 'string') {
+		throw new ProtocolError('invalid_message', 'message.type must be a string', { field: 'message.type' });
+	}
+
+	const type = resolveClientType(message.type, version);
+	const spec: ClientMessageSpec = CLIENT_MESSAGES[type];
+	const problem = validateArguments({ type: 'object', properties: spec.fields, required: spec.required }, message, 'message')
+		|| spec.check?.(message)
+		|| null;
+	if (problem) {
+		// Every problem starts with the path of the field it is about
+		throw new ProtocolError('invalid_message', `${message.type}: ${problem}`, { field: problem.split(' ')[0], messageType: message.type });
+	}
+
+	return { ...message, type };
+}
+
+function resolveClientType(type: string, version: ProtocolVersion): ClientMessageType {
+	if (type === 'session.hello') return type;
+
+	if (version === 1) {
+		const current = LEGACY_CLIENT_TYPES.get(type);
+		if (current) return current;
+		const hint = type in CLIENT_MESSAGES ? '; version 2 names need a session.hello first' : '';
+		throw new ProtocolError('unknown_message_type', `Unknown message type: ${type}${hint}`, { messageType: type });
+	}
+
+	if (type in CLIENT_MESSAGES) return type as ClientMessageType;
+	const current = LEGACY_CLIENT_TYPES.get(type);
+	const hint = current ? `; ${type} is the version 1 name of ${current}` : '';
+	throw new ProtocolError('unknown_message_type', `Unknown message type: ${type}${hint}`, { messageType: type });
+}
+
+// Version 1 carried the transcript and response text in `output`, the transcript JSON-encoded
+export function encodeServerMessage(message: ServerMessage, version: ProtocolVersion): string {
+	if (version === 2) return JSON.stringify(message);
+
+	const type = LEGACY_SERVER_TYPES[message.type] || message.type;
+	if (message.type === 'transcript' || message.type === 'response.text.delta' || message.type === 'response.text.done') {
+		const { text, ...fields } = message;
+		const output = message.type === 'transcript' ? JSON.stringify(text) : text;
+		return JSON.stringify({ ...fields, type, output });
+	}
+	return JSON.stringify({ ...message, type });
+}
+
+// Version 1 has no handshake, so its connections get every feature
+export function isFeatureEnabled(feature: ProtocolFeature, version: ProtocolVersion, features: ProtocolFeature[]): boolean {
+	return version === 1 || features.includes(feature);
+}
+
+export function isMessageEnabled(type: string, version: ProtocolVersion, features: ProtocolFeature[]): boolean {
+	const feature = FEATURE_MESSAGES[type];
+	return !feature || isFeatureEnabled(feature, version, features);
+}
+
+// Rejects a client message that uses a feature the connection did not negotiate
+export function assertFeaturesEnabled(message: ClientMessage, version: ProtocolVersion, features: ProtocolFeature[]) {
+	const feature = CLIENT_FEATURE_MESSAGES[message.type];
+	if (feature && !isFeatureEnabled(feature, version, features)) {
+		throw new ProtocolError('feature_not_enabled', `${message.type} needs the ${feature} feature`, { messageType: message.type, feature });
+	}
+
+	for (const [field, fieldFeature] of Object.entries(CLIENT_FEATURE_FIELDS)) {
+		if (message[field] !== undefined && !isFeatureEnabled(fieldFeature!, version, features)) {
+			throw new ProtocolError('feature_not_enabled', `message.${field} needs the ${fieldFeature} feature`, {
+				field: `message.${field}`,
+				messageType: message.type,
+				feature: fieldFeature
+			});
+		}
+	}
+}
+
+// A hello without `features` takes every feature; names the server does not know are dropped
+export function negotiateFeatures(requested?: string[]): ProtocolFeature[] {
+	if (!requested) return [...PROTOCOL_FEATURES];
+	return PROTOCOL_FEATURES.filter(feature => requested.includes(feature));
+}
+
+export function parseProtocolVersion(value: string | null): ProtocolVersion | null {
+	if (value === null) return 1;
+	const version = Number(value);
+	return PROTOCOL_VERSIONS.includes(version as ProtocolVersion) ? version as ProtocolVersion : null;
+}
@@ -0,0 +1,99 @@
+// Upstream provider errors for Cloudflare Workers
+// Keeps the provider, HTTP status and requested wait of a failed request, so callers can tell an outage from a
+// rejected request and know when to try again
+
+export class ProviderError extends Error {
+	readonly provider: string;
+	readonly status?: number; // Missing when the provider could not be reached or reported the error in-band
+	readonly retryAfterMs?: number; // From Retry-After or the rate-limit reset headers
+
+	constructor(message: string, provider: string, status?: number, retryAfterMs?: number) {
+		super(message);
+		this.name = 'ProviderError';
+		this.provider = provider;
+		this.status = status;
+		this.retryAfterMs = retryAfterMs;
+	}
+}
+
+// `action` starts the message, e.g. 'Transcription failed', so logs show which stage the request belonged to
+export function providerErrorFromResponse(action: string, provider: string, response: Response): ProviderError {
+	return new ProviderError(
+		`${action} (${provider}): ${response.status} ${response.statusText}`,
+		provider,
+		response.status,
+		parseRetryAfter(response)
+	);
+}
+
+// fetch for provider requests: a request that got no response at all, e.g. after a reset or DNS failure, becomes a
+// ProviderError without a status. Adapters use it so that every other error stays what it is, a bug to report.
+export async function fetchFromProvider(action: string, provider: string, input: string, init?: RequestInit): Promise<Response> {
+	try {
+		return await fetch(input, init);
+	} catch (error) {
+		if (init?.signal?.aborted || isAbortError(error)) throw error;
+		throw new ProviderError(`${action} (${provider}): ${(error as Error).message}`, provider);
+	}
+}
+
+// Statuses that reject the request content itself; another provider would not do better with the same input
+const REJECTED_REQUEST_STATUSES = [400, 413, 415, 422];
+
+// Whether another provider might succeed where this one failed. Only provider errors count: anything else is a bug
+// here, and failing over would only hide it.
+export function isProviderOutage(error: unknown): boolean {
+	if (!(error instanceof ProviderError)) return false;
+	return error.status === undefined || !REJECTED_REQUEST_STATUSES.includes(error.status);
+}
+
+// Whether the same request to the same provider might succeed a little later; bad keys, unknown models and bugs here
+// will not. Network failures arrive as ProviderError without a status.
+export function isRetryableError(error: unknown): boolean {
+	if (!(error instanceof ProviderError)) return false;
+	return error.status === undefined || error.status === 408 || error.status === 429 || error.status >= 500;
+}
+
+function isAbortError(error: unknown): boolean {
+	return error instanceof Error && (error.name === 'AbortError' || error.name === 'TimeoutError');
+}
+
+// Rate-limit reset headers: OpenAI and Groq send durations like "1m30s", Anthropic sends timestamps
+const RATE_LIMIT_RESET_HEADERS = [
+	'x-ratelimit-reset-requests',
+	'x-ratelimit-reset-tokens',
+	'anthropic-ratelimit-requests-reset',
+	'anthropic-ratelimit-tokens-reset'
+];
+
+function parseRetryAfter(response: Response): number | undefined {
+	const retryAfterMs = Number(response.headers.get('retry-after-ms'));
+	if (retryAfterMs > 0) return retryAfterMs;
+
+	const retryAfter = response.headers.get('retry-after');
+	if (retryAfter) {
+		// Either delay-seconds or an HTTP date
+		const delay = /^\d+(\.\d+)?$/.test(retryAfter.trim()) ? Number(retryAfter) * 1000 : Date.parse(retryAfter) - Date.now();
+		if (!Number.isNaN(delay)) return Math.max(0, delay);
+	}
+
+	if (response.status !== 429) return undefined;
+	// Without Retry-After, wait for the latest reset among the limits the provider reports
+	let latestReset: number | undefined;
+	for (const name of RATE_LIMIT_RESET_HEADERS) {
+		const value = response.headers.get(name);
+		const delay = value ? parseResetValue(value) : undefined;
+		if (delay !== undefined) latestReset = Math.max(latestReset ?? 0, delay);
+	}
+	return latestReset;
+}
+
+function parseResetValue(value: string): number | undefined {
+	const duration = /^(?:(\d+(?:\.\d+)?)h)?(?:(\d+(?:\.\d+)?)m(?!s))?(?:(\d+(?:\.\d+)?)s)?(?:(\d+(?:\.\d+)?)ms)?$/.exec(value.trim());
+	if (duration && value.trim()) {
+		const [, hours = '0', minutes = '0', seconds = '0', millis = '0'] = duration;
+		return ((Number(hours) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000 + Number(millis);
+	}
+	const timestamp = Date.parse(value);
+	return Number.isNaN(timestamp) ? undefined : Math.max(0, timestamp - Date.now());
+}
@@ -0,0 +1,72 @@
+// Retries with backoff for Cloudflare Workers
+// Exponential backoff with full jitter, stretched to the provider's Retry-After; never sleeps past the deadline
+
+import { ProviderError, isRetryableError } from './provider-error.js';
+
+export interface RetryOptions {
+	maxAttempts?: number; // Including the first one
+	baseDelayMs?: number;
+	maxDelayMs?: number; // Cap of the backoff; a longer Retry-After is still honoured if the deadline allows
+	deadline?: number; // Epoch milliseconds after which no new attempt starts
+	signal?: AbortSignal;
+	onRetry?: (retry: RetryEvent) => void;
+}
+
+export interface RetryEvent {
+	attempt: number; // The attempt about to start, 2 for the first retry
+	delayMs: number;
+	error: Error;
+}
+
+export const DEFAULT_MAX_ATTEMPTS = 3;
+export const DEFAULT_BASE_DELAY_MS = 250;
+export const DEFAULT_MAX_DELAY_MS = 4000;
+
+// How long to wait before the next attempt, or null if the error should be thrown instead
+export function getRetryDelay(error: unknown, attempt: number, options: RetryOptions = {}): number | null {
+	if (options.signal?.aborted || !isRetryableError(error)) return null;
+	if (attempt >= (options.maxAttempts || DEFAULT_MAX_ATTEMPTS)) return null;
+
+	const ceiling = Math.min(options.maxDelayMs ?? DEFAULT_MAX_DELAY_MS, (options.baseDelayMs ?? DEFAULT_BASE_DELAY_MS) * 2 ** (attempt - 1));
+	const backoff = Math.random() * ceiling;
+	const retryAfterMs = error instanceof ProviderError ? error.retryAfterMs : undefined;
+	const delayMs = Math.round(retryAfterMs !== undefined ? Math.max(retryAfterMs, backoff) : backoff);
+
+	// A provider that asks to wait longer than the turn has left is better skipped right away
+	if (options.deadline !== undefined && Date.now() + delayMs >= options.deadline) return null;
+	return delayMs;
+}
+
+// For idempotent requests only: `fn` may run several times
+export async function withRetry<T>(fn: (attempt: number) => Promise<T>, options: RetryOptions = {}): Promise<T> {
+	for (let attempt = 1; ; attempt++) {
+		try {
+			return await fn(attempt);
+		} catch (error) {
+			const delayMs = getRetryDelay(error, attempt, options);
+			if (delayMs === null) throw error;
+
+			options.onRetry?.({ attempt: attempt + 1, delayMs, error: error as Error });
+			await sleep(delayMs, options.signal);
+		}
+	}
+}
+
+// Rejects with the abort reason as soon as the signal fires
+export function sleep(ms: number, signal?: AbortSignal): Promise<void> {
+	return new Promise((resolve, reject) => {
+		if (signal?.aborted) {
+			reject(signal.reason);
+			return;
+		}
+		const timer = setTimeout(() => {
+			signal?.removeEventListener('abort', onAbort);
+			resolve();
+		}, ms);
+		const onAbort = () => {
+			clearTimeout(timer);
+			reject(signal!.reason);
+		};
+		signal?.addEventListener('abort', onAbort, { once: true });
+	});
+}
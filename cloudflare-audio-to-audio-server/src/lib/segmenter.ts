@@ -0,0 +1,208 @@
+// Sentence-aware text segmentation for streaming TTS
+// Splits streamed LLM output on sentence and clause boundaries so each chunk is spoken naturally
+
+export interface SegmenterConfig {
+	firstMinLength?: number; // Minimum length of the first segment (kept short so audio starts quickly)
+	minLength?: number; // Minimum length of every following segment
+	maxLength?: number; // Hard upper bound before a segment is force-split
+}
+
+type BoundaryStrength = 'sentence' | 'clause';
+
+interface Boundary {
+	index: number; // Cut position (exclusive) in the buffer
+	strength: BoundaryStrength;
+}
+
+export const DEFAULT_SEGMENTER_CONFIG: Required<SegmenterConfig> = {
+	firstMinLength: 15,
+	minLength: 60,
+	maxLength: 250
+};
+
+// OpenAI TTS rejects inputs longer than 4096 characters
+const MAX_SEGMENT_LENGTH = 4096;
+
+const SENTENCE_TERMINATORS = new Set(['.', '!', '?', '…']);
+// CJK, Arabic, Urdu and Devanagari sentence terminators do not need trailing whitespace
+const WIDE_SENTENCE_TERMINATORS = new Set(['。', '！', '？', '؟', '۔', '।', '॥']);
+const CLAUSE_TERMINATORS = new Set([',', ';', ':', '—']);
+const WIDE_CLAUSE_TERMINATORS = new Set(['，', '、', '；', '：', '،']);
+const CLOSING_PUNCTUATION = new Set(['"', "'", ')', ']', '}', '”', '’', '»', '」', '』', '）', '】', '》']);
+
+// Lower-cased tokens (without the trailing period) that should never end a sentence
+const ABBREVIATIONS = new Set([
+	'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'mt', 'vs', 'etc', 'e.g', 'i.e', 'approx', 'nr',
+	'inc', 'ltd', 'corp', 'dept', 'fig', 'vol', 'z.b', 'bzw', 'd.h', 'u.a', 'usw', 'ggf', 'vgl',
+	'jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec', 'a.m', 'p.m'
+]);
+
+// Also common words at the end of a sentence ("I said no."), so only abbreviations in front of a number ("No. 5",
+// "ca. 30") or, for 'St' and 'Co', when written capitalized ("St. Louis", "Acme Co. Ltd")
+const NUMBER_ABBREVIATIONS = new Set(['no', 'ca']);
+const CAPITALIZED_ABBREVIATIONS = new Set(['St', 'Co']);
+
+export function resolveSegmenterConfig(...overrides: Array<SegmenterConfig | undefined>): Required<SegmenterConfig> {
+	const config = { ...DEFAULT_SEGMENTER_CONFIG };
+
+	for (const override of overrides) {
+		if (!override) continue;
+		if (isPositiveNumber(override.firstMinLength)) config.firstMinLength = Math.floor(override.firstMinLength);
+		if (isPositiveNumber(override.minLength)) config.minLength = Math.floor(override.minLength);
+		if (isPositiveNumber(override.maxLength)) config.maxLength = Math.floor(override.maxLength);
+	}
+
+	config.maxLength = Math.min(config.maxLength, MAX_SEGMENT_LENGTH);
+	config.minLength = Math.min(config.minLength, config.maxLength);
+	config.firstMinLength = Math.min(config.firstMinLength, config.maxLength);
+
+	return config;
+}
+
+export class TextSegmenter {
+	private config: Required<SegmenterConfig>;
+	private buffer = '';
+	private segmentCount = 0;
+
+	constructor(config: SegmenterConfig = {}) {
+		this.config = resolveSegmenterConfig(config);
+	}
+
+	// Append streamed text and return every segment that is ready to be spoken
+	push(text: string): string[] {
+		this.buffer += text;
+		const segments: string[] = [];
+
+		let cut = this.findCut();
+		while (cut > 0) {
+			this.emit(this.buffer.slice(0, cut), segments);
+			this.buffer = this.buffer.slice(cut);
+			cut = this.findCut();
+		}
+
+		return segments;
+	}
+
+	// Return whatever is left in the buffer once the stream has ended
+	flush(): string[] {
+		const segments: string[] = [];
+		this.emit(this.buffer, segments);
+		this.buffer = '';
+		return segments;
+	}
+
+	private emit(text: string, segments: string[]) {
+		const segment = text.trim();
+		if (segment.length > 0) {
+			segments.push(segment);
+			this.segmentCount++;
+		}
+	}
+
+	private findCut(): number {
+		const isFirst = this.segmentCount === 0;
+		const minLength = isFirst ? this.config.firstMinLength : this.config.minLength;
+		const boundaries = findBoundaries(this.buffer);
+
+		const sentence = boundaries.find(b => b.strength === 'sentence' && b.index >= minLength && b.index <= this.config.maxLength);
+		if (sentence) return sentence.index;
+
+		// Let the first segment end on a clause so the first audio chunk arrives quickly
+		if (isFirst) {
+			const clause = boundaries.find(b => b.index >= minLength && b.index <= this.config.maxLength);
+			if (clause) return clause.index;
+		}
+
+		if (this.buffer.length < this.config.maxLength) return 0;
+
+		// Buffer is too long: prefer the last boundary, then the last whitespace, then a hard cut
+		const fallback = boundaries.filter(b => b.index <= this.config.maxLength).pop();
+		if (fallback) return fallback.index;
+
+		const lastSpace = findLastWhitespace(this.buffer, this.config.maxLength);
+		if (lastSpace > 0) return lastSpace;
+
+		return this.config.maxLength;
+	}
+}
+
+// Find confirmed boundaries; a terminator at the very end of the buffer is not confirmed until more text arrives
+function findBoundaries(text: string): Boundary[] {
+	const boundaries: Boundary[] = [];
+
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i];
+		const isWide = WIDE_SENTENCE_TERMINATORS.has(char) || WIDE_CLAUSE_TERMINATORS.has(char);
+		const isNarrow = SENTENCE_TERMINATORS.has(char) || CLAUSE_TERMINATORS.has(char);
+		if (!isWide && !isNarrow) continue;
+
+		// Collapse runs like "?!" or "..." and include closing quotes/brackets in the segment
+		let end = i + 1;
+		while (end < text.length && (SENTENCE_TERMINATORS.has(text[end]) || WIDE_SENTENCE_TERMINATORS.has(text[end]))) end++;
+		while (end < text.length && CLOSING_PUNCTUATION.has(text[end])) end++;
+		if (end >= text.length) break;
+
+		const strength: BoundaryStrength =
+			SENTENCE_TERMINATORS.has(char) || WIDE_SENTENCE_TERMINATORS.has(char) ? 'sentence' : 'clause';
+
+		if (isWide) {
+			boundaries.push({ index: end, strength });
+		} else if (isWhitespace(text[end]) && isRealBoundary(text, i, end, char)) {
+			boundaries.push({ index: end, strength });
+		}
+
+		i = end - 1;
+	}
+
+	return boundaries;
+}
+
+function isRealBoundary(text: string, index: number, end: number, terminator: string): boolean {
+	if (terminator !== '.' && terminator !== '…') return true;
+
+	// "approx. five", "z.B. das", "... and then" continue the same sentence
+	const next = nextNonWhitespace(text, end);
+	if (next === null) return false;
+	if (next !== next.toUpperCase() && next === next.toLowerCase()) return false;
+
+	if (terminator === '.') {
+		const token = previousToken(text, index);
+		if (ABBREVIATIONS.has(token.toLowerCase())) return false;
+		if (NUMBER_ABBREVIATIONS.has(token.toLowerCase()) && /\d/.test(next)) return false;
+		if (CAPITALIZED_ABBREVIATIONS.has(token)) return false;
+		// Initials such as "J. R. R. Tolkien"
+		if (/^\p{Lu}$/u.test(token)) return false;
+	}
+
+	return true;
+}
+
+function previousToken(text: string, index: number): string {
+	let start = index;
+	while (start > 0 && !isWhitespace(text[start - 1]) && !CLOSING_PUNCTUATION.has(text[start - 1]) && text[start - 1] !== '(') {
+		start--;
+	}
+	return text.slice(start, index);
+}
+
+function nextNonWhitespace(text: string, from: number): string | null {
+	for (let i = from; i < text.length; i++) {
+		if (!isWhitespace(text[i])) return text[i];
+	}
+	return null;
+}
+
+function findLastWhitespace(text: string, limit: number): number {
+	for (let i = Math.min(limit, text.length - 1); i > 0; i--) {
+		if (isWhitespace(text[i])) return i;
+	}
+	return 0;
+}
+
+function isWhitespace(char: string): boolean {
+	return /\s/.test(char);
+}
+
+function isPositiveNumber(value: unknown): value is number {
+	return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
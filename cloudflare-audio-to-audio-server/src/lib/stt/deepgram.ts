@@ -0,0 +1,62 @@
+// Deepgram transcription for Cloudflare Workers
+// Pre-recorded audio API; utterances provide the segments
+
+import { Transcriber, TranscribeOptions, TranscriptionResult, normalizeLanguage, resolveAudioFormat } from './transcriber.js';
+import { fetchFromProvider, providerErrorFromResponse } from '../provider-error.js';
+
+export const DEFAULT_DEEPGRAM_MODEL = 'nova-3';
+
+interface DeepgramResponse {
+	metadata?: { duration?: number };
+	results?: {
+		channels?: Array<{
+			detected_language?: string;
+			alternatives?: Array<{ transcript?: string }>;
+		}>;
+		utterances?: Array<{ start: number; end: number; transcript: string }>;
+	};
+}
+
+export class DeepgramTranscriber implements Transcriber {
+	readonly provider = 'deepgram';
+	readonly model: string;
+	private apiKey: string;
+
+	constructor(apiKey: string, model = DEFAULT_DEEPGRAM_MODEL) {
+		this.apiKey = apiKey;
+		this.model = model;
+	}
+
+	// Deepgram has no free-form prompt, so options.prompt is not used
+	async transcribe(audio: ArrayBuffer, options: TranscribeOptions = {}): Promise<TranscriptionResult> {
+		const params = new URLSearchParams({ model: this.model, smart_format: 'true', utterances: 'true' });
+		if (options.language) {
+			params.set('language', options.language);
+		} else {
+			params.set('detect_language', 'true');
+		}
+
+		const response = await fetchFromProvider('Transcription failed', 'deepgram', `https://api.deepgram.com/v1/listen?${params}`, {
+			method: 'POST',
+			headers: {
+				'Authorization': `Token ${this.apiKey}`,
+				'Content-Type': resolveAudioFormat(options.format).mimeType
+			},
+			body: audio,
+			signal: options.signal
+		});
+
+		if (!response.ok) {
+			throw providerErrorFromResponse('Transcription failed', 'deepgram', response);
+		}
+
+		const result = await response.json() as DeepgramResponse;
+		const channel = result.results?.channels?.[0];
+		return {
+			text: channel?.alternatives?.[0]?.transcript || '',
+			language: normalizeLanguage(channel?.detected_language || options.language),
+			duration: result.metadata?.duration ?? null,
+			segments: result.results?.utterances?.map(({ start, end, transcript }) => ({ start, end, text: transcript }))
+		};
+	}
+}
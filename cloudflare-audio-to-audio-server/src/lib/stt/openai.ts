@@ -0,0 +1,71 @@
+// OpenAI-compatible transcription for Cloudflare Workers
+// Covers OpenAI (whisper-1, gpt-4o-transcribe) and Groq, which serves Whisper behind the same API
+
+import { Transcriber, TranscribeOptions, TranscriptionResult, normalizeLanguage, resolveAudioFormat } from './transcriber.js';
+import { fetchFromProvider, providerErrorFromResponse } from '../provider-error.js';
+
+export interface OpenAITranscriberConfig {
+	apiKey: string;
+	model: string;
+	baseUrl?: string;
+	provider?: string; // Name used in logs and errors
+}
+
+interface VerboseTranscription {
+	text: string;
+	language?: string;
+	duration?: number;
+	segments?: Array<{ start: number; end: number; text: string }>;
+}
+
+export class OpenAITranscriber implements Transcriber {
+	readonly provider: string;
+	readonly model: string;
+	private apiKey: string;
+	private baseUrl: string;
+
+	constructor(config: OpenAITranscriberConfig) {
+		this.provider = config.provider || 'openai';
+		this.model = config.model;
+		this.apiKey = config.apiKey;
+		this.baseUrl = (config.baseUrl || 'https://api.openai.com/v1').replace(/\/$/, '');
+	}
+
+	async transcribe(audio: ArrayBuffer, options: TranscribeOptions = {}): Promise<TranscriptionResult> {
+		const { extension, mimeType } = resolveAudioFormat(options.format);
+		// Only the Whisper models return language, duration and segments; gpt-4o-transcribe answers with text
+		const verbose = this.model.includes('whisper');
+
+		const formData = new FormData();
+		formData.append('file', new Blob([audio], { type: mimeType }), `audio.${extension}`);
+		formData.append('model', this.model);
+		formData.append('response_format', verbose ? 'verbose_json' : 'json');
+		if (options.language) {
+			formData.append('language', options.language);
+		}
+		if (options.prompt) {
+			formData.append('prompt', options.prompt);
+		}
+
+		const response = await fetchFromProvider('Transcription failed', this.provider, `${this.baseUrl}/audio/transcriptions`, {
+			method: 'POST',
+			headers: {
+				'Authorization': `Bearer ${this.apiKey}`
+			},
+			body: formData,
+			signal: options.signal
+		});
+
+		if (!response.ok) {
+			throw providerErrorFromResponse('Transcription failed', this.provider, response);
+		}
+
+		const result = await response.json() as VerboseTranscription;
+		return {
+			text: result.text,
+			language: normalizeLanguage(result.language || options.language),
+			duration: result.duration ?? null,
+			segments: result.segments?.map(({ start, end, text }) => ({ start, end, text: text.trim() }))
+		};
+	}
+}
@@ -0,0 +1,69 @@
+// Speech-to-text interface for Cloudflare Workers
+// Every provider adapter returns the same normalized result, so the session does not care who transcribed the audio
+
+export interface TranscriptSegment {
+	start: number; // Seconds from the start of the audio
+	end: number;
+	text: string;
+}
+
+export interface TranscriptionResult {
+	text: string;
+	language: string | null; // ISO 639-1 code, detected or as requested
+	duration: number | null; // Seconds of audio, when the provider reports it
+	segments?: TranscriptSegment[];
+}
+
+export interface TranscribeOptions {
+	format?: string; // File extension of the audio container, see SUPPORTED_AUDIO_FORMATS
+	language?: string; // ISO 639-1 hint; auto-detected when missing
+	prompt?: string; // Vocabulary hint, for providers that accept one
+	signal?: AbortSignal;
+}
+
+export interface Transcriber {
+	readonly provider: string;
+	readonly model: string;
+	transcribe(audio: ArrayBuffer, options?: TranscribeOptions): Promise<TranscriptionResult>;
+}
+
+// Container formats accepted by the transcription APIs, keyed by file extension
+export const AUDIO_MIME_TYPES: Record<string, string> = {
+	mp4: 'audio/mp4',
+	m4a: 'audio/mp4',
+	mp3: 'audio/mpeg',
+	mpeg: 'audio/mpeg',
+	mpga: 'audio/mpeg',
+	wav: 'audio/wav',
+	webm: 'audio/webm',
+	ogg: 'audio/ogg',
+	flac: 'audio/flac'
+};
+
+export const SUPPORTED_AUDIO_FORMATS = Object.keys(AUDIO_MIME_TYPES);
+
+export function resolveAudioFormat(format?: string): { extension: string; mimeType: string } {
+	const extension = format && AUDIO_MIME_TYPES[format] ? format : 'mp4';
+	return { extension, mimeType: AUDIO_MIME_TYPES[extension] };
+}
+
+// Whisper reports the language by name ("english"); everything else uses ISO codes
+const WHISPER_LANGUAGES = Object.fromEntries(
+	('en:english zh:chinese de:german es:spanish ru:russian ko:korean fr:french ja:japanese pt:portuguese tr:turkish ' +
+	'pl:polish ca:catalan nl:dutch ar:arabic sv:swedish it:italian id:indonesian hi:hindi fi:finnish vi:vietnamese ' +
+	'he:hebrew uk:ukrainian el:greek ms:malay cs:czech ro:romanian da:danish hu:hungarian ta:tamil no:norwegian ' +
+	'th:thai ur:urdu hr:croatian bg:bulgarian lt:lithuanian la:latin mi:maori ml:malayalam cy:welsh sk:slovak ' +
+	'te:telugu fa:persian lv:latvian bn:bengali sr:serbian az:azerbaijani sl:slovenian kn:kannada et:estonian ' +
+	'mk:macedonian br:breton eu:basque is:icelandic hy:armenian ne:nepali mn:mongolian bs:bosnian kk:kazakh ' +
+	'sq:albanian sw:swahili gl:galician mr:marathi pa:punjabi si:sinhala km:khmer sn:shona yo:yoruba so:somali ' +
+	'af:afrikaans oc:occitan ka:georgian be:belarusian tg:tajik sd:sindhi gu:gujarati am:amharic yi:yiddish lo:lao ' +
+	'uz:uzbek fo:faroese ps:pashto tk:turkmen nn:nynorsk mt:maltese sa:sanskrit lb:luxembourgish my:myanmar ' +
+	'bo:tibetan tl:tagalog mg:malagasy as:assamese tt:tatar haw:hawaiian ln:lingala ha:hausa ba:bashkir ' +
+	'jw:javanese su:sundanese yue:cantonese').split(' ').map(pair => pair.split(':').reverse())
+);
+
+export function normalizeLanguage(language: string | null | undefined): string | null {
+	if (!language) return null;
+	const lower = language.toLowerCase();
+	return WHISPER_LANGUAGES[lower] || lower.split(/[-_]/)[0];
+}
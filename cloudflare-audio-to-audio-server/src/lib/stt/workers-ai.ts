@@ -0,0 +1,52 @@
+// Workers AI transcription for Cloudflare Workers
+// Runs Whisper on Cloudflare's own GPUs through the AI binding, so no third-party key is needed
+
+import { Transcriber, TranscribeOptions, TranscriptionResult, normalizeLanguage } from './transcriber.js';
+import { arrayBufferToBase64 } from '../base64.js';
+import { abortable } from '../abortable.js';
+import { ProviderError } from '../provider-error.js';
+
+export const DEFAULT_WORKERS_AI_STT_MODEL = '@cf/openai/whisper-large-v3-turbo';
+
+interface WorkersAIWhisperOutput {
+	text: string;
+	transcription_info?: { language?: string; duration?: number };
+	segments?: Array<{ start?: number; end?: number; text?: string }>;
+}
+
+export class WorkersAITranscriber implements Transcriber {
+	readonly provider = 'workers-ai';
+	readonly model: string;
+	private ai: Ai;
+
+	constructor(ai: Ai, model = DEFAULT_WORKERS_AI_STT_MODEL) {
+		this.ai = ai;
+		this.model = model;
+	}
+
+	async transcribe(audio: ArrayBuffer, options: TranscribeOptions = {}): Promise<TranscriptionResult> {
+		// whisper-large-v3-turbo takes base64 and a prompt; the older Whisper models take a byte array
+		const inputs = this.model.includes('large-v3')
+			? { audio: arrayBufferToBase64(audio), language: options.language, initial_prompt: options.prompt }
+			: { audio: [...new Uint8Array(audio)] };
+
+		let result: WorkersAIWhisperOutput;
+		try {
+			result = await abortable(this.ai.run(this.model as any, inputs as any) as Promise<WorkersAIWhisperOutput>, options.signal);
+		} catch (error) {
+			if (options.signal?.aborted) throw error;
+			throw new ProviderError(`Transcription failed (workers-ai): ${(error as Error).message}`, 'workers-ai');
+		}
+
+		return {
+			text: result.text,
+			language: normalizeLanguage(result.transcription_info?.language || options.language),
+			duration: result.transcription_info?.duration ?? null,
+			segments: result.segments?.map(segment => ({
+				start: segment.start || 0,
+				end: segment.end || 0,
+				text: (segment.text || '').trim()
+			}))
+		};
+	}
+}
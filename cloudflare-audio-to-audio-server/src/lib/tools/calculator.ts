@@ -0,0 +1,207 @@
+// Calculator tool for Cloudflare Workers
+// Evaluates arithmetic with a small recursive-descent parser; eval is neither safe nor available in Workers
+
+import type { ToolDefinition } from './registry.js';
+
+const FUNCTIONS: Record<string, (...args: number[]) => number> = {
+	sqrt: Math.sqrt,
+	abs: Math.abs,
+	round: Math.round,
+	floor: Math.floor,
+	ceil: Math.ceil,
+	sin: Math.sin,
+	cos: Math.cos,
+	tan: Math.tan,
+	log: Math.log10,
+	ln: Math.log,
+	exp: Math.exp,
+	pow: Math.pow,
+	min: Math.min,
+	max: Math.max
+};
+
+const CONSTANTS: Record<string, number> = {
+	pi: Math.PI,
+	e: Math.E
+};
+
+const MAX_EXPRESSION_LENGTH = 500;
+
+export const calculatorTool: ToolDefinition = {
+	name: 'calculator',
+	description: 'Evaluate an arithmetic expression exactly. Supports + - * / % ^, parentheses, sqrt, abs, round, floor, ceil, sin, cos, tan, log (base 10), ln, exp, pow, min, max and the constants pi and e.',
+	parameters: {
+		type: 'object',
+		properties: {
+			expression: {
+				type: 'string',
+				description: 'The expression to evaluate, e.g. "(12.5 * 4) / 3" or "sqrt(2) ^ 2"'
+			}
+		},
+		required: ['expression']
+	},
+	async handler(args: { expression: string }) {
+		return { expression: args.expression, result: evaluateExpression(args.expression) };
+	}
+};
+
+export function evaluateExpression(expression: string): number {
+	if (expression.length > MAX_EXPRESSION_LENGTH) {
+		throw new Error('Expression is too long');
+	}
+
+	const parser = new ExpressionParser(tokenize(expression));
+	const result = parser.parse();
+	if (!Number.isFinite(result)) {
+		throw new Error('Result is not a finite number');
+	}
+	return result;
+}
+
+type Token = { kind: 'number'; value: number } | { kind: 'name'; value: string } | { kind: 'symbol'; value: string };
+
+function tokenize(expression: string): Token[] {
+	const tokens: Token[] = [];
+	const pattern = /\s*(?:(\d+(?:\.\d*)?|\.\d+)(?:e([+-]?\d+))?|([A-Za-z_]\w*)|(\*\*|[-+*\/%^(),]))/y;
+
+	let position = 0;
+	while (position < expression.length) {
+		if (/^\s*$/.test(expression.slice(position))) break;
+
+		pattern.lastIndex = position;
+		const match = pattern.exec(expression);
+		if (!match) {
+			throw new Error(`Unexpected character at position ${position + 1}`);
+		}
+		position = pattern.lastIndex;
+
+		if (match[1] !== undefined) {
+			tokens.push({ kind: 'number', value: Number(match[0]) });
+		} else if (match[3] !== undefined) {
+			tokens.push({ kind: 'name', value: match[3].toLowerCase() });
+		} else {
+			tokens.push({ kind: 'symbol', value: match[4] === '**' ? '^' : match[4] });
+		}
+	}
+	return tokens;
+}
+
+// expression := term (('+' | '-') term)*
+// term       := unary (('*' | '/' | '%') unary)*
+// unary      := ('+' | '-') unary | power
+// power      := primary ('^' unary)?
+// primary    := number | constant | function '(' args ')' | '(' expression ')'
+class ExpressionParser {
+	private index = 0;
+
+	constructor(private tokens: Token[]) {}
+
+	parse(): number {
+		if (this.tokens.length === 0) {
+			throw new Error('Expression is empty');
+		}
+		const value = this.expression();
+		if (this.index < this.tokens.length) {
+			throw new Error(`Unexpected "${this.tokens[this.index].value}"`);
+		}
+		return value;
+	}
+
+	private expression(): number {
+		let value = this.term();
+		while (this.peekSymbol('+') || this.peekSymbol('-')) {
+			const operator = this.next().value;
+			const right = this.term();
+			value = operator === '+' ? value + right : value - right;
+		}
+		return value;
+	}
+
+	private term(): number {
+		let value = this.unary();
+		while (this.peekSymbol('*') || this.peekSymbol('/') || this.peekSymbol('%')) {
+			const operator = this.next().value;
+			const right = this.unary();
+			if (operator !== '*' && right === 0) {
+				throw new Error('Division by zero');
+			}
+			value = operator === '*' ? value * right : operator === '/' ? value / right : value % right;
+		}
+		return value;
+	}
+
+	private unary(): number {
+		if (this.peekSymbol('-')) {
+			this.next();
+			return -this.unary();
+		}
+		if (this.peekSymbol('+')) {
+			this.next();
+			return this.unary();
+		}
+		return this.power();
+	}
+
+	private power(): number {
+		const base = this.primary();
+		if (this.peekSymbol('^')) {
+			this.next();
+			return Math.pow(base, this.unary()); // Right-associative: 2^3^2 = 2^9
+		}
+		return base;
+	}
+
+	private primary(): number {
+		const token = this.next();
+
+		if (token.kind === 'number') {
+			return token.value;
+		}
+
+		if (token.kind === 'name') {
+			if (token.value in CONSTANTS) {
+				return CONSTANTS[token.value];
+			}
+			const fn = FUNCTIONS[token.value];
+			if (!fn) {
+				throw new Error(`Unknown function or constant "${token.value}"`);
+			}
+			this.expectSymbol('(');
+			const args = [this.expression()];
+			while (this.peekSymbol(',')) {
+				this.next();
+				args.push(this.expression());
+			}
+			this.expectSymbol(')');
+			return fn(...args);
+		}
+
+		if (token.value === '(') {
+			const value = this.expression();
+			this.expectSymbol(')');
+			return value;
+		}
+
+		throw new Error(`Unexpected "${token.value}"`);
+	}
+
+	private next(): Token {
+		const token = this.tokens[this.index++];
+		if (!token) {
+			throw new Error('Unexpected end of expression');
+		}
+		return token;
+	}
+
+	private peekSymbol(symbol: string): boolean {
+		const token = this.tokens[this.index];
+		return token?.kind === 'symbol' && token.value === symbol;
+	}
+
+	private expectSymbol(symbol: string) {
+		if (!this.peekSymbol(symbol)) {
+			throw new Error(`Expected "${symbol}"`);
+		}
+		this.index++;
+	}
+}
@@ -0,0 +1,125 @@
+// Client-executed tools for Cloudflare Workers
+// The app declares tools it can run on the device; calls are forwarded over the socket and the turn waits for the result
+
+import type { JsonSchema, ToolContext, ToolDefinition } from './registry.js';
+
+export const DEFAULT_CLIENT_TOOL_TIMEOUT_MS = 15000;
+export const MAX_CLIENT_TOOLS = 32;
+
+export interface ClientToolDeclaration {
+	name: string;
+	description: string;
+	parameters: JsonSchema;
+}
+
+export interface ClientToolResult {
+	toolCallId: string;
+	result?: unknown;
+	error?: string;
+}
+
+interface PendingCall {
+	resolve(result: unknown): void;
+	reject(error: Error): void;
+}
+
+// Sends a call to the clients; returns false when no client is connected to receive it
+export type ClientToolSender = (call: { toolCallId: string; name: string; arguments: unknown; timeoutMs: number }) => boolean;
+
+// Accepts the valid declarations of a tools.register message and explains the rest
+export function parseClientToolDeclarations(input: unknown): { tools: ClientToolDeclaration[]; rejected: Array<{ name: string; reason: string }> } {
+	const tools: ClientToolDeclaration[] = [];
+	const rejected: Array<{ name: string; reason: string }> = [];
+
+	for (const entry of Array.isArray(input) ? input : []) {
+		const name = typeof entry?.name === 'string' ? entry.name : '';
+		let reason: string | null = null;
+
+		if (!/^[A-Za-z0-9_-]{1,64}$/.test(name)) {
+			reason = 'name must be 1-64 letters, digits, _ or -';
+		} else if (typeof entry.description !== 'string' || !entry.description) {
+			reason = 'description is required';
+		} else if (entry.parameters !== undefined && (typeof entry.parameters !== 'object' || entry.parameters === null || entry.parameters.type !== 'object')) {
+			reason = 'parameters must be a JSON schema of type object';
+		} else if (tools.some(tool => tool.name === name)) {
+			reason = 'declared more than once';
+		} else if (tools.length >= MAX_CLIENT_TOOLS) {
+			reason = `at most ${MAX_CLIENT_TOOLS} client tools are allowed`;
+		}
+
+		if (reason) {
+			rejected.push({ name, reason });
+		} else {
+			tools.push({ name, description: entry.description, parameters: entry.parameters || { type: 'object', properties: {} } });
+		}
+	}
+
+	return { tools, rejected };
+}
+
+// Tracks calls waiting for a client_tool_result; lives as long as the session object is awake
+export class ClientToolBridge {
+	private pending = new Map<string, PendingCall>();
+	private send: ClientToolSender;
+	private timeoutMs: number;
+
+	constructor(send: ClientToolSender, timeoutMs = DEFAULT_CLIENT_TOOL_TIMEOUT_MS) {
+		this.send = send;
+		this.timeoutMs = timeoutMs;
+	}
+
+	createTool(declaration: ClientToolDeclaration): ToolDefinition {
+		return {
+			...declaration,
+			handler: (args, context) => this.call(declaration.name, args, context)
+		};
+	}
+
+	call(name: string, args: unknown, context: ToolContext): Promise<unknown> {
+		const toolCallId = context.toolCallId || crypto.randomUUID();
+		const { signal } = context;
+
+		if (signal?.aborted) {
+			return Promise.reject(new Error('Turn was cancelled'));
+		}
+
+		return new Promise((resolve, reject) => {
+			const finish = () => {
+				clearTimeout(timer);
+				signal?.removeEventListener('abort', onAbort);
+				this.pending.delete(toolCallId);
+			};
+			const onAbort = () => {
+				finish();
+				reject(new Error('Turn was cancelled'));
+			};
+			const timer = setTimeout(() => {
+				finish();
+				reject(new Error(`Client did not answer within ${this.timeoutMs} ms`));
+			}, this.timeoutMs);
+
+			this.pending.set(toolCallId, {
+				resolve: result => { finish(); resolve(result); },
+				reject: error => { finish(); reject(error); }
+			});
+			signal?.addEventListener('abort', onAbort);
+
+			if (!this.send({ toolCallId, name, arguments: args, timeoutMs: this.timeoutMs })) {
+				this.pending.get(toolCallId)?.reject(new Error('No client is connected to run this tool'));
+			}
+		});
+	}
+
+	// Returns false for unknown or already settled calls, e.g. a second client answering the same call
+	settle(message: ClientToolResult): boolean {
+		const call = this.pending.get(message.toolCallId);
+		if (!call) return false;
+
+		if (message.error !== undefined) {
+			call.reject(new Error(String(message.error)));
+		} else {
+			call.resolve(message.result ?? null);
+		}
+		return true;
+	}
+}
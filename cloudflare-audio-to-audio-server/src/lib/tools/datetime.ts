@@ -0,0 +1,55 @@
+// Date and time tool for Cloudflare Workers
+// Models have no clock; this gives them the current time in any IANA timezone
+
+import type { ToolDefinition } from './registry.js';
+
+export function createDateTimeTool(defaultTimezone = 'UTC'): ToolDefinition {
+	return {
+		name: 'datetime',
+		description: `Get the current date and time. Uses ${defaultTimezone} unless a timezone is given.`,
+		parameters: {
+			type: 'object',
+			properties: {
+				timezone: {
+					type: 'string',
+					description: 'IANA timezone name, e.g. "Europe/Berlin" or "America/New_York"'
+				}
+			}
+		},
+		async handler(args: { timezone?: string }) {
+			return getDateTime(new Date(), args.timezone || defaultTimezone);
+		}
+	};
+}
+
+export function getDateTime(now: Date, timezone: string) {
+	let parts: Intl.DateTimeFormatPart[];
+	try {
+		parts = new Intl.DateTimeFormat('en-US', {
+			timeZone: timezone,
+			year: 'numeric',
+			month: '2-digit',
+			day: '2-digit',
+			weekday: 'long',
+			hour: '2-digit',
+			minute: '2-digit',
+			second: '2-digit',
+			hourCycle: 'h23',
+			timeZoneName: 'longOffset'
+		}).formatToParts(now);
+	} catch (error) {
+		throw new Error(`Unknown timezone: ${timezone}`);
+	}
+
+	const part = (type: Intl.DateTimeFormatPartTypes) => parts.find(candidate => candidate.type === type)?.value || '';
+	const offset = part('timeZoneName').replace('GMT', '') || '+00:00';
+
+	return {
+		timezone,
+		date: `${part('year')}-${part('month')}-${part('day')}`,
+		time: `${part('hour')}:${part('minute')}:${part('second')}`,
+		weekday: part('weekday'),
+		utcOffset: offset,
+		iso: now.toISOString()
+	};
+}
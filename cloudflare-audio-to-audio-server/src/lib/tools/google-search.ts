@@ -0,0 +1,46 @@
+// Google Search tool for Cloudflare Workers
+// Configure with GOOGLE_SEARCH_API_KEY and GOOGLE_SEARCH_ENGINE_ID environment variables
+
+import type { ToolDefinition } from './registry.js';
+import { logger } from '../logger.js';
+
+async function googleSearch(query: string, apiKey: string, searchEngineId: string, signal?: AbortSignal): Promise<any[] | null> {
+	const url = `https://www.googleapis.com/customsearch/v1?key=${apiKey}&cx=${searchEngineId}&q=${encodeURIComponent(query)}`;
+
+	try {
+		const response = await fetch(url, { signal });
+		const data = await response.json() as any;
+		return data.items?.slice(0, 3).map((item: any) => ({
+			title: item.title,
+			link: item.link,
+			snippet: item.snippet
+		})) || [];
+	} catch (error) {
+		logger.error('Error performing Google search', error);
+		return null;
+	}
+}
+
+export function createGoogleSearchTool(apiKey: string, searchEngineId: string): ToolDefinition {
+	return {
+		name: 'googleSearch',
+		description: 'Search the internet using Google Custom Search API',
+		parameters: {
+			type: 'object',
+			properties: {
+				query: {
+					type: 'string',
+					description: 'The search query'
+				}
+			},
+			required: ['query']
+		},
+		async handler(args: { query: string }, { signal }) {
+			const results = await googleSearch(args.query, apiKey, searchEngineId, signal);
+			if (results === null) {
+				throw new Error('Google search failed');
+			}
+			return results;
+		}
+	};
+}
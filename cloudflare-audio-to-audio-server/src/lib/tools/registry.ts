@@ -0,0 +1,121 @@
+// Tool registry for Cloudflare Workers
+// Tools are declared with a JSON schema and a handler, then exposed to the chat loop as ChatTools
+
+import type { ChatTool } from '../llm/chat.js';
+
+// The subset of JSON schema the registry validates; anything else is passed to the model unchecked
+export interface JsonSchema {
+	type?: 'object' | 'string' | 'number' | 'integer' | 'boolean' | 'array';
+	description?: string;
+	properties?: Record<string, JsonSchema>;
+	required?: string[];
+	enum?: unknown[];
+	items?: JsonSchema;
+	[keyword: string]: unknown;
+}
+
+export interface ToolContext {
+	claims: any; // Token claims of the session the call belongs to
+	signal?: AbortSignal;
+	toolCallId?: string; // Assigned by the model
+}
+
+export interface ToolDefinition {
+	name: string;
+	description: string;
+	parameters: JsonSchema;
+	handler(args: any, context: ToolContext): Promise<unknown>;
+}
+
+const TOOL_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+export class ToolRegistry {
+	private tools = new Map<string, ToolDefinition>();
+
+	register(tool: ToolDefinition): this {
+		if (!TOOL_NAME_PATTERN.test(tool.name)) {
+			throw new Error(`Invalid tool name: ${tool.name}`);
+		}
+		if (this.tools.has(tool.name)) {
+			throw new Error(`Tool already registered: ${tool.name}`);
+		}
+		this.tools.set(tool.name, tool);
+		return this;
+	}
+
+	has(name: string): boolean {
+		return this.tools.has(name);
+	}
+
+	get names(): string[] {
+		return [...this.tools.keys()];
+	}
+
+	// Enabled tools bound to the caller's context; '*' enables every registered tool and unknown names are skipped
+	resolve(enabled: string[], context: Omit<ToolContext, 'signal' | 'toolCallId'>): ChatTool[] {
+		const names = enabled.includes('*') ? this.names : enabled.filter(name => this.tools.has(name));
+
+		return [...new Set(names)].map(name => {
+			const tool = this.tools.get(name)!;
+			return {
+				name: tool.name,
+				description: tool.description,
+				parameters: tool.parameters,
+				execute: (args: any, signal?: AbortSignal, toolCallId?: string) => {
+					const problem = validateArguments(tool.parameters, args);
+					if (problem) {
+						throw new Error(`Invalid arguments for ${tool.name}: ${problem}`);
+					}
+					return tool.handler(args, { ...context, signal, toolCallId });
+				}
+			};
+		});
+	}
+}
+
+// Returns a description of the first mismatch, or null when the value fits the schema
+export function validateArguments(schema: JsonSchema, value: unknown, path = 'arguments'): string | null {
+	if (schema.enum && !schema.enum.includes(value)) {
+		return `${path} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`;
+	}
+
+	switch (schema.type) {
+		case 'object': {
+			if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+				return `${path} must be an object`;
+			}
+			const record = value as Record<string, unknown>;
+			for (const key of schema.required || []) {
+				if (record[key] === undefined) {
+					return `${path}.${key} is required`;
+				}
+			}
+			for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+				if (record[key] === undefined) continue;
+				const problem = validateArguments(propertySchema, record[key], `${path}.${key}`);
+				if (problem) return problem;
+			}
+			return null;
+		}
+		case 'array': {
+			if (!Array.isArray(value)) {
+				return `${path} must be an array`;
+			}
+			for (let i = 0; i < value.length && schema.items; i++) {
+				const problem = validateArguments(schema.items, value[i], `${path}[${i}]`);
+				if (problem) return problem;
+			}
+			return null;
+		}
+		case 'string':
+			return typeof value === 'string' ? null : `${path} must be a string`;
+		case 'number':
+			return typeof value === 'number' && Number.isFinite(value) ? null : `${path} must be a number`;
+		case 'integer':
+			return Number.isInteger(value) ? null : `${path} must be an integer`;
+		case 'boolean':
+			return typeof value === 'boolean' ? null : `${path} must be a boolean`;
+		default:
+			return null;
+	}
+}
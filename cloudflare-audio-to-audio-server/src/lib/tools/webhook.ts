@@ -0,0 +1,76 @@
+// Webhook tool for Cloudflare Workers
+// Forwards a tool call to an HTTP endpoint, signed with HMAC-SHA256 so the receiver can verify it came from us
+
+import type { JsonSchema, ToolDefinition } from './registry.js';
+
+export const DEFAULT_WEBHOOK_TIMEOUT_MS = 10000;
+
+export interface WebhookToolConfig {
+	name: string;
+	description: string;
+	parameters?: JsonSchema; // Defaults to an object with no declared properties
+	url: string;
+	secret: string;
+	headers?: Record<string, string>;
+	timeoutMs?: number;
+}
+
+// The receiver recomputes HMAC-SHA256(secret, `${X-Webhook-Timestamp}.${body}`) and compares it with
+// X-Webhook-Signature; the timestamp lets it reject replays
+export function createWebhookTool(config: WebhookToolConfig): ToolDefinition {
+	if (!config.url || !/^https?:\/\//.test(config.url)) {
+		throw new Error(`Webhook tool ${config.name} needs an http(s) url`);
+	}
+	if (!config.secret) {
+		throw new Error(`Webhook tool ${config.name} needs a signing secret`);
+	}
+
+	return {
+		name: config.name,
+		description: config.description,
+		parameters: config.parameters || { type: 'object', properties: {} },
+		async handler(args, { claims, signal }) {
+			const body = JSON.stringify({
+				tool: config.name,
+				arguments: args,
+				user: {
+					userId: claims?.userId ?? claims?.sub ?? null,
+					username: claims?.username ?? null
+				}
+			});
+			const timestamp = Math.floor(Date.now() / 1000).toString();
+			const signature = await signPayload(config.secret, `${timestamp}.${body}`);
+
+			const timeout = AbortSignal.timeout(config.timeoutMs || DEFAULT_WEBHOOK_TIMEOUT_MS);
+			const response = await fetch(config.url, {
+				method: 'POST',
+				headers: {
+					...config.headers,
+					'Content-Type': 'application/json',
+					'X-Webhook-Timestamp': timestamp,
+					'X-Webhook-Signature': `sha256=${signature}`
+				},
+				body,
+				signal: signal ? AbortSignal.any([signal, timeout]) : timeout
+			});
+
+			const responseText = await response.text();
+			if (!response.ok) {
+				throw new Error(`Webhook ${config.name} returned ${response.status}`);
+			}
+
+			try {
+				return JSON.parse(responseText);
+			} catch (error) {
+				return responseText;
+			}
+		}
+	};
+}
+
+async function signPayload(secret: string, payload: string): Promise<string> {
+	const encoder = new TextEncoder();
+	const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+	const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(payload));
+	return [...new Uint8Array(signature)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,140 @@
+// Bounded-concurrency TTS pipeline for Cloudflare Workers
+// Synthesizes several text segments in parallel while the LLM keeps streaming, delivering audio strictly in order
+
+import { logger, Logger } from './logger.js';
+
+export interface TTSPipelineOptions {
+	concurrency?: number; // Maximum number of TTS requests in flight at once
+	logger?: Logger;
+}
+
+export interface SynthesizedChunk {
+	chunkIndex: number;
+	text: string;
+	audio: ArrayBuffer;
+}
+
+export interface TTSPipelineHandlers {
+	synthesize: (text: string, chunkIndex: number) => Promise<ArrayBuffer>;
+	deliver: (chunk: SynthesizedChunk) => void;
+	onError: (error: Error, chunkIndex: number, text: string) => void;
+}
+
+type ChunkResult = { chunk: SynthesizedChunk } | { error: Error; chunkIndex: number; text: string };
+
+export const DEFAULT_TTS_CONCURRENCY = 3;
+
+export class TTSPipeline {
+	private handlers: TTSPipelineHandlers;
+	private concurrency: number;
+	private log: Logger;
+	private segments: string[] = [];
+	private results = new Map<number, ChunkResult>();
+	private nextToStart = 0;
+	private nextToDeliver = 0;
+	private inFlight = 0;
+	private drainWaiters: Array<() => void> = [];
+	private aborted = false;
+
+	constructor(handlers: TTSPipelineHandlers, options: TTSPipelineOptions = {}) {
+		this.handlers = handlers;
+		this.concurrency = Math.max(1, Math.floor(options.concurrency || DEFAULT_TTS_CONCURRENCY));
+		this.log = options.logger || logger;
+	}
+
+	// Queue a segment for synthesis and return its chunk index
+	enqueue(text: string): number {
+		const chunkIndex = this.segments.length;
+		this.segments.push(text);
+		this.startPending();
+		return chunkIndex;
+	}
+
+	// Number of segments queued so far
+	get size(): number {
+		return this.segments.length;
+	}
+
+	// Resolve once every queued segment has been delivered (or reported as failed)
+	drain(): Promise<void> {
+		if (this.isIdle()) return Promise.resolve();
+		return new Promise(resolve => this.drainWaiters.push(resolve));
+	}
+
+	// Stop synthesizing: pending segments are dropped and nothing else is delivered
+	abort() {
+		if (this.aborted) return;
+		this.aborted = true;
+		this.results.clear();
+		this.resolveDrainWaiters();
+	}
+
+	get isAborted(): boolean {
+		return this.aborted;
+	}
+
+	private startPending() {
+		// Cap how far synthesis may run ahead of delivery so finished audio does not pile up in memory
+		const maxAhead = this.concurrency * 2;
+
+		while (
+			!this.aborted &&
+			this.inFlight < this.concurrency &&
+			this.nextToStart < this.segments.length &&
+			this.nextToStart < this.nextToDeliver + maxAhead
+		) {
+			this.runChunk(this.nextToStart++);
+		}
+	}
+
+	private async runChunk(chunkIndex: number) {
+		const text = this.segments[chunkIndex];
+		this.inFlight++;
+
+		try {
+			const audio = await this.handlers.synthesize(text, chunkIndex);
+			this.results.set(chunkIndex, { chunk: { chunkIndex, text, audio } });
+		} catch (error) {
+			this.results.set(chunkIndex, { error: error as Error, chunkIndex, text });
+		} finally {
+			this.inFlight--;
+		}
+
+		if (this.aborted) return;
+		this.deliverReady();
+		this.startPending();
+	}
+
+	private deliverReady() {
+		while (this.results.has(this.nextToDeliver)) {
+			const result = this.results.get(this.nextToDeliver)!;
+			this.results.delete(this.nextToDeliver);
+			this.nextToDeliver++;
+
+			try {
+				if (this.aborted) return;
+				if ('chunk' in result) {
+					this.handlers.deliver(result.chunk);
+				} else {
+					this.handlers.onError(result.error, result.chunkIndex, result.text);
+				}
+			} catch (error) {
+				this.log.error('Error delivering TTS chunk', error);
+			}
+		}
+
+		if (this.isIdle()) {
+			this.resolveDrainWaiters();
+		}
+	}
+
+	private resolveDrainWaiters() {
+		const waiters = this.drainWaiters;
+		this.drainWaiters = [];
+		waiters.forEach(resolve => resolve());
+	}
+
+	private isIdle(): boolean {
+		return this.aborted || this.nextToDeliver === this.segments.length;
+	}
+}
@@ -0,0 +1,75 @@
+// ElevenLabs text-to-speech for Cloudflare Workers
+// Uses the streaming endpoint, so the first bytes arrive before the whole sentence is rendered
+
+import { SpeechSynthesizer, SynthesizeOptions, Voice, normalizeGender } from './synthesizer.js';
+import { ProviderError, fetchFromProvider, providerErrorFromResponse } from '../provider-error.js';
+
+export const DEFAULT_ELEVENLABS_MODEL = 'eleven_flash_v2_5';
+export const DEFAULT_ELEVENLABS_VOICE = 'JBFqnCBsd6RMkjVDRZzb'; // "George", one of the premade voices
+
+interface ElevenLabsVoicesResponse {
+	voices: Array<{
+		voice_id: string;
+		name: string;
+		labels?: { gender?: string; language?: string };
+	}>;
+}
+
+export class ElevenLabsSynthesizer implements SpeechSynthesizer {
+	readonly provider = 'elevenlabs';
+	readonly model: string;
+	readonly voice: string;
+	private apiKey: string;
+
+	constructor(apiKey: string, model = DEFAULT_ELEVENLABS_MODEL, voice = DEFAULT_ELEVENLABS_VOICE) {
+		this.apiKey = apiKey;
+		this.model = model;
+		this.voice = voice;
+	}
+
+	async synthesize(text: string, options: SynthesizeOptions = {}): Promise<ArrayBuffer> {
+		return new Response(await this.stream(text, options)).arrayBuffer();
+	}
+
+	async stream(text: string, options: SynthesizeOptions = {}): Promise<ReadableStream<Uint8Array>> {
+		const response = await fetchFromProvider('Speech synthesis failed', 'elevenlabs', `https://api.elevenlabs.io/v1/text-to-speech/${encodeURIComponent(this.voice)}/stream?output_format=mp3_44100_128`, {
+			method: 'POST',
+			headers: {
+				'xi-api-key': this.apiKey,
+				'Content-Type': 'application/json'
+			},
+			body: JSON.stringify({ text, model_id: this.model }),
+			signal: options.signal
+		});
+
+		if (!response.ok) {
+			throw providerErrorFromResponse('Speech synthesis failed', 'elevenlabs', response);
+		}
+		if (!response.body) {
+			throw new ProviderError('Speech synthesis failed (elevenlabs): no response body', 'elevenlabs');
+		}
+		return response.body;
+	}
+
+	// Premade voices plus the account's own cloned and library voices
+	async listVoices(signal?: AbortSignal): Promise<Voice[]> {
+		const response = await fetchFromProvider('Speech synthesis failed', 'elevenlabs', 'https://api.elevenlabs.io/v1/voices', {
+			headers: { 'xi-api-key': this.apiKey },
+			signal
+		});
+
+		if (!response.ok) {
+			throw providerErrorFromResponse('Speech synthesis failed', 'elevenlabs', response);
+		}
+
+		const result = await response.json() as ElevenLabsVoicesResponse;
+		return result.voices.map(voice => ({
+			id: voice.voice_id,
+			name: voice.name,
+			provider: 'elevenlabs',
+			// The multilingual models let any voice speak the text's language unless it is labelled with one
+			language: voice.labels?.language?.toLowerCase() || 'multi',
+			gender: normalizeGender(voice.labels?.gender)
+		}));
+	}
+}
@@ -0,0 +1,76 @@
+// OpenAI text-to-speech for Cloudflare Workers
+// /v1/audio/speech streams its response body, so the same request serves both synthesize and stream
+
+import { SpeechSynthesizer, SynthesizeOptions, Voice } from './synthesizer.js';
+import { ProviderError, fetchFromProvider, providerErrorFromResponse } from '../provider-error.js';
+
+export const DEFAULT_OPENAI_TTS_MODEL = 'tts-1';
+export const DEFAULT_OPENAI_VOICE = 'alloy';
+
+// The built-in voices speak whatever language the text is in
+export const OPENAI_VOICES: Voice[] = [
+	{ id: 'alloy', name: 'Alloy', provider: 'openai', language: 'multi', gender: 'neutral' },
+	{ id: 'ash', name: 'Ash', provider: 'openai', language: 'multi', gender: 'male' },
+	{ id: 'coral', name: 'Coral', provider: 'openai', language: 'multi', gender: 'female' },
+	{ id: 'echo', name: 'Echo', provider: 'openai', language: 'multi', gender: 'male' },
+	{ id: 'fable', name: 'Fable', provider: 'openai', language: 'multi', gender: 'neutral' },
+	{ id: 'onyx', name: 'Onyx', provider: 'openai', language: 'multi', gender: 'male' },
+	{ id: 'nova', name: 'Nova', provider: 'openai', language: 'multi', gender: 'female' },
+	{ id: 'sage', name: 'Sage', provider: 'openai', language: 'multi', gender: 'female' },
+	{ id: 'shimmer', name: 'Shimmer', provider: 'openai', language: 'multi', gender: 'female' }
+];
+
+export class OpenAISynthesizer implements SpeechSynthesizer {
+	readonly provider = 'openai';
+	readonly model: string;
+	readonly voice: string;
+	private apiKey: string;
+	private speed: number;
+
+	constructor(apiKey: string, model = DEFAULT_OPENAI_TTS_MODEL, voice = DEFAULT_OPENAI_VOICE, speed = 1.0) {
+		this.apiKey = apiKey;
+		this.model = model;
+		this.voice = voice;
+		this.speed = speed;
+	}
+
+	async synthesize(text: string, options: SynthesizeOptions = {}): Promise<ArrayBuffer> {
+		const response = await this.request(text, options.signal);
+		return response.arrayBuffer();
+	}
+
+	async stream(text: string, options: SynthesizeOptions = {}): Promise<ReadableStream<Uint8Array>> {
+		const response = await this.request(text, options.signal);
+		if (!response.body) {
+			throw new ProviderError('Speech synthesis failed (openai): no response body', 'openai');
+		}
+		return response.body;
+	}
+
+	async listVoices(): Promise<Voice[]> {
+		return OPENAI_VOICES;
+	}
+
+	private async request(text: string, signal?: AbortSignal): Promise<Response> {
+		const response = await fetchFromProvider('Speech synthesis failed', 'openai', 'https://api.openai.com/v1/audio/speech', {
+			method: 'POST',
+			headers: {
+				'Authorization': `Bearer ${this.apiKey}`,
+				'Content-Type': 'application/json'
+			},
+			body: JSON.stringify({
+				model: this.model,
+				input: text,
+				voice: this.voice,
+				response_format: 'mp3',
+				speed: this.speed
+			}),
+			signal
+		});
+
+		if (!response.ok) {
+			throw providerErrorFromResponse('Speech synthesis failed', 'openai', response);
+		}
+		return response;
+	}
+}
@@ -0,0 +1,32 @@
+// Text-to-speech interface for Cloudflare Workers
+// Every provider adapter returns MP3, so clients play the audio the same way whichever voice they picked
+
+export type VoiceGender = 'female' | 'male' | 'neutral';
+
+export interface Voice {
+	id: string; // Sent back by the client as the session's `speech.voice`
+	name: string;
+	provider: string;
+	language: string; // ISO 639-1 code the voice was made for, or 'multi' for voices that follow the text's language
+	gender: VoiceGender; // 'neutral' when the provider does not say
+}
+
+export interface SynthesizeOptions {
+	signal?: AbortSignal;
+}
+
+export interface SpeechSynthesizer {
+	readonly provider: string;
+	readonly model: string;
+	readonly voice: string;
+	// Complete MP3 audio for the text
+	synthesize(text: string, options?: SynthesizeOptions): Promise<ArrayBuffer>;
+	// MP3 bytes as the provider produces them; only for providers with a streaming API
+	stream?(text: string, options?: SynthesizeOptions): Promise<ReadableStream<Uint8Array>>;
+	listVoices(signal?: AbortSignal): Promise<Voice[]>;
+}
+
+export function normalizeGender(value: string | undefined): VoiceGender {
+	const gender = value?.toLowerCase();
+	return gender === 'female' || gender === 'male' ? gender : 'neutral';
+}
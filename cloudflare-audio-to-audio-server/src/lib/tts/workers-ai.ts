@@ -0,0 +1,52 @@
+// Workers AI text-to-speech for Cloudflare Workers
+// MeloTTS through the AI binding; each of its voices speaks one language, so the voice ID is the model's `lang`
+
+import { SpeechSynthesizer, SynthesizeOptions, Voice } from './synthesizer.js';
+import { base64ToArrayBuffer } from '../base64.js';
+import { abortable } from '../abortable.js';
+import { ProviderError } from '../provider-error.js';
+
+export const DEFAULT_WORKERS_AI_TTS_MODEL = '@cf/myshell-ai/melotts';
+export const DEFAULT_WORKERS_AI_VOICE = 'en';
+
+export const WORKERS_AI_VOICES: Voice[] = [
+	{ id: 'en', name: 'MeloTTS English', provider: 'workers-ai', language: 'en', gender: 'neutral' },
+	{ id: 'es', name: 'MeloTTS Spanish', provider: 'workers-ai', language: 'es', gender: 'neutral' },
+	{ id: 'fr', name: 'MeloTTS French', provider: 'workers-ai', language: 'fr', gender: 'neutral' },
+	{ id: 'zh', name: 'MeloTTS Chinese', provider: 'workers-ai', language: 'zh', gender: 'neutral' },
+	{ id: 'jp', name: 'MeloTTS Japanese', provider: 'workers-ai', language: 'ja', gender: 'neutral' },
+	{ id: 'kr', name: 'MeloTTS Korean', provider: 'workers-ai', language: 'ko', gender: 'neutral' }
+];
+
+export class WorkersAISynthesizer implements SpeechSynthesizer {
+	readonly provider = 'workers-ai';
+	readonly model: string;
+	readonly voice: string;
+	private ai: Ai;
+
+	constructor(ai: Ai, model = DEFAULT_WORKERS_AI_TTS_MODEL, voice = DEFAULT_WORKERS_AI_VOICE) {
+		this.ai = ai;
+		this.model = model;
+		this.voice = voice;
+	}
+
+	async synthesize(text: string, options: SynthesizeOptions = {}): Promise<ArrayBuffer> {
+		let result: Uint8Array | { audio: string };
+		try {
+			result = await abortable(this.ai.run(this.model as any, { prompt: text, lang: this.voice }) as Promise<Uint8Array | { audio: string }>, options.signal);
+		} catch (error) {
+			if (options.signal?.aborted) throw error;
+			throw new ProviderError(`Speech synthesis failed (workers-ai): ${(error as Error).message}`, 'workers-ai');
+		}
+
+		// MeloTTS answers with base64 MP3; the raw bytes are accepted too in case the binding returns them
+		if (result instanceof Uint8Array) {
+			return result.slice().buffer;
+		}
+		return base64ToArrayBuffer(result.audio);
+	}
+
+	async listVoices(): Promise<Voice[]> {
+		return WORKERS_AI_VOICES;
+	}
+}
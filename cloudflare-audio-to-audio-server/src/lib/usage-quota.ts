@@ -0,0 +1,122 @@
+// Usage quotas for Cloudflare Workers
+// Counts one user's requests per minute, open sessions and the day's audio and TTS usage. The state is plain JSON,
+// so the owner can persist it between calls.
+
+// 0 turns a limit off
+export interface QuotaLimits {
+	requestsPerMinute: number;
+	concurrentSessions: number;
+	dailyAudioSeconds: number;
+	dailyTtsCharacters: number;
+}
+
+export type QuotaName = keyof QuotaLimits;
+
+export interface QuotaUsage {
+	audioSeconds?: number;
+	ttsCharacters?: number;
+}
+
+export type QuotaCheck =
+	| { allowed: true }
+	| { allowed: false; quota: QuotaName; limit: number; resetAt: number | null }; // Epoch ms; null when it depends on the user
+
+export interface QuotaState {
+	minuteStart: number;
+	requests: number;
+	day: string; // UTC date the daily counters belong to
+	audioSeconds: number;
+	ttsCharacters: number;
+	sessions: Record<string, number>; // Session ID to the last time it was seen
+}
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// A session that has not been seen for this long is assumed gone, in case its close was never reported
+export const SESSION_STALE_MS = 30 * MINUTE_MS;
+
+// How often a session with connected sockets reports that it is still open, well within SESSION_STALE_MS
+export const SESSION_HEARTBEAT_MS = 10 * MINUTE_MS;
+
+export class UsageQuota {
+	readonly state: QuotaState;
+
+	constructor(state?: QuotaState) {
+		this.state = state || { minuteStart: 0, requests: 0, day: '', audioSeconds: 0, ttsCharacters: 0, sessions: {} };
+	}
+
+	// Counts a request that is about to use providers, unless a limit is already reached
+	checkRequest(limits: QuotaLimits, now = Date.now()): QuotaCheck {
+		this.roll(now);
+
+		if (limits.dailyAudioSeconds > 0 && this.state.audioSeconds >= limits.dailyAudioSeconds) {
+			return { allowed: false, quota: 'dailyAudioSeconds', limit: limits.dailyAudioSeconds, resetAt: nextDay(now) };
+		}
+		if (limits.dailyTtsCharacters > 0 && this.state.ttsCharacters >= limits.dailyTtsCharacters) {
+			return { allowed: false, quota: 'dailyTtsCharacters', limit: limits.dailyTtsCharacters, resetAt: nextDay(now) };
+		}
+		if (limits.requestsPerMinute > 0 && this.state.requests >= limits.requestsPerMinute) {
+			return { allowed: false, quota: 'requestsPerMinute', limit: limits.requestsPerMinute, resetAt: this.state.minuteStart + MINUTE_MS };
+		}
+
+		this.state.requests++;
+		return { allowed: true };
+	}
+
+	// A session that is already open, e.g. a reconnect, is only refreshed
+	openSession(sessionId: string, limits: QuotaLimits, now = Date.now()): QuotaCheck {
+		this.roll(now);
+
+		const open = Object.keys(this.state.sessions).length;
+		if (!(sessionId in this.state.sessions) && limits.concurrentSessions > 0 && open >= limits.concurrentSessions) {
+			return { allowed: false, quota: 'concurrentSessions', limit: limits.concurrentSessions, resetAt: null };
+		}
+
+		this.state.sessions[sessionId] = now;
+		return { allowed: true };
+	}
+
+	touchSession(sessionId: string, now = Date.now()) {
+		if (sessionId in this.state.sessions) {
+			this.state.sessions[sessionId] = now;
+		}
+	}
+
+	closeSession(sessionId: string) {
+		delete this.state.sessions[sessionId];
+	}
+
+	// Usage is recorded after the fact, so the request that crosses a daily limit still finishes
+	recordUsage(usage: QuotaUsage, now = Date.now()) {
+		this.roll(now);
+		this.state.audioSeconds += Math.max(0, usage.audioSeconds || 0);
+		this.state.ttsCharacters += Math.max(0, usage.ttsCharacters || 0);
+	}
+
+	// Starts new windows once the current ones are over and forgets stale sessions
+	private roll(now: number) {
+		if (now - this.state.minuteStart >= MINUTE_MS) {
+			this.state.minuteStart = now;
+			this.state.requests = 0;
+		}
+
+		const day = new Date(now).toISOString().slice(0, 10);
+		if (this.state.day !== day) {
+			this.state.day = day;
+			this.state.audioSeconds = 0;
+			this.state.ttsCharacters = 0;
+		}
+
+		for (const [sessionId, lastSeen] of Object.entries(this.state.sessions)) {
+			if (now - lastSeen >= SESSION_STALE_MS) {
+				delete this.state.sessions[sessionId];
+			}
+		}
+	}
+}
+
+// Daily quotas reset at midnight UTC
+function nextDay(now: number): number {
+	return (Math.floor(now / DAY_MS) + 1) * DAY_MS;
+}
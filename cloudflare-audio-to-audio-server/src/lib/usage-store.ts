@@ -0,0 +1,151 @@
+// Usage metering for Cloudflare Workers
+// One record per turn or audio API call, kept in D1 (schema in migrations/) or in memory for local development
+
+export interface UsageRecord {
+	userId: string;
+	source: 'turn' | 'generate_audio';
+	sessionId?: string;
+	turnId?: number;
+	createdAt: string; // ISO 8601
+	audioSeconds: number; // Input audio sent to speech-to-text
+	sttProvider?: string;
+	sttModel?: string;
+	sttLatencyMs?: number;
+	llmProvider?: string;
+	llmModel?: string;
+	promptTokens: number;
+	completionTokens: number;
+	llmLatencyMs?: number; // Until the first token
+	ttsProvider?: string;
+	ttsModel?: string;
+	ttsVoice?: string;
+	ttsCharacters: number;
+	ttsLatencyMs?: number; // Until the first audio
+}
+
+export type UsageGroupBy = 'user' | 'day' | 'model';
+export const USAGE_GROUP_BY: UsageGroupBy[] = ['user', 'day', 'model'];
+
+export interface UsageQuery {
+	from: string; // ISO 8601, inclusive
+	to: string; // ISO 8601, exclusive
+	groupBy: UsageGroupBy;
+}
+
+// Grouping by model gives one row per stage, provider and model, with only that stage's totals filled in
+export interface UsageSummary {
+	userId?: string;
+	day?: string;
+	stage?: 'stt' | 'llm' | 'tts';
+	provider?: string;
+	model?: string;
+	requests: number;
+	audioSeconds: number;
+	promptTokens: number;
+	completionTokens: number;
+	ttsCharacters: number;
+}
+
+export interface UsageStore {
+	record(record: UsageRecord): Promise<void>;
+	summarize(query: UsageQuery): Promise<UsageSummary[]>;
+}
+
+export class D1UsageStore implements UsageStore {
+	private db: D1Database;
+
+	constructor(db: D1Database) {
+		this.db = db;
+	}
+
+	async record(record: UsageRecord): Promise<void> {
+		await this.db.prepare(
+			`INSERT INTO usage_events (
+				user_id, source, session_id, turn_id, created_at, audio_seconds,
+				stt_provider, stt_model, stt_latency_ms,
+				llm_provider, llm_model, prompt_tokens, completion_tokens, llm_latency_ms,
+				tts_provider, tts_model, tts_voice, tts_characters, tts_latency_ms
+			) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+		).bind(
+			record.userId, record.source, record.sessionId ?? null, record.turnId ?? null, record.createdAt, record.audioSeconds,
+			record.sttProvider ?? null, record.sttModel ?? null, record.sttLatencyMs ?? null,
+			record.llmProvider ?? null, record.llmModel ?? null, record.promptTokens, record.completionTokens, record.llmLatencyMs ?? null,
+			record.ttsProvider ?? null, record.ttsModel ?? null, record.ttsVoice ?? null, record.ttsCharacters, record.ttsLatencyMs ?? null
+		).run();
+	}
+
+	async summarize(query: UsageQuery): Promise<UsageSummary[]> {
+		const range = 'created_at >= ? AND created_at < ?';
+
+		if (query.groupBy === 'model') {
+			// One SELECT per stage; totals of the other stages are zero so the rows line up
+			const stage = (name: string, metrics: string) =>
+				`SELECT '${name}' AS stage, ${name}_provider AS provider, ${name}_model AS model, COUNT(*) AS requests, ${metrics}
+				FROM usage_events WHERE ${range} AND ${name}_provider IS NOT NULL GROUP BY ${name}_provider, ${name}_model`;
+			const { results } = await this.db.prepare(`
+				${stage('stt', 'SUM(audio_seconds) AS audioSeconds, 0 AS promptTokens, 0 AS completionTokens, 0 AS ttsCharacters')}
+				UNION ALL
+				${stage('llm', '0 AS audioSeconds, SUM(prompt_tokens) AS promptTokens, SUM(completion_tokens) AS completionTokens, 0 AS ttsCharacters')}
+				UNION ALL
+				${stage('tts', '0 AS audioSeconds, 0 AS promptTokens, 0 AS completionTokens, SUM(tts_characters) AS ttsCharacters')}
+				ORDER BY stage, provider, model
+			`).bind(query.from, query.to, query.from, query.to, query.from, query.to).all<UsageSummary>();
+			return results;
+		}
+
+		const key = query.groupBy === 'user' ? 'user_id AS userId' : 'substr(created_at, 1, 10) AS day';
+		const group = query.groupBy === 'user' ? 'userId' : 'day';
+		const { results } = await this.db.prepare(`
+			SELECT ${key}, COUNT(*) AS requests, SUM(audio_seconds) AS audioSeconds,
+				SUM(prompt_tokens) AS promptTokens, SUM(completion_tokens) AS completionTokens, SUM(tts_characters) AS ttsCharacters
+			FROM usage_events WHERE ${range}
+			GROUP BY ${group} ORDER BY ${group}
+		`).bind(query.from, query.to).all<UsageSummary>();
+		return results;
+	}
+}
+
+// Stand-in for local development and tests: records live only as long as the isolate, and each isolate has its own
+export class MemoryUsageStore implements UsageStore {
+	private records: UsageRecord[] = [];
+
+	async record(record: UsageRecord): Promise<void> {
+		this.records.push(record);
+	}
+
+	async summarize(query: UsageQuery): Promise<UsageSummary[]> {
+		const groups = new Map<string, UsageSummary>();
+		const add = (key: string, fields: Partial<UsageSummary>, totals: Partial<UsageSummary>) => {
+			const summary = groups.get(key) || { ...fields, requests: 0, audioSeconds: 0, promptTokens: 0, completionTokens: 0, ttsCharacters: 0 };
+			summary.requests++;
+			summary.audioSeconds += totals.audioSeconds || 0;
+			summary.promptTokens += totals.promptTokens || 0;
+			summary.completionTokens += totals.completionTokens || 0;
+			summary.ttsCharacters += totals.ttsCharacters || 0;
+			groups.set(key, summary);
+		};
+
+		for (const record of this.records) {
+			if (record.createdAt < query.from || record.createdAt >= query.to) continue;
+
+			if (query.groupBy === 'user') {
+				add(record.userId, { userId: record.userId }, record);
+			} else if (query.groupBy === 'day') {
+				const day = record.createdAt.slice(0, 10);
+				add(day, { day }, record);
+			} else {
+				if (record.sttProvider) {
+					add(`stt:${record.sttProvider}:${record.sttModel}`, { stage: 'stt', provider: record.sttProvider, model: record.sttModel }, { audioSeconds: record.audioSeconds });
+				}
+				if (record.llmProvider) {
+					add(`llm:${record.llmProvider}:${record.llmModel}`, { stage: 'llm', provider: record.llmProvider, model: record.llmModel }, { promptTokens: record.promptTokens, completionTokens: record.completionTokens });
+				}
+				if (record.ttsProvider) {
+					add(`tts:${record.ttsProvider}:${record.ttsModel}`, { stage: 'tts', provider: record.ttsProvider, model: record.ttsModel }, { ttsCharacters: record.ttsCharacters });
+				}
+			}
+		}
+
+		return [...groups.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([, summary]) => summary);
+	}
+}
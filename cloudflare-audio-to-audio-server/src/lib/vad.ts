@@ -0,0 +1,248 @@
+// Voice activity detection for Cloudflare Workers
+// Energy / zero-crossing VAD over 16-bit little-endian mono PCM, used to end turns without push-to-talk
+
+export interface VadConfig {
+	sampleRate?: number; // PCM sample rate in Hz
+	frameDurationMs?: number; // Analysis window
+	energyThreshold?: number; // Minimum RMS level (0-1) for a frame to count as speech
+	zeroCrossingThreshold?: number; // Zero-crossing rate above which quieter frames still count (unvoiced consonants)
+	minSpeechDurationMs?: number; // Speech must last this long before speech_started fires
+	silenceDurationMs?: number; // Silence that ends the turn
+	prefixPaddingMs?: number; // Audio kept before speech start and after speech end
+	maxSpeechDurationMs?: number; // Turns longer than this are committed even without a pause
+}
+
+export type VadEvent =
+	| { type: 'speech_started'; audioStartMs: number }
+	| { type: 'speech_stopped'; audioEndMs: number; audio: Uint8Array };
+
+export const DEFAULT_VAD_CONFIG: Required<VadConfig> = {
+	sampleRate: 16000,
+	frameDurationMs: 20,
+	energyThreshold: 0.02,
+	zeroCrossingThreshold: 0.3,
+	minSpeechDurationMs: 100,
+	silenceDurationMs: 700,
+	prefixPaddingMs: 300,
+	maxSpeechDurationMs: 30000
+};
+
+const SUPPORTED_SAMPLE_RATES = [8000, 16000, 24000, 44100, 48000];
+
+// The effective threshold follows the background noise floor so a noisy room does not read as speech
+const NOISE_FLOOR_MULTIPLIER = 3;
+const NOISE_FLOOR_SMOOTHING = 0.05;
+
+export function resolveVadConfig(...overrides: Array<VadConfig | undefined>): Required<VadConfig> {
+	const config = { ...DEFAULT_VAD_CONFIG };
+
+	for (const override of overrides) {
+		if (!override) continue;
+		if (override.sampleRate !== undefined && SUPPORTED_SAMPLE_RATES.includes(override.sampleRate)) config.sampleRate = override.sampleRate;
+		if (isInRange(override.frameDurationMs, 10, 100)) config.frameDurationMs = Math.floor(override.frameDurationMs);
+		if (isInRange(override.energyThreshold, 0, 1)) config.energyThreshold = override.energyThreshold;
+		if (isInRange(override.zeroCrossingThreshold, 0, 1)) config.zeroCrossingThreshold = override.zeroCrossingThreshold;
+		if (isInRange(override.minSpeechDurationMs, 0, 5000)) config.minSpeechDurationMs = Math.floor(override.minSpeechDurationMs);
+		if (isInRange(override.silenceDurationMs, 100, 10000)) config.silenceDurationMs = Math.floor(override.silenceDurationMs);
+		if (isInRange(override.prefixPaddingMs, 0, 5000)) config.prefixPaddingMs = Math.floor(override.prefixPaddingMs);
+		if (isInRange(override.maxSpeechDurationMs, 1000, 600000)) config.maxSpeechDurationMs = Math.floor(override.maxSpeechDurationMs);
+	}
+
+	return config;
+}
+
+export class VoiceActivityDetector {
+	private config: Required<VadConfig>;
+	private frameSamples: number;
+	private pending = new Uint8Array(0); // Bytes not yet forming a full frame
+	private framesProcessed = 0;
+	private noiseFloor = 0;
+
+	private speaking = false;
+	private recentFrames: Uint8Array[] = []; // Pre-speech ring used for prefix padding
+	private turnFrames: Uint8Array[] = [];
+	private speechRun = 0;
+	private silenceRun = 0;
+
+	constructor(config: VadConfig = {}) {
+		this.config = resolveVadConfig(config);
+		this.frameSamples = Math.floor(this.config.sampleRate * this.config.frameDurationMs / 1000);
+	}
+
+	get sampleRate(): number {
+		return this.config.sampleRate;
+	}
+
+	get effectiveConfig(): Required<VadConfig> {
+		return { ...this.config };
+	}
+
+	get isSpeaking(): boolean {
+		return this.speaking;
+	}
+
+	// Apply new thresholds without dropping audio already buffered; the frame size stays fixed
+	updateConfig(config: VadConfig) {
+		const { sampleRate, frameDurationMs } = this.config;
+		this.config = { ...resolveVadConfig(this.config, config), sampleRate, frameDurationMs };
+	}
+
+	// Feed raw PCM and return the speech transitions it caused
+	process(chunk: ArrayBuffer): VadEvent[] {
+		const events: VadEvent[] = [];
+		const frameBytes = this.frameSamples * 2;
+
+		const data = new Uint8Array(this.pending.length + chunk.byteLength);
+		data.set(this.pending);
+		data.set(new Uint8Array(chunk), this.pending.length);
+
+		let offset = 0;
+		while (offset + frameBytes <= data.length) {
+			this.processFrame(data.slice(offset, offset + frameBytes), events);
+			offset += frameBytes;
+		}
+		this.pending = data.slice(offset);
+
+		return events;
+	}
+
+	// End of stream: close an open turn so trailing speech is not lost
+	flush(): VadEvent[] {
+		const events: VadEvent[] = [];
+		if (this.speaking) {
+			events.push(this.stopSpeech());
+		}
+		this.reset();
+		return events;
+	}
+
+	reset() {
+		this.pending = new Uint8Array(0);
+		this.speaking = false;
+		this.recentFrames = [];
+		this.turnFrames = [];
+		this.speechRun = 0;
+		this.silenceRun = 0;
+	}
+
+	private processFrame(frame: Uint8Array, events: VadEvent[]) {
+		const isSpeech = this.isSpeechFrame(frame);
+		this.framesProcessed++;
+
+		if (!this.speaking) {
+			this.recentFrames.push(frame);
+			const maxRecent = this.framesFor(this.config.prefixPaddingMs) + this.framesFor(this.config.minSpeechDurationMs);
+			if (this.recentFrames.length > maxRecent) {
+				this.recentFrames.shift();
+			}
+
+			this.speechRun = isSpeech ? this.speechRun + 1 : 0;
+			if (this.speechRun > 0 && this.speechRun >= this.framesFor(this.config.minSpeechDurationMs)) {
+				this.speaking = true;
+				this.silenceRun = 0;
+				this.turnFrames = this.recentFrames;
+				this.recentFrames = [];
+				events.push({ type: 'speech_started', audioStartMs: this.toMs(this.framesProcessed - this.speechRun) });
+			}
+			return;
+		}
+
+		this.turnFrames.push(frame);
+		this.silenceRun = isSpeech ? 0 : this.silenceRun + 1;
+
+		const turnTooLong = this.turnFrames.length >= this.framesFor(this.config.maxSpeechDurationMs);
+		if (this.silenceRun >= this.framesFor(this.config.silenceDurationMs) || turnTooLong) {
+			events.push(this.stopSpeech());
+		}
+	}
+
+	private stopSpeech(): VadEvent {
+		// Keep at most prefixPaddingMs of the trailing silence
+		const trailingToDrop = Math.max(0, this.silenceRun - this.framesFor(this.config.prefixPaddingMs));
+		const frames = this.turnFrames.slice(0, this.turnFrames.length - trailingToDrop);
+
+		const audio = new Uint8Array(frames.reduce((total, frame) => total + frame.length, 0));
+		let offset = 0;
+		for (const frame of frames) {
+			audio.set(frame, offset);
+			offset += frame.length;
+		}
+
+		const event: VadEvent = { type: 'speech_stopped', audioEndMs: this.toMs(this.framesProcessed - this.silenceRun), audio };
+		this.speaking = false;
+		this.turnFrames = [];
+		this.speechRun = 0;
+		this.silenceRun = 0;
+		return event;
+	}
+
+	private isSpeechFrame(frame: Uint8Array): boolean {
+		const view = new DataView(frame.buffer, frame.byteOffset, frame.byteLength);
+		const samples = frame.byteLength / 2;
+
+		let sumSquares = 0;
+		let crossings = 0;
+		let previous = 0;
+		for (let i = 0; i < samples; i++) {
+			const sample = view.getInt16(i * 2, true) / 32768;
+			sumSquares += sample * sample;
+			if (i > 0 && (sample >= 0) !== (previous >= 0)) {
+				crossings++;
+			}
+			previous = sample;
+		}
+
+		const rms = Math.sqrt(sumSquares / samples);
+		const zeroCrossingRate = crossings / Math.max(1, samples - 1);
+		const threshold = Math.max(this.config.energyThreshold, this.noiseFloor * NOISE_FLOOR_MULTIPLIER);
+
+		// Voiced speech is loud; unvoiced consonants are quieter but cross zero often
+		const isSpeech = rms >= threshold
+			|| (rms >= threshold / 2 && zeroCrossingRate >= this.config.zeroCrossingThreshold);
+
+		if (!isSpeech) {
+			this.noiseFloor += (rms - this.noiseFloor) * NOISE_FLOOR_SMOOTHING;
+		}
+		return isSpeech;
+	}
+
+	private framesFor(durationMs: number): number {
+		return Math.ceil(durationMs / this.config.frameDurationMs);
+	}
+
+	private toMs(frames: number): number {
+		return frames * this.config.frameDurationMs;
+	}
+}
+
+// Wrap mono 16-bit PCM in a WAV container so it can be sent to the transcription API
+export function pcmToWav(pcm: Uint8Array, sampleRate: number): ArrayBuffer {
+	const header = new ArrayBuffer(44);
+	const view = new DataView(header);
+	const writeString = (offset: number, value: string) => {
+		for (let i = 0; i < value.length; i++) view.setUint8(offset + i, value.charCodeAt(i));
+	};
+
+	writeString(0, 'RIFF');
+	view.setUint32(4, 36 + pcm.byteLength, true);
+	writeString(8, 'WAVE');
+	writeString(12, 'fmt ');
+	view.setUint32(16, 16, true); // fmt chunk size
+	view.setUint16(20, 1, true); // PCM
+	view.setUint16(22, 1, true); // mono
+	view.setUint32(24, sampleRate, true);
+	view.setUint32(28, sampleRate * 2, true); // byte rate
+	view.setUint16(32, 2, true); // block align
+	view.setUint16(34, 16, true); // bits per sample
+	writeString(36, 'data');
+	view.setUint32(40, pcm.byteLength, true);
+
+	const wav = new Uint8Array(44 + pcm.byteLength);
+	wav.set(new Uint8Array(header));
+	wav.set(pcm, 44);
+	return wav.buffer;
+}
+
+function isInRange(value: unknown, min: number, max: number): value is number {
+	return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
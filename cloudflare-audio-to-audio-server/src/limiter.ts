@@ -0,0 +1,98 @@
+// Usage limiter Durable Object
+// One instance per user, so every session and API request of that user is counted in one place.
+// RATE_LIMIT_RPM, MAX_CONCURRENT_SESSIONS, DAILY_AUDIO_SECONDS and DAILY_TTS_CHARACTERS set the deployment's limits;
+// a token can carry its own in a `limits` claim.
+
+import { DurableObject } from 'cloudflare:workers';
+import type { Env } from './env.js';
+import { UsageQuota, QuotaCheck, QuotaLimits, QuotaState, QuotaUsage } from './lib/usage-quota.js';
+import { QuotaExceededError } from './errors.js';
+
+const DEFAULT_LIMITS: QuotaLimits = {
+	requestsPerMinute: 30,
+	concurrentSessions: 5,
+	dailyAudioSeconds: 3600,
+	dailyTtsCharacters: 200000
+};
+
+export class UsageLimiter extends DurableObject<Env> {
+	private quota = new UsageQuota();
+
+	constructor(ctx: DurableObjectState, env: Env) {
+		super(ctx, env);
+		ctx.blockConcurrencyWhile(async () => {
+			this.quota = new UsageQuota(await ctx.storage.get<QuotaState>('quota'));
+		});
+	}
+
+	async checkRequest(limits: QuotaLimits, sessionId?: string): Promise<QuotaCheck> {
+		const check = this.quota.checkRequest(limits);
+		if (sessionId) this.quota.touchSession(sessionId);
+		this.save();
+		return check;
+	}
+
+	async openSession(sessionId: string, limits: QuotaLimits): Promise<QuotaCheck> {
+		const check = this.quota.openSession(sessionId, limits);
+		this.save();
+		return check;
+	}
+
+	async touchSession(sessionId: string): Promise<void> {
+		this.quota.touchSession(sessionId);
+		this.save();
+	}
+
+	async closeSession(sessionId: string): Promise<void> {
+		this.quota.closeSession(sessionId);
+		this.save();
+	}
+
+	async recordUsage(usage: QuotaUsage): Promise<void> {
+		this.quota.recordUsage(usage);
+		this.save();
+	}
+
+	private save() {
+		this.ctx.storage.put('quota', this.quota.state);
+	}
+}
+
+export function getUsageLimiter(env: Env, owner: string): DurableObjectStub<UsageLimiter> {
+	return env.USAGE_LIMITERS.get(env.USAGE_LIMITERS.idFromName(owner));
+}
+
+// Token claims take precedence over the deployment's limits, e.g. { "limits": { "dailyAudioSeconds": 0 } } for no cap
+export function resolveQuotaLimits(env: Env, claims: any): QuotaLimits {
+	const configured: QuotaLimits = {
+		requestsPerMinute: parseLimit(env.RATE_LIMIT_RPM) ?? DEFAULT_LIMITS.requestsPerMinute,
+		concurrentSessions: parseLimit(env.MAX_CONCURRENT_SESSIONS) ?? DEFAULT_LIMITS.concurrentSessions,
+		dailyAudioSeconds: parseLimit(env.DAILY_AUDIO_SECONDS) ?? DEFAULT_LIMITS.dailyAudioSeconds,
+		dailyTtsCharacters: parseLimit(env.DAILY_TTS_CHARACTERS) ?? DEFAULT_LIMITS.dailyTtsCharacters
+	};
+
+	const claimed = claims?.limits;
+	if (!claimed || typeof claimed !== 'object') return configured;
+
+	const limits = { ...configured };
+	for (const name of Object.keys(configured) as (keyof QuotaLimits)[]) {
+		const value = claimed[name];
+		if (typeof value === 'number' && Number.isFinite(value) && value >= 0) {
+			limits[name] = value;
+		}
+	}
+	return limits;
+}
+
+// Turns a refused check into the error the client sees
+export function assertAllowed(check: QuotaCheck) {
+	if (!check.allowed) {
+		throw new QuotaExceededError(check.quota, check.limit, check.resetAt);
+	}
+}
+
+function parseLimit(value?: string): number | undefined {
+	if (!value) return undefined;
+	const parsed = Number(value);
+	return Number.isFinite(parsed) && parsed >= 0 ? parsed : undefined;
+}
@@ -0,0 +1,121 @@
+// Language model provider selection
+// LLM_PROVIDER and LLM_MODEL set the deployment default; a session can pick another configured provider or model.
+
+import type { Env } from './env.js';
+import type { ChatModel } from './lib/llm/chat.js';
+import { OpenAICompatibleChatModel } from './lib/llm/openai-compatible.js';
+import { AnthropicChatModel } from './lib/llm/anthropic.js';
+import { WorkersAIChatModel, DEFAULT_WORKERS_AI_CHAT_MODEL } from './lib/llm/workers-ai.js';
+import { getProviderChain, isListedModel } from './failover.js';
+import { SessionError } from './errors.js';
+import { logger } from './lib/logger.js';
+
+export const LLM_PROVIDERS = ['groq', 'openai', 'openai-compatible', 'anthropic', 'workers-ai'] as const;
+export type LlmProvider = typeof LLM_PROVIDERS[number];
+
+const DEFAULT_MODELS: Record<LlmProvider, string | undefined> = {
+	'groq': 'llama-3.3-70b-versatile',
+	'openai': 'gpt-4o-mini',
+	'openai-compatible': undefined, // No sensible default for an arbitrary server; LLM_MODEL is required
+	'anthropic': 'claude-3-5-haiku-latest',
+	'workers-ai': DEFAULT_WORKERS_AI_CHAT_MODEL
+};
+
+// Per-session choice, sent by the client as `llm`
+export interface LlmSettings {
+	provider?: LlmProvider;
+	model?: string;
+}
+
+export function createChatModel(env: Env, settings: LlmSettings = {}): ChatModel {
+	const provider = settings.provider || getDefaultLlmProvider(env);
+	const model = settings.model || getDefaultModel(env, provider);
+	if (!model) {
+		throw new Error(`Chat completion failed (${provider}): no model configured, set LLM_MODEL`);
+	}
+
+	switch (provider) {
+		case 'groq':
+			return new OpenAICompatibleChatModel({ apiKey: env.GROQ_API_KEY, model, baseUrl: 'https://api.groq.com/openai/v1', provider: 'groq' });
+		case 'openai':
+			return new OpenAICompatibleChatModel({ apiKey: env.OPENAI_API_KEY, model, baseUrl: 'https://api.openai.com/v1', provider: 'openai' });
+		case 'openai-compatible':
+			return new OpenAICompatibleChatModel({ apiKey: env.LLM_API_KEY || '', model, baseUrl: env.LLM_BASE_URL! });
+		case 'anthropic':
+			return new AnthropicChatModel(env.ANTHROPIC_API_KEY!, model);
+		case 'workers-ai':
+			return new WorkersAIChatModel(env.AI, model);
+	}
+}
+
+// The session's chat model followed by the LLM_FALLBACKS providers with their default models
+export function createChatModelChain(env: Env, settings: LlmSettings = {}): ChatModel[] {
+	const first = settings.provider || getDefaultLlmProvider(env);
+	const chain = [createChatModel(env, settings)];
+	for (const provider of getProviderChain(first, env.LLM_FALLBACKS, getAvailableLlmProviders(env)).slice(1)) {
+		try {
+			chain.push(createChatModel(env, { provider }));
+		} catch (error) {
+			// A misconfigured fallback should not take down the provider that works
+			logger.warn('Skipping LLM fallback', { error: (error as Error).message });
+		}
+	}
+	return chain;
+}
+
+// Providers this deployment has credentials for
+export function getAvailableLlmProviders(env: Env): LlmProvider[] {
+	return LLM_PROVIDERS.filter(provider => {
+		switch (provider) {
+			case 'groq': return !!env.GROQ_API_KEY;
+			case 'openai': return !!env.OPENAI_API_KEY;
+			case 'openai-compatible': return !!env.LLM_BASE_URL;
+			case 'anthropic': return !!env.ANTHROPIC_API_KEY;
+			case 'workers-ai': return !!env.AI;
+		}
+	});
+}
+
+// Keeps the fields of a client's `llm` object that this deployment can honour; throws for a provider left without a model
+export function resolveLlmSettings(env: Env, input: any): LlmSettings {
+	const settings: LlmSettings = {};
+	if (typeof input?.provider === 'string') {
+		if (!getAvailableLlmProviders(env).includes(input.provider)) {
+			// A model name only makes sense for the provider it was chosen with
+			logger.info('Ignoring unavailable LLM provider', { provider: input.provider });
+			return settings;
+		}
+		settings.provider = input.provider;
+	}
+	const provider = settings.provider || getDefaultLlmProvider(env);
+	if (typeof input?.model === 'string' && input.model) {
+		// Models cost differently, so only the deployment's own and the ones LLM_MODELS lists can be picked
+		if (input.model === getDefaultModel(env, provider) || isListedModel(env.LLM_MODELS, provider, input.model)) {
+			settings.model = input.model;
+		} else {
+			logger.info('Ignoring unlisted LLM model', { provider, model: input.model });
+		}
+	}
+	// Checked before the settings are stored, since a session without a usable model could not answer any turn
+	if (settings.provider && !settings.model && !getDefaultModel(env, settings.provider)) {
+		throw new SessionError('invalid_message', `llm.model is required for the ${settings.provider} provider`);
+	}
+	return settings;
+}
+
+function getDefaultLlmProvider(env: Env): LlmProvider {
+	const configured = env.LLM_PROVIDER as LlmProvider | undefined;
+	return configured && LLM_PROVIDERS.includes(configured) ? configured : 'groq';
+}
+
+function getDefaultModel(env: Env, provider: LlmProvider): string | undefined {
+	return getDeploymentModel(env, provider) || DEFAULT_MODELS[provider];
+}
+
+// LLM_MODEL belongs to the deployment's provider; GROQ_MODEL, which predates it, always applies to Groq
+function getDeploymentModel(env: Env, provider: LlmProvider): string | undefined {
+	if (provider === getDefaultLlmProvider(env) && env.LLM_MODEL) {
+		return env.LLM_MODEL;
+	}
+	return provider === 'groq' ? env.GROQ_MODEL : undefined;
+}
@@ -0,0 +1,29 @@
+// Logging setup
+// LOG_LEVEL (debug, info, warn, error or silent) and LOG_FORMAT (json or pretty) configure the logger. Under
+// NODE_ENV=production, which wrangler.jsonc sets, they default to warn and json; otherwise to debug and pretty.
+
+import type { Env } from './env.js';
+import { configureLogger, LOG_FORMATS, LOG_LEVELS, LoggerConfig } from './lib/logger.js';
+
+// Sent on to the session Durable Object and back to the client, so one ID follows a request everywhere
+export const REQUEST_ID_HEADER = 'X-Request-Id';
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9_.:-]{8,128}$/;
+
+export function setupLogging(env: Env) {
+	const production = env.NODE_ENV === 'production';
+	const level = env.LOG_LEVEL?.toLowerCase() as LoggerConfig['level'];
+	const format = env.LOG_FORMAT?.toLowerCase() as LoggerConfig['format'];
+
+	configureLogger({
+		level: LOG_LEVELS.includes(level) ? level : production ? 'warn' : 'debug',
+		format: LOG_FORMATS.includes(format) ? format : production ? 'json' : 'pretty'
+	});
+}
+
+// An ID the client or a proxy in front of the Worker already sent is kept, so their logs line up with ours
+export function getRequestId(request: Request): string {
+	const requestId = request.headers.get(REQUEST_ID_HEADER);
+	if (requestId && REQUEST_ID_PATTERN.test(requestId)) return requestId;
+	return request.headers.get('cf-ray') || crypto.randomUUID();
+}
@@ -0,0 +1,73 @@
+// Turn metrics Durable Objects
+// Each turn's timings go to one of SHARD_COUNT instances picked at random, so no single instance takes every write;
+// GET /api/metrics merges the samples of all of them into rolling percentiles. METRICS_WINDOW_MINUTES sets how far back
+// they look.
+
+import { DurableObject } from 'cloudflare:workers';
+import type { Env } from './env.js';
+import { LatencySample, LatencySummary, summarizeLatency } from './lib/latency-stats.js';
+
+const DEFAULT_WINDOW_MINUTES = 60;
+const SHARD_COUNT = 10;
+const MAX_SAMPLES = 500; // Per shard; when turns arrive faster than the window expires them, the oldest go first
+const SAMPLE_PREFIX = 'sample:';
+const DELETE_BATCH_SIZE = 128; // Most keys storage.delete takes at once
+
+export class TurnMetrics extends DurableObject<Env> {
+	// Oldest first; the keys sort by time, so storage returns them in the same order
+	private samples: { key: string; sample: LatencySample }[] = [];
+
+	constructor(ctx: DurableObjectState, env: Env) {
+		super(ctx, env);
+		ctx.blockConcurrencyWhile(async () => {
+			const stored = await ctx.storage.list<LatencySample>({ prefix: SAMPLE_PREFIX });
+			this.samples = [...stored].map(([key, sample]) => ({ key, sample }));
+		});
+	}
+
+	async record(sample: LatencySample): Promise<void> {
+		const key = `${SAMPLE_PREFIX}${String(sample.at).padStart(15, '0')}:${crypto.randomUUID()}`;
+		this.samples.push({ key, sample });
+		this.ctx.storage.put(key, sample);
+		this.prune(Date.now());
+	}
+
+	async list(): Promise<LatencySample[]> {
+		this.prune(Date.now());
+		return this.samples.map(entry => entry.sample);
+	}
+
+	private prune(now: number) {
+		const cutoff = now - getWindowMs(this.env);
+		let expired = 0;
+		while (expired < this.samples.length && (this.samples[expired].sample.at < cutoff || this.samples.length - expired > MAX_SAMPLES)) {
+			expired++;
+		}
+		if (expired === 0) return;
+
+		const keys = this.samples.splice(0, expired).map(entry => entry.key);
+		for (let i = 0; i < keys.length; i += DELETE_BATCH_SIZE) {
+			this.ctx.storage.delete(keys.slice(i, i + DELETE_BATCH_SIZE));
+		}
+	}
+}
+
+export async function recordTurnMetrics(env: Env, sample: LatencySample): Promise<void> {
+	await getShard(env, Math.floor(Math.random() * SHARD_COUNT)).record(sample);
+}
+
+// Percentiles do not add up, so the shards hand over their samples and are summarized together
+export async function summarizeTurnMetrics(env: Env): Promise<LatencySummary> {
+	const shards = await Promise.all(Array.from({ length: SHARD_COUNT }, (_, index) => getShard(env, index).list()));
+	const now = Date.now();
+	return summarizeLatency(shards.flat(), now - getWindowMs(env), now);
+}
+
+function getShard(env: Env, index: number): DurableObjectStub<TurnMetrics> {
+	return env.TURN_METRICS.get(env.TURN_METRICS.idFromName(`global:${index}`));
+}
+
+function getWindowMs(env: Env): number {
+	const minutes = Number(env.METRICS_WINDOW_MINUTES);
+	return (Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_WINDOW_MINUTES) * 60 * 1000;
+}
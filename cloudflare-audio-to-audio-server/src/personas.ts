@@ -0,0 +1,67 @@
+// Prompt personas
+// Named personas live in the PROMPT_TEMPLATES KV namespace, one JSON document per `persona:<name>` key, seeded from
+// the files in personas/ with `npm run seed-personas`. DEFAULT_PERSONA names the one sessions start with; without it
+// they use the built-in `default` persona, whose prompt is CUSTOM_PROMPT or the generic prompt.
+
+import type { Env } from './env.js';
+import { DEFAULT_PROMPT, Persona, PERSONA_NAME_PATTERN, parsePersona } from './lib/prompt.js';
+import { logger } from './lib/logger.js';
+
+export const PERSONA_KEY_PREFIX = 'persona:';
+export const BUILT_IN_PERSONA = 'default';
+
+// Personas change rarely, so edits may take a minute to reach every location
+const KV_CACHE_TTL_SECONDS = 60;
+
+export function getDefaultPersonaName(env: Env): string {
+	return env.DEFAULT_PERSONA || BUILT_IN_PERSONA;
+}
+
+// The persona a session uses when it selected none, or the named one; null when there is no such persona
+export async function loadPersona(env: Env, name?: string): Promise<Persona | null> {
+	const personaName = name || getDefaultPersonaName(env);
+	const stored = PERSONA_NAME_PATTERN.test(personaName) ? await readKvPersona(env, personaName) : null;
+	if (stored) return stored;
+
+	// A stored `default` persona replaces the built-in one
+	if (personaName === BUILT_IN_PERSONA) {
+		return { name: BUILT_IN_PERSONA, prompt: env.CUSTOM_PROMPT || DEFAULT_PROMPT.content, variables: {} };
+	}
+	return null;
+}
+
+// Every persona a client can select, the built-in one included unless a stored one replaces it
+export async function listPersonas(env: Env): Promise<Persona[]> {
+	const personas: Persona[] = [];
+	if (env.PROMPT_TEMPLATES) {
+		try {
+			const { keys } = await env.PROMPT_TEMPLATES.list({ prefix: PERSONA_KEY_PREFIX });
+			const stored = await Promise.all(keys.map(key => readKvPersona(env, key.name.slice(PERSONA_KEY_PREFIX.length))));
+			personas.push(...stored.filter((persona): persona is Persona => persona !== null));
+		} catch (error) {
+			logger.error('Failed to list personas from KV', error);
+		}
+	}
+	if (!personas.some(persona => persona.name === BUILT_IN_PERSONA)) {
+		personas.unshift((await loadPersona(env, BUILT_IN_PERSONA))!);
+	}
+	return personas.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+async function readKvPersona(env: Env, name: string): Promise<Persona | null> {
+	if (!env.PROMPT_TEMPLATES) return null;
+
+	const key = `${PERSONA_KEY_PREFIX}${name}`;
+	try {
+		const value = await env.PROMPT_TEMPLATES.get(key, { type: 'json', cacheTtl: KV_CACHE_TTL_SECONDS });
+		if (value === null) return null;
+		const persona = parsePersona(value);
+		if (persona.name !== name) {
+			throw new Error(`persona.name is ${persona.name}, expected ${name}`);
+		}
+		return persona;
+	} catch (error) {
+		logger.error('Invalid persona', { key, error: (error as Error).message });
+		return null;
+	}
+}
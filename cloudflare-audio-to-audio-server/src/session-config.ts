@@ -0,0 +1,172 @@
+// Runtime session configuration
+// Clients change the session's persona, providers, voice, prompt and streaming mode with session.update. SESSION_UPDATE_FIELDS
+// lists what they may change on this deployment; a `sessionUpdate` claim in the token narrows or widens that per user.
+// Entries are a setting ('speech') or one of its fields ('speech.voice'); '*' allows everything. 'persona' also covers
+// the persona's variables.
+
+import type { Env } from './env.js';
+import { Persona, resolvePromptVariables } from './lib/prompt.js';
+import { resolveTranscriptionSettings, TranscriptionSettings } from './transcription.js';
+import { resolveLlmSettings, LlmSettings } from './llm.js';
+import { resolveSpeechSettings, SpeechSettings } from './speech.js';
+import type { SegmenterConfig } from './lib/segmenter.js';
+
+// What audio messages could already change before the allowlist existed; replacing the prompt has to be granted
+// Personas are written by the deployment, so picking one is allowed too
+const DEFAULT_UPDATABLE_FIELDS = ['persona', 'transcription', 'llm', 'speech', 'segmentation', 'useStreaming', 'locale'];
+
+const MAX_PROMPT_LENGTH = 20000;
+const LOCALE_PATTERN = /^[A-Za-z]{2,3}([-_][A-Za-z0-9]{2,8})*$/;
+
+// The part of the session settings a client can change
+export interface SessionConfig {
+	persona?: string; // Unset for the deployment's default persona
+	variables?: Record<string, string>; // Values of the persona's declared variables
+	transcription?: TranscriptionSettings;
+	llm?: LlmSettings;
+	speech?: SpeechSettings;
+	segmentation?: SegmenterConfig;
+	prompt?: string; // Replaces the persona's system prompt; empty to go back to it
+	useStreaming?: boolean; // Default for turns whose audio message does not say
+	locale?: string; // Language of the error messages shown to the user, e.g. 'es' or 'pt-BR'
+}
+
+export interface SessionUpdateRejection {
+	field: string; // e.g. 'speech.voice'
+	// Outside the allowlist, not served by this deployment, malformed, or a required variable of the persona not given
+	reason: 'not_allowed' | 'unsupported' | 'invalid' | 'missing';
+}
+
+// The token claim wins over the deployment list
+export function getUpdatableFields(env: Env, claims: any): string[] {
+	const claimed = claims?.sessionUpdate;
+	if (claimed === '*' || Array.isArray(claimed)) {
+		return claimed === '*' ? ['*'] : claimed.filter((field: unknown): field is string => typeof field === 'string');
+	}
+	if (env.SESSION_UPDATE_FIELDS !== undefined) {
+		return env.SESSION_UPDATE_FIELDS.split(',').map(field => field.trim()).filter(Boolean);
+	}
+	return DEFAULT_UPDATABLE_FIELDS;
+}
+
+function isUpdatable(field: string, allowed: string[]): boolean {
+	return allowed.includes('*') || allowed.includes(field) || allowed.includes(field.split('.')[0]);
+}
+
+// Merges a requested update into the current configuration. Fields outside the allowlist and values the deployment
+// cannot serve are left out and returned as rejections, so one bad field does not undo the rest. `persona` is the one
+// the update selects, or the session's current one when it only sets variables; null when the selected one does not exist.
+export function applySessionUpdate(
+	env: Env,
+	current: SessionConfig,
+	update: Record<string, any>,
+	allowed: string[],
+	persona?: Persona | null
+) {
+	const changes: SessionConfig = {};
+	const rejected: SessionUpdateRejection[] = [];
+
+	if (update.persona !== undefined || update.variables !== undefined) {
+		if (!isUpdatable('persona', allowed)) {
+			rejected.push({ field: update.persona !== undefined ? 'persona' : 'variables', reason: 'not_allowed' });
+		} else if (!persona) {
+			rejected.push({ field: 'persona', reason: 'unsupported' });
+		} else {
+			applyPersona(env, current, update, persona, changes, rejected);
+		}
+	}
+
+	const providerSettings = {
+		transcription: resolveTranscriptionSettings,
+		llm: resolveLlmSettings,
+		speech: resolveSpeechSettings
+	} as const;
+	for (const [name, resolve] of Object.entries(providerSettings) as [keyof typeof providerSettings, (env: Env, input: any) => any][]) {
+		const requested = update[name];
+		if (!requested || typeof requested !== 'object') continue;
+
+		const permitted: Record<string, unknown> = {};
+		for (const [key, value] of Object.entries(requested)) {
+			if (isUpdatable(`${name}.${key}`, allowed)) {
+				permitted[key] = value;
+			} else {
+				rejected.push({ field: `${name}.${key}`, reason: 'not_allowed' });
+			}
+		}
+		if (Object.keys(permitted).length === 0) continue;
+
+		// The model and voice picked for one provider mean nothing to another
+		const previous = (changes[name] ?? current[name]) as Record<string, unknown> | undefined;
+		const providerChanged = permitted.provider !== undefined && permitted.provider !== previous?.provider;
+		const resolved = resolve(env, providerChanged ? permitted : { ...previous, ...permitted });
+		if (permitted.provider !== undefined && resolved.provider === undefined) {
+			// Without credentials for the new provider, the rest of the request has nothing to apply to
+			rejected.push({ field: `${name}.provider`, reason: 'unsupported' });
+			continue;
+		}
+		for (const key of Object.keys(permitted)) {
+			if (resolved[key] === undefined) rejected.push({ field: `${name}.${key}`, reason: 'unsupported' });
+		}
+		changes[name] = resolved;
+	}
+
+	const accepts = (field: keyof SessionConfig, isValid: (value: any) => boolean): boolean => {
+		if (update[field] === undefined) return false;
+		if (!isUpdatable(field, allowed)) {
+			rejected.push({ field, reason: 'not_allowed' });
+			return false;
+		}
+		if (!isValid(update[field])) {
+			rejected.push({ field, reason: 'invalid' });
+			return false;
+		}
+		return true;
+	};
+	if (accepts('segmentation', value => typeof value === 'object' && value !== null)) {
+		changes.segmentation = { ...current.segmentation, ...update.segmentation };
+	}
+	if (accepts('prompt', value => typeof value === 'string' && value.length <= MAX_PROMPT_LENGTH)) {
+		changes.prompt = update.prompt || undefined;
+	}
+	if (accepts('useStreaming', value => typeof value === 'boolean')) {
+		changes.useStreaming = update.useStreaming;
+	}
+	if (accepts('locale', value => typeof value === 'string' && LOCALE_PATTERN.test(value))) {
+		changes.locale = update.locale;
+	}
+
+	return { changes, rejected };
+}
+
+// Switching personas starts over with the variables of the update and the persona's voice and language, which the
+// rest of the update may still override. A persona missing a required variable is not switched to.
+function applyPersona(
+	env: Env,
+	current: SessionConfig,
+	update: Record<string, any>,
+	persona: Persona,
+	changes: SessionConfig,
+	rejected: SessionUpdateRejection[]
+) {
+	const switching = update.persona !== undefined && (update.persona || undefined) !== current.persona;
+	const requested = typeof update.variables === 'object' && update.variables !== null ? update.variables : {};
+	const variables: Record<string, unknown> = switching ? requested : { ...current.variables, ...requested };
+	const { values, problems } = resolvePromptVariables(persona, variables);
+
+	for (const { name, reason } of problems) {
+		rejected.push({ field: `variables.${name}`, reason: reason === 'unknown' ? 'unsupported' : reason });
+	}
+	if (problems.some(problem => problem.reason === 'missing')) return;
+
+	// Defaults are not stored, so a persona's later defaults still apply
+	changes.variables = Object.fromEntries(Object.entries(values).filter(([name]) => variables[name] !== undefined));
+	if (!switching) return;
+
+	changes.persona = update.persona || undefined;
+	if (persona.voice) {
+		changes.speech = resolveSpeechSettings(env, persona.voice);
+	}
+	if (persona.language) {
+		changes.transcription = resolveTranscriptionSettings(env, { ...current.transcription, language: persona.language });
+	}
+}
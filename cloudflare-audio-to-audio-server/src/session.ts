@@ -0,0 +1,1303 @@
+// Conversation session Durable Object
+// One instance per session ID: owns the history, settings and in-flight turn so a client can drop and reconnect.
+// Sockets are accepted through the hibernation API, so an idle session is evicted from memory and costs nothing.
+
+import { DurableObject } from 'cloudflare:workers';
+import type { Env } from './env.js';
+import { SUPPORTED_AUDIO_FORMATS } from './lib/stt/transcriber.js';
+import { streamChat } from './lib/llm/chat.js';
+import { FailoverChatModel } from './lib/llm/failover.js';
+import type { SpeechSynthesizer } from './lib/tts/synthesizer.js';
+import { runWithFailover, ProviderRetryEvent } from './lib/failover.js';
+import { Persona, PromptTemplate, renderPrompt, resolvePromptVariables } from './lib/prompt.js';
+import { TextSegmenter, SegmenterConfig, resolveSegmenterConfig } from './lib/segmenter.js';
+import { TTSPipeline } from './lib/tts-pipeline.js';
+import { encodeFrame, decodeFrame, FrameType, FrameTypeValue, Framing, SUPPORTED_FRAMINGS } from './lib/framing.js';
+import { InputAudioBuffer } from './lib/input-audio.js';
+import { VoiceActivityDetector, VadConfig, VadEvent, resolveVadConfig, pcmToWav } from './lib/vad.js';
+import { ConversationStore, StoredMessage, CONVERSATION_ID_PATTERN } from './lib/conversation-store.js';
+import { ClientToolBridge, ClientToolDeclaration, parseClientToolDeclarations } from './lib/tools/client.js';
+import { base64ToArrayBuffer, arrayBufferToBase64 } from './lib/base64.js';
+import {
+	ClientMessage, ServerMessage, ProtocolError, ProtocolFeature, ProtocolVersion, LATEST_PROTOCOL_VERSION,
+	parseClientMessage, encodeServerMessage, isMessageEnabled, isFeatureEnabled, assertFeaturesEnabled, negotiateFeatures,
+	parseProtocolVersion
+} from './lib/protocol.js';
+import { loadTools, createToolRegistry } from './tools.js';
+import { createTranscriber, createTranscriberChain } from './transcription.js';
+import { createChatModel, createChatModelChain } from './llm.js';
+import { createSynthesizer, createSynthesizerChain } from './speech.js';
+import { SessionConfig, SessionUpdateRejection, applySessionUpdate, getUpdatableFields } from './session-config.js';
+import { BUILT_IN_PERSONA, getDefaultPersonaName, loadPersona } from './personas.js';
+import { getCircuitBreakers, Stage, StageProvider } from './failover.js';
+import { createErrorMessage, ErrorContext, ErrorStage, SessionError } from './errors.js';
+import { getUsageLimiter, resolveQuotaLimits, assertAllowed } from './limiter.js';
+import { SESSION_HEARTBEAT_MS, QuotaUsage } from './lib/usage-quota.js';
+import type { TokenUsage, ToolCallEvent } from './lib/llm/chat.js';
+import { getUsageStore } from './usage.js';
+import { recordTurnMetrics } from './metrics.js';
+import type { TurnTimings } from './lib/latency-stats.js';
+import { setupLogging, REQUEST_ID_HEADER } from './logging.js';
+import { logger, Logger } from './lib/logger.js';
+
+// Headers the Worker uses to hand the authenticated session over to the Durable Object
+export const SESSION_ID_HEADER = 'X-Session-Id';
+export const SESSION_CLAIMS_HEADER = 'X-Session-Claims';
+export const PROTOCOL_VERSION_HEADER = 'X-Protocol-Version';
+
+const DEFAULT_HISTORY_LIMIT = 50;
+const DEFAULT_TURN_DEADLINE_MS = 30000;
+
+interface SessionSettings extends SessionConfig {
+	owner?: string; // Token user the session belongs to; conversations are stored under it
+	claims?: any; // From the most recent connection, so refreshed tokens take effect on reconnect
+	sessionId?: string;
+	conversationId?: string;
+	userId?: string;
+	username?: string;
+	clientTools?: ClientToolDeclaration[]; // Declared by the app with tools.register
+}
+
+// Survives hibernation together with the socket
+interface ConnectionAttachment {
+	sessionId: string;
+	connectionId: string; // Tags the connection's log lines
+	requestId?: string; // Of the upgrade request, so the Worker's log lines for it can be found
+	claims: any;
+	framing: Framing;
+	protocol: ProtocolVersion;
+	awaitingHello: boolean; // A version 2 connection accepts nothing but session.hello until its handshake
+	features: ProtocolFeature[]; // Enabled by the hello
+}
+
+// In-memory only: an upload or VAD stream in progress keeps the object awake, so losing these on eviction is fine
+interface ConnectionState {
+	pendingBinaryAudioContext: any;
+	inputAudioBuffer: InputAudioBuffer;
+	voiceActivityDetector: VoiceActivityDetector | null;
+	vadContext: any;
+	log: Logger;
+}
+
+// Per-turn state, kept separately so a new turn can interrupt one that is still streaming
+interface TurnState {
+	id: number;
+	cancelled: boolean;
+	interrupted: boolean;
+	transcription: string;
+	responseText: string; // LLM text generated so far
+	spokenOffset: number; // End of the response text whose audio has been sent to the client
+	abortController: AbortController; // One controller per turn, shared by every provider request
+	ttsPipeline: TTSPipeline | null;
+	providers: Partial<Record<Stage, StageProvider>>; // Who served each stage, after any failover
+	deadline: number; // Epoch ms; retries that would start later are not attempted
+	stage: ErrorStage; // What the turn is waiting on, so a failure is reported against it
+	usage: Required<QuotaUsage>; // Counted against the user's daily quotas when the turn ends
+	tokens: TokenUsage; // Summed over every model request of the tool loop
+	latency: Partial<Record<Stage, number>>; // Ms until the transcript, the first token and the first audio
+	receivedAt: number; // Epoch ms the turn's audio was complete; timings count from here
+	timings: TurnTimings;
+	conversationId?: string; // The conversation the turn's messages belong to
+	log: Logger;
+}
+
+export class ConversationSession extends DurableObject<Env> {
+	private history: StoredMessage[] = [];
+	private settings: SessionSettings = {};
+	private turnCounter = 0;
+	private currentTurn: TurnState | null = null;
+
+	private connections = new Map<WebSocket, ConnectionState>();
+	private store: ConversationStore;
+	private pendingWrites: Promise<void> = Promise.resolve(); // Keeps D1 inserts in history order
+	private clientTools: ClientToolBridge;
+	
+	constructor(ctx: DurableObjectState, env: Env) {
+		super(ctx, env);
+		setupLogging(env);
+		this.store = new ConversationStore(env.DB);
+		this.clientTools = new ClientToolBridge(call => {
+			if (this.ctx.getWebSockets().length === 0) return false;
+			this.broadcast({ type: 'client_tool.call', turnId: this.currentTurn?.id, ...call });
+			return true;
+		}, parseOptionalInt(env.CLIENT_TOOL_TIMEOUT_MS));
+
+		// Runs again every time the object wakes from hibernation
+		ctx.blockConcurrencyWhile(async () => {
+			this.history = (await ctx.storage.get<StoredMessage[]>('history')) || [];
+			this.settings = (await ctx.storage.get<SessionSettings>('settings')) || {};
+			this.turnCounter = (await ctx.storage.get<number>('turnCounter')) || 0;
+		});
+	}
+
+	async fetch(request: Request): Promise<Response> {
+		const sessionId = request.headers.get(SESSION_ID_HEADER);
+		if (!sessionId) {
+			return new Response('Missing session ID', { status: 400 });
+		}
+
+		const webSocketPair = new WebSocketPair();
+		const [client, server] = Object.values(webSocketPair);
+		
+		// The Worker already refused versions it does not speak
+		const protocol = parseProtocolVersion(request.headers.get(PROTOCOL_VERSION_HEADER)) || 1;
+		const attachment: ConnectionAttachment = {
+			sessionId,
+			connectionId: crypto.randomUUID(),
+			requestId: request.headers.get(REQUEST_ID_HEADER) || undefined,
+			claims: JSON.parse(request.headers.get(SESSION_CLAIMS_HEADER) || '{}'),
+			framing: 'json',
+			protocol,
+			awaitingHello: protocol === 2,
+			features: negotiateFeatures()
+		};
+		const log = logger.child({ sessionId, connectionId: attachment.connectionId, requestId: attachment.requestId });
+		const owner = this.settings.owner || getSessionOwner(attachment.claims);
+		
+		// Over the limit of open sessions: the socket is accepted only to tell the client why it is closed
+		const check = await getUsageLimiter(this.env, owner).openSession(sessionId, resolveQuotaLimits(this.env, attachment.claims));
+		if (!check.allowed) {
+			log.warn('Session refused', { quota: check.quota, limit: check.limit });
+			server.accept();
+			try {
+				assertAllowed(check);
+			} catch (error) {
+				server.send(JSON.stringify(createErrorMessage(error, { locale: this.locale })));
+			}
+			server.close(1008, 'quota_exceeded');
+			return new Response(null, { status: 101, webSocket: client });
+		}
+		
+		this.ctx.acceptWebSocket(server);
+		server.serializeAttachment(attachment);
+		
+		// Until the client picks a conversation, the session stores its turns under its own ID
+		this.updateSettings({
+			owner,
+			conversationId: this.settings.conversationId || sessionId,
+			claims: attachment.claims,
+			sessionId
+		});
+		await this.scheduleHeartbeat();
+
+		const state = this.getSessionState(sessionId);
+		log.info(state.resumed ? 'Session resumed' : 'Session started', { sockets: this.ctx.getWebSockets().length, protocol });
+		
+		// Version 2 clients get the session state in reply to their hello instead
+		if (protocol === 1) {
+			server.send(JSON.stringify({
+				type: 'welcome',
+				message: 'WebSocket connection established successfully!',
+				framings: SUPPORTED_FRAMINGS,
+				...state,
+				timestamp: new Date().toISOString()
+			}));
+		}
+
+		return new Response(null, {
+			status: 101,
+			webSocket: client
+		});
+	}
+
+	async webSocketMessage(ws: WebSocket, message: string | ArrayBuffer) {
+		if (typeof message !== 'string') {
+			await this.handleBinaryMessage(ws, message);
+			return;
+		}
+
+		const connection = this.getConnection(ws);
+		
+		try {
+			// Validated against the message type's schema, with version 1 names already translated
+			const { protocol, awaitingHello, features } = this.getAttachment(ws);
+			const data = parseClientMessage(message, protocol);
+			connection.log.debug('Message received', { type: data.type, length: message.length });
+			assertFeaturesEnabled(data, protocol, features);
+			
+			if (data.type === 'session.hello') {
+				this.handleHello(ws, data);
+			} else if (awaitingHello) {
+				throw new SessionError('handshake_required', `${data.type} received before session.hello`);
+			} else if (data.type === 'input_audio.submit' && data.audio !== undefined) {
+				const audioBuffer = decodeAudio(data.audio, data.type);
+				await this.processAudioInput(audioBuffer, this.extractClientContext(ws, data), connection.log);
+			} else if (data.type === 'input_audio.submit') {
+				// Context arrives as JSON; the audio itself follows in an INPUT_AUDIO binary frame
+				connection.pendingBinaryAudioContext = this.extractClientContext(ws, data);
+			} else if (data.type === 'input_audio.start') {
+				this.handleInputAudioStart(ws, data);
+			} else if (data.type === 'input_audio.append') {
+				connection.inputAudioBuffer.append(decodeAudio(data.audio, data.type), data.offset);
+			} else if (data.type === 'input_audio.commit') {
+				await this.handleInputAudioCommit(ws, data);
+			} else if (data.type === 'vad.start') {
+				this.handleVadStart(ws, data);
+			} else if (data.type === 'input_audio.stream') {
+				await this.handleStreamedAudio(ws, decodeAudio(data.audio, data.type));
+			} else if (data.type === 'vad.stop') {
+				await this.handleVadStop(ws);
+			} else if (data.type === 'session.set_framing') {
+				this.handleFramingRequest(ws, data.framing);
+			} else if (data.type === 'session.update') {
+				await this.handleSessionUpdate(ws, data.session);
+			} else if (data.type === 'turn.cancel') {
+				this.handleCancellation();
+			} else if (data.type === 'conversation.clear') {
+				this.clearHistory();
+			} else if (data.type === 'tools.register') {
+				await this.handleRegisterTools(ws, data.tools);
+			} else if (data.type === 'client_tool.result') {
+				if (!this.clientTools.settle({ toolCallId: data.toolCallId, result: data.result, error: data.error })) {
+					connection.log.info('Result for unknown or finished client tool call', { toolCallId: data.toolCallId });
+				}
+			} else if (data.type === 'session.ping') {
+				this.send(ws, {
+					type: 'session.pong',
+					message: 'Test message received successfully!',
+					timestamp: new Date().toISOString()
+				});
+			}
+		} catch (error) {
+			connection.log.warn('Error processing message', error);
+			this.reportError(error, {}, ws);
+		}
+	}
+
+	// A hibernating socket sends nothing, so the alarm keeps the session counted as open for as long as one is connected
+	async alarm() {
+		const sessionIds = new Set(this.ctx.getWebSockets()
+			.filter(ws => ws.readyState === WebSocket.OPEN)
+			.map(ws => this.getAttachment(ws).sessionId));
+		if (sessionIds.size === 0 || !this.settings.owner) return;
+
+		const limiter = getUsageLimiter(this.env, this.settings.owner);
+		try {
+			await Promise.all([...sessionIds].map(sessionId => limiter.touchSession(sessionId)));
+		} catch (error) {
+			this.log.error('Failed to refresh session quota', error);
+		}
+		await this.scheduleHeartbeat();
+	}
+
+	private async scheduleHeartbeat() {
+		if (await this.ctx.storage.getAlarm() === null) {
+			await this.ctx.storage.setAlarm(Date.now() + SESSION_HEARTBEAT_MS);
+		}
+	}
+	
+	// Version 2 handshake: the client declares what it handles, the reply lists what this connection gets.
+	// A version 1 connection may send a hello too, and speaks version 2 from then on.
+	private handleHello(ws: WebSocket, hello: ClientMessage) {
+		if (hello.protocolVersion !== LATEST_PROTOCOL_VERSION) {
+			this.reportError(
+				new SessionError('unsupported_protocol_version', `Unsupported protocol version: ${hello.protocolVersion}`),
+				{ extra: { supported: [LATEST_PROTOCOL_VERSION] } },
+				ws
+			);
+			return;
+		}
+		if (hello.framing !== undefined && !SUPPORTED_FRAMINGS.includes(hello.framing)) {
+			this.reportError(
+				new SessionError('unsupported_framing', `Unsupported framing: ${hello.framing}`),
+				{ extra: { supported: SUPPORTED_FRAMINGS } },
+				ws
+			);
+			return;
+		}
+		
+		const attachment = this.getAttachment(ws);
+		const features = negotiateFeatures(hello.features);
+		// Audio frames are only sent to clients that negotiated them
+		const framing: Framing = features.includes('binary_framing') ? hello.framing || attachment.framing : 'json';
+		ws.serializeAttachment({ ...attachment, protocol: 2, awaitingHello: false, features, framing });
+		this.getConnection(ws).log.info('Handshake completed', { client: hello.client, features });
+		
+		this.send(ws, {
+			type: 'session.capabilities',
+			protocolVersion: LATEST_PROTOCOL_VERSION,
+			...this.getSessionState(attachment.sessionId),
+			audioFormats: hello.audioFormats
+				? SUPPORTED_AUDIO_FORMATS.filter(format => hello.audioFormats.includes(format))
+				: SUPPORTED_AUDIO_FORMATS,
+			framings: SUPPORTED_FRAMINGS,
+			framing,
+			features,
+			session: this.getEffectiveConfig(),
+			timestamp: new Date().toISOString()
+		});
+	}
+	
+	// Confirms the configuration now in effect, including when part of the update was refused
+	private async handleSessionUpdate(ws: WebSocket, update: Record<string, any>) {
+		// Variables are checked against the persona they are for; an empty name goes back to the default persona
+		const persona = update.persona !== undefined || update.variables !== undefined
+			? await loadPersona(this.env, update.persona !== undefined ? update.persona : this.settings.persona)
+			: undefined;
+		const rejected = this.updateSessionConfig(update, persona);
+		this.getConnection(ws).log.info('Session updated', { fields: Object.keys(update), rejected });
+		this.send(ws, { type: 'session.updated', session: this.getEffectiveConfig(), rejected });
+	}
+	
+	private updateSessionConfig(update: Record<string, any>, persona?: Persona | null): SessionUpdateRejection[] {
+		const allowed = getUpdatableFields(this.env, this.settings.claims);
+		const { changes, rejected } = applySessionUpdate(this.env, this.settings, update, allowed, persona);
+		if (Object.keys(changes).length > 0) {
+			this.updateSettings(changes);
+		}
+		return rejected;
+	}
+	
+	// Every setting as the next turn will use it, with the deployment's defaults filled in
+	private getEffectiveConfig() {
+		const transcriber = createTranscriber(this.env, this.settings.transcription);
+		const chatModel = createChatModel(this.env, this.settings.llm);
+		const synthesizer = createSynthesizer(this.env, this.settings.speech);
+		return {
+			persona: this.settings.persona ?? getDefaultPersonaName(this.env),
+			variables: this.settings.variables ?? {},
+			transcription: {
+				provider: transcriber.provider,
+				model: transcriber.model,
+				language: this.settings.transcription?.language || this.env.TRANSCRIPTION_LANGUAGE || null
+			},
+			llm: { provider: chatModel.provider, model: chatModel.model },
+			speech: { provider: synthesizer.provider, model: synthesizer.model, voice: synthesizer.voice },
+			segmentation: getSegmenterConfig(this.env, this.settings.segmentation),
+			prompt: this.settings.prompt ?? null, // null while the persona's prompt applies
+			useStreaming: this.settings.useStreaming ?? false,
+			locale: this.locale ?? null,
+			updatable: getUpdatableFields(this.env, this.settings.claims)
+		};
+	}
+	
+	// What a connecting client needs to pick up where it left off
+	private getSessionState(sessionId: string) {
+		return {
+			sessionId,
+			conversationId: this.settings.conversationId,
+			resumed: this.history.length > 0 || this.currentTurn !== null,
+			history: this.history,
+			activeTurn: this.currentTurn ? {
+				turnId: this.currentTurn.id,
+				transcription: this.currentTurn.transcription,
+				responseText: this.currentTurn.responseText,
+				spokenOffset: this.currentTurn.spokenOffset
+			} : null
+		};
+	}
+
+	// The in-flight turn keeps running when a socket goes away; a reconnecting client picks it up
+	async webSocketClose(ws: WebSocket, code: number, reason: string) {
+		this.getConnection(ws).log.info('Connection closed', { code, reason });
+		this.releaseConnection(ws);
+	}
+
+	async webSocketError(ws: WebSocket, error: unknown) {
+		this.getConnection(ws).log.error('Connection error', error);
+		this.releaseConnection(ws);
+	}
+
+	// Replaces the session's client tools; apps send their full set after every connect
+	private async handleRegisterTools(ws: WebSocket, input: unknown) {
+		const { tools, rejected } = parseClientToolDeclarations(input);
+		
+		const serverTools = await createToolRegistry(this.env);
+		const accepted = tools.filter(tool => {
+			if (!serverTools.has(tool.name)) return true;
+			rejected.push({ name: tool.name, reason: 'a server tool has the same name' });
+			return false;
+		});
+		
+		this.updateSettings({ clientTools: accepted });
+		this.getConnection(ws).log.info('Client tools registered', { accepted: accepted.length, rejected: rejected.length });
+		
+		this.send(ws, {
+			type: 'tools.registered',
+			tools: accepted.map(tool => tool.name),
+			rejected
+		});
+	}
+	
+	private getConnection(ws: WebSocket): ConnectionState {
+		let connection = this.connections.get(ws);
+		if (!connection) {
+			const { connectionId, requestId } = this.getAttachment(ws);
+			connection = {
+				pendingBinaryAudioContext: null,
+				inputAudioBuffer: new InputAudioBuffer(),
+				voiceActivityDetector: null,
+				vadContext: null,
+				log: this.log.child({ connectionId, requestId })
+			};
+			this.connections.set(ws, connection);
+		}
+		return connection;
+	}
+
+	private releaseConnection(ws: WebSocket) {
+		const connection = this.connections.get(ws);
+		if (connection) {
+			connection.inputAudioBuffer.clear();
+			connection.voiceActivityDetector = null;
+			this.connections.delete(ws);
+		}
+		
+		// The session stops counting towards the user's open sessions once its last socket is gone
+		const { sessionId } = this.getAttachment(ws);
+		if (this.settings.owner && !this.ctx.getWebSockets().some(socket => socket !== ws && socket.readyState === WebSocket.OPEN)) {
+			getUsageLimiter(this.env, this.settings.owner).closeSession(sessionId)
+				.catch(error => this.log.error('Failed to release session quota', error));
+		}
+	}
+
+	private getAttachment(ws: WebSocket): ConnectionAttachment {
+		return ws.deserializeAttachment() as ConnectionAttachment;
+	}
+
+	private async handleBinaryMessage(ws: WebSocket, data: ArrayBuffer) {
+		const connection = this.getConnection(ws);
+
+		try {
+			if (this.getAttachment(ws).awaitingHello) {
+				throw new SessionError('handshake_required', 'Binary frame received before session.hello');
+			}
+			const frame = decodeFrame(data);
+			const { protocol, features } = this.getAttachment(ws);
+			for (const feature of getFrameFeatures(frame.type)) {
+				if (!isFeatureEnabled(feature, protocol, features)) {
+					throw new ProtocolError('feature_not_enabled', `Binary frames of type ${frame.type} need the ${feature} feature`, { feature });
+				}
+			}
+			if (frame.type === FrameType.INPUT_AUDIO_APPEND) {
+				connection.inputAudioBuffer.append(frame.payload, frame.chunkIndex);
+				return;
+			}
+			if (frame.type === FrameType.INPUT_AUDIO_STREAM) {
+				await this.handleStreamedAudio(ws, frame.payload);
+				return;
+			}
+			if (frame.type !== FrameType.INPUT_AUDIO) {
+				throw new SessionError('invalid_message', `Unexpected binary frame type from client: ${frame.type}`);
+			}
+
+			const clientContext = connection.pendingBinaryAudioContext || {};
+			connection.pendingBinaryAudioContext = null;
+			connection.log.debug('Binary audio received', { bytes: frame.payload.byteLength });
+
+			await this.processAudioInput(frame.payload, clientContext, connection.log);
+		} catch (error) {
+			connection.log.warn('Error processing binary frame', error);
+			this.reportError(error, {}, ws);
+		}
+	}
+
+	private handleInputAudioStart(ws: WebSocket, data: any) {
+		if (data.format !== undefined && !SUPPORTED_AUDIO_FORMATS.includes(data.format)) {
+			this.reportError(
+				new SessionError('unsupported_audio_format', `Unsupported audio format: ${data.format}`),
+				{ extra: { supported: SUPPORTED_AUDIO_FORMATS } },
+				ws
+			);
+			return;
+		}
+
+		const connection = this.getConnection(ws);
+		connection.log.debug('Incremental audio upload started', { format: data.format || 'mp4' });
+		connection.inputAudioBuffer.start(data.format);
+	}
+
+	// The commit carries the turn context; the audio was uploaded while the user was still speaking
+	private async handleInputAudioCommit(ws: WebSocket, data: any) {
+		const connection = this.getConnection(ws);
+		const format = connection.inputAudioBuffer.format;
+		const audioBuffer = connection.inputAudioBuffer.commit(typeof data.totalBytes === 'number' ? data.totalBytes : undefined);
+		connection.log.debug('Incremental audio committed', { bytes: audioBuffer.byteLength });
+
+		const clientContext = this.extractClientContext(ws, data);
+		clientContext.audioFormat = format;
+		await this.processAudioInput(audioBuffer, clientContext, connection.log);
+	}
+
+	// Hands-free mode: the client streams raw PCM and the server decides when a turn ends
+	private handleVadStart(ws: WebSocket, data: any) {
+		const connection = this.getConnection(ws);
+		const sessionConfig: VadConfig = { ...(data.vad || {}) };
+		if (typeof data.sampleRate === 'number') {
+			sessionConfig.sampleRate = data.sampleRate;
+		}
+
+		// A repeated vad.start refreshes the turn context and thresholds without dropping buffered speech
+		if (connection.voiceActivityDetector) {
+			connection.voiceActivityDetector.updateConfig(sessionConfig);
+		} else {
+			connection.voiceActivityDetector = new VoiceActivityDetector(getVadConfig(this.env, sessionConfig));
+		}
+		connection.vadContext = this.extractClientContext(ws, data);
+
+		const effectiveConfig = connection.voiceActivityDetector.effectiveConfig;
+		connection.log.debug('Server VAD started', { vad: effectiveConfig });
+		this.send(ws, { type: 'vad.started', vad: effectiveConfig });
+	}
+
+	private async handleStreamedAudio(ws: WebSocket, chunk: ArrayBuffer) {
+		const connection = this.getConnection(ws);
+		const detector = connection.voiceActivityDetector;
+		if (!detector) {
+			throw new SessionError('invalid_message', 'input_audio.stream received before vad.start');
+		}
+
+		for (const event of detector.process(chunk)) {
+			await this.handleVadEvent(connection, event, detector.sampleRate);
+		}
+	}
+
+	private async handleVadStop(ws: WebSocket) {
+		const connection = this.getConnection(ws);
+		const detector = connection.voiceActivityDetector;
+		if (!detector) {
+			return;
+		}
+
+		connection.voiceActivityDetector = null;
+		connection.log.debug('Server VAD stopped');
+		this.send(ws, { type: 'vad.stopped' });
+
+		for (const event of detector.flush()) {
+			await this.handleVadEvent(connection, event, detector.sampleRate);
+		}
+	}
+
+	private async handleVadEvent(connection: ConnectionState, event: VadEvent, sampleRate: number) {
+		if (event.type === 'speech_started') {
+			connection.log.debug('Speech started', { audioStartMs: event.audioStartMs });
+			this.broadcast({ type: 'vad.speech_started', audioStartMs: event.audioStartMs });
+			// The user talking over the answer stops it straight away, before their turn is committed
+			if (this.currentTurn) {
+				this.interruptTurn(this.currentTurn);
+			}
+			return;
+		}
+
+		connection.log.debug('Speech stopped', { audioEndMs: event.audioEndMs, bytes: event.audio.byteLength });
+		this.broadcast({ type: 'vad.speech_stopped', audioEndMs: event.audioEndMs });
+
+		const clientContext = { ...(connection.vadContext || {}), audioFormat: 'wav' };
+		await this.processAudioInput(pcmToWav(event.audio, sampleRate), clientContext, connection.log);
+	}
+
+	private handleFramingRequest(ws: WebSocket, requested: unknown) {
+		if (!SUPPORTED_FRAMINGS.includes(requested as Framing)) {
+			this.reportError(
+				new SessionError('unsupported_framing', `Unsupported framing: ${requested}`),
+				{ extra: { supported: SUPPORTED_FRAMINGS } },
+				ws
+			);
+			return;
+		}
+
+		const framing = requested as Framing;
+		ws.serializeAttachment({ ...this.getAttachment(ws), framing });
+		this.getConnection(ws).log.debug('Audio framing set', { framing });
+		this.send(ws, { type: 'session.framing', framing });
+	}
+
+	// Pull the per-turn context out of an audio message
+	private extractClientContext(ws: WebSocket, data: any) {
+		const { protocol, features } = this.getAttachment(ws);
+		// Settings sent with a turn persist for the rest of the session, within the same allowlist as session.update
+		const rejected = this.updateSessionConfig({
+			segmentation: data.segmentation,
+			transcription: data.transcription,
+			llm: data.llm,
+			speech: data.speech,
+			locale: data.locale
+		});
+		if (rejected.length > 0) {
+			this.log.debug('Ignoring settings of audio message', { rejected });
+		}
+
+		return {
+			userId: data.userId,
+			username: data.username,
+			additionalPrompt: data.additionalPrompt,
+			history: data.history,
+			conversationId: data.conversationId as string | undefined,
+			// Without streaming_audio the connection only understands the complete reply
+			useStreaming: (data.useStreaming ?? this.settings.useStreaming) && isFeatureEnabled('streaming_audio', protocol, features),
+			audioFormat: data.format as string | undefined
+		};
+	}
+
+	private async processAudioInput(audioBuffer: ArrayBuffer, clientContext: any, log: Logger) {
+		const receivedAt = Date.now();
+		const env = this.env;
+		const limiter = getUsageLimiter(env, this.settings.owner!);
+		
+		// A refused turn leaves the one in progress alone
+		try {
+			assertAllowed(await limiter.checkRequest(resolveQuotaLimits(env, this.settings.claims), this.settings.sessionId));
+		} catch (error) {
+			log.warn('Turn refused', { error: (error as Error).message });
+			this.reportError(error);
+			return;
+		}
+		
+		// Barge-in: new user audio replaces the response that is still streaming
+		if (this.currentTurn) {
+			this.interruptTurn(this.currentTurn);
+		}
+
+		const turnId = ++this.turnCounter;
+		const turn: TurnState = {
+			id: turnId,
+			cancelled: false,
+			interrupted: false,
+			transcription: '',
+			responseText: '',
+			spokenOffset: 0,
+			abortController: new AbortController(),
+			ttsPipeline: null,
+			providers: {},
+			deadline: Date.now() + (parseOptionalInt(env.TURN_DEADLINE_MS) || DEFAULT_TURN_DEADLINE_MS),
+			stage: 'session',
+			usage: { audioSeconds: 0, ttsCharacters: 0 },
+			tokens: { promptTokens: 0, completionTokens: 0 },
+			latency: {},
+			receivedAt,
+			timings: {},
+			log: log.child({ turnId })
+		};
+		this.currentTurn = turn;
+		this.ctx.storage.put('turnCounter', this.turnCounter);
+		
+		try {
+			if (clientContext.conversationId && clientContext.conversationId !== this.settings.conversationId) {
+				await this.switchConversation(clientContext.conversationId);
+			}
+			turn.conversationId = this.settings.conversationId;
+
+			// Before transcribing, so a persona that cannot be used does not cost a transcription
+			const { template, variables } = await this.resolveSystemPrompt(turn.log);
+			
+			turn.stage = 'stt';
+			const sttStartedAt = Date.now();
+			const { result, target: transcriber, failedOver } = await runWithFailover(
+				createTranscriberChain(env, this.settings.transcription),
+				transcriber => {
+					turn.log.debug('Transcribing', { provider: transcriber.provider, model: transcriber.model });
+					return transcriber.transcribe(audioBuffer, {
+						format: clientContext.audioFormat,
+						language: this.settings.transcription?.language || env.TRANSCRIPTION_LANGUAGE,
+						prompt: env.TRANSCRIPTION_PROMPT,
+						signal: turn.abortController.signal
+					});
+				},
+				{ stage: 'stt', breakers: getCircuitBreakers(env), errorPrefix: 'Transcription failed', signal: turn.abortController.signal, logger: turn.log, ...this.getRetryOptions(turn) }
+			);
+			turn.providers.stt = { provider: transcriber.provider, model: transcriber.model, failedOver };
+			turn.usage.audioSeconds = result.duration ?? estimateAudioSeconds(audioBuffer, clientContext.audioFormat);
+			turn.latency.stt = Date.now() - sttStartedAt;
+			turn.timings.sttMs = Date.now() - receivedAt;
+			const transcription = result.text;
+			turn.log.debug('Transcribed', { transcript: transcription, latencyMs: turn.latency.stt });
+
+			if (turn.cancelled) {
+				turn.log.debug('Cancelled during transcription');
+				return;
+			}
+
+			if (!transcription || transcription.trim().length === 0) {
+				throw new SessionError('empty_transcription');
+			}
+			
+			turn.transcription = transcription.trim();
+			turn.stage = 'session';
+			this.broadcast({
+				type: 'transcript',
+				turnId: turn.id,
+				text: turn.transcription,
+				language: result.language,
+				duration: result.duration,
+				segments: result.segments
+			});
+
+			if (clientContext.userId || clientContext.username) {
+				this.updateSettings({
+					userId: clientContext.userId || this.settings.userId,
+					username: clientContext.username || this.settings.username
+				});
+			}
+			const { userId, username } = this.settings;
+
+			// Clients that kept the history themselves seed a new session with it
+			if (this.history.length === 0 && clientContext.history) {
+				this.seedHistory(clientContext.history);
+			}
+
+			const currentPrompt: PromptTemplate = { role: 'system', content: renderPrompt(template, variables) };
+			const contextStack = [currentPrompt]; // Start with the system prompt
+
+			// Add user context to system messages
+			if (userId) contextStack.unshift({ role: 'system', content: `User ID: ${userId}` });
+			if (username) contextStack.unshift({ role: 'system', content: `Username: ${username}` });
+
+			// Format history as a readable conversation
+			// Clean up any legacy placeholders in historical messages first
+			const conversationHistory = this.history.map((msg, idx) => {
+				const formattedMsg = formatHistoricalMessage({
+					...msg,
+					content: msg.content.replace(/\{\$username\}/g, username || 'user')
+				}, idx);
+				const speaker = formattedMsg.role === 'user' ? 'User' : 'Assistant';
+				const suffix = msg.interrupted ? ' [interrupted by user]' : '';
+				return `${speaker}: ${formattedMsg.content}${suffix}`;
+			}).join('\n');
+
+			// Create formatted user message by replacing placeholders in the prompt content
+			const formattedUserMessage = renderPrompt(template, {
+				...variables,
+				username: username || 'User',
+				CONVERSATION_HISTORY: conversationHistory || 'No previous conversation.',
+				USER_MESSAGE: transcription,
+				ADDITIONAL_PROMPT: clientContext.additionalPrompt || ''
+			});
+			this.appendToHistory({ role: 'user', content: turn.transcription }, turn.conversationId);
+
+			const chatModel = new FailoverChatModel(createChatModelChain(env, this.settings.llm), {
+				breakers: getCircuitBreakers(env),
+				...this.getRetryOptions(turn),
+				logger: turn.log,
+				onServed: (model, failedOver) => {
+					turn.providers.llm = { provider: model.provider, model: model.model, failedOver };
+				}
+			});
+			const chatOptions = {
+				tools: await loadTools(env, this.settings.claims, (this.settings.clientTools || []).map(tool => this.clientTools.createTool(tool))),
+				maxToolIterations: parseOptionalInt(env.MAX_TOOL_ITERATIONS),
+				// Tool progress lets the client show activity while the spoken answer is on hold
+				onToolEvent: (event: ToolCallEvent) => {
+					if (!turn.cancelled) {
+						this.broadcast({ ...event, turnId: turn.id });
+					}
+				},
+				onUsage: (usage: TokenUsage) => {
+					turn.tokens.promptTokens += usage.promptTokens;
+					turn.tokens.completionTokens += usage.completionTokens;
+				},
+				signal: turn.abortController.signal,
+				logger: turn.log
+			};
+			
+			turn.stage = 'llm';
+			const llmStartedAt = Date.now();
+			const chatStream = streamChat(chatModel, formattedUserMessage, contextStack, chatOptions);
+
+			// Split the streamed text on sentence/clause boundaries for natural sounding audio chunks
+			const segmenter = new TextSegmenter(getSegmenterConfig(env, this.settings.segmentation));
+			// Synthesize segments in parallel while tokens keep streaming; chunks still reach the client in order
+			const ttsPipeline = this.createStreamingTTSPipeline(turn);
+			turn.ttsPipeline = ttsPipeline;
+
+			for await (const chunk of chatStream) {
+				if (turn.cancelled) {
+					turn.log.debug('Cancelled during LLM response');
+					break;
+				}
+				turn.responseText += chunk;
+				turn.latency.llm ??= Date.now() - llmStartedAt;
+				turn.timings.firstTokenMs ??= Date.now() - receivedAt;
+				
+				this.broadcast({
+					type: 'response.text.delta',
+					turnId: turn.id,
+					text: chunk
+				});
+
+				// Generate audio for every complete segment
+				if (clientContext.useStreaming) {
+					for (const segment of segmenter.push(chunk)) {
+						const chunkIndex = ttsPipeline.enqueue(segment);
+						turn.log.debug('Queued audio chunk', { chunkIndex, segment });
+					}
+				}
+			}
+
+			if (turn.cancelled) return;
+
+			this.appendToHistory({ role: 'assistant', content: turn.responseText.trim() }, turn.conversationId);
+			this.broadcast({
+				type: 'response.text.done',
+				turnId: turn.id,
+				text: turn.responseText.trim()
+			});
+
+			// Handle remaining buffered text
+			if (clientContext.useStreaming) {
+				for (const segment of segmenter.flush()) {
+					const chunkIndex = ttsPipeline.enqueue(segment);
+					turn.log.debug('Queued final audio chunk', { chunkIndex, segment });
+				}
+
+				// Wait for every queued chunk to be delivered before signalling the end of the stream
+				await ttsPipeline.drain();
+				if (turn.cancelled) return;
+
+				// Send audio stream end signal
+				this.broadcast({
+					type: 'response.audio.done',
+					turnId: turn.id,
+					totalChunks: ttsPipeline.size
+				});
+			} else if (!clientContext.useStreaming) {
+				// Fallback to complete audio response
+				await this.handleAudioResponse(turn);
+			}
+			turn.timings.totalMs = Date.now() - receivedAt;
+		
+		} catch (error) {
+			// Errors from a turn that was already stopped are expected and not worth reporting
+			if (!turn.cancelled) {
+				turn.log.error('Turn failed', { stage: turn.stage, error });
+				this.reportError(error, { stage: turn.stage, turnId: turn.id });
+			}
+		} finally {
+			if (this.currentTurn === turn) {
+				this.currentTurn = null;
+			}
+			this.recordUsage(turn);
+			// Only turns that ran to the end, so stopped and failed turns do not skew the percentiles
+			if (turn.timings.totalMs !== undefined && !turn.cancelled) {
+				this.reportMetrics(turn);
+			}
+			// An interrupted turn already told the client with turn.interrupted
+			if (!turn.interrupted) {
+				this.broadcast({ type: 'turn.done', turnId: turn.id, providers: turn.providers });
+			}
+		}
+	}
+
+	private stopTurn(turn: TurnState) {
+		turn.cancelled = true;
+		turn.ttsPipeline?.abort();
+		// Aborts whichever upstream request is in flight (transcription, chat stream or TTS) so billing stops too
+		turn.log.debug('Aborting upstream requests');
+		turn.abortController.abort();
+		if (this.currentTurn === turn) {
+			this.currentTurn = null;
+		}
+	}
+
+	// Stop the turn and remember the part of the reply the user actually received
+	private interruptTurn(turn: TurnState) {
+		this.stopTurn(turn);
+		turn.interrupted = true;
+
+		const spokenText = turn.responseText.slice(0, turn.spokenOffset).trim();
+		if (spokenText) {
+			this.appendToHistory({ role: 'assistant', content: spokenText, interrupted: true }, turn.conversationId);
+		}
+		turn.log.info('Turn interrupted', { textOffset: turn.spokenOffset });
+
+		this.broadcast({
+			type: 'turn.interrupted',
+			turnId: turn.id,
+			textOffset: turn.spokenOffset,
+			text: spokenText
+		});
+	}
+
+	private handleCancellation() {
+		const turnId = this.currentTurn ? this.currentTurn.id : null;
+		if (this.currentTurn) {
+			this.stopTurn(this.currentTurn);
+		}
+		this.broadcast({ type: 'turn.cancelled', turnId });
+		this.log.info('Turn cancelled', { turnId });
+	}
+
+	// A turn's message is dropped once the session has left its conversation, e.g. because the conversation was
+	// cleared or deleted mid-turn; the reply would otherwise start the next conversation without its question.
+	private appendToHistory(message: Omit<StoredMessage, 'timestamp'>, conversationId = this.settings.conversationId) {
+		if (!message.content || conversationId !== this.settings.conversationId) return;
+		const storedMessage: StoredMessage = { ...message, timestamp: new Date().toISOString() };
+		const isFirstMessage = this.history.length === 0;
+		this.history.push(storedMessage);
+		
+		const limit = this.historyLimit;
+		if (this.history.length > limit) {
+			this.history = this.history.slice(-limit);
+		}
+		this.ctx.storage.put('history', this.history);
+		
+		// The session only keeps the recent context; D1 keeps the whole conversation
+		const { owner } = this.settings;
+		if (owner && conversationId) {
+			this.pendingWrites = this.pendingWrites
+				.then(async () => {
+					const stored = await this.store.appendMessage(owner, conversationId, storedMessage, isFirstMessage);
+					// Deleted through the API while this session held it: its history must not outlive it here either
+					if (!stored && this.settings.conversationId === conversationId) {
+						this.log.info('Conversation was deleted', { conversationId });
+						this.clearHistory();
+					}
+				})
+				.catch(error => this.log.error('Failed to store conversation message', error));
+		}
+	}
+	
+	private get historyLimit(): number {
+		return parseOptionalInt(this.env.SESSION_HISTORY_LIMIT) || DEFAULT_HISTORY_LIMIT;
+	}
+	
+	// Continue a stored conversation: its recent messages become the session history
+	private async switchConversation(conversationId: string) {
+		if (!CONVERSATION_ID_PATTERN.test(conversationId)) {
+			throw new SessionError('invalid_conversation', `Invalid conversation ID: ${conversationId}`);
+		}
+		
+		// Turns of the previous conversation must be stored before it is left
+		await this.pendingWrites;
+		this.history = await this.store.getRecentMessages(this.settings.owner!, conversationId, this.historyLimit);
+		this.ctx.storage.put('history', this.history);
+		this.updateSettings({ conversationId });
+		this.log.info('Switched conversation', { conversationId, messages: this.history.length });
+		
+		this.broadcast({ type: 'conversation.switched', conversationId, history: this.history });
+	}
+	
+	// Starts a new conversation; the previous one stays stored until it is deleted through the API
+	private clearHistory() {
+		const conversationId = crypto.randomUUID();
+		this.history = [];
+		this.ctx.storage.put('history', this.history);
+		this.updateSettings({ conversationId });
+		this.log.info('History cleared', { conversationId });
+		this.broadcast({ type: 'conversation.cleared', conversationId });
+	}
+	
+	private seedHistory(history: unknown) {
+		let parsedHistory: any[] = [];
+		if (typeof history === 'string') {
+			try {
+				parsedHistory = JSON.parse(history);
+			} catch (error) {
+				this.log.warn('Error parsing history', error);
+			}
+		} else if (Array.isArray(history)) {
+			parsedHistory = history;
+		}
+
+		parsedHistory.forEach((msg: any, idx: number) => {
+			const formattedMsg = formatHistoricalMessage(msg, idx);
+			if (formattedMsg.role === 'user' || formattedMsg.role === 'assistant') {
+				this.appendToHistory({ role: formattedMsg.role, content: formattedMsg.content });
+			}
+		});
+	}
+
+	private updateSettings(changes: Partial<SessionSettings>) {
+		this.settings = { ...this.settings, ...changes };
+		this.ctx.storage.put('settings', this.settings);
+	}
+
+	// In the socket's protocol version
+	private send(ws: WebSocket, message: ServerMessage) {
+		ws.send(encodeServerMessage(message, this.getAttachment(ws).protocol));
+	}
+	
+	// Turn output goes to every socket of the session, so a client that reconnected mid-turn still receives it.
+	// Sockets still waiting for their handshake are skipped; the session state in their reply covers what they missed.
+	private broadcast(message: ServerMessage) {
+		const payloads = new Map<ProtocolVersion, string>();
+		for (const ws of this.ctx.getWebSockets()) {
+			const { protocol, awaitingHello, features } = this.getAttachment(ws);
+			if (awaitingHello || !isMessageEnabled(message.type, protocol, features)) continue;
+			try {
+				if (!payloads.has(protocol)) {
+					payloads.set(protocol, encodeServerMessage(message, protocol));
+				}
+				ws.send(payloads.get(protocol)!);
+			} catch (error) {
+				this.log.warn('Failed to send message to client', error);
+			}
+		}
+	}
+	
+	// Audio is framed per socket, since each connection negotiates its own framing
+	private broadcastAudio(frameType: FrameTypeValue, turnId: number, chunkIndex: number, audio: ArrayBuffer, message: ServerMessage) {
+		let base64: string | null = null;
+		for (const ws of this.ctx.getWebSockets()) {
+			const { protocol, awaitingHello, framing, features } = this.getAttachment(ws);
+			if (awaitingHello || !isMessageEnabled(message.type, protocol, features)) continue;
+			try {
+				if (framing === 'binary') {
+					ws.send(encodeFrame(frameType, turnId, chunkIndex, audio));
+				} else {
+					base64 ??= arrayBufferToBase64(audio);
+					ws.send(encodeServerMessage({ ...message, audio: base64 }, protocol));
+				}
+			} catch (error) {
+				this.log.warn('Failed to send audio to client', error);
+			}
+		}
+	}
+
+	private async handleAudioResponse(turn: TurnState) {
+		const signal = turn.abortController.signal;
+		try {
+			const mp3ArrayBuffer = await this.synthesize(turn, createSynthesizerChain(this.env, this.settings.speech), turn.responseText);
+			if (signal.aborted) return;
+
+			this.broadcastAudio(FrameType.AUDIO_RESPONSE, turn.id, 0, mp3ArrayBuffer, {
+				type: 'response.audio.complete',
+				turnId: turn.id
+			});
+			this.markAudioSent(turn);
+			turn.spokenOffset = turn.responseText.length;
+		} catch (error) {
+			if (signal.aborted) return;
+			turn.log.error('Error generating audio response', error);
+			this.reportError(error, { stage: 'tts', turnId: turn.id });
+		}
+	}
+
+	private createStreamingTTSPipeline(turn: TurnState): TTSPipeline {
+		// Settings are read once per turn, so a voice change never switches voices mid-answer
+		const synthesizers = createSynthesizerChain(this.env, this.settings.speech);
+
+		return new TTSPipeline({
+			synthesize: (text, chunkIndex) => {
+				turn.log.debug('Generating audio chunk', { chunkIndex, text });
+				return this.synthesize(turn, synthesizers, text);
+			},
+			deliver: ({ chunkIndex, text, audio }) => {
+				if (turn.cancelled) return;
+				this.broadcastAudio(FrameType.AUDIO_CHUNK, turn.id, chunkIndex, audio, {
+					type: 'response.audio.delta',
+					turnId: turn.id,
+					chunkIndex: chunkIndex,
+					text: text
+				});
+				turn.log.debug('Audio chunk sent', { chunkIndex, bytes: audio.byteLength });
+				this.markAudioSent(turn);
+
+				// Segments are trimmed slices of the response, so locate each one to track what has been spoken
+				const position = turn.responseText.indexOf(text, turn.spokenOffset);
+				turn.spokenOffset = position >= 0 ? position + text.length : Math.min(turn.responseText.length, turn.spokenOffset + text.length);
+			},
+			onError: (error, chunkIndex) => {
+				turn.log.error('Error generating audio chunk', { chunkIndex, error });
+				if (turn.cancelled) return;
+				this.reportError(error, { stage: 'tts', turnId: turn.id, extra: { chunkIndex } });
+			}
+		}, { concurrency: parseOptionalInt(this.env.TTS_CONCURRENCY), logger: turn.log });
+	}
+	
+	// Each segment starts at the top of the chain, so a recovered provider takes over again
+	private async synthesize(turn: TurnState, synthesizers: SpeechSynthesizer[], text: string): Promise<ArrayBuffer> {
+		const signal = turn.abortController.signal;
+		const startedAt = Date.now();
+		const { result, target, failedOver } = await runWithFailover(
+			synthesizers,
+			synthesizer => synthesizer.synthesize(text, { signal }),
+			{ stage: 'tts', breakers: getCircuitBreakers(this.env), errorPrefix: 'Speech synthesis failed', signal, logger: turn.log, ...this.getRetryOptions(turn) }
+		);
+		turn.providers.tts = { provider: target.provider, model: target.model, voice: target.voice, failedOver };
+		turn.usage.ttsCharacters += text.length;
+		turn.latency.tts ??= Date.now() - startedAt;
+		return result;
+	}
+	
+	private markAudioSent(turn: TurnState) {
+		const elapsed = Date.now() - turn.receivedAt;
+		turn.timings.firstAudioMs ??= elapsed;
+		turn.timings.lastAudioMs = elapsed;
+	}
+	
+	// The client gets the turn's timings; the deployment's rolling percentiles get them too
+	private reportMetrics(turn: TurnState) {
+		this.broadcast({ type: 'turn.metrics', turnId: turn.id, timings: turn.timings, stages: turn.latency });
+		
+		const providers: Partial<Record<Stage, string>> = {};
+		for (const [stage, served] of Object.entries(turn.providers) as [Stage, StageProvider][]) {
+			providers[stage] = `${served.provider}/${served.model}`;
+		}
+		recordTurnMetrics(this.env, { at: Date.now(), timings: turn.timings, stages: turn.latency, providers })
+			.catch(error => turn.log.error('Failed to record turn metrics', error));
+	}
+	
+	// Counts the turn against the user's quotas and meters it; neither holds up the next turn
+	private recordUsage(turn: TurnState) {
+		const owner = this.settings.owner!;
+		getUsageLimiter(this.env, owner).recordUsage(turn.usage)
+			.catch(error => turn.log.error('Failed to record quota usage', error));
+		
+		// A turn that never reached a provider cost nothing
+		const { stt, llm, tts } = turn.providers;
+		if (!stt) return;
+		getUsageStore(this.env).record({
+			userId: owner,
+			source: 'turn',
+			sessionId: this.settings.sessionId,
+			turnId: turn.id,
+			createdAt: new Date().toISOString(),
+			audioSeconds: turn.usage.audioSeconds,
+			sttProvider: stt.provider,
+			sttModel: stt.model,
+			sttLatencyMs: turn.latency.stt,
+			llmProvider: llm?.provider,
+			llmModel: llm?.model,
+			promptTokens: turn.tokens.promptTokens,
+			completionTokens: turn.tokens.completionTokens,
+			llmLatencyMs: turn.latency.llm,
+			ttsProvider: tts?.provider,
+			ttsModel: tts?.model,
+			ttsVoice: tts?.voice,
+			ttsCharacters: turn.usage.ttsCharacters,
+			ttsLatencyMs: turn.latency.tts
+		}).catch(error => turn.log.error('Failed to record usage', error));
+	}
+	
+	// The session's prompt template and the values of its persona's variables. A persona that was changed to need a
+	// variable the session never set fails the turn rather than sending the model a prompt with a gap in it.
+	private async resolveSystemPrompt(log: Logger): Promise<{ template: string; variables: Record<string, string> }> {
+		let persona = await loadPersona(this.env, this.settings.persona);
+		if (!persona) {
+			log.warn('Selected persona no longer exists, using the built-in one', { persona: this.settings.persona });
+			persona = (await loadPersona(this.env, BUILT_IN_PERSONA))!;
+		}
+		
+		const { values, problems } = resolvePromptVariables(persona, this.settings.variables);
+		const missing = problems.filter(problem => problem.reason === 'missing').map(problem => problem.name);
+		if (missing.length > 0) {
+			throw new SessionError('missing_prompt_variables', `Persona ${persona.name} needs ${missing.join(', ')}`);
+		}
+		return { template: this.settings.prompt || persona.prompt, variables: values };
+	}
+	
+	// Provider requests are idempotent, so each one is retried; the client hears about every wait
+	private getRetryOptions(turn: TurnState) {
+		return {
+			retry: { maxAttempts: parseOptionalInt(this.env.RETRY_MAX_ATTEMPTS), deadline: turn.deadline },
+			onRetry: (retry: ProviderRetryEvent) => {
+				turn.log.warn('Retrying provider', { stage: retry.stage, provider: retry.provider, attempt: retry.attempt, delayMs: retry.delayMs, error: retry.error.message });
+				if (turn.cancelled) return;
+				this.broadcast({
+					type: 'turn.retrying',
+					turnId: turn.id,
+					stage: retry.stage,
+					provider: retry.provider,
+					attempt: retry.attempt,
+					delayMs: retry.delayMs
+				});
+			}
+		};
+	}
+
+	// Every error a client sees is built by createErrorMessage; `ws` limits it to the socket whose message failed
+	private reportError(error: unknown, context: Omit<ErrorContext, 'locale'> = {}, ws?: WebSocket) {
+		const message = createErrorMessage(error, { ...context, locale: this.locale });
+		if (!ws) {
+			this.broadcast(message);
+			return;
+		}
+		try {
+			this.send(ws, message);
+		} catch (sendError) {
+			this.log.warn('Failed to send error message', sendError);
+		}
+	}
+
+	private get log(): Logger {
+		return logger.child({ sessionId: this.settings.sessionId });
+	}
+
+	// Error messages follow the transcription language unless the client asked for another locale
+	private get locale(): string | undefined {
+		return this.settings.locale || this.settings.transcription?.language || this.env.TRANSCRIPTION_LANGUAGE;
+	}
+}
+
+// Sessions and stored conversations are scoped to this user
+export function getSessionOwner(claims: any): string {
+	return String(claims.userId || claims.sub || 'anonymous');
+}
+
+
+// Deployment defaults from env, overridden by the session's own segmentation settings
+function getSegmenterConfig(env: Env, sessionConfig?: SegmenterConfig): SegmenterConfig {
+	const envConfig: SegmenterConfig = {
+		firstMinLength: parseOptionalInt(env.TTS_SEGMENT_FIRST_MIN_LENGTH),
+		minLength: parseOptionalInt(env.TTS_SEGMENT_MIN_LENGTH),
+		maxLength: parseOptionalInt(env.TTS_SEGMENT_MAX_LENGTH)
+	};
+	return resolveSegmenterConfig(envConfig, sessionConfig);
+}
+
+// Deployment defaults from env, overridden by the session's own VAD settings
+function getVadConfig(env: Env, sessionConfig?: VadConfig): VadConfig {
+	const envConfig: VadConfig = {
+		silenceDurationMs: parseOptionalInt(env.VAD_SILENCE_DURATION_MS),
+		prefixPaddingMs: parseOptionalInt(env.VAD_PREFIX_PADDING_MS),
+		energyThreshold: parseOptionalFloat(env.VAD_ENERGY_THRESHOLD)
+	};
+	return resolveVadConfig(envConfig, sessionConfig);
+}
+
+// For quotas when the transcriber does not report the duration: exact for WAV, assumes 128 kbps for compressed audio
+function estimateAudioSeconds(audio: ArrayBuffer, format?: string): number {
+	if (format === 'wav' && audio.byteLength > 44) {
+		const header = new DataView(audio);
+		const bytesPerSecond = header.getUint32(28, true);
+		if (bytesPerSecond > 0) return (audio.byteLength - 44) / bytesPerSecond;
+	}
+	return audio.byteLength / 16000;
+}
+
+// Every binary frame from the client is audio; uploads and VAD streams need their own feature as well
+function getFrameFeatures(type: FrameTypeValue): ProtocolFeature[] {
+	if (type === FrameType.INPUT_AUDIO_APPEND) return ['binary_framing', 'incremental_upload'];
+	if (type === FrameType.INPUT_AUDIO_STREAM) return ['binary_framing', 'server_vad'];
+	return ['binary_framing'];
+}
+
+// Base64 the client sent; atob's own error would be reported as an internal one
+function decodeAudio(audio: string, messageType: string): ArrayBuffer {
+	try {
+		return base64ToArrayBuffer(audio);
+	} catch (error) {
+		throw new ProtocolError('invalid_message', `${messageType}: message.audio is not valid base64`, { field: 'message.audio', messageType });
+	}
+}
+
+function parseOptionalInt(value?: string): number | undefined {
+	if (!value) return undefined;
+	const parsed = parseInt(value, 10);
+	return Number.isNaN(parsed) ? undefined : parsed;
+}
+
+function parseOptionalFloat(value?: string): number | undefined {
+	if (!value) return undefined;
+	const parsed = parseFloat(value);
+	return Number.isNaN(parsed) ? undefined : parsed;
+}
+
+function formatHistoricalMessage(chat: any, index: number) {
+	const validRoles = ['system', 'user', 'assistant'];
+	let role = chat.role?.toLowerCase();
+
+	if (role === 'nik') {
+		role = 'assistant';
+	}
+
+	if (!validRoles.includes(role)) {
+		logger.warn('Invalid historical message role, defaulting to user', { role, index });
+		role = 'user';
+	}
+
+	return {
+		role: role,
+		content: chat.content || ''
+	};
+}
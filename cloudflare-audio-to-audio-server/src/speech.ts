@@ -0,0 +1,133 @@
+// Text-to-speech provider selection
+// TTS_PROVIDER, TTS_MODEL and TTS_VOICE set the deployment default; a session can pick another voice or configured provider.
+
+import type { Env } from './env.js';
+import type { SpeechSynthesizer, Voice } from './lib/tts/synthesizer.js';
+import { OpenAISynthesizer, OPENAI_VOICES, DEFAULT_OPENAI_TTS_MODEL } from './lib/tts/openai.js';
+import { ElevenLabsSynthesizer, DEFAULT_ELEVENLABS_MODEL } from './lib/tts/elevenlabs.js';
+import { WorkersAISynthesizer, WORKERS_AI_VOICES, DEFAULT_WORKERS_AI_TTS_MODEL } from './lib/tts/workers-ai.js';
+import { getProviderChain, isListedModel } from './failover.js';
+import { logger } from './lib/logger.js';
+
+export const TTS_PROVIDERS = ['openai', 'elevenlabs', 'workers-ai'] as const;
+export type TtsProvider = typeof TTS_PROVIDERS[number];
+
+const DEFAULT_MODELS: Record<TtsProvider, string> = {
+	'openai': DEFAULT_OPENAI_TTS_MODEL,
+	'elevenlabs': DEFAULT_ELEVENLABS_MODEL,
+	'workers-ai': DEFAULT_WORKERS_AI_TTS_MODEL
+};
+
+// Providers with a fixed set of voices; ElevenLabs voices belong to the account, so any voice ID is passed through
+const FIXED_VOICES: Partial<Record<TtsProvider, Voice[]>> = {
+	'openai': OPENAI_VOICES,
+	'workers-ai': WORKERS_AI_VOICES
+};
+
+const VOICE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Per-session choice, sent by the client as `speech`
+export interface SpeechSettings {
+	provider?: TtsProvider;
+	model?: string;
+	voice?: string;
+}
+
+export function createSynthesizer(env: Env, settings: SpeechSettings = {}): SpeechSynthesizer {
+	const provider = settings.provider || getDefaultTtsProvider(env);
+	// TTS_MODEL and TTS_VOICE belong to the deployment's provider; another provider starts from its own defaults
+	const isDeploymentProvider = provider === getDefaultTtsProvider(env);
+	const model = settings.model || getDefaultModel(env, provider);
+	const voice = settings.voice || (isDeploymentProvider ? env.TTS_VOICE : undefined);
+
+	switch (provider) {
+		case 'openai':
+			return new OpenAISynthesizer(env.OPENAI_API_KEY, model, voice);
+		case 'elevenlabs':
+			return new ElevenLabsSynthesizer(env.ELEVENLABS_API_KEY!, model, voice);
+		case 'workers-ai':
+			return new WorkersAISynthesizer(env.AI, model, voice);
+	}
+}
+
+// The session's synthesizer followed by the TTS_FALLBACKS providers with their default voices
+export function createSynthesizerChain(env: Env, settings: SpeechSettings = {}): SpeechSynthesizer[] {
+	const first = settings.provider || getDefaultTtsProvider(env);
+	const fallbacks = getProviderChain(first, env.TTS_FALLBACKS, getAvailableTtsProviders(env)).slice(1);
+	return [createSynthesizer(env, settings), ...fallbacks.map(provider => createSynthesizer(env, { provider }))];
+}
+
+// Providers this deployment has credentials for
+export function getAvailableTtsProviders(env: Env): TtsProvider[] {
+	return TTS_PROVIDERS.filter(provider => {
+		switch (provider) {
+			case 'openai': return !!env.OPENAI_API_KEY;
+			case 'elevenlabs': return !!env.ELEVENLABS_API_KEY;
+			case 'workers-ai': return !!env.AI;
+		}
+	});
+}
+
+// Keeps the fields of a client's `speech` object that this deployment can honour
+export function resolveSpeechSettings(env: Env, input: any): SpeechSettings {
+	const settings: SpeechSettings = {};
+	if (typeof input?.provider === 'string') {
+		if (!getAvailableTtsProviders(env).includes(input.provider)) {
+			// Model and voice only make sense for the provider they were chosen with
+			logger.info('Ignoring unavailable speech provider', { provider: input.provider });
+			return settings;
+		}
+		settings.provider = input.provider;
+	}
+	if (typeof input?.model === 'string' && input.model) {
+		const provider = settings.provider || getDefaultTtsProvider(env);
+		if (input.model === getDefaultModel(env, provider) || isListedModel(env.TTS_MODELS, provider, input.model)) {
+			settings.model = input.model;
+		} else {
+			logger.info('Ignoring unlisted speech model', { provider, model: input.model });
+		}
+	}
+	if (typeof input?.voice === 'string') {
+		const fixedVoices = FIXED_VOICES[settings.provider || getDefaultTtsProvider(env)];
+		const known = fixedVoices ? fixedVoices.some(voice => voice.id === input.voice) : VOICE_ID_PATTERN.test(input.voice);
+		if (known) {
+			settings.voice = input.voice;
+		} else {
+			logger.info('Ignoring unknown voice', { voice: input.voice });
+		}
+	}
+	return settings;
+}
+
+// Voices of every configured provider; a provider whose catalog cannot be fetched is left out
+export async function listVoices(env: Env, signal?: AbortSignal): Promise<Voice[]> {
+	const results = await Promise.allSettled(
+		getAvailableTtsProviders(env).map(provider => createSynthesizer(env, { provider }).listVoices(signal))
+	);
+
+	const voices: Voice[] = [];
+	for (const result of results) {
+		if (result.status === 'fulfilled') {
+			voices.push(...result.value);
+		} else {
+			logger.error('Failed to list voices', result.reason);
+		}
+	}
+	return voices;
+}
+
+// What a session gets when it has not chosen a voice
+export function getDefaultVoice(env: Env): { provider: TtsProvider; voice: string } {
+	const synthesizer = createSynthesizer(env);
+	return { provider: synthesizer.provider as TtsProvider, voice: synthesizer.voice };
+}
+
+// TTS_MODEL belongs to the deployment's provider; another provider starts from its own default
+function getDefaultModel(env: Env, provider: TtsProvider): string {
+	return (provider === getDefaultTtsProvider(env) ? env.TTS_MODEL : undefined) || DEFAULT_MODELS[provider];
+}
+
+function getDefaultTtsProvider(env: Env): TtsProvider {
+	const configured = env.TTS_PROVIDER as TtsProvider | undefined;
+	return configured && TTS_PROVIDERS.includes(configured) ? configured : 'openai';
+}
@@ -0,0 +1,125 @@
+// Tools available to the assistant
+// Built-ins are registered here, webhook tools come from TOOL_WEBHOOKS or the TOOL_CONFIG KV namespace.
+// A deployment enables tools with ENABLED_TOOLS; a `tools` claim in the token narrows or widens that per user.
+// Tools the client app declared for the session are always enabled, but cannot replace server tools.
+
+import type { Env } from './env.js';
+import type { ChatTool } from './lib/llm/chat.js';
+import { ToolRegistry, ToolDefinition } from './lib/tools/registry.js';
+import { calculatorTool } from './lib/tools/calculator.js';
+import { createDateTimeTool } from './lib/tools/datetime.js';
+import { createGoogleSearchTool } from './lib/tools/google-search.js';
+import { createWebhookTool, WebhookToolConfig } from './lib/tools/webhook.js';
+import { logger } from './lib/logger.js';
+
+// Key in the TOOL_CONFIG namespace holding a JSON array of webhook tool configs
+export const WEBHOOK_TOOLS_KEY = 'webhooks';
+
+// Webhook configs may name the env secret holding the signing key instead of embedding it. Only secrets with this
+// prefix can be named, so a KV entry cannot point a webhook at any other binding.
+export const WEBHOOK_SECRET_PREFIX = 'WEBHOOK_SECRET_';
+
+type WebhookToolEntry = Omit<WebhookToolConfig, 'secret'> & { secret?: string; secretEnv?: string };
+
+export async function loadTools(env: Env, claims: any, clientTools: ToolDefinition[] = []): Promise<ChatTool[]> {
+	const registry = await createToolRegistry(env);
+	
+	const enabledClientTools: string[] = [];
+	for (const tool of clientTools) {
+		if (registry.has(tool.name)) {
+			logger.info('Ignoring client tool with the name of a server tool', { tool: tool.name });
+			continue;
+		}
+		registry.register(tool);
+		enabledClientTools.push(tool.name);
+	}
+	
+	return registry.resolve([...getEnabledTools(env, claims), ...enabledClientTools], { claims });
+}
+
+// Every server tool this deployment knows, enabled or not
+export async function createToolRegistry(env: Env): Promise<ToolRegistry> {
+	const registry = new ToolRegistry();
+	registry.register(calculatorTool);
+	registry.register(createDateTimeTool(env.DEFAULT_TIMEZONE));
+	if (env.GOOGLE_SEARCH_API_KEY && env.GOOGLE_SEARCH_ENGINE_ID) {
+		registry.register(createGoogleSearchTool(env.GOOGLE_SEARCH_API_KEY, env.GOOGLE_SEARCH_ENGINE_ID));
+	}
+
+	for (const entry of await getWebhookEntries(env)) {
+		try {
+			const secret = entry.secretEnv !== undefined ? readWebhookSecret(env, entry.secretEnv) : entry.secret ?? '';
+			registry.register(createWebhookTool({ ...entry, secret }));
+		} catch (error) {
+			// One bad entry should not take the other tools down with it
+			logger.error('Skipping webhook tool', { error: (error as Error).message });
+		}
+	}
+	
+	return registry;
+}
+
+function readWebhookSecret(env: Env, name: unknown): string {
+	if (typeof name !== 'string' || !name.startsWith(WEBHOOK_SECRET_PREFIX)) {
+		throw new Error(`secretEnv must name a secret starting with ${WEBHOOK_SECRET_PREFIX}`);
+	}
+	const secret: unknown = env[name as `${typeof WEBHOOK_SECRET_PREFIX}${string}`];
+	if (typeof secret !== 'string') {
+		throw new Error(`Secret ${name} is not set`);
+	}
+	return secret;
+}
+
+// The token claim wins over the deployment list, but can only pick from registered tools
+function getEnabledTools(env: Env, claims: any): string[] {
+	const claimed = claims?.tools;
+	if (claimed === '*' || Array.isArray(claimed)) {
+		return claimed === '*' ? ['*'] : claimed.filter((name: unknown): name is string => typeof name === 'string');
+	}
+
+	if (env.ENABLED_TOOLS !== undefined) {
+		return env.ENABLED_TOOLS.split(',').map(name => name.trim()).filter(Boolean);
+	}
+
+	// Deployments configured before the registry existed only knew the search toggle
+	return env.ENABLE_GOOGLE_SEARCH === 'true' ? ['googleSearch'] : [];
+}
+
+// KV entries replace env entries of the same name, so a tool can be changed without a deploy
+async function getWebhookEntries(env: Env): Promise<WebhookToolEntry[]> {
+	const entries = new Map<string, WebhookToolEntry>();
+
+	for (const source of [parseWebhookEntries(env.TOOL_WEBHOOKS, 'TOOL_WEBHOOKS'), await readKvWebhookEntries(env)]) {
+		for (const entry of source) {
+			entries.set(entry.name, entry);
+		}
+	}
+	return [...entries.values()];
+}
+
+async function readKvWebhookEntries(env: Env): Promise<WebhookToolEntry[]> {
+	if (!env.TOOL_CONFIG) return [];
+
+	try {
+		const value = await env.TOOL_CONFIG.get(WEBHOOK_TOOLS_KEY, { cacheTtl: 60 });
+		return parseWebhookEntries(value, `TOOL_CONFIG/${WEBHOOK_TOOLS_KEY}`);
+	} catch (error) {
+		logger.error('Failed to read webhook tools from KV', error);
+		return [];
+	}
+}
+
+function parseWebhookEntries(value: string | null | undefined, source: string): WebhookToolEntry[] {
+	if (!value) return [];
+
+	try {
+		const entries = JSON.parse(value);
+		if (!Array.isArray(entries)) {
+			throw new Error('expected a JSON array');
+		}
+		return entries.filter(entry => typeof entry?.name === 'string');
+	} catch (error) {
+		logger.error('Invalid webhook tool config', { source, error: (error as Error).message });
+		return [];
+	}
+}
@@ -0,0 +1,98 @@
+// Speech-to-text provider selection
+// STT_PROVIDER and STT_MODEL set the deployment default; a session can pick another configured provider.
+
+import type { Env } from './env.js';
+import type { Transcriber } from './lib/stt/transcriber.js';
+import { OpenAITranscriber } from './lib/stt/openai.js';
+import { WorkersAITranscriber, DEFAULT_WORKERS_AI_STT_MODEL } from './lib/stt/workers-ai.js';
+import { DeepgramTranscriber, DEFAULT_DEEPGRAM_MODEL } from './lib/stt/deepgram.js';
+import { getProviderChain, isListedModel } from './failover.js';
+import { logger } from './lib/logger.js';
+
+export const STT_PROVIDERS = ['openai', 'groq', 'workers-ai', 'deepgram'] as const;
+export type SttProvider = typeof STT_PROVIDERS[number];
+
+const DEFAULT_MODELS: Record<SttProvider, string> = {
+	'openai': 'whisper-1',
+	'groq': 'whisper-large-v3-turbo',
+	'workers-ai': DEFAULT_WORKERS_AI_STT_MODEL,
+	'deepgram': DEFAULT_DEEPGRAM_MODEL
+};
+
+// Per-session choice, sent by the client as `transcription`
+export interface TranscriptionSettings {
+	provider?: SttProvider;
+	model?: string;
+	language?: string;
+}
+
+export function createTranscriber(env: Env, settings: TranscriptionSettings = {}): Transcriber {
+	const provider = settings.provider || getDefaultSttProvider(env);
+	const model = settings.model || getDefaultModel(env, provider);
+
+	switch (provider) {
+		case 'openai':
+			return new OpenAITranscriber({ apiKey: env.OPENAI_API_KEY, model });
+		case 'groq':
+			return new OpenAITranscriber({ apiKey: env.GROQ_API_KEY, model, baseUrl: 'https://api.groq.com/openai/v1', provider: 'groq' });
+		case 'workers-ai':
+			return new WorkersAITranscriber(env.AI, model);
+		case 'deepgram':
+			return new DeepgramTranscriber(env.DEEPGRAM_API_KEY!, model);
+	}
+}
+
+// The session's transcriber followed by the STT_FALLBACKS providers with their default models
+export function createTranscriberChain(env: Env, settings: TranscriptionSettings = {}): Transcriber[] {
+	const first = settings.provider || getDefaultSttProvider(env);
+	const fallbacks = getProviderChain(first, env.STT_FALLBACKS, getAvailableSttProviders(env)).slice(1);
+	return [createTranscriber(env, settings), ...fallbacks.map(provider => createTranscriber(env, { provider }))];
+}
+
+// Providers this deployment has credentials for
+export function getAvailableSttProviders(env: Env): SttProvider[] {
+	return STT_PROVIDERS.filter(provider => {
+		switch (provider) {
+			case 'openai': return !!env.OPENAI_API_KEY;
+			case 'groq': return !!env.GROQ_API_KEY;
+			case 'workers-ai': return !!env.AI;
+			case 'deepgram': return !!env.DEEPGRAM_API_KEY;
+		}
+	});
+}
+
+// Keeps the fields of a client's `transcription` object that this deployment can honour
+export function resolveTranscriptionSettings(env: Env, input: any): TranscriptionSettings {
+	const settings: TranscriptionSettings = {};
+	if (typeof input?.provider === 'string') {
+		if (getAvailableSttProviders(env).includes(input.provider)) {
+			settings.provider = input.provider;
+		} else {
+			// A model name only makes sense for the provider it was chosen with
+			logger.info('Ignoring unavailable transcription provider', { provider: input.provider });
+			input = { language: input.language };
+		}
+	}
+	if (typeof input?.model === 'string' && input.model) {
+		const provider = settings.provider || getDefaultSttProvider(env);
+		if (input.model === getDefaultModel(env, provider) || isListedModel(env.STT_MODELS, provider, input.model)) {
+			settings.model = input.model;
+		} else {
+			logger.info('Ignoring unlisted transcription model', { provider, model: input.model });
+		}
+	}
+	if (typeof input?.language === 'string' && /^[a-z]{2,3}$/i.test(input.language)) {
+		settings.language = input.language.toLowerCase();
+	}
+	return settings;
+}
+
+// STT_MODEL belongs to the deployment's provider; another provider starts from its own default
+function getDefaultModel(env: Env, provider: SttProvider): string {
+	return (provider === getDefaultSttProvider(env) ? env.STT_MODEL : undefined) || DEFAULT_MODELS[provider];
+}
+
+function getDefaultSttProvider(env: Env): SttProvider {
+	const configured = env.STT_PROVIDER as SttProvider | undefined;
+	return configured && STT_PROVIDERS.includes(configured) ? configured : 'openai';
+}
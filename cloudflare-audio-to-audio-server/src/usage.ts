@@ -0,0 +1,53 @@
+// Usage metering setup
+// USAGE_STORE picks where usage records go: 'd1' (default) or 'memory', a stand-in for local development without D1.
+
+import type { Env } from './env.js';
+import { D1UsageStore, MemoryUsageStore, UsageGroupBy, UsageQuery, UsageStore, USAGE_GROUP_BY } from './lib/usage-store.js';
+
+const DEFAULT_REPORT_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Module scope, so the stand-in keeps its records between requests handled by this isolate
+let memoryStore: MemoryUsageStore | null = null;
+
+export function getUsageStore(env: Env): UsageStore {
+	if (env.USAGE_STORE === 'memory') {
+		return memoryStore ??= new MemoryUsageStore();
+	}
+	return new D1UsageStore(env.DB);
+}
+
+// Usage reports and turn metrics cover every user, so only tokens with an `admin: true` claim may read them
+export function isAdmin(claims: any): boolean {
+	return claims?.admin === true;
+}
+
+// ?from=&to=&groupBy= of GET /api/usage. Dates without a time cover the whole day, so from=to is one day.
+// Returns an error message for invalid parameters.
+export function parseUsageQuery(url: URL): UsageQuery | string {
+	const groupBy = (url.searchParams.get('groupBy') || 'day') as UsageGroupBy;
+	if (!USAGE_GROUP_BY.includes(groupBy)) {
+		return `groupBy must be one of ${USAGE_GROUP_BY.join(', ')}`;
+	}
+
+	const toParam = url.searchParams.get('to');
+	const to = toParam ? parseBoundary(toParam, true) : Date.now();
+	if (Number.isNaN(to)) return 'Invalid to';
+
+	const fromParam = url.searchParams.get('from');
+	const from = fromParam ? parseBoundary(fromParam, false) : to - DEFAULT_REPORT_DAYS * DAY_MS;
+	if (Number.isNaN(from)) return 'Invalid from';
+	if (from >= to) return 'from must be before to';
+
+	return { from: new Date(from).toISOString(), to: new Date(to).toISOString(), groupBy };
+}
+
+// A plain date as `to` includes that day, so the boundary is the following midnight
+function parseBoundary(value: string, isEnd: boolean): number {
+	if (DATE_PATTERN.test(value)) {
+		const midnight = Date.parse(`${value}T00:00:00Z`);
+		return isEnd ? midnight + DAY_MS : midnight;
+	}
+	return Date.parse(value);
+}
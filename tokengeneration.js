@@ -106,6 +106,63 @@ function isTokenExpired(token) {
     }
 }
 
+/**
+ * Print command line usage
+ */
+function printUsage() {
+    console.log('Usage: node tokengeneration.js [options]\n');
+    console.log('Options:');
+    console.log('  --user-id <id>              Custom user ID');
+    console.log('  --username <name>           Custom username');
+    console.log('  --tools <names>             Comma-separated tools the user may use, or * for all');
+    console.log('  --session-update <fields>   Comma-separated settings the user may change with session.update, or * for all');
+    console.log('  --limits <json>             Usage limits replacing the server defaults, 0 for none');
+    console.log('  --admin                     Allow reading the usage report and turn metrics');
+    console.log('  --hours <hours>             Token expiration in hours (default: 87600 = 10 years)');
+    console.log('  --help, -h                  Show this help message\n');
+    console.log('Examples:');
+    console.log('  node tokengeneration.js');
+    console.log('  node tokengeneration.js --user-id user123 --username john');
+    console.log('  node tokengeneration.js --tools calculator,datetime');
+    console.log('  node tokengeneration.js --session-update speech.voice,locale');
+    console.log('  node tokengeneration.js --limits \'{"requestsPerMinute":60,"dailyAudioSeconds":7200}\'');
+    console.log('  node tokengeneration.js --hours 168   # 1 week');
+    console.log('  node tokengeneration.js --hours 720   # 1 month');
+    console.log('  node tokengeneration.js --hours 8760  # 1 year');
+    console.log('  node tokengeneration.js --hours 87600 # 10 years (default)');
+}
+
+/**
+ * Parse the --limits value: a JSON object of non-negative numbers
+ * @param {string} value - JSON text, e.g. '{"requestsPerMinute":60}'
+ * @returns {Object} The limits
+ */
+function parseLimits(value) {
+    let limits;
+    try {
+        limits = JSON.parse(value);
+    } catch (error) {
+        throw new Error(`--limits is not valid JSON: ${error.message}`);
+    }
+
+    if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+        throw new Error('--limits must be a JSON object, e.g. \'{"requestsPerMinute":60}\'');
+    }
+    for (const [name, limit] of Object.entries(limits)) {
+        if (typeof limit !== 'number' || !Number.isFinite(limit) || limit < 0) {
+            throw new Error(`--limits ${name} must be a number of 0 or more`);
+        }
+    }
+    return limits;
+}
+
+/**
+ * Split a comma-separated list option, keeping * as is
+ */
+function parseList(value) {
+    return value === '*' ? '*' : value.split(',').map(name => name.trim()).filter(Boolean);
+}
+
 // Command line interface
 if (require.main === module) {
     console.log('🎵 Audio-to-Audio - JWT Token Generator\n');
@@ -114,6 +171,10 @@ if (require.main === module) {
     const args = process.argv.slice(2);
     let userId = null;
     let username = null;
+    let tools = null;
+    let sessionUpdate = null;
+    let limits = null;
+    let admin = false;
     let hours = 87600; // Default to 10 years (365 days * 24 hours * 10 years)
 
     // Simple argument parsing
@@ -124,23 +185,28 @@ if (require.main === module) {
         } else if (args[i] === '--username' && args[i + 1]) {
             username = args[i + 1];
             i++;
+        } else if (args[i] === '--tools' && args[i + 1]) {
+            tools = parseList(args[i + 1]);
+            i++;
+        } else if (args[i] === '--session-update' && args[i + 1]) {
+            sessionUpdate = parseList(args[i + 1]);
+            i++;
+        } else if (args[i] === '--limits' && args[i + 1]) {
+            try {
+                limits = parseLimits(args[i + 1]);
+            } catch (error) {
+                console.error(`❌ ${error.message}\n`);
+                printUsage();
+                process.exit(1);
+            }
+            i++;
+        } else if (args[i] === '--admin') {
+            admin = true;
         } else if (args[i] === '--hours' && args[i + 1]) {
             hours = parseInt(args[i + 1]);
             i++;
         } else if (args[i] === '--help' || args[i] === '-h') {
-            console.log('Usage: node tokengeneration.js [options]\n');
-            console.log('Options:');
-            console.log('  --user-id <id>      Custom user ID');
-            console.log('  --username <name>   Custom username');
-            console.log('  --hours <hours>     Token expiration in hours (default: 87600 = 10 years)');
-            console.log('  --help, -h          Show this help message\n');
-            console.log('Examples:');
-            console.log('  node tokengeneration.js');
-            console.log('  node tokengeneration.js --user-id user123 --username john');
-            console.log('  node tokengeneration.js --hours 168   # 1 week');
-            console.log('  node tokengeneration.js --hours 720   # 1 month');
-            console.log('  node tokengeneration.js --hours 8760  # 1 year');
-            console.log('  node tokengeneration.js --hours 87600 # 10 years (default)');
+            printUsage();
             process.exit(0);
         }
     }
@@ -149,6 +215,10 @@ if (require.main === module) {
     const payload = {};
     if (userId) payload.userId = userId;
     if (username) payload.username = username;
+    if (tools) payload.tools = tools;
+    if (sessionUpdate) payload.sessionUpdate = sessionUpdate;
+    if (limits) payload.limits = limits;
+    if (admin) payload.admin = true;
 
     const token = generateJWT(payload, JWT_SECRET, hours);
     const decoded = decodeJWT(token);
@@ -157,6 +227,18 @@ if (require.main === module) {
     console.log('📋 Token Details:');
     console.log(`   User ID: ${decoded.payload.userId}`);
     console.log(`   Username: ${decoded.payload.username}`);
+    if (decoded.payload.tools) {
+        console.log(`   Tools: ${[].concat(decoded.payload.tools).join(', ')}`);
+    }
+    if (decoded.payload.sessionUpdate) {
+        console.log(`   Session update: ${[].concat(decoded.payload.sessionUpdate).join(', ')}`);
+    }
+    if (decoded.payload.limits) {
+        console.log(`   Limits: ${JSON.stringify(decoded.payload.limits)}`);
+    }
+    if (decoded.payload.admin) {
+        console.log('   Admin: yes');
+    }
     console.log(`   Issued: ${new Date(decoded.payload.iat * 1000).toISOString()}`);
     console.log(`   Expires: ${new Date(decoded.payload.exp * 1000).toISOString()}`);
     console.log(`   Valid for: ${hours} hours\n`);